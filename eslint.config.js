@@ -20,7 +20,7 @@ const tsProjectConfig = {
   languageOptions: {
     parser: tseslint.parser,
     parserOptions: {
-      project: './tsconfig.json',
+      project: ['./tsconfig.json', './src/cli/tsconfig.json'],
       tsconfigRootDir: import.meta.dirname
     }
   }
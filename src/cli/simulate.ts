@@ -0,0 +1,189 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { INVESTOR_BOTS, findInvestorBot } from '$lib/bots';
+import { GAME_CONFIG } from '$lib/config';
+import {
+  createRuleStrategy,
+  parseStrategyRules,
+  runSimulation,
+  summariseBatch,
+  type Distribution,
+  type SimulationResult,
+  type Strategy,
+  type StrategyRules
+} from '$lib/simulation';
+import { formatCurrency } from '$lib/utils';
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+Options:
+  --strategy <file>   Strategy rules (.json) or module (.js/.ts) exporting rules or createStrategy()
+  --bot <id|all>      Play a reference investor bot instead of a strategy file (${INVESTOR_BOTS.map((bot) => bot.id).join(', ')})
+  --years <n>         Years to simulate (default 10)
+  --seed <seed>       Seed for a single run, or the prefix for batch seeds (default "sim")
+  --runs <n>          Number of seeded runs; more than one reports distributions (default 1)
+  --balance <amount>  Starting balance (default ${GAME_CONFIG.startingBalance})
+  --history           Print the full history of a single run
+  --json              Print results as JSON
+  --help              Show this message`;
+
+type LoadedStrategy = {
+  name: string;
+  createStrategy: () => Strategy;
+};
+
+type StrategyModule = {
+  default?: unknown;
+  createStrategy?: () => Strategy;
+};
+
+const DEFAULT_STRATEGY_PATH = new URL('./strategies/buy-and-hold.json', import.meta.url);
+
+function fromRules(value: unknown, source: string): LoadedStrategy {
+  const result = parseStrategyRules(value);
+  if (!result.ok) {
+    const details = result.errors.map((issue) => `  ${issue.path} ${issue.message}`).join('\n');
+    throw new Error(`Invalid strategy rules in ${source}:\n${details}`);
+  }
+  const rules: StrategyRules = result.rules;
+  return { name: rules.name ?? path.basename(source), createStrategy: () => createRuleStrategy(rules) };
+}
+
+function loadBots(botId: string): LoadedStrategy[] {
+  if (botId === 'all') {
+    return INVESTOR_BOTS.map((bot) => ({ name: bot.name, createStrategy: bot.createAgent }));
+  }
+  const bot = findInvestorBot(botId);
+  if (!bot) {
+    throw new Error(`Unknown bot "${botId}".`);
+  }
+  return [{ name: bot.name, createStrategy: bot.createAgent }];
+}
+
+async function loadStrategy(file: string | undefined): Promise<LoadedStrategy> {
+  if (!file) {
+    return fromRules(JSON.parse(await readFile(DEFAULT_STRATEGY_PATH, 'utf8')), 'buy-and-hold.json');
+  }
+  const resolved = path.resolve(file);
+  if (resolved.endsWith('.json')) {
+    return fromRules(JSON.parse(await readFile(resolved, 'utf8')), resolved);
+  }
+  const module = (await import(pathToFileURL(resolved).href)) as StrategyModule;
+  if (typeof module.createStrategy === 'function') {
+    return { name: path.basename(resolved), createStrategy: module.createStrategy };
+  }
+  return fromRules(module.default, resolved);
+}
+
+function parsePositive(value: string | undefined, fallback: number, label: string): number {
+  if (value === undefined) {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`--${label} must be a positive number (got "${value}").`);
+  }
+  return parsed;
+}
+
+function formatDistribution(label: string, distribution: Distribution, format: (value: number) => string): string {
+  const cells = (['min', 'p10', 'median', 'mean', 'p90', 'max'] as const).map(
+    (key) => `${key} ${format(distribution[key])}`
+  );
+  return `${label.padEnd(20)}${cells.join('  ')}`;
+}
+
+function printRun(result: SimulationResult, showHistory: boolean): void {
+  console.log(`Seed "${result.seed}" finished on day ${result.day}${result.bankrupt ? ' (bankrupt)' : ''}.`);
+  console.log(`  Net worth:          ${formatCurrency(result.netWorth)}`);
+  console.log(`  Cash balance:       ${formatCurrency(result.balance)}`);
+  console.log(`  Monthly cash flow:  ${formatCurrency(result.monthlyCashFlow)}`);
+  console.log(`  Properties owned:   ${result.propertiesOwned}`);
+  if (showHistory) {
+    console.log('\nHistory:');
+    result.history.forEach((entry) => {
+      console.log(`  Day ${String(entry.day).padStart(5)}  ${entry.message}`);
+    });
+  }
+}
+
+async function main(): Promise<void> {
+  const { values } = parseArgs({
+    options: {
+      strategy: { type: 'string' },
+      bot: { type: 'string' },
+      years: { type: 'string' },
+      seed: { type: 'string' },
+      runs: { type: 'string' },
+      balance: { type: 'string' },
+      history: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const years = parsePositive(values.years, 10, 'years');
+  const runs = Math.round(parsePositive(values.runs, 1, 'runs'));
+  const config = {
+    ...GAME_CONFIG,
+    startingBalance: parsePositive(values.balance, GAME_CONFIG.startingBalance, 'balance')
+  };
+  if (values.bot && values.strategy) {
+    throw new Error('Use either --strategy or --bot, not both.');
+  }
+  const baseSeed = values.seed ?? 'sim';
+  const strategies = values.bot ? loadBots(values.bot) : [await loadStrategy(values.strategy)];
+
+  const outcomes = strategies.map((strategy) => ({
+    strategy,
+    results: Array.from({ length: runs }, (_, index) =>
+      runSimulation({
+        seed: runs === 1 ? baseSeed : `${baseSeed}-${index + 1}`,
+        years,
+        config,
+        createStrategy: strategy.createStrategy,
+        recordHistory: runs === 1 && values.history
+      })
+    )
+  }));
+
+  if (values.json) {
+    const report = outcomes.map(({ strategy, results }) => ({
+      strategy: strategy.name,
+      ...(runs === 1 ? { result: results[0] } : { results, summary: summariseBatch(results) })
+    }));
+    console.log(JSON.stringify(report.length === 1 ? report[0] : report, null, 2));
+    return;
+  }
+
+  outcomes.forEach(({ strategy, results }, index) => {
+    if (index > 0) {
+      console.log('');
+    }
+    console.log(`Strategy: ${strategy.name} over ${years} year${years === 1 ? '' : 's'}.\n`);
+    if (runs === 1) {
+      printRun(results[0], values.history);
+      return;
+    }
+    const summary = summariseBatch(results);
+    console.log(`${summary.runs} runs, ${summary.bankruptcies} bankrupt.`);
+    console.log(formatDistribution('Net worth', summary.netWorth, formatCurrency));
+    console.log(formatDistribution('Cash balance', summary.balance, formatCurrency));
+    console.log(formatDistribution('Monthly cash flow', summary.monthlyCashFlow, formatCurrency));
+    console.log(formatDistribution('Properties owned', summary.propertiesOwned, (value) => value.toFixed(1)));
+  });
+}
+
+main().catch((error: unknown) => {
+  console.error(error instanceof Error ? error.message : error);
+  console.error(`\n${USAGE}`);
+  process.exitCode = 1;
+});
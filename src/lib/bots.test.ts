@@ -0,0 +1,48 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { INVESTOR_BOTS, findInvestorBot } from './bots';
+import { GAME_CONFIG } from './config';
+import { runSimulation } from './simulation';
+
+function play(botId: string, seed: string) {
+  const bot = findInvestorBot(botId);
+  if (!bot) {
+    throw new Error(`Missing bot ${botId}`);
+  }
+  return runSimulation({
+    seed,
+    years: 2,
+    config: { ...GAME_CONFIG, startingBalance: 5_000 },
+    createStrategy: bot.createAgent,
+    recordHistory: true
+  });
+}
+
+describe('investor bots', () => {
+  it.each(INVESTOR_BOTS.map((bot) => bot.id))('%s plays deterministically for a given seed', (botId) => {
+    const first = play(botId, 'bot-test');
+    const second = play(botId, 'bot-test');
+
+    expect(second).toEqual(first);
+    expect(first.history.some((entry) => entry.message.startsWith('Purchased '))).toBe(true);
+  });
+
+  it('keeps the cash-flow bot out of debt', () => {
+    const result = play('cash-flow', 'bot-cash');
+
+    expect(result.history.some((entry) => entry.message.includes('with 10% deposit'))).toBe(false);
+    expect(result.balance).toBeGreaterThanOrEqual(0);
+  });
+
+  it('has the flipper sell what it refurbishes', () => {
+    const result = play('flipper', 'bot-flip');
+
+    expect(result.history.some((entry) => entry.message.startsWith('Scheduled maintenance'))).toBe(true);
+    expect(result.history.some((entry) => entry.message.startsWith('Sold '))).toBe(true);
+  });
+
+  it('returns null for unknown bots', () => {
+    expect(findInvestorBot('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,168 @@
+import {
+  calculateMaxCashOut,
+  calculatePropertyEquity,
+  computeMonthlyCashFlow,
+  createSaleContext,
+  getEarlyRepaymentChargeRate,
+  type GameAction,
+  type GameProperty
+} from '$lib/engine';
+import {
+  canAffordMaintenance,
+  cashPurchaseActions,
+  grossYield,
+  mortgagePurchaseActions,
+  refinanceActions,
+  type Strategy
+} from '$lib/simulation';
+
+export type InvestorBot = {
+  id: string;
+  name: string;
+  description: string;
+  createAgent: () => Strategy;
+};
+
+const EQUITY_RELEASE_INTERVAL_DAYS = 360;
+const FLIP_HOLD_DAYS = 60;
+const LEVERAGED_CASH_RESERVE = 400;
+
+function letAt(property: GameProperty, leaseMonths: number, rateOffset: number): GameAction[] {
+  return [
+    { type: 'set-lease-months', propertyId: property.id, leaseMonths },
+    { type: 'set-rent-premium', propertyId: property.id, rateOffset }
+  ];
+}
+
+function createCashFlowAgent(): Strategy {
+  return (state) => {
+    const actions: GameAction[] = [];
+    state.portfolio.forEach((property) => {
+      actions.push(...letAt(property, 12, 0.02));
+      if (!property.maintenanceWork && property.maintenancePercent < 60 && canAffordMaintenance(state, property, 50)) {
+        actions.push({ type: 'schedule-maintenance', propertyId: property.id });
+      }
+    });
+    const [listing] = state.market
+      .filter((property) => property.cost * 1.1 <= state.balance)
+      .sort((a, b) => grossYield(b) - grossYield(a));
+    if (listing) {
+      actions.push(...cashPurchaseActions(listing.id));
+    }
+    return actions;
+  };
+}
+
+function createLeveragedGrowthAgent(): Strategy {
+  const attempted = new Set<string>();
+  const lastReleaseDay = new Map<string, number>();
+  return (state) => {
+    const actions: GameAction[] = [];
+    state.portfolio.forEach((property) => {
+      actions.push(...letAt(property, 24, 0.04));
+      if (!property.maintenanceWork && property.maintenancePercent < 45 && canAffordMaintenance(state, property)) {
+        actions.push({ type: 'schedule-maintenance', propertyId: property.id });
+      }
+      const mortgage = property.mortgage;
+      const releasedOn = lastReleaseDay.get(property.id) ?? -Infinity;
+      if (
+        mortgage &&
+        getEarlyRepaymentChargeRate(mortgage) === 0 &&
+        state.day - releasedOn >= EQUITY_RELEASE_INTERVAL_DAYS
+      ) {
+        const cashOut = calculateMaxCashOut(calculatePropertyEquity(property));
+        if (cashOut >= property.cost * 0.1) {
+          lastReleaseDay.set(property.id, state.day);
+          actions.push(...refinanceActions(property.id, cashOut, 5));
+        }
+      }
+    });
+    if (computeMonthlyCashFlow(state) < 0) {
+      return actions;
+    }
+    const [listing] = state.market
+      .filter((property) => !attempted.has(property.id))
+      .filter((property) => property.cost * 0.1 + LEVERAGED_CASH_RESERVE <= state.balance)
+      .sort((a, b) => b.cost - a.cost);
+    if (listing) {
+      attempted.add(listing.id);
+      actions.push(
+        ...mortgagePurchaseActions(listing.id, {
+          depositRatio: 0.1,
+          termYears: 25,
+          fixedPeriodYears: 5,
+          lenderId: 'high-street'
+        })
+      );
+    }
+    return actions;
+  };
+}
+
+function createFlipperAgent(): Strategy {
+  const attempted = new Set<string>();
+  const acquiredOnDay = new Map<string, number>();
+  return (state) => {
+    const actions: GameAction[] = [];
+    state.portfolio.forEach((property) => {
+      if (!acquiredOnDay.has(property.id)) {
+        acquiredOnDay.set(property.id, state.day);
+      }
+      const heldDays = state.day - (acquiredOnDay.get(property.id) ?? state.day);
+      if (!property.maintenanceWork && property.maintenancePercent < 95) {
+        if (canAffordMaintenance(state, property)) {
+          actions.push({ type: 'schedule-maintenance', propertyId: property.id });
+        }
+        return;
+      }
+      const sale = createSaleContext(property, state.balance);
+      if (!property.maintenanceWork && heldDays >= FLIP_HOLD_DAYS && sale.canSell && sale.netProceeds > 0) {
+        actions.push({ type: 'sell-property', propertyId: property.id });
+        acquiredOnDay.delete(property.id);
+        return;
+      }
+      actions.push(...letAt(property, 6, 0.01));
+    });
+    if (state.portfolio.length < 2) {
+      const [listing] = state.market
+        .filter((property) => !attempted.has(property.id))
+        .filter((property) => property.cost * 0.25 * 1.5 <= state.balance)
+        .sort((a, b) => a.maintenancePercent - b.maintenancePercent);
+      if (listing) {
+        attempted.add(listing.id);
+        actions.push(
+          ...mortgagePurchaseActions(listing.id, { depositRatio: 0.25, termYears: 10, fixedPeriodYears: 2 })
+        );
+      }
+    }
+    return actions;
+  };
+}
+
+export const INVESTOR_BOTS: InvestorBot[] = [
+  {
+    id: 'cash-flow',
+    name: 'Conservative cash-flow',
+    description:
+      'Buys the highest-yielding listings outright, lets on steady 12-month leases and keeps every property well maintained. Never borrows or sells.',
+    createAgent: createCashFlowAgent
+  },
+  {
+    id: 'leveraged-growth',
+    name: 'Leveraged growth',
+    description:
+      'Buys the largest listings with 10% deposits while cash flow stays positive, charges a higher rent premium and releases equity once fixed deals end to fund the next purchase.',
+    createAgent: createLeveragedGrowthAgent
+  },
+  {
+    id: 'flipper',
+    name: 'Flipper',
+    description:
+      'Buys the most run-down listings, refurbishes them straight away and sells once the work is done and the sale clears the mortgage.',
+    createAgent: createFlipperAgent
+  }
+];
+
+export function findInvestorBot(botId: string): InvestorBot | null {
+  return INVESTOR_BOTS.find((bot) => bot.id === botId) ?? null;
+}
@@ -0,0 +1,47 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { createLineChart } from './charts';
+
+const formatY = (value: number) => value.toFixed(0);
+
+describe('createLineChart', () => {
+  it('scales points into the plot area and labels the latest value', () => {
+    const chart = createLineChart(
+      [
+        { x: 1, y: 0 },
+        { x: 31, y: 50 },
+        { x: 61, y: 100 }
+      ],
+      { width: 200, height: 100, formatY }
+    );
+
+    expect(chart.points[0].x).toBe(chart.plotLeft);
+    expect(chart.points[2].x).toBe(chart.plotRight);
+    expect(chart.points[2].y).toBeLessThan(chart.points[0].y);
+    expect(chart.path.startsWith(`M${chart.points[0].x},${chart.points[0].y} L`)).toBe(true);
+    expect(chart.latestLabel).toBe('100');
+    expect(chart.zeroY).toBeNull();
+    expect(chart.xTicks.map((tick) => tick.label)).toEqual(['Day 1', 'Day 31', 'Day 61']);
+  });
+
+  it('draws a zero line when values go negative', () => {
+    const chart = createLineChart(
+      [
+        { x: 1, y: -20 },
+        { x: 31, y: 40 }
+      ],
+      { formatY }
+    );
+
+    expect(chart.zeroY).not.toBeNull();
+    expect(chart.points[0].y).toBeGreaterThan(chart.zeroY ?? 0);
+  });
+
+  it('returns an empty chart without data', () => {
+    const chart = createLineChart([], { formatY });
+
+    expect(chart.path).toBe('');
+    expect(chart.latestLabel).toBe('');
+  });
+});
@@ -0,0 +1,106 @@
+export interface ChartPoint {
+  x: number;
+  y: number;
+}
+
+export interface ChartTick {
+  position: number;
+  label: string;
+}
+
+export interface LineChart {
+  width: number;
+  height: number;
+  plotLeft: number;
+  plotRight: number;
+  path: string;
+  points: ChartPoint[];
+  xTicks: ChartTick[];
+  yTicks: ChartTick[];
+  zeroY: number | null;
+  latestLabel: string;
+}
+
+export interface LineChartOptions {
+  width?: number;
+  height?: number;
+  tickCount?: number;
+  formatX?: (value: number) => string;
+  formatY: (value: number) => string;
+}
+
+const CHART_PADDING = { top: 12, right: 16, bottom: 28, left: 72 };
+
+function createTicks(min: number, max: number, count: number): number[] {
+  if (max === min) {
+    return [min];
+  }
+  return Array.from({ length: count }, (_, index) => min + ((max - min) * index) / (count - 1));
+}
+
+export function createLineChart(data: ChartPoint[], options: LineChartOptions): LineChart {
+  const width = options.width ?? 600;
+  const height = options.height ?? 220;
+  const tickCount = options.tickCount ?? 4;
+  const formatX = options.formatX ?? ((value: number) => `Day ${Math.round(value)}`);
+  const plotLeft = CHART_PADDING.left;
+  const plotRight = width - CHART_PADDING.right;
+  if (data.length === 0) {
+    return {
+      width,
+      height,
+      plotLeft,
+      plotRight,
+      path: '',
+      points: [],
+      xTicks: [],
+      yTicks: [],
+      zeroY: null,
+      latestLabel: ''
+    };
+  }
+
+  const xs = data.map((point) => point.x);
+  const ys = data.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  let minY = Math.min(...ys, 0);
+  let maxY = Math.max(...ys, 0);
+  if (minY === maxY) {
+    maxY = minY + 1;
+  }
+  const spanY = maxY - minY;
+  minY -= minY < 0 ? spanY * 0.05 : 0;
+  maxY += spanY * 0.05;
+
+  const plotWidth = plotRight - plotLeft;
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+  const scaleX = (value: number) =>
+    plotLeft + (maxX === minX ? plotWidth / 2 : ((value - minX) / (maxX - minX)) * plotWidth);
+  const scaleY = (value: number) => CHART_PADDING.top + ((maxY - value) / (maxY - minY)) * plotHeight;
+
+  const points = data.map((point) => ({
+    x: Math.round(scaleX(point.x) * 10) / 10,
+    y: Math.round(scaleY(point.y) * 10) / 10
+  }));
+  const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${point.y}`).join(' ');
+
+  return {
+    width,
+    height,
+    plotLeft,
+    plotRight,
+    path,
+    points,
+    xTicks: createTicks(minX, maxX, Math.min(tickCount, data.length)).map((value) => ({
+      position: scaleX(value),
+      label: formatX(value)
+    })),
+    yTicks: createTicks(minY, maxY, tickCount).map((value) => ({
+      position: scaleY(value),
+      label: options.formatY(value)
+    })),
+    zeroY: minY < 0 ? scaleY(0) : null,
+    latestLabel: options.formatY(ys[ys.length - 1])
+  };
+}
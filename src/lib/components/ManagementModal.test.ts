@@ -37,7 +37,15 @@ const defaultProps = {
     autoRelist: false,
     marketingActive: false,
     marketingPaused: false,
-    hasTenant: false
+    hasTenant: false,
+    applicants: [],
+    autoAcceptApplicants: true,
+    renewal: null,
+    rentReviewsEnabled: false,
+    lettingAgentId: null,
+    lettingAgentOptions: [
+      { id: 'agent-1', label: 'Agent One (tenant find, 6% of rent)', description: 'Finds tenants.' }
+    ]
   },
   maintenanceState: {
     maintenancePercent: 60,
@@ -50,6 +58,7 @@ const defaultProps = {
     workIsActive: false,
     maintenanceThreshold: 25,
     canSchedule: true,
+    incidents: [],
     reasons: {
       atMaxMaintenance: false,
       alreadyScheduled: false,
@@ -58,8 +67,9 @@ const defaultProps = {
   },
   saleState: {
     salePrice: 320_000,
+    sellingCosts: 4_800,
     outstandingBalance: 150_000,
-    netProceeds: 170_000,
+    netProceeds: 165_200,
     maintenancePercent: 60,
     maintenanceThreshold: 25,
     canSell: true,
@@ -80,7 +90,14 @@ const defaultProps = {
       baseRate: 0.04,
       variableRateMargin: 0.01,
       monthlyPayment: 1_450,
-      paymentDelta: -150
+      paymentDelta: -150,
+      cashOut: 0,
+      newBalance: 180_000,
+      loanToValue: 0.6,
+      earlyRepaymentCharge: 0,
+      comparisonMonths: 60,
+      stayCost: 45_000,
+      switchCost: 36_000
     },
     equity: 120_000,
     equityRatio: 0.4,
@@ -88,10 +105,19 @@ const defaultProps = {
     outstandingBalance: 180_000,
     centralBankRate: 0.0375,
     remainingTermYears: 20,
-    selectedFixedPeriodYears: 5
+    selectedFixedPeriodYears: 5,
+    maxCashOut: 45_000,
+    maxLoanToValue: 0.75,
+    selectedCashOut: 0
   }
 };
 
+function collectDetails<T>(details: T[]): (event: CustomEvent<T>) => void {
+  return (event) => {
+    details.push(event.detail);
+  };
+}
+
 describe('ManagementModal', () => {
   beforeEach(() => {
     const instance = { show: vi.fn(), hide: vi.fn(), dispose: vi.fn() };
@@ -112,9 +138,7 @@ describe('ManagementModal', () => {
     render(ManagementModal, {
       props: defaultProps,
       events: {
-        sectionchange: (event) => {
-          events.push(event.detail as string);
-        }
+        sectionchange: collectDetails(events)
       }
     });
 
@@ -125,34 +149,34 @@ describe('ManagementModal', () => {
   });
 
   it('dispatches leasing preference events for sliders and toggles', async () => {
-    const leaseChanges: Array<{ propertyId: string; leaseMonths: number }> = [];
-    const rentChanges: Array<{ propertyId: string; rateOffset: number }> = [];
-    const autoRelistChanges: Array<{ propertyId: string; enabled: boolean }> = [];
-    const marketingActions: Array<{ propertyId: string; active: boolean }> = [];
-    const marketingChanges: Array<{ propertyId: string; paused: boolean }> = [];
-    const refinancePeriodChanges: Array<{ propertyId: string; years: number }> = [];
-    const refinanceConfirmations: Array<{ propertyId: string }> = [];
+    const leaseChanges: { propertyId: string; leaseMonths: number }[] = [];
+    const rentChanges: { propertyId: string; rateOffset: number }[] = [];
+    const autoRelistChanges: { propertyId: string; enabled: boolean }[] = [];
+    const marketingActions: { propertyId: string; active: boolean }[] = [];
+    const marketingChanges: { propertyId: string; paused: boolean }[] = [];
+    const refinancePeriodChanges: { propertyId: string; years: number }[] = [];
+    const refinanceConfirmations: { propertyId: string }[] = [];
 
     render(ManagementModal, {
       props: defaultProps,
       events: {
-        leasechange: (event) => leaseChanges.push(event.detail),
-        rentchange: (event) => rentChanges.push(event.detail),
-        autorelisttoggle: (event) => autoRelistChanges.push(event.detail),
-        marketingaction: (event) => marketingActions.push(event.detail),
-        marketingtoggle: (event) => marketingChanges.push(event.detail),
-        refinanceperiodchange: (event) => refinancePeriodChanges.push(event.detail),
-        refinanceconfirm: (event) => refinanceConfirmations.push(event.detail)
+        leasechange: collectDetails(leaseChanges),
+        rentchange: collectDetails(rentChanges),
+        autorelisttoggle: collectDetails(autoRelistChanges),
+        marketingaction: collectDetails(marketingActions),
+        marketingtoggle: collectDetails(marketingChanges),
+        refinanceperiodchange: collectDetails(refinancePeriodChanges),
+        refinanceconfirm: collectDetails(refinanceConfirmations)
       }
     });
 
-    const leaseSlider = screen.getByLabelText('Lease length') as HTMLInputElement;
-    const rentSlider = screen.getByLabelText('Rent premium') as HTMLInputElement;
-    const autoRelistToggle = screen.getByLabelText('Auto-relist vacant property') as HTMLInputElement;
+    const leaseSlider = screen.getByLabelText('Lease length');
+    const rentSlider = screen.getByLabelText('Rent premium');
+    const autoRelistToggle = screen.getByLabelText('Auto-relist vacant property');
     const marketingActionButton = screen.getByRole('button', { name: 'List for rent' });
-    const marketingToggle = screen.getByLabelText('Pause marketing for maintenance') as HTMLInputElement;
+    const marketingToggle = screen.getByLabelText('Pause marketing for maintenance');
     const refinanceCardHeading = screen.getByRole('heading', { name: 'Re-lock fixed rate' });
-    const refinanceCard = refinanceCardHeading.closest('.section-card') as HTMLElement;
+    const refinanceCard = refinanceCardHeading.closest<HTMLElement>('.section-card')!;
     const refinanceOptionButton = within(refinanceCard).getByRole('button', { name: '2 years' });
     const refinanceConfirmButton = within(refinanceCard).getByRole('button', {
       name: 'Lock new fixed rate'
@@ -175,6 +199,114 @@ describe('ManagementModal', () => {
     expect(refinanceConfirmations.at(-1)).toEqual({ propertyId: 'prop-1' });
   });
 
+  it('lets the player accept, reject or counter queued applicants', async () => {
+    const accepted: { propertyId: string; applicantId: string }[] = [];
+    const rejected: { propertyId: string; applicantId: string }[] = [];
+    const countered: { propertyId: string; applicantId: string; monthlyRent: number }[] = [];
+    const autoAccept: { propertyId: string; enabled: boolean }[] = [];
+    const applicant = {
+      name: 'Priya Khan',
+      creditScore: 700,
+      reliability: 0.92,
+      monthlyIncome: 12,
+      monthlyRent: 4,
+      leaseMonths: 12,
+      receivedOnDay: 30
+    };
+    render(ManagementModal, {
+      props: {
+        ...defaultProps,
+        activeSection: 'leasing',
+        leasingControls: {
+          ...defaultProps.leasingControls,
+          marketingActive: true,
+          autoAcceptApplicants: false,
+          applicants: [
+            { ...applicant, id: 'prop-1-30-1', isBest: true },
+            { ...applicant, id: 'prop-1-30-2', name: 'Tom Li', creditScore: 500, isBest: false }
+          ]
+        }
+      },
+      events: {
+        applicantaccept: collectDetails(accepted),
+        applicantreject: collectDetails(rejected),
+        applicantcounter: collectDetails(countered),
+        autoaccepttoggle: collectDetails(autoAccept)
+      }
+    });
+
+    const rows = screen.getAllByRole('row').filter((row) => row.dataset.applicantId);
+    expect(rows).toHaveLength(2);
+    expect(within(rows[0]).getByText('Best')).toBeTruthy();
+
+    await fireEvent.click(within(rows[0]).getByRole('button', { name: 'Accept' }));
+    await fireEvent.click(within(rows[1]).getByRole('button', { name: 'Reject' }));
+    await fireEvent.input(within(rows[1]).getByLabelText('Counter-offer rent for Tom Li'), {
+      target: { value: '4.1' }
+    });
+    await fireEvent.click(within(rows[1]).getByRole('button', { name: 'Counter' }));
+    await fireEvent.click(screen.getByLabelText('Auto-accept the best applicant'));
+
+    expect(accepted).toEqual([{ propertyId: 'prop-1', applicantId: 'prop-1-30-1' }]);
+    expect(rejected).toEqual([{ propertyId: 'prop-1', applicantId: 'prop-1-30-2' }]);
+    expect(countered).toEqual([{ propertyId: 'prop-1', applicantId: 'prop-1-30-2', monthlyRent: 4.1 }]);
+    expect(autoAccept).toEqual([{ propertyId: 'prop-1', enabled: true }]);
+  });
+
+  it('offers or declines a lease renewal', async () => {
+    const offers: { propertyId: string; monthlyRent: number }[] = [];
+    const declines: { propertyId: string }[] = [];
+    render(ManagementModal, {
+      props: {
+        ...defaultProps,
+        activeSection: 'leasing',
+        leasingControls: {
+          ...defaultProps.leasingControls,
+          hasTenant: true,
+          renewal: {
+            tenantName: 'Amara Silva',
+            leaseMonthsRemaining: 2,
+            leaseMonths: 12,
+            currentRent: 4,
+            offeredRent: 4,
+            maximumRent: 4.4,
+            marketRent: 4.2,
+            acceptanceChance: 0.85,
+            declined: false
+          }
+        }
+      },
+      events: {
+        renewaloffer: collectDetails(offers),
+        renewaldecline: collectDetails(declines)
+      }
+    });
+
+    await fireEvent.input(screen.getByLabelText('Renewal rent'), { target: { value: '4.3' } });
+    await fireEvent.click(screen.getByRole('button', { name: 'Offer renewal' }));
+    await fireEvent.click(screen.getByRole('button', { name: 'Let the lease end' }));
+
+    expect(offers).toEqual([{ propertyId: 'prop-1', monthlyRent: 4.3 }]);
+    expect(declines).toEqual([{ propertyId: 'prop-1' }]);
+  });
+
+  it('dispatches the chosen letting agent', async () => {
+    const changes: { propertyId: string; agentId: string | null }[] = [];
+    render(ManagementModal, {
+      props: { ...defaultProps, activeSection: 'leasing' },
+      events: { lettingagentchange: collectDetails(changes) }
+    });
+
+    const select = screen.getByLabelText('Letting agent');
+    await fireEvent.change(select, { target: { value: 'agent-1' } });
+    await fireEvent.change(select, { target: { value: '' } });
+
+    expect(changes).toEqual([
+      { propertyId: 'prop-1', agentId: 'agent-1' },
+      { propertyId: 'prop-1', agentId: null }
+    ]);
+  });
+
   it('only allows scheduling maintenance when permitted', async () => {
     const maintenanceSpy = vi.fn();
     render(ManagementModal, {
@@ -190,6 +322,42 @@ describe('ManagementModal', () => {
     expect(maintenanceSpy).toHaveBeenCalledWith(expect.objectContaining({ detail: { propertyId: 'prop-1' } }));
   });
 
+  it('lists incidents and repairs the open ones', async () => {
+    const repairs: { propertyId: string; incidentId: string }[] = [];
+    const incident = {
+      id: 'incident-open',
+      label: 'Burst pipe',
+      reportedOnDay: 30,
+      repairCost: 6_000,
+      monthsUnrepaired: 1,
+      repairedOnDay: null,
+      isOpen: true,
+      canAfford: true
+    };
+    render(ManagementModal, {
+      props: {
+        ...defaultProps,
+        activeSection: 'maintenance',
+        maintenanceState: {
+          ...defaultProps.maintenanceState,
+          incidents: [
+            incident,
+            { ...incident, id: 'incident-fixed', label: 'Roof leak', repairedOnDay: 12, isOpen: false }
+          ]
+        }
+      },
+      events: { incidentrepair: collectDetails(repairs) }
+    });
+
+    const [open, fixed] = screen.getAllByRole('row').filter((row) => row.dataset.incidentId);
+    expect(within(fixed).getByText('Repaired day 12')).toBeTruthy();
+    expect(within(fixed).queryByRole('button', { name: 'Repair' })).toBeNull();
+
+    await fireEvent.click(within(open).getByRole('button', { name: 'Repair' }));
+
+    expect(repairs).toEqual([{ propertyId: 'prop-1', incidentId: 'incident-open' }]);
+  });
+
   it('emits sell events when the sale action is available', async () => {
     const sellSpy = vi.fn();
     render(ManagementModal, {
@@ -204,4 +372,60 @@ describe('ManagementModal', () => {
 
     expect(sellSpy).toHaveBeenCalledWith(expect.objectContaining({ detail: { propertyId: 'prop-1' } }));
   });
+
+  it('filters the ledger and keeps a running total', async () => {
+    render(ManagementModal, {
+      props: {
+        ...defaultProps,
+        activeSection: 'transactions',
+        ledgerRows: [
+          { id: 'a', day: 2, label: 'Deposit', group: 'capital', amount: -100 },
+          { id: 'b', day: 30, label: 'Rent received', group: 'income', amount: 12 },
+          { id: 'c', day: 30, label: 'Mortgage interest', group: 'mortgage', amount: -3 },
+          { id: 'd', day: 60, label: 'Rent received', group: 'income', amount: 12 }
+        ]
+      }
+    });
+
+    const table = screen.getByRole('table');
+    expect(within(table).getAllByRole('row')).toHaveLength(5);
+    expect(within(table).getAllByRole('row').at(-1)?.textContent).toContain('-$79');
+
+    await fireEvent.change(screen.getByLabelText('Filter transactions'), { target: { value: 'income' } });
+
+    const rows = within(screen.getByRole('table')).getAllByRole('row');
+    expect(rows).toHaveLength(3);
+    expect(rows.at(-1)?.textContent).toContain('$24');
+  });
+
+  it('switches the amortization schedule between base rate scenarios', async () => {
+    const scheduleFor = (totalInterest: number) => ({
+      rows: [
+        { month: 1, variable: false, annualRate: 0.04, payment: 60, interest: 10, principal: 50, balance: 50 },
+        { month: 2, variable: true, annualRate: 0.05, payment: 55, interest: 5, principal: 50, balance: 0 }
+      ],
+      fixedMonthsRemaining: 1,
+      totalInterest,
+      totalPaid: 100 + totalInterest,
+      balloonPayment: 0
+    });
+    render(ManagementModal, {
+      props: {
+        ...defaultProps,
+        activeSection: 'financing',
+        amortization: [
+          { id: 'steady', label: 'Steady', description: 'Holds.', schedule: scheduleFor(15) },
+          { id: 'rising', label: 'Rising', description: 'Climbs.', schedule: scheduleFor(40) }
+        ]
+      }
+    });
+
+    const summary = () => document.getElementById('managementAmortizationSummary')?.textContent ?? '';
+    expect(summary()).toContain('$15');
+    expect(screen.getByText('Y1 M2')).toBeTruthy();
+
+    await fireEvent.click(screen.getByRole('button', { name: 'Rising' }));
+
+    expect(summary()).toContain('$40');
+  });
 });
@@ -20,12 +20,76 @@ export interface PropertyDefinition {
   maintenancePercent?: number;
 }
 
+export interface MaintenanceIncidentType {
+  id: string;
+  label: string;
+  repairCostRatio: number;
+  conditionDamage: number;
+  rentAbatement: number;
+  departureChance: number;
+}
+
 export interface MaintenanceConfig {
   initialPercentRange: [number, number];
   occupiedDecayPerMonth: number;
   unoccupiedDecayPerMonth: number;
   refurbishmentCostRatio: number;
   criticalThreshold: number;
+  incidents: {
+    chanceAtFullCondition: number;
+    chanceAtZeroCondition: number;
+    emergencyRepairMonths: number;
+    emergencySurcharge: number;
+    historyLimit: number;
+    types: MaintenanceIncidentType[];
+  };
+}
+
+export interface TenantConfig {
+  firstNames: string[];
+  lastNames: string[];
+  incomeToRentRange: [number, number];
+  creditScoreRange: [number, number];
+  reliabilityRange: [number, number];
+  depositMonths: number;
+  latePaymentShare: number;
+  arrearsRepaymentShare: number;
+  eviction: {
+    arrearsMonthsThreshold: number;
+    legalCosts: number;
+    durationMonths: number;
+  };
+  applicants: {
+    maxPoolSize: number;
+    poolDecay: number;
+    offerRange: [number, number];
+    planLeaseShare: number;
+    maxCounterUplift: number;
+    minimumIncomeToRent: number;
+  };
+  renewal: {
+    noticeMonths: number;
+    requestChance: number;
+    maxIncrease: number;
+    baseAcceptance: number;
+    acceptanceSlope: number;
+    acceptanceRange: [number, number];
+    reviewIntervalMonths: number;
+    reviewCap: number;
+  };
+}
+
+export type LettingAgentService = 'tenant-find' | 'full-management';
+
+export interface LettingAgentConfig {
+  id: string;
+  name: string;
+  service: LettingAgentService;
+  description: string;
+  feeRate: number;
+  placementBoost: number;
+  minimumCreditScore: number;
+  minorRepairCostRatio: number;
 }
 
 export interface CentralBankConfig {
@@ -42,6 +106,64 @@ export interface RateModelConfig {
   fixedRateIncentives: Record<number, number>;
 }
 
+export interface LenderConfig {
+  id: string;
+  name: string;
+  description: string;
+  rateModel: RateModelConfig;
+  arrangementFeeRate: number;
+  maxLoanToValue: number;
+  allowsInterestOnly: boolean;
+}
+
+export interface ArrearsConfig {
+  lateFeeFlat: number;
+  lateFeeRate: number;
+  repossessionAfterMissedPayments: number;
+  repossessionSaleDiscount: number;
+  bankruptcyAfterOverdrawnMonths: number;
+}
+
+export interface CreditScoreConfig {
+  initial: number;
+  minimum: number;
+  maximum: number;
+  missedPaymentPenalty: number;
+  repossessionPenalty: number;
+  overdrawnPenalty: number;
+  onTimeRecovery: number;
+  lendingThreshold: number;
+}
+
+export interface EarlyRepaymentConfig {
+  annualAllowanceRatio: number;
+  chargeSchedule: number[];
+}
+
+export interface EquityReleaseConfig {
+  maxLoanToValue: number;
+}
+
+export interface UnderwritingTier {
+  minDepositRatio: number;
+  interestCoverageRatio: number;
+  stressRateBuffer: number;
+  maxLoanToIncome: number;
+}
+
+export interface UnderwritingConfig {
+  minimumStressRate: number;
+  maxPortfolioLoanToValue: number;
+  tiers: UnderwritingTier[];
+}
+
+export interface RateScenarioConfig {
+  id: string;
+  label: string;
+  description: string;
+  annualBaseRateChange: number;
+}
+
 export interface FinanceConfig {
   depositOptions: number[];
   termOptions: number[];
@@ -52,7 +174,40 @@ export interface FinanceConfig {
   minimumRate: number;
   maximumRate: number;
   centralBank: CentralBankConfig;
-  rateModel: RateModelConfig;
+  lenders: LenderConfig[];
+  defaultLenderId: string;
+  arrears: ArrearsConfig;
+  creditScore: CreditScoreConfig;
+  earlyRepayment: EarlyRepaymentConfig;
+  equityRelease: EquityReleaseConfig;
+  underwriting: UnderwritingConfig;
+  rateScenarios: RateScenarioConfig[];
+}
+
+export interface TaxBand {
+  from: number;
+  rate: number;
+}
+
+export interface TaxConfig {
+  yearLengthDays: number;
+  incomeBands: TaxBand[];
+  mortgageInterestRelief: {
+    deductibleShare: number;
+    creditRate: number;
+  };
+  capitalGains: {
+    annualExemption: number;
+    rate: number;
+  };
+}
+
+export interface TransactionCostConfig {
+  purchaseTaxBands: TaxBand[];
+  additionalPropertySurcharge: number;
+  legalFee: number;
+  surveyFee: number;
+  sellingAgentFeeRate: number;
 }
 
 export interface ProceduralPropertyArchetype {
@@ -79,6 +234,28 @@ export interface MarketConfig {
   maxAge: number;
 }
 
+export interface HousePriceConfig {
+  regionName: string;
+  initialIndex: number;
+  updateIntervalDays: number;
+  annualTrend: number;
+  monthlyVolatility: number;
+  rateSensitivity: number;
+  neutralRate: number;
+  crash: {
+    monthlyChance: number;
+    minimumDrop: number;
+    maximumDrop: number;
+  };
+  minimumIndex: number;
+  maximumIndex: number;
+}
+
+export interface GameConfig {
+  startingBalance: number;
+  speed: number;
+}
+
 export type FeatureAddOnMap = Record<string, number>;
 
 export const defaultProperties: PropertyDefinition[] = [
@@ -164,9 +341,108 @@ export const MAINTENANCE_CONFIG: MaintenanceConfig = {
   occupiedDecayPerMonth: 1,
   unoccupiedDecayPerMonth: 0.2,
   refurbishmentCostRatio: 0.25,
-  criticalThreshold: 25
+  criticalThreshold: 25,
+  incidents: {
+    chanceAtFullCondition: 0.01,
+    chanceAtZeroCondition: 0.2,
+    emergencyRepairMonths: 3,
+    emergencySurcharge: 0.5,
+    historyLimit: 10,
+    types: [
+      {
+        id: 'boiler-failure',
+        label: 'Boiler failure',
+        repairCostRatio: 0.004,
+        conditionDamage: 3,
+        rentAbatement: 0.3,
+        departureChance: 0.15
+      },
+      {
+        id: 'roof-leak',
+        label: 'Roof leak',
+        repairCostRatio: 0.008,
+        conditionDamage: 5,
+        rentAbatement: 0.25,
+        departureChance: 0.2
+      },
+      {
+        id: 'burst-pipe',
+        label: 'Burst pipe',
+        repairCostRatio: 0.006,
+        conditionDamage: 4,
+        rentAbatement: 0.4,
+        departureChance: 0.25
+      },
+      {
+        id: 'pest-infestation',
+        label: 'Pest infestation',
+        repairCostRatio: 0.003,
+        conditionDamage: 2,
+        rentAbatement: 0.2,
+        departureChance: 0.1
+      }
+    ]
+  }
+};
+
+export const TENANT_CONFIG: TenantConfig = {
+  firstNames: ['Alex', 'Sam', 'Jordan', 'Priya', 'Tom', 'Amara', 'Chen', 'Lucy', 'Marek', 'Fatima', 'Owen', 'Zara'],
+  lastNames: ['Patel', 'Smith', 'Okafor', 'Nowak', 'Evans', 'Khan', 'Murphy', 'Li', 'Hughes', 'Silva'],
+  incomeToRentRange: [2, 4.5],
+  creditScoreRange: [420, 820],
+  reliabilityRange: [0.7, 0.99],
+  depositMonths: 1,
+  latePaymentShare: 0.6,
+  arrearsRepaymentShare: 0.5,
+  eviction: {
+    arrearsMonthsThreshold: 2,
+    legalCosts: 5,
+    durationMonths: 3
+  },
+  applicants: {
+    maxPoolSize: 4,
+    poolDecay: 0.75,
+    offerRange: [-0.08, 0.04],
+    planLeaseShare: 0.6,
+    maxCounterUplift: 0.05,
+    minimumIncomeToRent: 2.5
+  },
+  renewal: {
+    noticeMonths: 2,
+    requestChance: 0.75,
+    maxIncrease: 0.1,
+    baseAcceptance: 0.85,
+    acceptanceSlope: 3,
+    acceptanceRange: [0.05, 0.98],
+    reviewIntervalMonths: 12,
+    reviewCap: 0.05
+  }
 };
 
+export const LETTING_AGENTS: LettingAgentConfig[] = [
+  {
+    id: 'high-street-lettings',
+    name: 'High Street Lettings',
+    service: 'tenant-find',
+    description: 'Finds and vets tenants and relists the property whenever it falls vacant.',
+    feeRate: 0.06,
+    placementBoost: 0.1,
+    minimumCreditScore: 560,
+    minorRepairCostRatio: 0
+  },
+  {
+    id: 'keystone-management',
+    name: 'Keystone Property Management',
+    service: 'full-management',
+    description:
+      'Tenant find plus stricter vetting, relisting and minor incident repairs. Major incidents are left to you.',
+    feeRate: 0.12,
+    placementBoost: 0.15,
+    minimumCreditScore: 620,
+    minorRepairCostRatio: 0.0035
+  }
+];
+
 export const FINANCE_CONFIG: FinanceConfig = {
   depositOptions: [0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.4, 0.5],
   termOptions: [2, 5, 10, 25],
@@ -182,19 +458,172 @@ export const FINANCE_CONFIG: FinanceConfig = {
     adjustmentIntervalDays: 30,
     maxStepPerAdjustment: 0.0015
   },
-  rateModel: {
-    variableMarginBase: 0.015,
-    variableMarginDepositFactor: 0.08,
-    minimumMargin: 0.004,
-    fixedRateIncentives: {
-      2: -0.0035,
-      5: -0.0025,
-      10: -0.0015,
-      25: 0
+  lenders: [
+    {
+      id: 'high-street',
+      name: 'High Street Bank',
+      description: 'Lends up to 95% with no arrangement fee.',
+      rateModel: {
+        variableMarginBase: 0.015,
+        variableMarginDepositFactor: 0.08,
+        minimumMargin: 0.004,
+        fixedRateIncentives: {
+          2: -0.0035,
+          5: -0.0025,
+          10: -0.0015,
+          25: 0
+        }
+      },
+      arrangementFeeRate: 0,
+      maxLoanToValue: 0.95,
+      allowsInterestOnly: true
+    },
+    {
+      id: 'building-society',
+      name: 'Mutual Building Society',
+      description: 'Sharp long fixes for larger deposits, repayment only.',
+      rateModel: {
+        variableMarginBase: 0.012,
+        variableMarginDepositFactor: 0.06,
+        minimumMargin: 0.003,
+        fixedRateIncentives: {
+          2: -0.002,
+          5: -0.003,
+          10: -0.0035,
+          25: 0
+        }
+      },
+      arrangementFeeRate: 0.01,
+      maxLoanToValue: 0.85,
+      allowsInterestOnly: false
+    },
+    {
+      id: 'challenger',
+      name: 'Challenger Digital',
+      description: 'Low margins for strong equity, with a higher fee.',
+      rateModel: {
+        variableMarginBase: 0.016,
+        variableMarginDepositFactor: 0.1,
+        minimumMargin: 0.002,
+        fixedRateIncentives: {
+          2: -0.0045,
+          5: -0.002,
+          10: -0.001,
+          25: 0
+        }
+      },
+      arrangementFeeRate: 0.015,
+      maxLoanToValue: 0.8,
+      allowsInterestOnly: true
+    },
+    {
+      id: 'specialist',
+      name: 'Specialist Landlord Lender',
+      description: 'Higher rates but happy with small deposits and interest-only.',
+      rateModel: {
+        variableMarginBase: 0.022,
+        variableMarginDepositFactor: 0.05,
+        minimumMargin: 0.008,
+        fixedRateIncentives: {
+          2: -0.002,
+          5: -0.0015,
+          10: -0.001,
+          25: 0
+        }
+      },
+      arrangementFeeRate: 0.02,
+      maxLoanToValue: 0.95,
+      allowsInterestOnly: true
     }
+  ],
+  defaultLenderId: 'high-street',
+  arrears: {
+    lateFeeFlat: 50,
+    lateFeeRate: 0.05,
+    repossessionAfterMissedPayments: 3,
+    repossessionSaleDiscount: 0.15,
+    bankruptcyAfterOverdrawnMonths: 3
+  },
+  creditScore: {
+    initial: 700,
+    minimum: 300,
+    maximum: 850,
+    missedPaymentPenalty: 45,
+    repossessionPenalty: 150,
+    overdrawnPenalty: 25,
+    onTimeRecovery: 3,
+    lendingThreshold: 560
+  },
+  earlyRepayment: {
+    annualAllowanceRatio: 0.1,
+    chargeSchedule: [0.05, 0.04, 0.03, 0.02, 0.01]
+  },
+  equityRelease: {
+    maxLoanToValue: 0.75
+  },
+  underwriting: {
+    minimumStressRate: 0.055,
+    maxPortfolioLoanToValue: 0.9,
+    tiers: [
+      { minDepositRatio: 0.4, interestCoverageRatio: 1.1, stressRateBuffer: 0.01, maxLoanToIncome: 25 },
+      { minDepositRatio: 0.25, interestCoverageRatio: 1.25, stressRateBuffer: 0.02, maxLoanToIncome: 20 },
+      { minDepositRatio: 0.15, interestCoverageRatio: 1.35, stressRateBuffer: 0.02, maxLoanToIncome: 18 },
+      { minDepositRatio: 0, interestCoverageRatio: 1.45, stressRateBuffer: 0.03, maxLoanToIncome: 15 }
+    ]
+  },
+  rateScenarios: [
+    {
+      id: 'steady',
+      label: 'Steady',
+      description: 'The base rate stays where it is today.',
+      annualBaseRateChange: 0
+    },
+    {
+      id: 'rising',
+      label: 'Rising',
+      description: 'The base rate climbs by 0.5 points a year.',
+      annualBaseRateChange: 0.005
+    },
+    {
+      id: 'falling',
+      label: 'Falling',
+      description: 'The base rate eases by 0.5 points a year.',
+      annualBaseRateChange: -0.005
+    }
+  ]
+};
+
+export const TAX_CONFIG: TaxConfig = {
+  yearLengthDays: 360,
+  incomeBands: [
+    { from: 0, rate: 0 },
+    { from: 20, rate: 0.2 },
+    { from: 100, rate: 0.4 },
+    { from: 250, rate: 0.45 }
+  ],
+  mortgageInterestRelief: {
+    deductibleShare: 0,
+    creditRate: 0.2
+  },
+  capitalGains: {
+    annualExemption: 15,
+    rate: 0.24
   }
 };
 
+export const TRANSACTION_COSTS: TransactionCostConfig = {
+  purchaseTaxBands: [
+    { from: 0, rate: 0 },
+    { from: 250, rate: 0.02 },
+    { from: 925, rate: 0.05 },
+    { from: 1500, rate: 0.1 }
+  ],
+  additionalPropertySurcharge: 0.03,
+  legalFee: 6,
+  surveyFee: 4,
+  sellingAgentFeeRate: 0.015
+};
+
 export const featureAddOns: FeatureAddOnMap = {
   'City View': 60,
   'Shared Rooftop': 40,
@@ -340,6 +769,28 @@ export const MARKET_CONFIG: MarketConfig = {
   maxAge: 120
 };
 
+export const HOUSE_PRICE_CONFIG: HousePriceConfig = {
+  regionName: 'Regional',
+  initialIndex: 100,
+  updateIntervalDays: 30,
+  annualTrend: 0.04,
+  monthlyVolatility: 0.01,
+  rateSensitivity: 1.5,
+  neutralRate: 0.0375,
+  crash: {
+    monthlyChance: 0.01,
+    minimumDrop: 0.1,
+    maximumDrop: 0.25
+  },
+  minimumIndex: 40,
+  maximumIndex: 400
+};
+
+export const GAME_CONFIG: GameConfig = {
+  startingBalance: 1000,
+  speed: 1000
+};
+
 export const propertyTypeLabels: Record<PropertyTypeKey, string> = {
   apartment: 'Apartment',
   townhouse: 'Townhouse',
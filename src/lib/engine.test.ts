@@ -0,0 +1,592 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { GAME_CONFIG, HOUSE_PRICE_CONFIG, LETTING_AGENTS, MAINTENANCE_CONFIG, TENANT_CONFIG } from './config';
+import {
+  advanceDays,
+  calculatePurchaseCosts,
+  calculateSellingCosts,
+  computeMonthlyCashFlow,
+  createAmortizationSchedule,
+  createGame,
+  step,
+  type GameAction,
+  type GameState
+} from './engine';
+import { formatCurrency } from './utils';
+
+function repairOpenIncidents(state: GameState): GameState {
+  return state.portfolio
+    .flatMap((property) =>
+      property.incidents
+        .filter((incident) => incident.repairedOnDay === null)
+        .map((incident): GameAction => ({ type: 'repair-incident', propertyId: property.id, incidentId: incident.id }))
+    )
+    .reduce((next, action) => step(next, action), state);
+}
+
+describe('headless engine', () => {
+  it('creates a game from config and seed', () => {
+    const state = createGame({ ...GAME_CONFIG, startingBalance: 5_000 }, 'engine-seed');
+
+    expect(state.balance).toBe(5_000);
+    expect(state.day).toBe(1);
+    expect(state.seed).toBe('engine-seed');
+    expect(state.history.map((entry) => entry.message)).toContain(
+      'New game started with $5,000 in capital.'
+    );
+    expect(typeof window).toBe('undefined');
+  });
+
+  it('replays identically for the same seed', () => {
+    const first = advanceDays(createGame(GAME_CONFIG, 'replay'), 120);
+    const second = advanceDays(createGame(GAME_CONFIG, 'replay'), 120);
+
+    expect(second).toEqual(first);
+    expect(first.day).toBe(121);
+  });
+
+  it('applies actions without mutating the previous state', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'actions');
+    const snapshot = structuredClone(initial);
+    const listing = initial.market[0];
+
+    const financing = step(initial, { type: 'open-finance', propertyId: listing.id });
+    const purchased = step(financing, { type: 'confirm-cash-purchase' });
+
+    expect(initial).toEqual(snapshot);
+    expect(financing.finance.propertyId).toBe(listing.id);
+    expect(purchased.portfolio.map((property) => property.id)).toEqual([listing.id]);
+    expect(purchased.balance).toBe(100_000 - listing.cost - calculatePurchaseCosts(listing.cost, 0).total);
+  });
+
+  it('advances days through the step reducer', () => {
+    const initial = createGame(GAME_CONFIG, 'stepping');
+    const viaStep = step(initial, { type: 'advance-days', days: 45 });
+
+    expect(viaStep).toEqual(advanceDays(initial, 45));
+    expect(viaStep.lastRentCollectionDay).toBeGreaterThan(0);
+  });
+
+  it('keeps history ids unique across actions', () => {
+    let state = createGame(GAME_CONFIG, 'history');
+    state = step(state, { type: 'set-speed', speed: 500 });
+    state = advanceDays(state, 60);
+
+    const ids = state.history.map((entry) => entry.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('records a monthly snapshot of the portfolio each rent day', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'snapshots');
+    const financing = step(initial, { type: 'open-finance', propertyId: initial.market[0].id });
+    const purchased = step(financing, { type: 'confirm-cash-purchase' });
+    const state = advanceDays(purchased, 60);
+
+    expect(initial.monthlySnapshots).toHaveLength(1);
+    expect(state.monthlySnapshots.map((snapshot) => snapshot.day)).toEqual([1, 30, 60]);
+    const latest = state.monthlySnapshots.at(-1);
+    expect(latest?.cash).toBe(state.balance);
+    expect(latest?.mortgageDebt).toBe(0);
+    expect(latest?.netWorth).toBeCloseTo((latest?.cash ?? 0) + (latest?.propertyValue ?? 0), 2);
+    expect(initial.monthlySnapshots[0].baseRate).toBe(initial.centralBankRate);
+  });
+
+  it('posts purchase, rent and sale entries to the property ledger', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'ledger');
+    const listing = initial.market[0];
+    const financing = step(initial, { type: 'open-finance', propertyId: listing.id });
+    const purchased = step(financing, { type: 'confirm-cash-purchase' });
+    const held = advanceDays(purchased, 120);
+    const sold = step(held, { type: 'sell-property', propertyId: listing.id });
+
+    expect(purchased.ledger).toEqual([
+      { day: 1, propertyId: listing.id, category: 'purchase', amount: -listing.cost },
+      {
+        day: 1,
+        propertyId: listing.id,
+        category: 'purchase-costs',
+        amount: -calculatePurchaseCosts(listing.cost, 0).total
+      }
+    ]);
+    expect(held.ledger.filter((entry) => entry.category === 'rent').length).toBeGreaterThan(0);
+    expect(held.ledger.every((entry) => entry.propertyId === listing.id && entry.amount !== 0)).toBe(true);
+    expect(sold.ledger.map((entry) => entry.category)).toContain('sale');
+  });
+
+  it('settles the sitting tenant deposit against arrears when selling a let property', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'let-sale');
+    const listing = initial.market[0];
+    const purchased = step(step(initial, { type: 'open-finance', propertyId: listing.id }), {
+      type: 'confirm-cash-purchase'
+    });
+    const tenant = {
+      leaseMonthsRemaining: 6,
+      monthlyRent: 4,
+      name: 'Ana Silva',
+      monthlyIncome: 14,
+      creditScore: 700,
+      reliability: 0.8,
+      deposit: 4,
+      arrears: 10,
+      latePayments: 0,
+      missedPayments: 2,
+      eviction: null,
+      renewal: null,
+      monthsSinceRentReview: 0
+    };
+    const tenanted = { ...purchased, portfolio: [{ ...purchased.portfolio[0], tenant }] };
+    const unlet = step(purchased, { type: 'sell-property', propertyId: listing.id });
+    const sold = step(tenanted, { type: 'sell-property', propertyId: listing.id });
+    const messages = sold.history.map((entry) => entry.message);
+
+    expect(sold.balance).toBeCloseTo(unlet.balance + 4, 2);
+    expect(sold.ledger.at(-1)).toEqual({ day: sold.day, propertyId: listing.id, category: 'rent', amount: 4 });
+    expect(messages).toContain(`Ana Silva's tenancy at ${listing.name} ended with the sale.`);
+    expect(messages).toContain(`Kept ${formatCurrency(4)} of Ana Silva's deposit against rent arrears.`);
+    expect(messages.at(-1)).toBe(`Wrote off ${formatCurrency(6)} of unpaid rent at ${listing.name}.`);
+  });
+
+  it('charges purchase costs, optionally finances the arrangement fee and takes a selling agent fee', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'costs');
+    const [first, second] = initial.market;
+    const costs = calculatePurchaseCosts(first.cost, 0);
+    const cashBuy = step(step(initial, { type: 'open-finance', propertyId: first.id }), {
+      type: 'confirm-cash-purchase'
+    });
+
+    expect(costs.purchaseTax).toBeGreaterThan(0);
+    expect(costs.surcharge).toBe(0);
+    expect(cashBuy.balance).toBeCloseTo(100_000 - first.cost - costs.total, 2);
+
+    const financingActions: GameAction[] = [
+      { type: 'open-finance', propertyId: second.id },
+      { type: 'select-lender', lenderId: 'building-society' },
+      { type: 'set-fee-financing', addFeeToLoan: true }
+    ];
+    const financing = financingActions.reduce((state, action) => step(state, action), cashBuy);
+    const mortgaged = step(financing, { type: 'confirm-finance' });
+    const mortgage = mortgaged.portfolio.find((property) => property.id === second.id)?.mortgage;
+    const secondCosts = calculatePurchaseCosts(second.cost, 1);
+
+    expect(secondCosts.surcharge).toBeGreaterThan(0);
+    expect(mortgage?.financedFee).toBeGreaterThan(0);
+    expect(mortgage?.principal).toBeCloseTo(second.cost - mortgage!.deposit + mortgage!.financedFee!, 2);
+    expect(mortgaged.balance).toBeCloseTo(cashBuy.balance - mortgage!.deposit - secondCosts.total, 2);
+    expect(mortgaged.ledger.some((entry) => entry.category === 'arrangement-fee')).toBe(false);
+
+    const sold = step(cashBuy, { type: 'sell-property', propertyId: first.id });
+    const fee = sold.ledger.find((entry) => entry.category === 'selling-costs');
+    const sale = sold.ledger.find((entry) => entry.category === 'sale');
+
+    expect(fee?.amount).toBe(-calculateSellingCosts(sale!.amount));
+    expect(sold.tax.capitalGains[0].gain).toBeCloseTo(sale!.amount + fee!.amount - first.cost - costs.total, 2);
+  });
+
+  it('moves every property value with the monthly house price index', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'house-prices');
+    const listing = initial.market[0];
+    const purchased = step(step(initial, { type: 'open-finance', propertyId: listing.id }), {
+      type: 'confirm-cash-purchase'
+    });
+    const later = advanceDays(purchased, 90);
+    const ratio = later.housePriceIndex / HOUSE_PRICE_CONFIG.initialIndex;
+
+    expect(initial.housePriceIndex).toBe(HOUSE_PRICE_CONFIG.initialIndex);
+    expect(later.lastHousePriceUpdateDay).toBe(90);
+    expect(later.housePriceIndex).not.toBe(initial.housePriceIndex);
+    expect(later.portfolio[0].baseValue).toBeCloseTo(listing.baseValue * ratio, 0);
+    expect(later.monthlySnapshots.at(-1)?.housePriceIndex).toBe(later.housePriceIndex);
+    expect(later.history.some((entry) => entry.message.includes('house price index'))).toBe(true);
+  });
+
+  it('grows house prices more slowly when the base rate is high', () => {
+    const initial = createGame(GAME_CONFIG, 'rate-sensitivity');
+    const cheapMoney = advanceDays({ ...initial, centralBankRate: 0.01 }, 360);
+    const dearMoney = advanceDays({ ...initial, centralBankRate: 0.1 }, 360);
+
+    expect(dearMoney.housePriceIndex).toBeLessThan(cheapMoney.housePriceIndex);
+  });
+
+  it('evicts a tenant whose rent arrears pass the threshold', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'eviction');
+    const listing = initial.market[0];
+    const purchased = step(step(initial, { type: 'open-finance', propertyId: listing.id }), {
+      type: 'confirm-cash-purchase'
+    });
+    const tenant = {
+      leaseMonthsRemaining: 24,
+      monthlyRent: 4,
+      name: 'Jordan Khan',
+      monthlyIncome: 10,
+      creditScore: 480,
+      reliability: 0.5,
+      deposit: 4,
+      arrears: 0,
+      latePayments: 0,
+      missedPayments: 0,
+      eviction: null,
+      renewal: null,
+      monthsSinceRentReview: 0
+    };
+    const tenanted = { ...purchased, portfolio: [{ ...purchased.portfolio[0], tenant }] };
+    const evicting = advanceDays(tenanted, 60, { random: () => 0.99 });
+    const evicted = advanceDays(evicting, 90, { random: () => 0.99 });
+    const { legalCosts, durationMonths } = TENANT_CONFIG.eviction;
+
+    expect(evicting.portfolio[0].tenant?.eviction).toEqual({
+      startedOnDay: 60,
+      monthsRemaining: durationMonths,
+      legalCosts
+    });
+    expect(evicting.ledger.filter((entry) => entry.category === 'eviction')).toEqual([
+      { day: 60, propertyId: listing.id, category: 'eviction', amount: -legalCosts }
+    ]);
+    expect(evicted.portfolio[0].tenant).toBeNull();
+    expect(evicted.ledger.filter((entry) => entry.category === 'rent')).toEqual([
+      { day: 150, propertyId: listing.id, category: 'rent', amount: 4 }
+    ]);
+    expect(evicted.history.some((entry) => entry.message.startsWith('Evicted Jordan Khan'))).toBe(true);
+  });
+
+  it('queues applicants for review when auto-accept is off', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'applicants');
+    const listing = initial.market[0];
+    const purchased = [
+      { type: 'open-finance', propertyId: listing.id },
+      { type: 'confirm-cash-purchase' },
+      { type: 'set-auto-accept-applicants', propertyId: listing.id, enabled: false }
+    ].reduce((state, action) => step(state, action as GameAction), initial);
+    const marketed = advanceDays(purchased, 30, { random: () => 0 });
+    const { applicants } = marketed.portfolio[0];
+
+    expect(marketed.portfolio[0].tenant).toBeNull();
+    expect(applicants).toHaveLength(TENANT_CONFIG.applicants.maxPoolSize);
+
+    const [first, second, third] = applicants;
+    const rejected = step(marketed, { type: 'reject-applicant', propertyId: listing.id, applicantId: first.id });
+    const overreached = step(rejected, {
+      type: 'counter-applicant',
+      propertyId: listing.id,
+      applicantId: second.id,
+      monthlyRent: second.tenant.monthlyRent * 2
+    });
+    expect(overreached.portfolio[0].applicants.map((entry) => entry.id)).not.toContain(second.id);
+    expect(overreached.portfolio[0].tenant).toBeNull();
+
+    const countered = step(overreached, {
+      type: 'counter-applicant',
+      propertyId: listing.id,
+      applicantId: third.id,
+      monthlyRent: third.tenant.monthlyRent
+    });
+    expect(countered.portfolio[0].tenant).toMatchObject({ name: third.tenant.name });
+    expect(countered.portfolio[0].applicants).toEqual([]);
+
+    const accepted = step(marketed, { type: 'accept-applicant', propertyId: listing.id, applicantId: first.id });
+    expect(accepted.portfolio[0].tenant).toEqual(first.tenant);
+    expect(accepted.history.at(-1)?.message).toContain(`Placed a tenant at ${listing.name}`);
+  });
+
+  it('withdraws unanswered applicants at the next month end', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'applicants');
+    const listing = initial.market[0];
+    const purchased = [
+      { type: 'open-finance', propertyId: listing.id },
+      { type: 'confirm-cash-purchase' },
+      { type: 'set-auto-accept-applicants', propertyId: listing.id, enabled: false }
+    ].reduce((state, action) => step(state, action as GameAction), initial);
+    const marketed = advanceDays(purchased, 30, { random: () => 0 });
+    const lapsed = advanceDays(marketed, 30, { random: () => 0.999 });
+
+    expect(lapsed.portfolio[0].applicants).toEqual([]);
+    expect(lapsed.history.some((entry) => entry.message.includes('withdrew after waiting a month'))).toBe(true);
+  });
+
+  it('negotiates a lease renewal when the tenant asks to stay', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'renewal');
+    const listing = initial.market[0];
+    const purchased = step(step(initial, { type: 'open-finance', propertyId: listing.id }), {
+      type: 'confirm-cash-purchase'
+    });
+    const tenant = {
+      leaseMonthsRemaining: TENANT_CONFIG.renewal.noticeMonths + 1,
+      monthlyRent: 4,
+      name: 'Amara Silva',
+      monthlyIncome: 14,
+      creditScore: 760,
+      reliability: 0.95,
+      deposit: 4,
+      arrears: 0,
+      latePayments: 0,
+      missedPayments: 0,
+      eviction: null,
+      renewal: null,
+      monthsSinceRentReview: 0
+    };
+    const tenanted = { ...purchased, portfolio: [{ ...purchased.portfolio[0], tenant }] };
+    const requested = repairOpenIncidents(advanceDays(tenanted, 30, { random: () => 0 }));
+    const renewal = requested.portfolio[0].tenant?.renewal;
+
+    expect(renewal).toMatchObject({ requestedOnDay: 30, offeredRent: 4, declined: false });
+
+    const offered = step(requested, { type: 'offer-renewal', propertyId: listing.id, monthlyRent: 10 });
+    const maximumRent = 4 * (1 + TENANT_CONFIG.renewal.maxIncrease);
+    expect(offered.portfolio[0].tenant?.renewal?.offeredRent).toBeCloseTo(maximumRent, 2);
+
+    const renewed = advanceDays(repairOpenIncidents(advanceDays(offered, 30, { random: () => 0 })), 30, {
+      random: () => 0
+    });
+    expect(renewed.portfolio[0].tenant).toMatchObject({
+      name: 'Amara Silva',
+      leaseMonthsRemaining: renewal?.leaseMonths,
+      renewal: null
+    });
+    expect(renewed.portfolio[0].tenant?.monthlyRent).toBeCloseTo(maximumRent, 2);
+
+    const declined = advanceDays(
+      step(requested, { type: 'decline-renewal', propertyId: listing.id }),
+      60,
+      { random: () => 0 }
+    );
+    expect(declined.portfolio[0].tenant).toBeNull();
+  });
+
+  it('raises the rent towards the market at each rent review', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'rent-review');
+    const listing = initial.market[0];
+    const purchased = [
+      { type: 'open-finance', propertyId: listing.id },
+      { type: 'confirm-cash-purchase' },
+      { type: 'set-rent-reviews', propertyId: listing.id, enabled: true }
+    ].reduce((state, action) => step(state, action as GameAction), initial);
+    const tenant = {
+      leaseMonthsRemaining: 36,
+      monthlyRent: 1,
+      name: 'Owen Hughes',
+      monthlyIncome: 14,
+      creditScore: 760,
+      reliability: 0.95,
+      deposit: 1,
+      arrears: 0,
+      latePayments: 0,
+      missedPayments: 0,
+      eviction: null,
+      renewal: null,
+      monthsSinceRentReview: TENANT_CONFIG.renewal.reviewIntervalMonths - 1
+    };
+    const tenanted = { ...purchased, portfolio: [{ ...purchased.portfolio[0], tenant }] };
+    const reviewed = advanceDays(tenanted, 30, { random: () => 0 });
+
+    expect(reviewed.portfolio[0].tenant).toMatchObject({
+      monthlyRent: 1 + TENANT_CONFIG.renewal.reviewCap,
+      monthsSinceRentReview: 0
+    });
+    expect(reviewed.history.some((entry) => entry.message.startsWith('Rent review at'))).toBe(true);
+  });
+
+  it('charges a full management fee on rent collected without repair charges when nothing breaks', () => {
+    const agent = LETTING_AGENTS.find((entry) => entry.service === 'full-management')!;
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'letting-agent');
+    const listing = initial.market[0];
+    const purchased = [
+      { type: 'open-finance', propertyId: listing.id },
+      { type: 'confirm-cash-purchase' },
+      { type: 'set-letting-agent', propertyId: listing.id, agentId: agent.id }
+    ].reduce((state, action) => step(state, action as GameAction), initial);
+    const tenant = {
+      leaseMonthsRemaining: 12,
+      monthlyRent: 4,
+      name: 'Chen Patel',
+      monthlyIncome: 14,
+      creditScore: 760,
+      reliability: 0.95,
+      deposit: 4,
+      arrears: 0,
+      latePayments: 0,
+      missedPayments: 0,
+      eviction: null,
+      renewal: null,
+      monthsSinceRentReview: 0
+    };
+    const tenanted = { ...purchased, portfolio: [{ ...purchased.portfolio[0], tenant, maintenancePercent: 100 }] };
+    const managed = advanceDays(tenanted, 30, { random: () => 0.5 });
+    const fee = Math.round(4 * agent.feeRate * 100) / 100;
+
+    expect(managed.ledger.filter((entry) => entry.category === 'letting-fees')).toEqual([
+      { day: 30, propertyId: listing.id, category: 'letting-fees', amount: -fee }
+    ]);
+    expect(managed.portfolio[0].incidents).toEqual([]);
+    expect(managed.ledger.some((entry) => entry.category === 'maintenance')).toBe(false);
+    expect(managed.portfolio[0].maintenancePercent).toBe(100);
+    expect(computeMonthlyCashFlow(managed)).toBeCloseTo(4 - fee, 2);
+  });
+
+  it('leaves major incidents for the player to repair under full management', () => {
+    const agent = LETTING_AGENTS.find((entry) => entry.service === 'full-management')!;
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'letting-agent');
+    const listing = initial.market[0];
+    const purchased = [
+      { type: 'open-finance', propertyId: listing.id },
+      { type: 'confirm-cash-purchase' },
+      { type: 'set-letting-agent', propertyId: listing.id, agentId: agent.id }
+    ].reduce((state, action) => step(state, action as GameAction), initial);
+    const managed = advanceDays(purchased, 30, { random: () => 0 });
+    const [incident] = managed.portfolio[0].incidents;
+
+    expect(incident.repairCost).toBeGreaterThan(listing.baseValue * agent.minorRepairCostRatio);
+    expect(incident.repairedOnDay).toBeNull();
+    expect(managed.ledger.some((entry) => entry.amount === -incident.repairCost)).toBe(false);
+    expect(managed.history.some((entry) => entry.message.includes('beyond their minor repair limit'))).toBe(true);
+  });
+
+  it('reports maintenance incidents that cut the rent until they are repaired', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'incidents');
+    const listing = initial.market[0];
+    const purchased = step(step(initial, { type: 'open-finance', propertyId: listing.id }), {
+      type: 'confirm-cash-purchase'
+    });
+    const tenant = {
+      leaseMonthsRemaining: 12,
+      monthlyRent: 4,
+      name: 'Priya Shah',
+      monthlyIncome: 14,
+      creditScore: 760,
+      reliability: 0.95,
+      deposit: 4,
+      arrears: 0,
+      latePayments: 0,
+      missedPayments: 0,
+      eviction: null,
+      renewal: null,
+      monthsSinceRentReview: 0
+    };
+    const tenanted = { ...purchased, portfolio: [{ ...purchased.portfolio[0], tenant }] };
+    const reported = advanceDays(tenanted, 30, { random: () => 0 });
+    const [incident] = reported.portfolio[0].incidents;
+    const boiler = MAINTENANCE_CONFIG.incidents.types[0];
+
+    expect(incident).toMatchObject({ kind: boiler.id, monthsUnrepaired: 0, repairedOnDay: null });
+    expect(reported.portfolio[0].maintenancePercent).toBeLessThan(tenanted.portfolio[0].maintenancePercent);
+
+    const repaired = step(reported, { type: 'repair-incident', propertyId: listing.id, incidentId: incident.id });
+    expect(repaired.balance).toBeCloseTo(reported.balance - incident.repairCost, 2);
+    expect(repaired.portfolio[0].incidents[0].repairedOnDay).toBe(reported.day);
+
+    const abated = advanceDays(reported, 30, { random: () => 0.5 });
+    expect(abated.ledger.filter((entry) => entry.category === 'rent').at(-1)?.amount).toBeCloseTo(
+      4 * (1 - boiler.rentAbatement),
+      2
+    );
+    expect(abated.history.map((entry) => entry.message)).toContain(
+      `Received ${formatCurrency(4 * (1 - boiler.rentAbatement))} rent from ${listing.name}.`
+    );
+    expect(abated.portfolio[0].tenant?.name).toBe('Priya Shah');
+
+    const emergency = advanceDays(abated, 60, { random: () => 0.5 });
+    expect(emergency.portfolio[0].incidents[0].repairedOnDay).toBe(120);
+    expect(emergency.ledger.find((entry) => entry.category === 'maintenance')?.amount).toBeCloseTo(
+      -incident.repairCost * (1 + MAINTENANCE_CONFIG.incidents.emergencySurcharge),
+      2
+    );
+
+    const departed = advanceDays(reported, 30, { random: () => 0 });
+    expect(departed.history.map((entry) => entry.message)).toContainEqual(
+      expect.stringContaining('moved out of')
+    );
+  });
+
+  it('lets an agent relist a vacant property even with auto-relisting off', () => {
+    const agent = LETTING_AGENTS.find((entry) => entry.service === 'tenant-find')!;
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'letting-agent');
+    const listing = initial.market[0];
+    const purchased = [
+      { type: 'open-finance', propertyId: listing.id },
+      { type: 'confirm-cash-purchase' },
+      { type: 'set-auto-relist', propertyId: listing.id, enabled: false },
+      { type: 'set-letting-agent', propertyId: listing.id, agentId: agent.id }
+    ].reduce((state, action) => step(state, action as GameAction), initial);
+    const relisted = advanceDays(purchased, 30, { random: () => 0.999 });
+
+    expect(relisted.portfolio[0].rentalMarketingActive).toBe(true);
+    expect(relisted.history.some((entry) => entry.message === `${agent.name} resumed marketing at ${listing.name}.`)).toBe(
+      true
+    );
+  });
+
+  it('settles the tax year and records capital gains on sales', () => {
+    const initial = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'tax');
+    const listing = initial.market[0];
+    const purchased = step(step(initial, { type: 'open-finance', propertyId: listing.id }), {
+      type: 'confirm-cash-purchase'
+    });
+    const yearEnd = advanceDays(purchased, 359);
+
+    expect(purchased.portfolio[0].purchasePrice).toBe(listing.cost);
+    expect(yearEnd.tax.yearStartDay).toBe(361);
+    expect(yearEnd.tax.bills).toHaveLength(1);
+    const [bill] = yearEnd.tax.bills;
+    const rent = yearEnd.ledger
+      .filter((entry) => entry.category === 'rent')
+      .reduce((total, entry) => total + entry.amount, 0);
+    expect(bill.yearEndDay).toBe(360);
+    expect(bill.rentalIncome).toBeCloseTo(rent, 2);
+    expect(yearEnd.history.some((entry) => entry.message.startsWith('Tax year 1 closed'))).toBe(true);
+
+    const sold = step(yearEnd, { type: 'sell-property', propertyId: listing.id });
+    expect(sold.tax.capitalGains).toHaveLength(1);
+    expect(sold.tax.capitalGains[0]).toMatchObject({ propertyId: listing.id, purchasePrice: listing.cost });
+  });
+});
+
+describe('amortization schedule', () => {
+  function mortgaged(interestOnly: boolean): GameState {
+    let state = createGame({ ...GAME_CONFIG, startingBalance: 100_000 }, 'amortization');
+    state = step(state, { type: 'open-finance', propertyId: state.market[0].id });
+    state = step(state, { type: 'select-term', years: 10 });
+    state = step(state, { type: 'select-fixed-period', years: 2 });
+    state = step(state, { type: 'set-interest-only', interestOnly });
+    return step(state, { type: 'confirm-finance' });
+  }
+
+  it('projects a repayment mortgage down to zero across the fixed and variable phases', () => {
+    const state = mortgaged(false);
+    const mortgage = state.portfolio[0].mortgage!;
+    const schedule = createAmortizationSchedule(mortgage, { centralBankRate: state.centralBankRate });
+
+    expect(schedule.rows).toHaveLength(120);
+    expect(schedule.fixedMonthsRemaining).toBe(24);
+    expect(schedule.rows[0].payment).toBeCloseTo(mortgage.monthlyPayment, 2);
+    expect(schedule.rows[23].annualRate).toBe(mortgage.annualInterestRate);
+    expect(schedule.rows[24].variable).toBe(true);
+    expect(schedule.rows.at(-1)?.balance).toBe(0);
+    expect(schedule.balloonPayment).toBe(0);
+    const principal = schedule.rows.reduce((total, row) => total + row.principal, 0);
+    expect(principal).toBeCloseTo(mortgage.remainingBalance, 1);
+  });
+
+  it('ends an interest-only mortgage with a balloon payment', () => {
+    const state = mortgaged(true);
+    const mortgage = state.portfolio[0].mortgage!;
+    const schedule = createAmortizationSchedule(mortgage, { centralBankRate: state.centralBankRate });
+
+    expect(schedule.rows.slice(0, -1).every((row) => row.principal === 0)).toBe(true);
+    expect(schedule.balloonPayment).toBe(mortgage.remainingBalance);
+    expect(schedule.rows.at(-1)?.balance).toBe(0);
+  });
+
+  it('costs more interest when the base rate rises after the fix ends', () => {
+    const state = mortgaged(false);
+    const mortgage = state.portfolio[0].mortgage!;
+    const project = (annualBaseRateChange: number) =>
+      createAmortizationSchedule(mortgage, { centralBankRate: state.centralBankRate, annualBaseRateChange });
+
+    const steady = project(0);
+    const rising = project(0.005);
+    const falling = project(-0.005);
+
+    expect(rising.rows.slice(0, 24)).toEqual(steady.rows.slice(0, 24));
+    expect(rising.totalInterest).toBeGreaterThan(steady.totalInterest);
+    expect(falling.totalInterest).toBeLessThan(steady.totalInterest);
+  });
+});
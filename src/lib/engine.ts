@@ -0,0 +1,3972 @@
+import {
+  FINANCE_CONFIG,
+  GAME_CONFIG,
+  HOUSE_PRICE_CONFIG,
+  LETTING_AGENTS,
+  MAINTENANCE_CONFIG,
+  MARKET_CONFIG,
+  TENANT_CONFIG,
+  defaultProperties,
+  featureAddOns as FEATURE_ADD_ONS,
+  proceduralPropertyArchetypes,
+  propertyTypeMultipliers,
+  TAX_CONFIG,
+  TRANSACTION_COSTS,
+  type GameConfig,
+  type LenderConfig,
+  type LettingAgentConfig,
+  type PropertyDefinition,
+  type RateModelConfig
+} from '$lib/config';
+import {
+  calculateEmergencyRepairCost,
+  calculateRentAbatement,
+  describeIncident,
+  findIncidentType,
+  isMinorIncident,
+  rollIncident,
+  rollTenantDeparture,
+  trimIncidentHistory
+} from '$lib/incidents';
+import { createSeededRandom, generateSeed, hashSeed, type RandomSource } from '$lib/random';
+import { assessTaxYear, calculateBandedTax } from '$lib/tax';
+import {
+  calculateMaximumRenewalRent,
+  calculateRenewalAcceptance,
+  collectRent,
+  findBestApplicant,
+  generateApplicants,
+  generateTenant,
+  respondToCounterOffer,
+  reviewRent,
+  settleDeposit,
+  shouldStartEviction
+} from '$lib/tenants';
+import { assessMortgageApplication, type UnderwritingResult } from '$lib/underwriting';
+import {
+  escapeHtml,
+  formatCurrency,
+  formatInterestRate,
+  formatLeaseCountdown,
+  formatPercentage,
+  getRandomInt,
+  getRandomNumber,
+  pickRandom,
+  roundCurrency,
+  selectFeatureSubset
+} from '$lib/utils';
+
+export interface RentPlan {
+  id: string;
+  label: string;
+  leaseMonths: number;
+  rateOffset: number;
+  monthlyRent: number;
+  probability: number;
+}
+
+export interface TenantEviction {
+  startedOnDay: number;
+  monthsRemaining: number;
+  legalCosts: number;
+}
+
+export interface TenantRenewal {
+  requestedOnDay: number;
+  leaseMonths: number;
+  offeredRent: number;
+  declined: boolean;
+}
+
+export interface Tenant {
+  leaseMonthsRemaining: number;
+  monthlyRent: number;
+  name: string;
+  monthlyIncome: number;
+  creditScore: number;
+  reliability: number;
+  deposit: number;
+  arrears: number;
+  latePayments: number;
+  missedPayments: number;
+  eviction: TenantEviction | null;
+  renewal: TenantRenewal | null;
+  monthsSinceRentReview: number;
+}
+
+export interface TenantApplicant {
+  id: string;
+  receivedOnDay: number;
+  tenant: Tenant;
+}
+
+export interface Mortgage {
+  depositRatio: number;
+  deposit: number;
+  principal: number;
+  fixedPeriodYears: number;
+  fixedPeriodMonths: number;
+  interestOnly: boolean;
+  annualInterestRate: number;
+  reversionRate: number;
+  baseRate: number;
+  variableRateMargin: number;
+  variableRateActive: boolean;
+  monthlyPayment: number;
+  monthlyInterestRate: number;
+  remainingTermMonths: number;
+  termMonths: number;
+  remainingBalance: number;
+  arrears?: number;
+  missedPayments?: number;
+  lenderId?: string;
+  recurringOverpayment?: number;
+  overpaymentStrategy?: MortgageOverpaymentStrategy;
+  overpaymentAllowanceYear?: number;
+  overpaymentAllowanceUsed?: number;
+  financedFee?: number;
+}
+
+export type MortgageOverpaymentStrategy = 'reduce-term' | 'reduce-payment';
+
+interface MortgageVariableTransition {
+  propertyId: string;
+  propertyName: string;
+  baseRate: number;
+  margin: number;
+  reversionRate: number;
+}
+
+interface ForcedSaleResult {
+  propertyId: string;
+  propertyName: string;
+  salePrice: number;
+  outstanding: number;
+  netProceeds: number;
+}
+
+export interface MaintenanceWorkOrder {
+  monthsRemaining: number;
+  cost: number;
+  scheduledOnDay: number;
+  startDelayMonths: number;
+}
+
+export interface MaintenanceIncident {
+  id: string;
+  kind: string;
+  reportedOnDay: number;
+  repairCost: number;
+  monthsUnrepaired: number;
+  repairedOnDay: number | null;
+}
+
+export type GameProperty = PropertyDefinition & {
+  baseValue: number;
+  cost: number;
+  maintenancePercent: number;
+  monthlyRentEstimate: number;
+  rentPlanId: string;
+  tenant: Tenant | null;
+  mortgage: Mortgage | null;
+  autoRelist: boolean;
+  lettingAgentId: string | null;
+  rentalMarketingActive: boolean;
+  rentalMarketingPausedForMaintenance: boolean;
+  applicants: TenantApplicant[];
+  autoAcceptApplicants: boolean;
+  rentReviewsEnabled: boolean;
+  maintenanceWork: MaintenanceWorkOrder | null;
+  incidents: MaintenanceIncident[];
+  marketAge: number;
+  introducedOnDay: number;
+  vacancyMonths: number;
+  purchasePrice?: number;
+};
+
+export interface HistoryEvent {
+  id: string;
+  day: number;
+  message: string;
+}
+
+export type LedgerCategory =
+  | 'purchase'
+  | 'deposit'
+  | 'arrangement-fee'
+  | 'purchase-costs'
+  | 'rent'
+  | 'interest'
+  | 'principal'
+  | 'overpayment'
+  | 'arrears'
+  | 'repayment-charge'
+  | 'maintenance'
+  | 'eviction'
+  | 'letting-fees'
+  | 'equity-release'
+  | 'sale'
+  | 'selling-costs'
+  | 'redemption';
+
+export interface LedgerEntry {
+  day: number;
+  propertyId: string;
+  category: LedgerCategory;
+  amount: number;
+}
+
+type LedgerPosting = Omit<LedgerEntry, 'day'>;
+
+export interface CapitalGain {
+  day: number;
+  propertyId: string;
+  propertyName: string;
+  purchasePrice: number;
+  salePrice: number;
+  gain: number;
+}
+
+export interface TaxBill {
+  yearStartDay: number;
+  yearEndDay: number;
+  rentalIncome: number;
+  mortgageInterest: number;
+  maintenance: number;
+  lettingFees: number;
+  evictionCosts: number;
+  lossesUsed: number;
+  taxableProfit: number;
+  incomeTax: number;
+  interestCredit: number;
+  capitalGains: number;
+  capitalGainsTax: number;
+  total: number;
+  lossesCarriedForward: number;
+}
+
+export interface TaxState {
+  yearStartDay: number;
+  capitalGains: CapitalGain[];
+  lossesCarriedForward: number;
+  bills: TaxBill[];
+}
+
+export interface MonthlySnapshot {
+  day: number;
+  cash: number;
+  propertyValue: number;
+  mortgageDebt: number;
+  equity: number;
+  netWorth: number;
+  rentIncome: number;
+  mortgageCosts: number;
+  baseRate: number;
+  housePriceIndex: number;
+}
+
+export interface FinanceState {
+  open: boolean;
+  propertyId: string | null;
+  depositRatio: number;
+  termYears: number;
+  fixedPeriodYears: number;
+  interestOnly: boolean;
+  lenderId: string;
+  addFeeToLoan: boolean;
+  validationError: string | null;
+}
+
+export interface ManagementState {
+  open: boolean;
+  propertyId: string | null;
+  activeSection: 'overview' | 'leasing' | 'financing' | 'transactions' | 'maintenance';
+  refinance: ManagementRefinanceState;
+}
+
+export interface ManagementRefinanceState {
+  fixedPeriodYears: number;
+  cashOutAmount?: number;
+}
+
+export interface GameState {
+  balance: number;
+  day: number;
+  centralBankRate: number;
+  housePriceIndex: number;
+  speed: number;
+  isPaused: boolean;
+  market: GameProperty[];
+  portfolio: GameProperty[];
+  history: HistoryEvent[];
+  lastCentralBankAdjustmentDay: number;
+  lastHousePriceUpdateDay: number;
+  lastMarketGenerationDay: number;
+  lastRentCollectionDay: number;
+  seed: string;
+  rngState: number;
+  creditScore: number;
+  overdrawnMonths: number;
+  bankruptOnDay: number | null;
+  monthlySnapshots: MonthlySnapshot[];
+  ledger: LedgerEntry[];
+  tax: TaxState;
+  finance: FinanceState;
+  management: ManagementState;
+}
+
+export const MINIMUM_DEPOSIT_RATIO = Math.min(...FINANCE_CONFIG.depositOptions);
+
+export const RENT_RATE_OFFSETS = [0.01, 0.02, 0.03, 0.04, 0.05, 0.06, 0.07, 0.08, 0.09, 0.1];
+export const LEASE_LENGTH_CHOICES = [6, 12, 18, 24, 36];
+
+const MAX_MONTHLY_SNAPSHOTS = 600;
+const MAX_TAX_BILLS = 50;
+
+export function formatPercent(value: number): string {
+  return formatPercentage(value / 100);
+}
+
+function clampMaintenancePercent(value?: number): number {
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  const clamped = Math.min(Math.max(value ?? 0, 0), 100);
+  return Math.round(clamped * 10) / 10;
+}
+
+function calculatePropertyValue(property: PropertyDefinition): number {
+  const weights = {
+    base: 220,
+    bedrooms: 95,
+    bathrooms: 80,
+    proximity: 160,
+    schoolRating: 22,
+    safety: 18
+  } as const;
+
+  const location = property.location ?? {};
+
+  const proximityScore = (location.proximity ?? 0) * weights.proximity;
+  const schoolScore = (location.schoolRating ?? 0) * weights.schoolRating;
+  const safetyScore = (10 - (location.crimeScore ?? 5)) * weights.safety;
+
+  const featureScore = property.features.reduce(
+    (total, feature) => total + (FEATURE_ADD_ONS[feature] ?? 35),
+    0
+  );
+
+  const baseValue =
+    weights.base +
+    property.bedrooms * weights.bedrooms +
+    property.bathrooms * weights.bathrooms +
+    proximityScore +
+    schoolScore +
+    safetyScore +
+    featureScore;
+
+  const typeMultiplier = propertyTypeMultipliers[property.propertyType] ?? 1;
+
+  return Math.round(baseValue * typeMultiplier);
+}
+
+function calculateMaintenanceAdjustedValue(baseValue: number, maintenancePercent: number): number {
+  const percent = clampMaintenancePercent(maintenancePercent);
+  return Math.max(Math.round((baseValue * percent) / 100), 0);
+}
+
+function calculateMonthlyRentEstimate(cost: number, demandScore: number): number {
+  const baseRent = cost * 0.0065;
+  const demandPremium = (demandScore - 5) * 45;
+  return Math.max(Math.round(baseRent + demandPremium), 0);
+}
+
+function getMaintenanceThreshold(): number {
+  const threshold = MAINTENANCE_CONFIG.criticalThreshold;
+  if (!Number.isFinite(threshold)) {
+    return 25;
+  }
+  return threshold ?? 25;
+}
+
+function hasActiveMaintenanceWork(property: GameProperty): boolean {
+  const work = property.maintenanceWork;
+  if (!work) {
+    return false;
+  }
+  const delay = Number.isFinite(work.startDelayMonths) ? Math.max(work.startDelayMonths ?? 0, 0) : 0;
+  if (delay > 0) {
+    return false;
+  }
+  const remaining = Number.isFinite(work.monthsRemaining) ? Math.max(work.monthsRemaining ?? 0, 0) : 0;
+  return remaining > 0;
+}
+
+export interface PurchaseCosts {
+  purchaseTax: number;
+  surcharge: number;
+  legalFee: number;
+  surveyFee: number;
+  total: number;
+}
+
+export interface PurchaseQuote {
+  price: number;
+  deposit: number;
+  arrangementFee: number;
+  feeAddedToLoan: boolean;
+  costs: PurchaseCosts;
+  cashRequired: number;
+}
+
+export function calculatePurchaseCosts(price: number, propertiesOwned: number): PurchaseCosts {
+  const purchaseTax = calculateBandedTax(price, TRANSACTION_COSTS.purchaseTaxBands);
+  const surcharge = propertiesOwned > 0 ? roundCurrency(price * TRANSACTION_COSTS.additionalPropertySurcharge) : 0;
+  const { legalFee, surveyFee } = TRANSACTION_COSTS;
+  return {
+    purchaseTax,
+    surcharge,
+    legalFee,
+    surveyFee,
+    total: roundCurrency(purchaseTax + surcharge + legalFee + surveyFee)
+  };
+}
+
+export function calculateSellingCosts(salePrice: number): number {
+  return roundCurrency(salePrice * TRANSACTION_COSTS.sellingAgentFeeRate);
+}
+
+interface SaleContext {
+  salePrice: number;
+  sellingCosts: number;
+  outstandingBalance: number;
+  netProceeds: number;
+  maintenancePercent: number;
+  maintenanceThreshold: number;
+  canSell: boolean;
+  restrictions: string[];
+}
+
+export function createSaleContext(property: GameProperty, availableBalance = Infinity): SaleContext {
+  const salePrice = roundCurrency(calculateSalePrice(property));
+  const outstandingBalance = roundCurrency(
+    (property.mortgage?.remainingBalance ?? 0) + getMortgageArrears(property.mortgage)
+  );
+  const maintenancePercent = clampMaintenancePercent(property.maintenancePercent ?? 0);
+  const maintenanceThreshold = getMaintenanceThreshold();
+  const restrictions: string[] = [];
+  if (maintenancePercent < maintenanceThreshold) {
+    restrictions.push(`Maintenance must be at least ${maintenanceThreshold}%.`);
+  }
+  if (hasActiveMaintenanceWork(property)) {
+    restrictions.push('Maintenance work must be complete before selling.');
+  }
+  const sellingCosts = calculateSellingCosts(salePrice);
+  const netProceeds = roundCurrency(salePrice - sellingCosts - outstandingBalance);
+  if (netProceeds < 0 && availableBalance + netProceeds < 0) {
+    restrictions.push(
+      `Sale would leave a shortfall of ${formatCurrency(Math.abs(netProceeds))}, more than the available balance.`
+    );
+  }
+  return {
+    salePrice,
+    sellingCosts,
+    outstandingBalance,
+    netProceeds,
+    maintenancePercent,
+    maintenanceThreshold,
+    canSell: restrictions.length === 0,
+    restrictions
+  };
+}
+
+function clampDemandScore(score: number): number {
+  if (!Number.isFinite(score)) {
+    return 5;
+  }
+  return Math.min(Math.max(score, 1), 10);
+}
+
+function mapDemandToAnnualYield(demandScore: number): number {
+  const minYield = 0.03;
+  const maxYield = 0.08;
+  const clamped = clampDemandScore(demandScore);
+  const progression = (clamped - 1) / 9;
+  return minYield + progression * (maxYield - minYield);
+}
+
+export function getTenantMonthsRemaining(property: GameProperty): number {
+  const remaining = property.tenant?.leaseMonthsRemaining ?? 0;
+  if (!Number.isFinite(remaining)) {
+    return 0;
+  }
+  return Math.max(Math.round(remaining), 0);
+}
+
+function forecastMaintenancePercent(
+  property: GameProperty,
+  options: { maintenancePercent?: number; delayMonths?: number } = {}
+): number {
+  const { maintenancePercent, delayMonths } = options;
+  let baseCandidate: number;
+  if (Number.isFinite(maintenancePercent)) {
+    baseCandidate = maintenancePercent ?? 0;
+  } else if (Number.isFinite(property.maintenancePercent)) {
+    baseCandidate = property.maintenancePercent;
+  } else {
+    const [minPercent, maxPercent] = MAINTENANCE_CONFIG.initialPercentRange;
+    baseCandidate = Number.isFinite(maxPercent)
+      ? maxPercent
+      : Number.isFinite(minPercent)
+        ? minPercent
+        : 100;
+  }
+  const currentPercent = clampMaintenancePercent(baseCandidate);
+  const delay = Number.isFinite(delayMonths) ? Math.max(delayMonths ?? 0, 0) : getTenantMonthsRemaining(property);
+  if (delay <= 0) {
+    return currentPercent;
+  }
+  const occupiedDecay = MAINTENANCE_CONFIG.occupiedDecayPerMonth ?? 0;
+  const projected = currentPercent - occupiedDecay * delay;
+  return clampMaintenancePercent(projected);
+}
+
+export function estimateMaintenanceCost(
+  property: GameProperty,
+  options: { delayMonths?: number } = {}
+): { baseValue: number; projectedCost: number; projectedPercent: number; deficiencyRatio: number } {
+  if (!property) {
+    return { baseValue: 0, projectedCost: 0, projectedPercent: 0, deficiencyRatio: 0 };
+  }
+  const baseValue = Number.isFinite(property.baseValue) ? property.baseValue : calculatePropertyValue(property);
+  const projectedPercent = forecastMaintenancePercent(property, { delayMonths: options.delayMonths });
+  const deficiencyRatio = Math.max(0, 100 - projectedPercent) / 100;
+  const costRatio = MAINTENANCE_CONFIG.refurbishmentCostRatio ?? 0.25;
+  const projectedCost = Math.round(baseValue * costRatio * deficiencyRatio);
+  return { baseValue, projectedCost, projectedPercent, deficiencyRatio };
+}
+
+function getInitialMaintenancePercent(preferred?: number): number {
+  if (Number.isFinite(preferred)) {
+    return clampMaintenancePercent(preferred);
+  }
+  const [minPercent, maxPercent] = MAINTENANCE_CONFIG.initialPercentRange;
+  return clampMaintenancePercent((minPercent + maxPercent) / 2);
+}
+
+function deriveMaintenancePercent(
+  range: readonly [number, number] | undefined,
+  fallback: number,
+  random: RandomSource
+): number {
+  if (Array.isArray(range) && range.length === 2) {
+    const [min, max] = range;
+    const lower = Number.isFinite(min) ? min : fallback;
+    const upper = Number.isFinite(max) ? max : fallback;
+    if (Number.isFinite(lower) && Number.isFinite(upper) && lower < upper) {
+      return clampMaintenancePercent(getRandomInt(lower, upper, random));
+    }
+  }
+  return getInitialMaintenancePercent(fallback);
+}
+
+function createInitialProperty(definition: PropertyDefinition, day = 1): GameProperty {
+  const baseValue = calculatePropertyValue(definition);
+  const maintenancePercent = getInitialMaintenancePercent(definition.maintenancePercent);
+  const cost = calculateMaintenanceAdjustedValue(baseValue, maintenancePercent);
+  const monthlyRentEstimate = calculateMonthlyRentEstimate(cost, definition.demandScore);
+  const placeholder: GameProperty = {
+    ...definition,
+    baseValue,
+    cost,
+    maintenancePercent,
+    monthlyRentEstimate,
+    rentPlanId: '',
+    tenant: null,
+    mortgage: null,
+    autoRelist: true,
+    lettingAgentId: null,
+    rentalMarketingActive: false,
+    rentalMarketingPausedForMaintenance: false,
+    applicants: [],
+    autoAcceptApplicants: true,
+    rentReviewsEnabled: false,
+    maintenanceWork: null,
+    incidents: [],
+    marketAge: 0,
+    introducedOnDay: day,
+    vacancyMonths: 0
+  };
+
+  const plans = getRentStrategies(placeholder, FINANCE_CONFIG.centralBank.initialRate);
+  const preferredPlan =
+    plans.find(
+      (plan) =>
+        plan.leaseMonths === LEASE_LENGTH_CHOICES[1] &&
+        Math.abs(plan.rateOffset - RENT_RATE_OFFSETS[1]) < 1e-6
+    ) ?? plans[0];
+  const rentPlanId = preferredPlan?.id ?? buildRentPlanId(LEASE_LENGTH_CHOICES[1], RENT_RATE_OFFSETS[1]);
+
+  return { ...placeholder, rentPlanId };
+}
+
+function generateProceduralPropertyId(state: GameState, random: RandomSource): string {
+  const suffix = Math.floor(random() * 36 ** 6)
+    .toString(36)
+    .padStart(6, '0');
+  return `proc-${state.day}-${suffix}`;
+}
+
+function createProceduralProperty(state: GameState, random: RandomSource): GameProperty {
+  const archetype = pickRandom(proceduralPropertyArchetypes, random);
+  const bedrooms = getRandomInt(archetype.bedroomsRange[0], archetype.bedroomsRange[1], random);
+  const bathrooms = getRandomInt(archetype.bathroomsRange[0], archetype.bathroomsRange[1], random);
+  const demandScore = getRandomInt(archetype.demandRange[0], archetype.demandRange[1], random);
+  const location = {
+    proximity: getRandomNumber(archetype.proximityRange[0], archetype.proximityRange[1], 2, random),
+    schoolRating: getRandomInt(archetype.schoolRange[0], archetype.schoolRange[1], random),
+    crimeScore: getRandomInt(archetype.crimeRange[0], archetype.crimeRange[1], random)
+  };
+
+  const baseDefinition: PropertyDefinition = {
+    id: generateProceduralPropertyId(state, random),
+    name: pickRandom(archetype.names, random),
+    description: pickRandom(archetype.descriptions, random),
+    propertyType: archetype.propertyType,
+    bedrooms,
+    bathrooms,
+    features: selectFeatureSubset(archetype.featuresPool, random),
+    locationDescriptor: pickRandom(archetype.locationDescriptors, random),
+    demandScore,
+    location
+  };
+
+  const baseValue = roundCurrency(
+    (calculatePropertyValue(baseDefinition) * state.housePriceIndex) / HOUSE_PRICE_CONFIG.initialIndex
+  );
+  const maintenanceBaseline = getInitialMaintenancePercent();
+  const maintenancePercent = deriveMaintenancePercent(
+    archetype.maintenancePercentRange,
+    maintenanceBaseline,
+    random
+  );
+  const cost = calculateMaintenanceAdjustedValue(baseValue, maintenancePercent);
+  const monthlyRentEstimate = calculateMonthlyRentEstimate(cost, demandScore);
+
+  const provisional: GameProperty = {
+    ...baseDefinition,
+    baseValue,
+    cost,
+    maintenancePercent,
+    monthlyRentEstimate,
+    rentPlanId: '',
+    tenant: null,
+    mortgage: null,
+    autoRelist: true,
+    lettingAgentId: null,
+    rentalMarketingActive: false,
+    rentalMarketingPausedForMaintenance: false,
+    applicants: [],
+    autoAcceptApplicants: true,
+    rentReviewsEnabled: false,
+    maintenanceWork: null,
+    incidents: [],
+    marketAge: 0,
+    introducedOnDay: state.day,
+    vacancyMonths: 0
+  };
+
+  const plans = getRentStrategies(provisional, state.centralBankRate);
+  const targetPlan =
+    plans.find(
+      (plan) =>
+        plan.leaseMonths === LEASE_LENGTH_CHOICES[1] &&
+        Math.abs(plan.rateOffset - RENT_RATE_OFFSETS[1]) < 1e-6
+    ) ?? plans[0];
+  const rentPlanId = targetPlan?.id ?? buildRentPlanId(LEASE_LENGTH_CHOICES[1], RENT_RATE_OFFSETS[1]);
+
+  const inheritedChance = 0.25 + (clampDemandScore(demandScore) / 10) * 0.35;
+  const hasInheritedTenant = random() < Math.min(Math.max(inheritedChance, 0), 0.75);
+
+  let tenant: Tenant | null = null;
+  let vacancyMonths = 0;
+  if (hasInheritedTenant) {
+    const planForTenant = targetPlan ?? plans[0] ?? null;
+    const tenantRent = planForTenant
+      ? planForTenant.monthlyRent
+      : Math.round((cost * mapDemandToAnnualYield(demandScore)) / 12);
+    const baseLease = planForTenant?.leaseMonths ?? 12;
+    const minLease = Math.max(baseLease - 3, 6);
+    const maxLease = baseLease + 6;
+    const leaseMonths = getRandomInt(minLease, maxLease, random);
+    tenant = generateTenant({ monthlyRent: tenantRent, leaseMonths }, random);
+    vacancyMonths = 0;
+  } else {
+    vacancyMonths = getRandomInt(0, 2, random);
+  }
+
+  return {
+    ...provisional,
+    rentPlanId,
+    tenant,
+    vacancyMonths
+  };
+}
+
+function generateMarketListings(
+  state: GameState,
+  random: RandomSource,
+  count = 1
+): { state: GameState; newListings: GameProperty[] } {
+  if (state.market.length >= MARKET_CONFIG.maxSize) {
+    return { state, newListings: [] };
+  }
+
+  const slotsAvailable = Math.max(MARKET_CONFIG.maxSize - state.market.length, 0);
+  const listingsToGenerate = Math.min(count, slotsAvailable);
+  if (listingsToGenerate <= 0) {
+    return { state, newListings: [] };
+  }
+
+  const newListings: GameProperty[] = [];
+  const market = [...state.market];
+  for (let index = 0; index < listingsToGenerate; index += 1) {
+    const property = createProceduralProperty(state, random);
+    newListings.push(property);
+    market.push(property);
+  }
+
+  return { state: { ...state, market }, newListings };
+}
+
+function progressMarketListings(state: GameState, random: RandomSource): GameState {
+  const retained: GameProperty[] = [];
+  const expired: GameProperty[] = [];
+
+  state.market.forEach((property) => {
+    const currentAge = (property.marketAge ?? 0) + 1;
+    if (currentAge > MARKET_CONFIG.maxAge) {
+      expired.push(property);
+      return;
+    }
+    retained.push({ ...property, marketAge: currentAge });
+  });
+
+  let nextState: GameState = { ...state, market: retained };
+
+  if (expired.length > 0) {
+    const removedNames = expired.map((property) => property.name).join(', ');
+    const message =
+      expired.length > 1
+        ? `Listings expired and left the market: ${removedNames}.`
+        : `Listing expired and left the market: ${removedNames}.`;
+    nextState = addHistory(nextState, message);
+  }
+
+  const daysSinceGeneration = nextState.day - nextState.lastMarketGenerationDay;
+  const spaceAvailable = Math.max(MARKET_CONFIG.maxSize - nextState.market.length, 0);
+  const readyForNewListings = daysSinceGeneration >= MARKET_CONFIG.generationInterval;
+
+  let requiredListings = 0;
+  if (readyForNewListings && spaceAvailable > 0) {
+    const minimumShortfall = Math.max(MARKET_CONFIG.minSize - nextState.market.length, 0);
+    if (minimumShortfall > 0) {
+      requiredListings = minimumShortfall;
+    } else {
+      const batchSize = Math.max(MARKET_CONFIG.batchSize, 1);
+      requiredListings = getRandomInt(1, batchSize, random);
+    }
+  }
+
+  const listingsNeeded = Math.min(requiredListings, spaceAvailable);
+  if (listingsNeeded > 0) {
+    const result = generateMarketListings(nextState, random, listingsNeeded);
+    nextState = result.state;
+    if (result.newListings.length > 0) {
+      const newNames = result.newListings.map((property) => property.name).join(', ');
+      const message =
+        result.newListings.length > 1
+          ? `New listings have entered the market: ${newNames}.`
+          : `New listing has entered the market: ${newNames}.`;
+      nextState = addHistory(nextState, message);
+      nextState = { ...nextState, lastMarketGenerationDay: nextState.day };
+    }
+  }
+
+  return nextState;
+}
+
+function buildRentPlanId(leaseMonths: number, rateOffset: number): string {
+  const rateKey = Math.round(rateOffset * 1000);
+  return `lease-${leaseMonths}-rate-${rateKey}`;
+}
+
+function findRentPlan(
+  property: GameProperty,
+  rentPlanId: string,
+  baseRate?: number
+): RentPlan | undefined {
+  const plans = getRentStrategies(property, baseRate);
+  return plans.find((plan) => plan.id === rentPlanId);
+}
+
+export function formatRentPremiumLabel(rateOffset: number): string {
+  return `${(rateOffset * 100).toFixed(1)}%`;
+}
+
+function calculateTenantProbability(
+  property: GameProperty,
+  leaseMonths: number,
+  rateOffset: number
+): number {
+  const demandScore = clampDemandScore(property?.demandScore ?? 5);
+  const baseProbability = Math.min(0.2 + (demandScore / 10) * 0.6, 0.95);
+
+  const rentIndex = Math.max(RENT_RATE_OFFSETS.indexOf(rateOffset), 0);
+  const rentRatio = RENT_RATE_OFFSETS.length > 1 ? rentIndex / (RENT_RATE_OFFSETS.length - 1) : 0;
+  const rentFactor = Math.max(1 - rentRatio * 0.5, 0.35);
+
+  const leaseIndex = Math.max(LEASE_LENGTH_CHOICES.indexOf(leaseMonths), 0);
+  const leaseRatio = LEASE_LENGTH_CHOICES.length > 1 ? leaseIndex / (LEASE_LENGTH_CHOICES.length - 1) : 0;
+
+  let leaseFactor = 1;
+  if (rateOffset < 0.05) {
+    leaseFactor += (leaseRatio - 0.5) * 0.4;
+  } else if (rateOffset > 0.06) {
+    leaseFactor += (0.5 - leaseRatio) * 0.4;
+  }
+
+  const probability = Math.min(
+    Math.max(baseProbability * rentFactor * Math.max(leaseFactor, 0.6), 0.05),
+    0.95
+  );
+
+  return Math.round(probability * 1000) / 1000;
+}
+
+export function getRentStrategies(property: GameProperty, baseRate?: number): RentPlan[] {
+  const defaultBaseRate = FINANCE_CONFIG?.centralBank?.initialRate ?? 0;
+  const baseRateCandidate = Number.isFinite(baseRate) ? baseRate : defaultBaseRate;
+  const effectiveBaseRate = Math.max(baseRateCandidate ?? 0, 0);
+
+  return LEASE_LENGTH_CHOICES.flatMap((leaseMonths) =>
+    RENT_RATE_OFFSETS.map((rateOffset) => {
+      const annualRate = Math.max(effectiveBaseRate + rateOffset, 0.001);
+      const monthlyRent = roundCurrency((property.cost * annualRate) / 12);
+      const probability = calculateTenantProbability(property, leaseMonths, rateOffset);
+
+      return {
+        id: buildRentPlanId(leaseMonths, rateOffset),
+        label: `${leaseMonths}-month · ${(rateOffset * 100).toFixed(1)}% premium`,
+        leaseMonths,
+        rateOffset,
+        monthlyRent,
+        probability
+      };
+    })
+  );
+}
+
+export function resolveLender(lenderId?: string | null): LenderConfig {
+  return (
+    FINANCE_CONFIG.lenders.find((lender) => lender.id === lenderId) ??
+    FINANCE_CONFIG.lenders.find((lender) => lender.id === FINANCE_CONFIG.defaultLenderId) ??
+    FINANCE_CONFIG.lenders[0]
+  );
+}
+
+export function getLenderEligibilityIssue(lender: LenderConfig, depositRatio: number, interestOnly: boolean): string | null {
+  if (1 - depositRatio > lender.maxLoanToValue + 1e-9) {
+    return `${lender.name} lends up to ${formatPercentage(lender.maxLoanToValue)} of the property value.`;
+  }
+  if (interestOnly && !lender.allowsInterestOnly) {
+    return `${lender.name} does not offer interest-only mortgages.`;
+  }
+  return null;
+}
+
+export function calculateArrangementFee(lender: LenderConfig, principal: number): number {
+  return roundCurrency(principal * lender.arrangementFeeRate);
+}
+
+function deriveMortgageRateProfile({
+  centralBankRate,
+  depositRatio,
+  fixedPeriodYears,
+  rateModel = resolveLender().rateModel
+}: {
+  centralBankRate: number;
+  depositRatio: number;
+  fixedPeriodYears: number;
+  rateModel?: RateModelConfig;
+}): {
+  fixedRate: number;
+  reversionRate: number;
+  baseRate: number;
+  variableRateMargin: number;
+  fixedPeriodYears: number;
+} {
+  const marginBase = rateModel.variableMarginBase;
+  const depositFactor = rateModel.variableMarginDepositFactor;
+  const minimumMargin = rateModel.minimumMargin;
+  const resolvedDepositRatio = Number.isFinite(depositRatio)
+    ? Math.min(Math.max(depositRatio, MINIMUM_DEPOSIT_RATIO), 0.95)
+    : FINANCE_CONFIG.defaultDepositRatio;
+  const resolvedFixedPeriodYears = Number.isFinite(fixedPeriodYears) && fixedPeriodYears > 0
+    ? Math.max(fixedPeriodYears, 1 / 12)
+    : FINANCE_CONFIG.defaultFixedPeriodYears;
+  const baseRate = clampRate(centralBankRate);
+  const depositAdjustment = resolvedDepositRatio * depositFactor;
+  const margin = Math.max(minimumMargin, marginBase - depositAdjustment);
+  const variableRateMargin = Math.max(margin, minimumMargin);
+  const reversionRate = clampRate(baseRate + variableRateMargin);
+  const incentive = rateModel.fixedRateIncentives[Math.round(resolvedFixedPeriodYears)] ?? 0;
+  const fixedRate = clampRate(reversionRate + incentive);
+  return {
+    fixedRate,
+    reversionRate,
+    baseRate,
+    variableRateMargin,
+    fixedPeriodYears: resolvedFixedPeriodYears
+  };
+}
+
+function clampRate(rate: number): number {
+  const min = FINANCE_CONFIG.minimumRate;
+  const max = FINANCE_CONFIG.maximumRate;
+  return Math.min(Math.max(rate, min), max);
+}
+
+function calculateMonthlyPayment({
+  principal,
+  annualRate,
+  termMonths,
+  interestOnly
+}: {
+  principal: number;
+  annualRate: number;
+  termMonths: number;
+  interestOnly: boolean;
+}): number {
+  const monthlyRate = annualRate / 12;
+  if (interestOnly) {
+    return roundCurrency(principal * monthlyRate);
+  }
+  if (monthlyRate === 0) {
+    return roundCurrency(principal / termMonths);
+  }
+  const numerator = principal * monthlyRate * Math.pow(1 + monthlyRate, termMonths);
+  const denominator = Math.pow(1 + monthlyRate, termMonths) - 1;
+  return roundCurrency(numerator / denominator);
+}
+
+export function createMortgage(
+  property: GameProperty,
+  state: GameState,
+  lender: LenderConfig = resolveLender(state.finance.lenderId)
+): Mortgage {
+  const deposit = Math.round(property.cost * state.finance.depositRatio);
+  const loan = Math.max(property.cost - deposit, 0);
+  const financedFee = state.finance.addFeeToLoan ? calculateArrangementFee(lender, loan) : 0;
+  const principal = roundCurrency(loan + financedFee);
+  const profile = deriveMortgageRateProfile({
+    centralBankRate: state.centralBankRate,
+    depositRatio: state.finance.depositRatio,
+    fixedPeriodYears: state.finance.fixedPeriodYears,
+    rateModel: lender.rateModel
+  });
+  const termMonths = state.finance.termYears * 12;
+  const resolvedFixedPeriodYears = Math.min(profile.fixedPeriodYears, state.finance.termYears);
+  const fixedPeriodMonths = Math.max(Math.round(resolvedFixedPeriodYears * 12), 0);
+  const fixedRate = profile.fixedRate;
+  const reversionRate = profile.reversionRate;
+  const monthlyInterestRate = fixedRate / 12;
+  const variableRateMargin = Math.max(profile.variableRateMargin, 0);
+  const monthlyPayment = calculateMonthlyPayment({
+    principal,
+    annualRate: fixedRate,
+    termMonths,
+    interestOnly: state.finance.interestOnly
+  });
+  return {
+    depositRatio: state.finance.depositRatio,
+    deposit,
+    principal,
+    fixedPeriodYears: resolvedFixedPeriodYears,
+    fixedPeriodMonths,
+    interestOnly: state.finance.interestOnly,
+    annualInterestRate: fixedRate,
+    reversionRate,
+    baseRate: profile.baseRate,
+    variableRateMargin,
+    variableRateActive: false,
+    monthlyPayment,
+    monthlyInterestRate,
+    remainingTermMonths: termMonths,
+    termMonths,
+    remainingBalance: principal,
+    lenderId: lender.id,
+    ...(financedFee > 0 ? { financedFee } : {})
+  };
+}
+
+export function quotePurchase(state: GameState, property: GameProperty, mortgage: Mortgage | null): PurchaseQuote {
+  const costs = calculatePurchaseCosts(property.cost, state.portfolio.length);
+  const deposit = mortgage ? mortgage.deposit : property.cost;
+  const financedFee = mortgage?.financedFee ?? 0;
+  const feeAddedToLoan = financedFee > 0;
+  let arrangementFee = financedFee;
+  if (mortgage && !feeAddedToLoan) {
+    arrangementFee = calculateArrangementFee(resolveLender(mortgage.lenderId), mortgage.principal);
+  }
+  return {
+    price: property.cost,
+    deposit,
+    arrangementFee,
+    feeAddedToLoan,
+    costs,
+    cashRequired: roundCurrency(deposit + (feeAddedToLoan ? 0 : arrangementFee) + costs.total)
+  };
+}
+
+function resolveFixedPeriodMonths(mortgage: Mortgage | null | undefined): number {
+  if (!mortgage) {
+    return 0;
+  }
+  if (Number.isFinite(mortgage.fixedPeriodMonths)) {
+    return Math.max(Math.round(mortgage.fixedPeriodMonths), 0);
+  }
+  const computed = Math.max(Math.round(mortgage.fixedPeriodYears * 12), 0);
+  mortgage.fixedPeriodMonths = computed;
+  return computed;
+}
+
+function calculateMortgageReversionRate(mortgage: Mortgage | null | undefined): number {
+  if (!mortgage) {
+    return 0;
+  }
+  const explicit = Number.isFinite(mortgage.reversionRate) ? mortgage.reversionRate : null;
+  const baseRateValue = Number.isFinite(mortgage.baseRate) ? mortgage.baseRate : 0;
+  const margin = Number.isFinite(mortgage.variableRateMargin) ? mortgage.variableRateMargin : 0;
+  const resolved = explicit ?? baseRateValue + margin;
+  if (!Number.isFinite(resolved) || resolved < 0) {
+    return 0;
+  }
+  return clampRate(resolved);
+}
+
+function activateMortgageVariablePhase(
+  mortgage: Mortgage | null | undefined
+): { activated: boolean; baseRate?: number; margin?: number; reversionRate?: number } {
+  if (!mortgage || mortgage.variableRateActive || mortgage.remainingBalance <= 0.5) {
+    return { activated: false };
+  }
+
+  const reversionRate = calculateMortgageReversionRate(mortgage);
+  const margin = Number.isFinite(mortgage.variableRateMargin) ? mortgage.variableRateMargin : 0;
+  const baseRateValue = Number.isFinite(mortgage.baseRate) ? mortgage.baseRate : reversionRate - margin;
+
+  mortgage.variableRateActive = true;
+  mortgage.baseRate = baseRateValue;
+  mortgage.annualInterestRate = reversionRate;
+  mortgage.monthlyInterestRate = reversionRate / 12;
+  mortgage.reversionRate = reversionRate;
+
+  if (mortgage.interestOnly) {
+    mortgage.monthlyPayment = roundCurrency(mortgage.remainingBalance * mortgage.monthlyInterestRate);
+  } else {
+    const remainingMonths = Math.max(mortgage.remainingTermMonths, 0);
+    if (remainingMonths > 0 && mortgage.remainingBalance > 0.5) {
+      mortgage.monthlyPayment = calculateMonthlyPayment({
+        principal: mortgage.remainingBalance,
+        annualRate: reversionRate,
+        termMonths: remainingMonths,
+        interestOnly: false
+      });
+    } else {
+      mortgage.monthlyPayment = roundCurrency(mortgage.remainingBalance);
+    }
+  }
+
+  return {
+    activated: true,
+    baseRate: baseRateValue,
+    margin,
+    reversionRate
+  };
+}
+
+function calculateSalePrice(property: GameProperty): number {
+  const baseValue = Number.isFinite(property.baseValue) ? property.baseValue : property.cost;
+  const maintenancePercent = clampMaintenancePercent(property.maintenancePercent);
+  return calculateMaintenanceAdjustedValue(baseValue, maintenancePercent);
+}
+
+interface PropertyEquitySnapshot {
+  value: number;
+  outstanding: number;
+  equity: number;
+  ratio: number;
+}
+
+export function calculatePropertyEquity(property: GameProperty | null | undefined): PropertyEquitySnapshot {
+  if (!property) {
+    return { value: 0, outstanding: 0, equity: 0, ratio: 0 };
+  }
+
+  const value = Math.max(Number.isFinite(property.cost) ? property.cost : 0, 0);
+  const outstanding = Math.max(
+    Number.isFinite(property.mortgage?.remainingBalance)
+      ? property.mortgage?.remainingBalance ?? 0
+      : 0,
+    0
+  );
+  const equity = Math.max(value - outstanding, 0);
+  const ratio = value > 0 ? Math.min(Math.max(equity / value, 0), 0.95) : 0;
+
+  return { value, outstanding, equity, ratio };
+}
+
+interface RefinanceQuote {
+  equity: PropertyEquitySnapshot;
+  lender: LenderConfig;
+  remainingTermMonths: number;
+  fixedPeriodYears: number;
+  fixedPeriodMonths: number;
+  profile: ReturnType<typeof deriveMortgageRateProfile>;
+  depositRatio: number;
+  cashOut: number;
+  principal: number;
+  loanToValue: number;
+  monthlyPayment: number;
+  paymentDelta: number;
+  earlyRepaymentCharge: number;
+  stayCost: number;
+  switchCost: number;
+}
+
+function projectMortgageInterest({
+  balance,
+  remainingTermMonths,
+  interestOnly,
+  months,
+  rateForMonth
+}: {
+  balance: number;
+  remainingTermMonths: number;
+  interestOnly: boolean;
+  months: number;
+  rateForMonth: (month: number) => number;
+}): number {
+  let outstanding = balance;
+  let interest = 0;
+  let currentRate = Number.NaN;
+  let payment = 0;
+  for (let month = 0; month < Math.min(months, remainingTermMonths) && outstanding > 0.5; month += 1) {
+    const annualRate = rateForMonth(month);
+    if (annualRate !== currentRate) {
+      currentRate = annualRate;
+      payment = calculateMonthlyPayment({
+        principal: outstanding,
+        annualRate,
+        termMonths: remainingTermMonths - month,
+        interestOnly
+      });
+    }
+    const monthlyInterest = outstanding * (annualRate / 12);
+    interest += monthlyInterest;
+    if (!interestOnly) {
+      outstanding = Math.max(outstanding - (payment - monthlyInterest), 0);
+    }
+  }
+  return roundCurrency(interest);
+}
+
+function projectCurrentMortgageInterest(mortgage: Mortgage | null, months: number): number {
+  if (!mortgage || mortgage.remainingBalance <= 0.5) {
+    return 0;
+  }
+  const monthsCompleted = Math.max(mortgage.termMonths - mortgage.remainingTermMonths, 0);
+  const fixedMonthsRemaining = mortgage.variableRateActive
+    ? 0
+    : Math.max(resolveFixedPeriodMonths(mortgage) - monthsCompleted, 0);
+  const reversionRate = calculateMortgageReversionRate(mortgage);
+  return projectMortgageInterest({
+    balance: mortgage.remainingBalance,
+    remainingTermMonths: mortgage.remainingTermMonths,
+    interestOnly: mortgage.interestOnly,
+    months,
+    rateForMonth: (month) => (month < fixedMonthsRemaining ? mortgage.annualInterestRate : reversionRate)
+  });
+}
+
+export interface AmortizationRow {
+  month: number;
+  variable: boolean;
+  annualRate: number;
+  payment: number;
+  interest: number;
+  principal: number;
+  balance: number;
+}
+
+export interface AmortizationSchedule {
+  rows: AmortizationRow[];
+  fixedMonthsRemaining: number;
+  totalInterest: number;
+  totalPaid: number;
+  balloonPayment: number;
+}
+
+export function createAmortizationSchedule(
+  mortgage: Mortgage,
+  { centralBankRate, annualBaseRateChange = 0 }: { centralBankRate?: number; annualBaseRateChange?: number } = {}
+): AmortizationSchedule {
+  const monthsCompleted = Math.max(mortgage.termMonths - mortgage.remainingTermMonths, 0);
+  const fixedMonthsRemaining = mortgage.variableRateActive
+    ? 0
+    : Math.max(resolveFixedPeriodMonths(mortgage) - monthsCompleted, 0);
+  const margin = Number.isFinite(mortgage.variableRateMargin) ? mortgage.variableRateMargin : 0;
+  const startingBaseRate = centralBankRate ?? calculateMortgageReversionRate(mortgage) - margin;
+  const variableRateForMonth = (month: number) => {
+    const baseRate = Math.max(
+      startingBaseRate + (annualBaseRateChange * (month + 1)) / 12,
+      FINANCE_CONFIG.centralBank.minimumRate
+    );
+    return clampRate(baseRate + margin);
+  };
+
+  const rows: AmortizationRow[] = [];
+  let outstanding = Math.max(mortgage.remainingBalance, 0);
+  let currentRate = mortgage.annualInterestRate;
+  let payment = mortgage.monthlyPayment;
+  let balloonPayment = 0;
+  for (let month = 0; month < mortgage.remainingTermMonths && outstanding > 0.5; month += 1) {
+    const variable = month >= fixedMonthsRemaining;
+    const annualRate = variable ? variableRateForMonth(month) : mortgage.annualInterestRate;
+    if (Math.abs(annualRate - currentRate) > 1e-9) {
+      currentRate = annualRate;
+      payment = calculateMonthlyPayment({
+        principal: outstanding,
+        annualRate,
+        termMonths: mortgage.remainingTermMonths - month,
+        interestOnly: mortgage.interestOnly
+      });
+    }
+    const interest = roundCurrency(outstanding * (annualRate / 12));
+    const finalMonth = month === mortgage.remainingTermMonths - 1;
+    let principal = mortgage.interestOnly ? 0 : Math.min(Math.max(payment - interest, 0), outstanding);
+    if (finalMonth) {
+      if (mortgage.interestOnly) {
+        balloonPayment = roundCurrency(outstanding);
+      }
+      principal = outstanding;
+    }
+    outstanding = roundCurrency(Math.max(outstanding - principal, 0));
+    rows.push({
+      month: month + 1,
+      variable,
+      annualRate,
+      payment: roundCurrency(interest + principal),
+      interest,
+      principal: roundCurrency(principal),
+      balance: outstanding
+    });
+  }
+
+  const totalInterest = roundCurrency(rows.reduce((total, row) => total + row.interest, 0));
+  return {
+    rows,
+    fixedMonthsRemaining: Math.min(fixedMonthsRemaining, rows.length),
+    totalInterest,
+    totalPaid: roundCurrency(rows.reduce((total, row) => total + row.payment, 0)),
+    balloonPayment
+  };
+}
+
+export function calculateMaxCashOut(equity: PropertyEquitySnapshot): number {
+  const borrowingLimit = equity.value * FINANCE_CONFIG.equityRelease.maxLoanToValue;
+  return Math.max(Math.floor(borrowingLimit - equity.outstanding), 0);
+}
+
+export function resolveRefinanceFixedPeriodYears(state: GameState): number {
+  return Number.isFinite(state.management.refinance.fixedPeriodYears)
+    ? Math.max(state.management.refinance.fixedPeriodYears, 1 / 12)
+    : FINANCE_CONFIG.defaultFixedPeriodYears;
+}
+
+export function resolveRefinanceTermMonths(property: GameProperty): number {
+  return property.mortgage
+    ? Math.max(property.mortgage.remainingTermMonths ?? 0, 0)
+    : FINANCE_CONFIG.defaultTermYears * 12;
+}
+
+export function getRefinanceRestriction(state: GameState, property: GameProperty): string | null {
+  const mortgage = property.mortgage;
+  const lendingRestriction = getLendingRestriction(state, mortgage);
+  if (lendingRestriction) {
+    return lendingRestriction;
+  }
+  if (!mortgage) {
+    return calculateMaxCashOut(calculatePropertyEquity(property)) > 0
+      ? null
+      : 'Property has no equity available to release.';
+  }
+  if (mortgage.remainingBalance <= 0.5 || mortgage.remainingTermMonths <= 0) {
+    return 'No remaining balance or term to refinance.';
+  }
+  return null;
+}
+
+export function quoteRefinance(state: GameState, property: GameProperty): RefinanceQuote | null {
+  const equity = calculatePropertyEquity(property);
+  const remainingTermMonths = resolveRefinanceTermMonths(property);
+  const requestedCashOut = state.management.refinance.cashOutAmount ?? 0;
+  const cashOut = roundCurrency(
+    Math.min(Math.max(Number.isFinite(requestedCashOut) ? requestedCashOut : 0, 0), calculateMaxCashOut(equity))
+  );
+  const principal = roundCurrency(equity.outstanding + cashOut);
+  if (remainingTermMonths <= 0 || principal <= 0 || equity.value <= 0) {
+    return null;
+  }
+
+  const remainingTermYears = Math.max(remainingTermMonths / 12, 1 / 12);
+  let selectedYears = Math.min(resolveRefinanceFixedPeriodYears(state), remainingTermYears);
+  if (!Number.isFinite(selectedYears) || selectedYears <= 0) {
+    selectedYears = Math.min(FINANCE_CONFIG.defaultFixedPeriodYears, remainingTermYears);
+  }
+  selectedYears = Math.max(selectedYears, 1 / 12);
+
+  const lender = resolveLender(property.mortgage?.lenderId);
+  const depositRatio = Math.min(Math.max(1 - principal / equity.value, MINIMUM_DEPOSIT_RATIO), 0.95);
+  const profile = deriveMortgageRateProfile({
+    centralBankRate: state.centralBankRate,
+    depositRatio,
+    fixedPeriodYears: selectedYears,
+    rateModel: lender.rateModel
+  });
+
+  const fixedPeriodYears = Math.min(profile.fixedPeriodYears, remainingTermYears);
+  const fixedPeriodMonths = Math.max(Math.min(Math.round(fixedPeriodYears * 12), remainingTermMonths), 1);
+  const monthlyPayment = property.mortgage?.interestOnly
+    ? roundCurrency(principal * (profile.fixedRate / 12))
+    : calculateMonthlyPayment({
+        principal,
+        annualRate: profile.fixedRate,
+        termMonths: remainingTermMonths,
+        interestOnly: false
+      });
+
+  const earlyRepaymentCharge = property.mortgage
+    ? roundCurrency(property.mortgage.remainingBalance * getEarlyRepaymentChargeRate(property.mortgage))
+    : 0;
+  const switchInterest = projectMortgageInterest({
+    balance: principal,
+    remainingTermMonths,
+    interestOnly: property.mortgage?.interestOnly ?? false,
+    months: fixedPeriodMonths,
+    rateForMonth: () => profile.fixedRate
+  });
+
+  return {
+    equity,
+    lender,
+    remainingTermMonths,
+    fixedPeriodYears,
+    fixedPeriodMonths,
+    profile,
+    depositRatio,
+    cashOut,
+    principal,
+    loanToValue: principal / equity.value,
+    monthlyPayment,
+    paymentDelta: roundCurrency(monthlyPayment - (property.mortgage?.monthlyPayment ?? 0)),
+    earlyRepaymentCharge,
+    stayCost: projectCurrentMortgageInterest(property.mortgage, fixedPeriodMonths),
+    switchCost: roundCurrency(switchInterest + earlyRepaymentCharge)
+  };
+}
+
+interface MissedMortgagePayment {
+  propertyId: string;
+  propertyName: string;
+  paymentDue: number;
+  lateFee: number;
+  arrears: number;
+  missedPayments: number;
+}
+
+interface ArrearsRepayment {
+  propertyName: string;
+  amount: number;
+  cleared: boolean;
+}
+
+interface RecurringOverpayment {
+  propertyName: string;
+  amount: number;
+  charge: number;
+}
+
+interface MortgageProcessingOutcome {
+  properties: GameProperty[];
+  totalPaid: number;
+  mortgagesCleared: string[];
+  forcedSales: ForcedSaleResult[];
+  variableTransitions: MortgageVariableTransition[];
+  netProceeds: number;
+  missedPayments: MissedMortgagePayment[];
+  arrearsRepayments: ArrearsRepayment[];
+  repossessions: ForcedSaleResult[];
+  recurringOverpayments: RecurringOverpayment[];
+  paymentsMade: number;
+  ledger: LedgerPosting[];
+}
+
+export function getMortgageArrears(mortgage: Mortgage | null | undefined): number {
+  return Math.max(roundCurrency(mortgage?.arrears ?? 0), 0);
+}
+
+function calculateLateFee(paymentDue: number): number {
+  const { lateFeeFlat, lateFeeRate } = FINANCE_CONFIG.arrears;
+  return roundCurrency(Math.max(lateFeeFlat, paymentDue * lateFeeRate));
+}
+
+interface MortgageOverpaymentResult {
+  mortgage: Mortgage;
+  amount: number;
+  charge: number;
+  monthsSaved: number;
+  paymentReduction: number;
+}
+
+export function getOverpaymentStrategy(mortgage: Mortgage): MortgageOverpaymentStrategy {
+  return mortgage.interestOnly ? 'reduce-payment' : mortgage.overpaymentStrategy ?? 'reduce-term';
+}
+
+function getOverpaymentAllowanceYear(mortgage: Mortgage): number {
+  return Math.floor(Math.max(mortgage.termMonths - mortgage.remainingTermMonths, 0) / 12);
+}
+
+function getOverpaymentAllowanceUsed(mortgage: Mortgage): number {
+  return mortgage.overpaymentAllowanceYear === getOverpaymentAllowanceYear(mortgage)
+    ? Math.max(mortgage.overpaymentAllowanceUsed ?? 0, 0)
+    : 0;
+}
+
+export function getOverpaymentAllowanceRemaining(mortgage: Mortgage): number {
+  const used = getOverpaymentAllowanceUsed(mortgage);
+  const allowance = (mortgage.remainingBalance + used) * FINANCE_CONFIG.earlyRepayment.annualAllowanceRatio;
+  return Math.max(roundCurrency(allowance - used), 0);
+}
+
+export function getEarlyRepaymentChargeRate(mortgage: Mortgage): number {
+  if (mortgage.variableRateActive) {
+    return 0;
+  }
+  const monthsCompleted = Math.max(mortgage.termMonths - mortgage.remainingTermMonths, 0);
+  if (monthsCompleted >= resolveFixedPeriodMonths(mortgage)) {
+    return 0;
+  }
+  const schedule = FINANCE_CONFIG.earlyRepayment.chargeSchedule;
+  return schedule[Math.min(Math.floor(monthsCompleted / 12), schedule.length - 1)] ?? 0;
+}
+
+function calculateEarlyRepaymentCharge(mortgage: Mortgage, amount: number): number {
+  const excess = Math.max(amount - getOverpaymentAllowanceRemaining(mortgage), 0);
+  return roundCurrency(excess * getEarlyRepaymentChargeRate(mortgage));
+}
+
+function calculateRemainingTermMonths(balance: number, monthlyRate: number, payment: number): number {
+  if (payment <= 0) {
+    return Infinity;
+  }
+  if (monthlyRate <= 0) {
+    return Math.ceil(balance / payment);
+  }
+  const ratio = (monthlyRate * balance) / payment;
+  if (ratio >= 1) {
+    return Infinity;
+  }
+  return Math.ceil(-Math.log(1 - ratio) / Math.log(1 + monthlyRate));
+}
+
+function applyMortgageOverpayment(mortgage: Mortgage, requestedAmount: number): MortgageOverpaymentResult {
+  const amount = roundCurrency(Math.min(Math.max(requestedAmount, 0), mortgage.remainingBalance));
+  const charge = calculateEarlyRepaymentCharge(mortgage, amount);
+  const updatedMortgage: Mortgage = {
+    ...mortgage,
+    remainingBalance: Math.max(roundCurrency(mortgage.remainingBalance - amount), 0),
+    overpaymentAllowanceYear: getOverpaymentAllowanceYear(mortgage),
+    overpaymentAllowanceUsed: roundCurrency(getOverpaymentAllowanceUsed(mortgage) + amount)
+  };
+
+  if (updatedMortgage.remainingBalance <= 0.5) {
+    return {
+      mortgage: { ...updatedMortgage, remainingBalance: 0 },
+      amount,
+      charge,
+      monthsSaved: mortgage.remainingTermMonths,
+      paymentReduction: mortgage.monthlyPayment
+    };
+  }
+
+  let monthsSaved = 0;
+  if (getOverpaymentStrategy(mortgage) === 'reduce-term') {
+    const remainingTermMonths = Math.min(
+      calculateRemainingTermMonths(
+        updatedMortgage.remainingBalance,
+        updatedMortgage.monthlyInterestRate,
+        updatedMortgage.monthlyPayment
+      ),
+      mortgage.remainingTermMonths
+    );
+    monthsSaved = Math.max(mortgage.remainingTermMonths - remainingTermMonths, 0);
+    updatedMortgage.remainingTermMonths = mortgage.remainingTermMonths - monthsSaved;
+    updatedMortgage.termMonths = Math.max(mortgage.termMonths - monthsSaved, updatedMortgage.remainingTermMonths);
+  } else {
+    updatedMortgage.monthlyPayment = calculateMonthlyPayment({
+      principal: updatedMortgage.remainingBalance,
+      annualRate: updatedMortgage.monthlyInterestRate * 12,
+      termMonths: Math.max(updatedMortgage.remainingTermMonths, 1),
+      interestOnly: updatedMortgage.interestOnly
+    });
+  }
+
+  return {
+    mortgage: updatedMortgage,
+    amount,
+    charge,
+    monthsSaved,
+    paymentReduction: roundCurrency(mortgage.monthlyPayment - updatedMortgage.monthlyPayment)
+  };
+}
+
+function processMortgagePayments(
+  properties: GameProperty[],
+  monthsElapsed: number,
+  startingBalance: number
+): MortgageProcessingOutcome {
+  if (monthsElapsed <= 0) {
+    return {
+      properties,
+      totalPaid: 0,
+      mortgagesCleared: [],
+      forcedSales: [],
+      variableTransitions: [],
+      netProceeds: 0,
+      missedPayments: [],
+      arrearsRepayments: [],
+      repossessions: [],
+      recurringOverpayments: [],
+      paymentsMade: 0,
+      ledger: []
+    };
+  }
+
+  let totalPaid = 0;
+  let paymentsMade = 0;
+  const mortgagesCleared: string[] = [];
+  const forcedSales: ForcedSaleResult[] = [];
+  const variableTransitions: MortgageVariableTransition[] = [];
+  const missedPayments: MissedMortgagePayment[] = [];
+  const arrearsRepayments: ArrearsRepayment[] = [];
+  const repossessions: ForcedSaleResult[] = [];
+  const recurringOverpayments: RecurringOverpayment[] = [];
+  const ledger: LedgerPosting[] = [];
+  let realizedNetProceeds = 0;
+  const updatedProperties = [...properties];
+  const availableFunds = () => roundCurrency(startingBalance + realizedNetProceeds - totalPaid);
+
+  for (let index = updatedProperties.length - 1; index >= 0; index -= 1) {
+    const property = updatedProperties[index];
+    const mortgage = property.mortgage;
+    if (!mortgage || (mortgage.remainingBalance <= 0 && getMortgageArrears(mortgage) <= 0)) {
+      continue;
+    }
+
+    const updatedMortgage: Mortgage & Required<Pick<Mortgage, 'arrears' | 'missedPayments'>> = {
+      ...mortgage,
+      arrears: getMortgageArrears(mortgage),
+      missedPayments: Math.max(mortgage.missedPayments ?? 0, 0)
+    };
+    const totalTermMonths = Math.max(Math.round(updatedMortgage.termMonths), 0);
+    const fixedPeriodMonths = resolveFixedPeriodMonths(updatedMortgage);
+
+    if (
+      fixedPeriodMonths <= 0 &&
+      !updatedMortgage.variableRateActive &&
+      updatedMortgage.remainingBalance > 0.5 &&
+      updatedMortgage.remainingTermMonths > 0
+    ) {
+      const activation = activateMortgageVariablePhase(updatedMortgage);
+      if (activation.activated) {
+        variableTransitions.push({
+          propertyId: property.id,
+          propertyName: property.name,
+          baseRate: activation.baseRate ?? 0,
+          margin: activation.margin ?? 0,
+          reversionRate: activation.reversionRate ?? 0
+        });
+      }
+    }
+
+    for (let month = 0; month < monthsElapsed; month += 1) {
+      if (updatedMortgage.remainingTermMonths > 0 && updatedMortgage.remainingBalance > 0) {
+        const interestDueRaw = updatedMortgage.remainingBalance * updatedMortgage.monthlyInterestRate;
+        const interestDue = roundCurrency(interestDueRaw);
+        let payment = roundCurrency(updatedMortgage.monthlyPayment);
+        const totalDue = updatedMortgage.remainingBalance + interestDue;
+        if (!updatedMortgage.interestOnly && payment > totalDue) {
+          payment = roundCurrency(totalDue);
+        }
+
+        if (payment > availableFunds()) {
+          const lateFee = calculateLateFee(payment);
+          updatedMortgage.arrears = roundCurrency(updatedMortgage.arrears + interestDue + lateFee);
+          updatedMortgage.missedPayments += 1;
+          missedPayments.push({
+            propertyId: property.id,
+            propertyName: property.name,
+            paymentDue: payment,
+            lateFee,
+            arrears: updatedMortgage.arrears,
+            missedPayments: updatedMortgage.missedPayments
+          });
+          continue;
+        }
+
+        const principalPaid = updatedMortgage.interestOnly
+          ? 0
+          : roundCurrency(Math.max(payment - interestDue, 0));
+
+        updatedMortgage.remainingBalance = Math.max(
+          roundCurrency(updatedMortgage.remainingBalance - principalPaid),
+          0
+        );
+        updatedMortgage.remainingTermMonths = Math.max(updatedMortgage.remainingTermMonths - 1, 0);
+        totalPaid = roundCurrency(totalPaid + payment);
+        paymentsMade += 1;
+        ledger.push(
+          { propertyId: property.id, category: 'interest', amount: -roundCurrency(payment - principalPaid) },
+          { propertyId: property.id, category: 'principal', amount: -principalPaid }
+        );
+
+        if (
+          !updatedMortgage.variableRateActive &&
+          updatedMortgage.remainingBalance > 0.5 &&
+          updatedMortgage.remainingTermMonths > 0
+        ) {
+          const monthsCompleted = Math.max(totalTermMonths - updatedMortgage.remainingTermMonths, 0);
+          if (monthsCompleted >= fixedPeriodMonths && fixedPeriodMonths > 0) {
+            const activation = activateMortgageVariablePhase(updatedMortgage);
+            if (activation.activated) {
+              variableTransitions.push({
+                propertyId: property.id,
+                propertyName: property.name,
+                baseRate: activation.baseRate ?? 0,
+                margin: activation.margin ?? 0,
+                reversionRate: activation.reversionRate ?? 0
+              });
+            }
+          }
+        }
+      }
+
+      if (updatedMortgage.arrears > 0) {
+        const repayment = roundCurrency(Math.min(updatedMortgage.arrears, Math.max(availableFunds(), 0)));
+        if (repayment > 0) {
+          updatedMortgage.arrears = roundCurrency(updatedMortgage.arrears - repayment);
+          totalPaid = roundCurrency(totalPaid + repayment);
+          const cleared = updatedMortgage.arrears <= 0;
+          if (cleared) {
+            updatedMortgage.arrears = 0;
+            updatedMortgage.missedPayments = 0;
+          }
+          arrearsRepayments.push({ propertyName: property.name, amount: repayment, cleared });
+          ledger.push({ propertyId: property.id, category: 'arrears', amount: -repayment });
+        }
+      }
+
+      const recurringOverpayment = Math.max(updatedMortgage.recurringOverpayment ?? 0, 0);
+      if (recurringOverpayment > 0 && updatedMortgage.arrears <= 0 && updatedMortgage.remainingBalance > 0.5) {
+        const overpayment = applyMortgageOverpayment(updatedMortgage, recurringOverpayment);
+        const cost = roundCurrency(overpayment.amount + overpayment.charge);
+        if (cost <= availableFunds()) {
+          Object.assign(updatedMortgage, overpayment.mortgage);
+          totalPaid = roundCurrency(totalPaid + cost);
+          recurringOverpayments.push({
+            propertyName: property.name,
+            amount: overpayment.amount,
+            charge: overpayment.charge
+          });
+          ledger.push(
+            { propertyId: property.id, category: 'overpayment', amount: -overpayment.amount },
+            { propertyId: property.id, category: 'repayment-charge', amount: -overpayment.charge }
+          );
+        }
+      }
+    }
+
+    if (updatedMortgage.missedPayments >= FINANCE_CONFIG.arrears.repossessionAfterMissedPayments) {
+      const salePrice = roundCurrency(
+        calculateSalePrice(property) * (1 - FINANCE_CONFIG.arrears.repossessionSaleDiscount)
+      );
+      const outstanding = roundCurrency(updatedMortgage.remainingBalance + updatedMortgage.arrears);
+      const netProceeds = roundCurrency(salePrice - outstanding);
+      realizedNetProceeds = roundCurrency(realizedNetProceeds + netProceeds);
+      repossessions.push({
+        propertyId: property.id,
+        propertyName: property.name,
+        salePrice,
+        outstanding,
+        netProceeds
+      });
+      ledger.push(
+        { propertyId: property.id, category: 'sale', amount: salePrice },
+        { propertyId: property.id, category: 'redemption', amount: -outstanding }
+      );
+      updatedProperties.splice(index, 1);
+      continue;
+    }
+
+    if (
+      updatedMortgage.interestOnly &&
+      updatedMortgage.remainingTermMonths <= 0 &&
+      updatedMortgage.remainingBalance > 0.5
+    ) {
+      const outstanding = roundCurrency(updatedMortgage.remainingBalance + updatedMortgage.arrears);
+      if (availableFunds() >= outstanding) {
+        totalPaid = roundCurrency(totalPaid + outstanding);
+        updatedMortgage.remainingBalance = 0;
+        ledger.push({ propertyId: property.id, category: 'redemption', amount: -outstanding });
+        mortgagesCleared.push(property.name);
+        updatedProperties[index] = { ...property, mortgage: null };
+        continue;
+      }
+
+      const salePrice = roundCurrency(calculateSalePrice(property));
+      const netProceeds = roundCurrency(salePrice - outstanding);
+      realizedNetProceeds = roundCurrency(realizedNetProceeds + netProceeds);
+      forcedSales.push({
+        propertyId: property.id,
+        propertyName: property.name,
+        salePrice,
+        outstanding,
+        netProceeds
+      });
+      ledger.push(
+        { propertyId: property.id, category: 'sale', amount: salePrice },
+        { propertyId: property.id, category: 'redemption', amount: -outstanding }
+      );
+      updatedProperties.splice(index, 1);
+      continue;
+    }
+
+    if (
+      updatedMortgage.arrears <= 0 &&
+      (updatedMortgage.remainingBalance <= 0.5 ||
+        (!updatedMortgage.interestOnly && updatedMortgage.remainingTermMonths <= 0))
+    ) {
+      mortgagesCleared.push(property.name);
+      updatedProperties[index] = { ...property, mortgage: null };
+      continue;
+    }
+
+    updatedProperties[index] = { ...property, mortgage: updatedMortgage };
+  }
+
+  return {
+    properties: updatedProperties,
+    totalPaid: roundCurrency(totalPaid),
+    mortgagesCleared,
+    forcedSales,
+    variableTransitions,
+    netProceeds: roundCurrency(realizedNetProceeds),
+    missedPayments,
+    arrearsRepayments,
+    repossessions,
+    recurringOverpayments,
+    paymentsMade,
+    ledger
+  };
+}
+
+function applyVariableRateAdjustments(
+  properties: GameProperty[],
+  centralBankRate: number
+): { properties: GameProperty[]; history: string[] } {
+  const updated: GameProperty[] = [];
+  const history: string[] = [];
+
+  properties.forEach((property) => {
+    const mortgage = property.mortgage;
+    if (!mortgage || !mortgage.variableRateActive || mortgage.remainingBalance <= 0.5) {
+      updated.push(property);
+      return;
+    }
+
+    const adjustedMortgage: Mortgage = { ...mortgage };
+    const margin = Number.isFinite(adjustedMortgage.variableRateMargin)
+      ? adjustedMortgage.variableRateMargin
+      : 0;
+    const newRate = clampRate(centralBankRate + margin);
+
+    adjustedMortgage.baseRate = centralBankRate;
+    if (Math.abs(newRate - adjustedMortgage.annualInterestRate) > 1e-6) {
+      adjustedMortgage.annualInterestRate = newRate;
+      adjustedMortgage.reversionRate = newRate;
+      adjustedMortgage.monthlyInterestRate = newRate / 12;
+      if (adjustedMortgage.interestOnly) {
+        adjustedMortgage.monthlyPayment = roundCurrency(
+          adjustedMortgage.remainingBalance * adjustedMortgage.monthlyInterestRate
+        );
+      } else if (adjustedMortgage.remainingBalance > 0.5 && adjustedMortgage.remainingTermMonths > 0) {
+        adjustedMortgage.monthlyPayment = calculateMonthlyPayment({
+          principal: adjustedMortgage.remainingBalance,
+          annualRate: newRate,
+          termMonths: adjustedMortgage.remainingTermMonths,
+          interestOnly: false
+        });
+      } else {
+        adjustedMortgage.monthlyPayment = roundCurrency(adjustedMortgage.remainingBalance);
+      }
+
+      history.push(
+        `${property.name} variable mortgage adjusted to ${formatInterestRate(newRate)} following base rate update.`
+      );
+    }
+
+    updated.push({ ...property, mortgage: adjustedMortgage });
+  });
+
+  return { properties: updated, history };
+}
+
+function getNextHistoryId(history: HistoryEvent[]): number {
+  const highestId = history.reduce((highest, entry) => {
+    const value = Number.parseInt(entry.id.replace('history-', ''), 10);
+    return Number.isFinite(value) ? Math.max(highest, value) : highest;
+  }, 0);
+  return highestId + 1;
+}
+
+function createHistoryEvent(state: GameState, message: string): HistoryEvent {
+  return { id: `history-${getNextHistoryId(state.history)}`, day: state.day, message };
+}
+
+export function addHistory(state: GameState, message: string): GameState {
+  const entry = createHistoryEvent(state, message);
+  const history = [...state.history, entry].slice(-80);
+  return { ...state, history };
+}
+
+function postLedger(state: GameState, postings: LedgerPosting[]): GameState {
+  const entries = postings
+    .filter((posting) => Math.abs(posting.amount) >= 0.005)
+    .map((posting) => ({ ...posting, amount: roundCurrency(posting.amount), day: state.day }));
+  return entries.length > 0 ? { ...state, ledger: [...state.ledger, ...entries] } : state;
+}
+
+function recordCapitalGain(state: GameState, property: GameProperty, salePrice: number, sellingCosts = 0): GameState {
+  const purchasePrice = property.purchasePrice ?? salePrice;
+  const purchaseCosts = -state.ledger
+    .filter((entry) => entry.propertyId === property.id && entry.category === 'purchase-costs')
+    .reduce((total, entry) => total + entry.amount, 0);
+  const gain: CapitalGain = {
+    day: state.day,
+    propertyId: property.id,
+    propertyName: property.name,
+    purchasePrice,
+    salePrice,
+    gain: roundCurrency(salePrice - sellingCosts - purchasePrice - purchaseCosts)
+  };
+  return { ...state, tax: { ...state.tax, capitalGains: [...state.tax.capitalGains, gain] } };
+}
+
+function settleTaxYearIfDue(state: GameState): GameState {
+  if (state.day - state.tax.yearStartDay + 1 < TAX_CONFIG.yearLengthDays) {
+    return state;
+  }
+  const bill = assessTaxYear({
+    ledger: state.ledger,
+    capitalGains: state.tax.capitalGains,
+    yearStartDay: state.tax.yearStartDay,
+    yearEndDay: state.day,
+    lossesBroughtForward: state.tax.lossesCarriedForward
+  });
+  const nextState: GameState = {
+    ...state,
+    balance: roundCurrency(state.balance - bill.total),
+    tax: {
+      yearStartDay: state.day + 1,
+      capitalGains: [],
+      lossesCarriedForward: bill.lossesCarriedForward,
+      bills: [...state.tax.bills, bill].slice(-MAX_TAX_BILLS)
+    }
+  };
+  const yearNumber = Math.ceil(state.day / TAX_CONFIG.yearLengthDays);
+  if (bill.total <= 0) {
+    return addHistory(nextState, `Tax year ${yearNumber} closed with no tax to pay.`);
+  }
+  return addHistory(
+    nextState,
+    `Tax year ${yearNumber} closed. Paid ${formatCurrency(bill.total)} in tax: ${formatCurrency(
+      bill.incomeTax - bill.interestCredit
+    )} on rental profit and ${formatCurrency(bill.capitalGainsTax)} on capital gains.`
+  );
+}
+
+function degradeMaintenance(property: GameProperty, days = 1, occupied = false): GameProperty {
+  const decayPerMonth = occupied
+    ? MAINTENANCE_CONFIG.occupiedDecayPerMonth
+    : MAINTENANCE_CONFIG.unoccupiedDecayPerMonth;
+  const decayPerDay = decayPerMonth / 30;
+  const updatedPercent = clampMaintenancePercent(property.maintenancePercent - decayPerDay * days);
+  if (Math.abs(updatedPercent - property.maintenancePercent) < 1e-6) {
+    return property;
+  }
+  const cost = calculateMaintenanceAdjustedValue(property.baseValue, updatedPercent);
+  const monthlyRentEstimate = calculateMonthlyRentEstimate(cost, property.demandScore);
+  return { ...property, maintenancePercent: updatedPercent, cost, monthlyRentEstimate };
+}
+
+export function findLettingAgent(agentId?: string | null): LettingAgentConfig | null {
+  return LETTING_AGENTS.find((agent) => agent.id === agentId) ?? null;
+}
+
+export function calculateLettingAgentFee(property: GameProperty): number {
+  const agent = findLettingAgent(property.lettingAgentId);
+  return agent && property.tenant ? roundCurrency(property.tenant.monthlyRent * agent.feeRate) : 0;
+}
+
+function formatApplicantCount(count: number): string {
+  return `${count} applicant${count === 1 ? '' : 's'}`;
+}
+
+function placeTenant(property: GameProperty, tenant: Tenant): GameProperty {
+  return { ...property, tenant, applicants: [], rentalMarketingActive: false, vacancyMonths: 0 };
+}
+
+function describeTenantPlacement(propertyName: string, tenant: Tenant): string {
+  return `Placed a tenant at ${propertyName} on a ${tenant.leaseMonthsRemaining}-month lease: ${tenant.name}, credit score ${tenant.creditScore}.`;
+}
+
+function processMonthlyTick(state: GameState, random: RandomSource): GameState {
+  let nextState: GameState = { ...state };
+  let balanceChange = 0;
+  let rentIncome = 0;
+  const ledgerPostings: LedgerPosting[] = [];
+  let updatedPortfolio = nextState.portfolio.map((property) => {
+    let updated = { ...property };
+    const historyMessages: string[] = [];
+    const agent = findLettingAgent(updated.lettingAgentId);
+    const relister = agent?.name ?? (updated.autoRelist ? 'Auto-relisting' : null);
+
+    if (updated.incidents.some((incident) => incident.repairedOnDay === null)) {
+      const { emergencyRepairMonths } = MAINTENANCE_CONFIG.incidents;
+      const incidents = updated.incidents.map((incident) => {
+        if (incident.repairedOnDay !== null) {
+          return incident;
+        }
+        const monthsUnrepaired = incident.monthsUnrepaired + 1;
+        if (monthsUnrepaired < emergencyRepairMonths) {
+          return { ...incident, monthsUnrepaired };
+        }
+        const emergencyCost = calculateEmergencyRepairCost(incident);
+        balanceChange -= emergencyCost;
+        ledgerPostings.push({ propertyId: updated.id, category: 'maintenance', amount: -emergencyCost });
+        historyMessages.push(
+          `Emergency contractors fixed the ${describeIncident(incident)} at ${updated.name} for ${formatCurrency(
+            emergencyCost
+          )} after ${monthsUnrepaired} months unrepaired.`
+        );
+        return { ...incident, monthsUnrepaired, repairedOnDay: state.day };
+      });
+      updated = { ...updated, incidents };
+    }
+
+    if (updated.tenant) {
+      const collection = collectRent(updated.tenant, random);
+      let tenant = collection.tenant;
+      const abatement = Math.min(calculateRentAbatement(updated.incidents, tenant.monthlyRent), collection.received);
+      const received = roundCurrency(collection.received - abatement);
+      const rentReceived = roundCurrency(Math.max(received - collection.arrearsRepaid, 0));
+      if (received > 0) {
+        balanceChange += received;
+        rentIncome += received;
+        ledgerPostings.push({ propertyId: updated.id, category: 'rent', amount: received });
+      }
+      if (abatement > 0) {
+        historyMessages.push(
+          `${tenant.name} held back ${formatCurrency(abatement)} of rent at ${updated.name} over unrepaired damage.`
+        );
+      }
+      if (agent && received > 0) {
+        const fee = roundCurrency(received * agent.feeRate);
+        balanceChange -= fee;
+        ledgerPostings.push({ propertyId: updated.id, category: 'letting-fees', amount: -fee });
+        historyMessages.push(`${agent.name} took a ${formatCurrency(fee)} fee from the rent at ${updated.name}.`);
+      }
+      if (collection.outcome === 'paid') {
+        historyMessages.push(`Received ${formatCurrency(rentReceived)} rent from ${updated.name}.`);
+        if (collection.arrearsRepaid > 0) {
+          historyMessages.push(
+            `${tenant.name} repaid ${formatCurrency(collection.arrearsRepaid)} of rent arrears at ${updated.name}.`
+          );
+        }
+      } else if (collection.outcome === 'late') {
+        historyMessages.push(
+          `Received ${formatCurrency(rentReceived)} rent from ${updated.name}, paid late by ${tenant.name}.`
+        );
+      } else if (collection.outcome === 'missed') {
+        historyMessages.push(
+          `${tenant.name} missed the rent at ${updated.name}. Arrears now ${formatCurrency(tenant.arrears)}.`
+        );
+      }
+
+      let tenancyEnded = false;
+      const departure =
+        tenant.eviction || shouldStartEviction(tenant) ? null : rollTenantDeparture(updated.incidents, random);
+      if (tenant.eviction) {
+        const monthsRemaining = tenant.eviction.monthsRemaining - 1;
+        if (monthsRemaining <= 0) {
+          historyMessages.push(`Evicted ${tenant.name} from ${updated.name}. Property is now vacant.`);
+          tenancyEnded = true;
+        } else {
+          tenant = { ...tenant, eviction: { ...tenant.eviction, monthsRemaining } };
+          historyMessages.push(
+            `Eviction of ${tenant.name} from ${updated.name} continues. ${monthsRemaining} month(s) until possession.`
+          );
+        }
+      } else if (shouldStartEviction(tenant)) {
+        const { legalCosts, durationMonths } = TENANT_CONFIG.eviction;
+        balanceChange -= legalCosts;
+        ledgerPostings.push({ propertyId: updated.id, category: 'eviction', amount: -legalCosts });
+        tenant = { ...tenant, eviction: { startedOnDay: state.day, monthsRemaining: durationMonths, legalCosts } };
+        historyMessages.push(
+          `Started eviction proceedings against ${tenant.name} at ${updated.name} over ${formatCurrency(
+            tenant.arrears
+          )} of arrears. Legal costs ${formatCurrency(legalCosts)}.`
+        );
+      } else if (departure) {
+        historyMessages.push(
+          `${tenant.name} moved out of ${updated.name} over the unrepaired ${describeIncident(
+            departure
+          )}. Property is now vacant.`
+        );
+        tenancyEnded = true;
+      } else {
+        tenant = {
+          ...tenant,
+          leaseMonthsRemaining: Math.max(tenant.leaseMonthsRemaining - 1, 0),
+          monthsSinceRentReview: tenant.monthsSinceRentReview + 1
+        };
+        const marketPlan = findRentPlan(updated, updated.rentPlanId, state.centralBankRate);
+        const marketRent = marketPlan?.monthlyRent ?? updated.monthlyRentEstimate;
+        const { noticeMonths, requestChance, reviewIntervalMonths } = TENANT_CONFIG.renewal;
+        const renewal = tenant.renewal;
+        if (tenant.leaseMonthsRemaining === 0) {
+          if (renewal && !renewal.declined && random() < calculateRenewalAcceptance(renewal.offeredRent, marketRent)) {
+            tenant = {
+              ...tenant,
+              monthlyRent: renewal.offeredRent,
+              leaseMonthsRemaining: renewal.leaseMonths,
+              renewal: null,
+              monthsSinceRentReview: 0
+            };
+            historyMessages.push(
+              `${tenant.name} renewed the lease at ${updated.name} for ${renewal.leaseMonths} months at ${formatCurrency(
+                renewal.offeredRent
+              )} a month.`
+            );
+          } else {
+            if (renewal && !renewal.declined) {
+              historyMessages.push(
+                `${tenant.name} turned down a renewal at ${formatCurrency(renewal.offeredRent)} a month.`
+              );
+            }
+            historyMessages.push(`Lease completed at ${updated.name}. Property is now vacant.`);
+            tenancyEnded = true;
+          }
+        } else if (tenant.leaseMonthsRemaining === noticeMonths && !renewal) {
+          if (random() < requestChance) {
+            tenant = {
+              ...tenant,
+              renewal: {
+                requestedOnDay: state.day,
+                leaseMonths: marketPlan?.leaseMonths ?? LEASE_LENGTH_CHOICES[1],
+                offeredRent: tenant.monthlyRent,
+                declined: false
+              }
+            };
+            historyMessages.push(
+              `${tenant.name} asked to renew the lease at ${updated.name}; set your terms in the leasing tab before it ends.`
+            );
+          }
+        } else if (updated.rentReviewsEnabled && tenant.monthsSinceRentReview >= reviewIntervalMonths) {
+          const reviewedRent = reviewRent(tenant, marketRent);
+          historyMessages.push(
+            reviewedRent > tenant.monthlyRent
+              ? `Rent review at ${updated.name} raised the rent from ${formatCurrency(
+                  tenant.monthlyRent
+                )} to ${formatCurrency(reviewedRent)} a month.`
+              : `Rent review at ${updated.name} left the rent at ${formatCurrency(tenant.monthlyRent)} a month.`
+          );
+          tenant = { ...tenant, monthlyRent: reviewedRent, monthsSinceRentReview: 0 };
+        }
+      }
+
+      if (tenancyEnded) {
+        const settlement = settleDeposit(tenant);
+        if (settlement.retained > 0) {
+          balanceChange += settlement.retained;
+          rentIncome += settlement.retained;
+          ledgerPostings.push({ propertyId: updated.id, category: 'rent', amount: settlement.retained });
+          historyMessages.push(
+            `Kept ${formatCurrency(settlement.retained)} of ${tenant.name}'s deposit against rent arrears.`
+          );
+        }
+        if (settlement.writtenOff > 0) {
+          historyMessages.push(`Wrote off ${formatCurrency(settlement.writtenOff)} of unpaid rent at ${updated.name}.`);
+        }
+        const marketingShouldResume = relister !== null && !updated.rentalMarketingPausedForMaintenance;
+        if (marketingShouldResume) {
+          historyMessages.push(`${relister} resumed marketing at ${updated.name}.`);
+        }
+        updated = {
+          ...updated,
+          tenant: null,
+          rentalMarketingActive: marketingShouldResume,
+          vacancyMonths: 0
+        };
+      } else {
+        updated = { ...updated, tenant };
+      }
+    } else {
+      if (updated.rentalMarketingPausedForMaintenance) {
+        if (updated.rentalMarketingActive || updated.vacancyMonths !== 0 || updated.applicants.length > 0) {
+          updated = { ...updated, rentalMarketingActive: false, vacancyMonths: 0, applicants: [] };
+        }
+        historyMessages.push(
+          `Marketing remains paused at ${updated.name} while maintenance is underway.`
+        );
+      } else {
+        let marketingJustActivated = false;
+        if (!updated.rentalMarketingActive) {
+          if (relister) {
+            updated = { ...updated, rentalMarketingActive: true, vacancyMonths: 0 };
+            marketingJustActivated = true;
+            historyMessages.push(`${relister} resumed marketing at ${updated.name}.`);
+          } else {
+            if (updated.vacancyMonths !== 0) {
+              updated = { ...updated, vacancyMonths: 0 };
+            }
+            historyMessages.push(
+              `Marketing paused at ${updated.name}; no tenants were sourced this month.`
+            );
+          }
+        }
+
+        if (updated.applicants.length > 0) {
+          historyMessages.push(
+            `${formatApplicantCount(updated.applicants.length)} for ${updated.name} withdrew after waiting a month.`
+          );
+          updated = { ...updated, applicants: [] };
+        }
+
+        if (updated.rentalMarketingActive) {
+          const plans = getRentStrategies(updated, state.centralBankRate);
+          const selectedPlan = plans.find((plan) => plan.id === updated.rentPlanId) ?? plans[0];
+          const vacancyMonths = Math.max((updated.vacancyMonths ?? 0) + 1, 1);
+          const baseChance = selectedPlan?.probability ?? 0.2;
+          const vacancyBoost = Math.min(Math.max((vacancyMonths - 1) * 0.08, 0), 0.3);
+          const demandAdjustment = Math.min(
+            (clampDemandScore(updated.demandScore) - 5) * 0.02,
+            0.2
+          );
+          const agentBoost = agent?.placementBoost ?? 0;
+          const successChance = Math.min(
+            Math.max(baseChance + vacancyBoost + demandAdjustment + agentBoost, 0.01),
+            0.98
+          );
+          const applicants = generateApplicants(
+            {
+              propertyId: updated.id,
+              day: state.day,
+              monthlyRent: selectedPlan.monthlyRent,
+              leaseMonths: selectedPlan.leaseMonths,
+              leaseOptions: LEASE_LENGTH_CHOICES,
+              successChance,
+              minimumCreditScore: agent?.minimumCreditScore
+            },
+            random
+          );
+          const bestApplicant = updated.autoAcceptApplicants ? findBestApplicant(applicants) : null;
+          if (bestApplicant) {
+            updated = placeTenant(updated, bestApplicant.tenant);
+            historyMessages.push(describeTenantPlacement(updated.name, bestApplicant.tenant));
+          } else if (applicants.length > 0) {
+            updated = { ...updated, applicants, vacancyMonths };
+            historyMessages.push(
+              `${formatApplicantCount(applicants.length)} applied to rent ${updated.name}; review them in the leasing tab.`
+            );
+          } else {
+            updated = { ...updated, vacancyMonths };
+            if (!marketingJustActivated) {
+              historyMessages.push(`No tenant secured for ${updated.name} this month.`);
+            } else {
+              historyMessages.push(
+                `No tenant secured for ${updated.name} this month despite renewed marketing.`
+              );
+            }
+          }
+        }
+      }
+    }
+
+    const refurbishing = updated.maintenanceWork !== null && updated.maintenanceWork.startDelayMonths <= 0;
+    const incident = refurbishing
+      ? null
+      : rollIncident(
+          {
+            propertyId: updated.id,
+            day: state.day,
+            baseValue: updated.baseValue,
+            maintenancePercent: updated.maintenancePercent
+          },
+          random
+        );
+    if (incident) {
+      const damagedPercent = clampMaintenancePercent(
+        updated.maintenancePercent - (findIncidentType(incident.kind)?.conditionDamage ?? 0)
+      );
+      const damagedValue = calculateMaintenanceAdjustedValue(updated.baseValue, damagedPercent);
+      const label = describeIncident(incident);
+      const repairedByAgent = agent !== null && isMinorIncident(incident, updated.baseValue, agent);
+      if (repairedByAgent) {
+        balanceChange -= incident.repairCost;
+        ledgerPostings.push({ propertyId: updated.id, category: 'maintenance', amount: -incident.repairCost });
+        historyMessages.push(
+          `${agent.name} repaired a ${label} at ${updated.name} for ${formatCurrency(incident.repairCost)}.`
+        );
+      } else if (agent && agent.minorRepairCostRatio > 0) {
+        historyMessages.push(
+          `${agent.name} reported a ${label} at ${updated.name}, which is beyond their minor repair limit. Repair it for ${formatCurrency(
+            incident.repairCost
+          )} from the maintenance tab.`
+        );
+      } else {
+        historyMessages.push(
+          `A ${label} was reported at ${updated.name}. Repair it for ${formatCurrency(
+            incident.repairCost
+          )} from the maintenance tab.`
+        );
+      }
+      updated = {
+        ...updated,
+        maintenancePercent: damagedPercent,
+        cost: damagedValue,
+        monthlyRentEstimate: calculateMonthlyRentEstimate(damagedValue, updated.demandScore),
+        incidents: trimIncidentHistory([
+          ...updated.incidents,
+          repairedByAgent ? { ...incident, repairedOnDay: state.day } : incident
+        ])
+      };
+    }
+
+    let work = updated.maintenanceWork ? { ...updated.maintenanceWork } : null;
+    if (work) {
+      if (work.startDelayMonths > 0) {
+        work.startDelayMonths = Math.max(work.startDelayMonths - 1, 0);
+        if (work.startDelayMonths <= 0) {
+          work.startDelayMonths = 0;
+          work.monthsRemaining = Math.max(work.monthsRemaining ?? 1, 1);
+          updated = {
+            ...updated,
+            tenant: null,
+            rentalMarketingPausedForMaintenance: true,
+            rentalMarketingActive: false,
+            applicants: [],
+            vacancyMonths: 0
+          };
+          historyMessages.push(
+            `Maintenance work began on ${updated.name}. Property unavailable for tenants until work completes.`
+          );
+        }
+      }
+
+      if (!updated.tenant && work.startDelayMonths <= 0) {
+        work.monthsRemaining = Math.max((work.monthsRemaining ?? 0) - 1, 0);
+        if (work.monthsRemaining <= 0) {
+          const completionCost = Math.max(Math.round(work.cost ?? 0), 0);
+          const newMaintenancePercent = 100;
+          const newCost = calculateMaintenanceAdjustedValue(updated.baseValue, newMaintenancePercent);
+          const newRentEstimate = calculateMonthlyRentEstimate(newCost, updated.demandScore);
+          const costLabel = completionCost > 0 ? ` at a cost of ${formatCurrency(completionCost)}` : '';
+          historyMessages.push(
+            `Maintenance completed on ${updated.name}${costLabel}. Condition restored to 100%.`
+          );
+          balanceChange -= completionCost;
+          ledgerPostings.push({ propertyId: updated.id, category: 'maintenance', amount: -completionCost });
+          updated = {
+            ...updated,
+            maintenancePercent: newMaintenancePercent,
+            cost: newCost,
+            monthlyRentEstimate: newRentEstimate,
+            rentalMarketingPausedForMaintenance: false,
+            rentalMarketingActive: relister !== null,
+            vacancyMonths: 0,
+            maintenanceWork: null,
+            incidents: updated.incidents.map((incident) =>
+              incident.repairedOnDay === null ? { ...incident, repairedOnDay: state.day } : incident
+            )
+          };
+          if (relister) {
+            historyMessages.push(`${relister} resumed marketing at ${updated.name} after maintenance.`);
+          }
+          work = null;
+        }
+      }
+    }
+
+    if (work) {
+      updated = { ...updated, maintenanceWork: { ...work } };
+    }
+
+    historyMessages.forEach((message) => {
+      nextState = addHistory(nextState, message);
+    });
+
+    return updated;
+  });
+
+  const monthsElapsed = 1;
+  const mortgageOutcome = processMortgagePayments(
+    updatedPortfolio,
+    monthsElapsed,
+    state.balance + balanceChange
+  );
+
+  updatedPortfolio = mortgageOutcome.properties;
+  balanceChange -= mortgageOutcome.totalPaid;
+  balanceChange += mortgageOutcome.netProceeds;
+
+  if (mortgageOutcome.totalPaid > 0) {
+    nextState = addHistory(
+      nextState,
+      `Mortgage payments this month totalled ${formatCurrency(mortgageOutcome.totalPaid)}.`
+    );
+  }
+
+  if (mortgageOutcome.mortgagesCleared.length > 0) {
+    const clearedNames = mortgageOutcome.mortgagesCleared.join(', ');
+    const prefix = mortgageOutcome.mortgagesCleared.length > 1 ? 'Mortgages fully repaid' : 'Mortgage fully repaid';
+    nextState = addHistory(nextState, `${prefix}: ${clearedNames}.`);
+  }
+
+  mortgageOutcome.variableTransitions.forEach(({ propertyName, baseRate, margin, reversionRate }) => {
+    const rateLabel = formatInterestRate(reversionRate);
+    const baseLabel = Number.isFinite(baseRate) ? formatInterestRate(baseRate) : null;
+    const marginLabel = Number.isFinite(margin) ? formatInterestRate(margin) : null;
+    let message = `${propertyName} mortgage reverted to variable rate at ${rateLabel}`;
+    if (baseLabel && marginLabel) {
+      message += ` (${baseLabel} base + ${marginLabel} margin).`;
+    } else if (marginLabel) {
+      message += ` (${marginLabel} margin applied).`;
+    } else {
+      message += '.';
+    }
+    nextState = addHistory(nextState, message);
+  });
+
+  if (mortgageOutcome.recurringOverpayments.length > 0) {
+    const overpaid = mortgageOutcome.recurringOverpayments.reduce((sum, entry) => sum + entry.amount, 0);
+    const charges = mortgageOutcome.recurringOverpayments.reduce((sum, entry) => sum + entry.charge, 0);
+    const chargeText =
+      charges > 0 ? ` plus ${formatCurrency(roundCurrency(charges))} in early repayment charges` : '';
+    const names = mortgageOutcome.recurringOverpayments.map((entry) => entry.propertyName).join(', ');
+    nextState = addHistory(
+      nextState,
+      `Recurring overpayments of ${formatCurrency(roundCurrency(overpaid))}${chargeText} went to: ${names}.`
+    );
+  }
+
+  mortgageOutcome.missedPayments.forEach(({ propertyName, paymentDue, lateFee, arrears, missedPayments }) => {
+    const remaining = FINANCE_CONFIG.arrears.repossessionAfterMissedPayments - missedPayments;
+    const warning =
+      remaining > 0
+        ? ` The lender will repossess after ${remaining} more missed payment${remaining === 1 ? '' : 's'}.`
+        : '';
+    nextState = addHistory(
+      nextState,
+      `Missed the ${formatCurrency(paymentDue)} mortgage payment on ${propertyName}. A ${formatCurrency(
+        lateFee
+      )} late fee was charged and arrears now stand at ${formatCurrency(arrears)}.${warning}`
+    );
+  });
+
+  mortgageOutcome.arrearsRepayments.forEach(({ propertyName, amount, cleared }) => {
+    nextState = addHistory(
+      nextState,
+      cleared
+        ? `Cleared ${formatCurrency(amount)} of mortgage arrears on ${propertyName}. The account is back in good standing.`
+        : `Paid ${formatCurrency(amount)} towards mortgage arrears on ${propertyName}.`
+    );
+  });
+
+  mortgageOutcome.repossessions.forEach(({ propertyName, salePrice, outstanding, netProceeds }) => {
+    const resultText =
+      netProceeds >= 0
+        ? `returned ${formatCurrency(netProceeds)} to you`
+        : `left a shortfall of ${formatCurrency(Math.abs(netProceeds))} for you to cover`;
+    nextState = addHistory(
+      nextState,
+      `Lender repossessed ${propertyName} after ${FINANCE_CONFIG.arrears.repossessionAfterMissedPayments} missed payments. Sold for ${formatCurrency(
+        salePrice
+      )} against ${formatCurrency(outstanding)} of mortgage and arrears, which ${resultText}.`
+    );
+  });
+
+  mortgageOutcome.forcedSales.forEach(({ propertyName, salePrice, outstanding, netProceeds }) => {
+    const resultText = netProceeds >= 0
+      ? `netted ${formatCurrency(netProceeds)}`
+      : `covered a shortfall of ${formatCurrency(Math.abs(netProceeds))}`;
+    nextState = addHistory(
+      nextState,
+      `Forced sale of ${propertyName}: Sold for ${formatCurrency(salePrice)} to settle ${formatCurrency(outstanding)} remaining on the interest-only mortgage and ${resultText}.`
+    );
+  });
+
+  const variableAdjustments = applyVariableRateAdjustments(updatedPortfolio, nextState.centralBankRate);
+  updatedPortfolio = variableAdjustments.properties;
+  variableAdjustments.history.forEach((message) => {
+    nextState = addHistory(nextState, message);
+  });
+
+  nextState.portfolio = updatedPortfolio;
+  nextState.balance = roundCurrency(state.balance + balanceChange);
+  nextState.lastRentCollectionDay = nextState.day;
+
+  const creditConfig = FINANCE_CONFIG.creditScore;
+  let creditChange =
+    -mortgageOutcome.missedPayments.length * creditConfig.missedPaymentPenalty -
+    mortgageOutcome.repossessions.length * creditConfig.repossessionPenalty;
+  if (creditChange === 0 && mortgageOutcome.paymentsMade > 0) {
+    creditChange = creditConfig.onTimeRecovery;
+  }
+  if (nextState.balance < 0) {
+    creditChange -= creditConfig.overdrawnPenalty;
+  }
+  nextState = applyCreditScoreChange(nextState, creditChange);
+  nextState = postLedger(nextState, [...ledgerPostings, ...mortgageOutcome.ledger]);
+  [...mortgageOutcome.repossessions, ...mortgageOutcome.forcedSales].forEach(({ propertyId, salePrice }) => {
+    const soldProperty = state.portfolio.find((property) => property.id === propertyId);
+    if (soldProperty) {
+      nextState = recordCapitalGain(nextState, soldProperty, salePrice);
+    }
+  });
+  nextState = settleTaxYearIfDue(nextState);
+  nextState = recordMonthlySnapshot(nextState, rentIncome, mortgageOutcome.totalPaid);
+
+  return assessSolvency(nextState);
+}
+
+function clampCreditScore(score: number): number {
+  const { minimum, maximum } = FINANCE_CONFIG.creditScore;
+  return Math.round(Math.min(Math.max(score, minimum), maximum));
+}
+
+function applyCreditScoreChange(state: GameState, change: number): GameState {
+  const creditScore = clampCreditScore(state.creditScore + change);
+  if (creditScore === state.creditScore) {
+    return state;
+  }
+  const nextState = { ...state, creditScore };
+  return creditScore < state.creditScore
+    ? addHistory(nextState, `Credit score fell to ${creditScore}.`)
+    : nextState;
+}
+
+export function getLendingRestriction(state: GameState, mortgage?: Mortgage | null): string | null {
+  if (state.bankruptOnDay !== null) {
+    return 'Lenders will not deal with a bankrupt borrower.';
+  }
+  if (mortgage && getMortgageArrears(mortgage) > 0) {
+    return 'Clear the mortgage arrears before applying for new terms.';
+  }
+  const threshold = FINANCE_CONFIG.creditScore.lendingThreshold;
+  if (state.creditScore < threshold) {
+    return `Credit score ${state.creditScore} is below the lending threshold of ${threshold}.`;
+  }
+  return null;
+}
+
+export function underwriteMortgage(state: GameState, property: GameProperty, mortgage: Mortgage): UnderwritingResult {
+  const existing = state.portfolio.reduce(
+    (totals, owned) => ({
+      debt: totals.debt + (owned.mortgage?.remainingBalance ?? 0) + getMortgageArrears(owned.mortgage),
+      value: totals.value + owned.cost,
+      rent: totals.rent + (owned.tenant?.monthlyRent ?? owned.monthlyRentEstimate)
+    }),
+    { debt: 0, value: 0, rent: 0 }
+  );
+  return assessMortgageApplication({
+    loanAmount: mortgage.principal,
+    propertyValue: property.cost,
+    depositRatio: mortgage.depositRatio,
+    annualInterestRate: mortgage.annualInterestRate,
+    monthlyRent: property.monthlyRentEstimate,
+    existingDebt: existing.debt,
+    existingPropertyValue: existing.value,
+    existingMonthlyRent: existing.rent
+  });
+}
+
+export function calculateNetWorth(state: GameState): number {
+  const propertyEquity = state.portfolio.reduce((total, property) => {
+    const debt = (property.mortgage?.remainingBalance ?? 0) + getMortgageArrears(property.mortgage);
+    return total + calculateSalePrice(property) - debt;
+  }, 0);
+  return roundCurrency(state.balance + propertyEquity);
+}
+
+export function createMonthlySnapshot(state: GameState, rentIncome = 0, mortgageCosts = 0): MonthlySnapshot {
+  const propertyValue = state.portfolio.reduce((total, property) => total + calculateSalePrice(property), 0);
+  const mortgageDebt = state.portfolio.reduce(
+    (total, property) =>
+      total + (property.mortgage?.remainingBalance ?? 0) + getMortgageArrears(property.mortgage),
+    0
+  );
+  const equity = roundCurrency(propertyValue - mortgageDebt);
+  return {
+    day: state.day,
+    cash: state.balance,
+    propertyValue: roundCurrency(propertyValue),
+    mortgageDebt: roundCurrency(mortgageDebt),
+    equity,
+    netWorth: roundCurrency(state.balance + equity),
+    rentIncome: roundCurrency(rentIncome),
+    mortgageCosts: roundCurrency(mortgageCosts),
+    baseRate: state.centralBankRate,
+    housePriceIndex: state.housePriceIndex
+  };
+}
+
+function recordMonthlySnapshot(state: GameState, rentIncome: number, mortgageCosts: number): GameState {
+  const snapshot = createMonthlySnapshot(state, rentIncome, mortgageCosts);
+  return {
+    ...state,
+    monthlySnapshots: [...state.monthlySnapshots, snapshot].slice(-MAX_MONTHLY_SNAPSHOTS)
+  };
+}
+
+function assessSolvency(state: GameState): GameState {
+  if (state.bankruptOnDay !== null) {
+    return state;
+  }
+  if (state.balance >= 0) {
+    return state.overdrawnMonths === 0 ? state : { ...state, overdrawnMonths: 0 };
+  }
+
+  const overdrawnMonths = state.overdrawnMonths + 1;
+  const netWorth = calculateNetWorth(state);
+  const graceMonths = FINANCE_CONFIG.arrears.bankruptcyAfterOverdrawnMonths;
+  if (netWorth < 0 || overdrawnMonths >= graceMonths) {
+    const reason =
+      netWorth < 0
+        ? `liabilities exceed assets by ${formatCurrency(Math.abs(netWorth))}`
+        : `the account stayed overdrawn for ${overdrawnMonths} months`;
+    return addHistory(
+      { ...state, overdrawnMonths, bankruptOnDay: state.day, isPaused: true },
+      `Declared bankrupt on day ${state.day}: ${reason}. Game over. Start a new game to try again.`
+    );
+  }
+
+  const remaining = graceMonths - overdrawnMonths;
+  return addHistory(
+    { ...state, overdrawnMonths },
+    `Account overdrawn by ${formatCurrency(Math.abs(state.balance))}. Restore a positive balance within ${remaining} month${
+      remaining === 1 ? '' : 's'
+    } or face bankruptcy.`
+  );
+}
+
+function adjustCentralBankRateIfNeeded(state: GameState, random: RandomSource): GameState {
+  const interval = FINANCE_CONFIG.centralBank.adjustmentIntervalDays ?? 30;
+  if (interval <= 0) {
+    return state;
+  }
+  if (state.day - state.lastCentralBankAdjustmentDay < interval) {
+    return state;
+  }
+
+  const maxStep = FINANCE_CONFIG.centralBank.maxStepPerAdjustment ?? 0.0015;
+  const direction = random() < 0.5 ? -1 : 1;
+  const change = random() * maxStep * direction;
+  const adjustedRate = clampRate(state.centralBankRate + change);
+  const message =
+    adjustedRate > state.centralBankRate
+      ? `Central bank increased the base rate to ${(adjustedRate * 100).toFixed(2)}%.`
+      : `Central bank reduced the base rate to ${(adjustedRate * 100).toFixed(2)}%.`;
+
+  return {
+    ...addHistory(state, message),
+    centralBankRate: adjustedRate,
+    lastCentralBankAdjustmentDay: state.day
+  };
+}
+
+function revalueProperty(property: GameProperty, ratio: number): GameProperty {
+  const baseValue = roundCurrency(property.baseValue * ratio);
+  const cost = calculateMaintenanceAdjustedValue(baseValue, property.maintenancePercent);
+  const monthlyRentEstimate = calculateMonthlyRentEstimate(cost, property.demandScore);
+  return { ...property, baseValue, cost, monthlyRentEstimate };
+}
+
+function updateHousePriceIndexIfDue(state: GameState, random: RandomSource): GameState {
+  const config = HOUSE_PRICE_CONFIG;
+  if (state.day - state.lastHousePriceUpdateDay < config.updateIntervalDays) {
+    return state;
+  }
+
+  const rateDrag = (state.centralBankRate - config.neutralRate) * config.rateSensitivity;
+  let change = (config.annualTrend - rateDrag) / 12 + (random() * 2 - 1) * config.monthlyVolatility;
+  const crashed = random() < config.crash.monthlyChance;
+  if (crashed) {
+    change -= getRandomNumber(config.crash.minimumDrop, config.crash.maximumDrop, 3, random);
+  }
+  const housePriceIndex = Math.min(
+    Math.max(Math.round(state.housePriceIndex * (1 + change) * 100) / 100, config.minimumIndex),
+    config.maximumIndex
+  );
+  const ratio = housePriceIndex / state.housePriceIndex;
+  const movement = `${(Math.abs(ratio - 1) * 100).toFixed(1)}% to ${housePriceIndex.toFixed(1)}`;
+  let message = `${config.regionName} house price index ${ratio >= 1 ? 'rose' : 'fell'} ${movement}.`;
+  if (crashed) {
+    message = `House prices crashed. The ${config.regionName.toLowerCase()} index fell ${movement}.`;
+  }
+
+  return {
+    ...addHistory(state, message),
+    housePriceIndex,
+    lastHousePriceUpdateDay: state.day,
+    market: state.market.map((property) => revalueProperty(property, ratio)),
+    portfolio: state.portfolio.map((property) => revalueProperty(property, ratio))
+  };
+}
+
+function degradeAllProperties(state: GameState): GameState {
+  const portfolio = state.portfolio.map((property) =>
+    degradeMaintenance(property, 1, Boolean(property.tenant))
+  );
+  const market = state.market.map((property) => degradeMaintenance(property, 1, false));
+  return { ...state, portfolio, market };
+}
+
+export function computeMonthlyCashFlow(state: GameState): number {
+  return state.portfolio.reduce((total, property) => {
+    const rent = property.tenant?.monthlyRent ?? 0;
+    const mortgage = property.mortgage?.monthlyPayment ?? 0;
+    return total + (rent - mortgage - calculateLettingAgentFee(property));
+  }, 0);
+}
+
+function createInitialState(config: GameConfig, seed: string): GameState {
+  const market = defaultProperties.map(createInitialProperty);
+  return {
+    balance: config.startingBalance,
+    day: 1,
+    centralBankRate: FINANCE_CONFIG.centralBank.initialRate,
+    housePriceIndex: HOUSE_PRICE_CONFIG.initialIndex,
+    speed: config.speed,
+    isPaused: false,
+    market,
+    portfolio: [],
+    history: [],
+    lastCentralBankAdjustmentDay: 0,
+    lastHousePriceUpdateDay: 0,
+    lastMarketGenerationDay: 0,
+    lastRentCollectionDay: 0,
+    seed,
+    rngState: hashSeed(seed),
+    creditScore: FINANCE_CONFIG.creditScore.initial,
+    overdrawnMonths: 0,
+    bankruptOnDay: null,
+    monthlySnapshots: [],
+    ledger: [],
+    tax: {
+      yearStartDay: 1,
+      capitalGains: [],
+      lossesCarriedForward: 0,
+      bills: []
+    },
+    finance: {
+      open: false,
+      propertyId: null,
+      depositRatio: FINANCE_CONFIG.defaultDepositRatio,
+      termYears: FINANCE_CONFIG.defaultTermYears,
+      fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
+      interestOnly: false,
+      lenderId: FINANCE_CONFIG.defaultLenderId,
+      addFeeToLoan: false,
+      validationError: null
+    },
+    management: {
+      open: false,
+      propertyId: null,
+      activeSection: 'overview',
+      refinance: {
+        fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
+        cashOutAmount: 0
+      }
+    }
+  };
+}
+
+function setGameSpeed(state: GameState, value: number): GameState {
+  if (!Number.isFinite(value) || value <= 0) {
+    return state;
+  }
+  const speedMultiplier = (1000 / value).toFixed(1);
+  return addHistory({ ...state, speed: value }, `Game speed set to ${speedMultiplier}x.`);
+}
+
+function openManagement(state: GameState, propertyId: string): GameState {
+  return {
+    ...state,
+    management: {
+      ...state.management,
+      open: true,
+      propertyId,
+      activeSection: 'overview',
+      refinance: {
+        ...state.management.refinance,
+        fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
+        cashOutAmount: 0
+      }
+    }
+  };
+}
+
+function closeManagement(state: GameState): GameState {
+  return {
+    ...state,
+    management: {
+      ...state.management,
+      open: false,
+      propertyId: null,
+      refinance: {
+        ...state.management.refinance,
+        fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
+        cashOutAmount: 0
+      }
+    }
+  };
+}
+
+function setManagementSection(state: GameState, section: ManagementState['activeSection']): GameState {
+  return {
+    ...state,
+    management: {
+      ...state.management,
+      activeSection: section
+    }
+  };
+}
+
+function setManagementRefinanceFixedPeriod(state: GameState, years: number): GameState {
+  if (!Number.isFinite(years) || years <= 0) {
+    return state;
+  }
+
+  const clamped = Math.max(years, 1 / 12);
+
+  return {
+    ...state,
+    management: {
+      ...state.management,
+      refinance: {
+        ...state.management.refinance,
+        fixedPeriodYears: clamped
+      }
+    }
+  };
+}
+
+function setManagementRefinanceCashOut(state: GameState, amount: number): GameState {
+  if (!Number.isFinite(amount) || amount < 0) {
+    return state;
+  }
+
+  return {
+    ...state,
+    management: {
+      ...state.management,
+      refinance: {
+        ...state.management.refinance,
+        cashOutAmount: roundCurrency(amount)
+      }
+    }
+  };
+}
+
+function confirmManagementRefinance(state: GameState, propertyId: string): GameState {
+  if (!propertyId) {
+    return state;
+  }
+
+  const index = state.portfolio.findIndex((property) => property.id === propertyId);
+  if (index === -1) {
+    return state;
+  }
+
+  const property = state.portfolio[index];
+  const refinanceRestriction = getRefinanceRestriction(state, property);
+  if (refinanceRestriction) {
+    return addHistory(state, `Refinance declined for ${property.name}: ${refinanceRestriction}`);
+  }
+
+  const quote = quoteRefinance(state, property);
+  if (!quote) {
+    return state;
+  }
+
+  const netCash = roundCurrency(quote.cashOut - quote.earlyRepaymentCharge);
+  if (state.balance + netCash < 0) {
+    return addHistory(
+      state,
+      `Refinance declined for ${property.name}: the ${formatCurrency(
+        quote.earlyRepaymentCharge
+      )} early repayment charge exceeds your available funds of ${formatCurrency(state.balance)}.`
+    );
+  }
+
+  const { profile } = quote;
+  const fixedRate = profile.fixedRate;
+  const monthlyRate = fixedRate / 12;
+  const deposit = roundCurrency(property.cost * quote.depositRatio);
+
+  const updatedMortgage: Mortgage = {
+    ...property.mortgage,
+    depositRatio: quote.depositRatio,
+    deposit,
+    principal: quote.principal,
+    interestOnly: property.mortgage?.interestOnly ?? false,
+    baseRate: profile.baseRate,
+    annualInterestRate: fixedRate,
+    monthlyInterestRate: monthlyRate,
+    variableRateMargin: profile.variableRateMargin,
+    reversionRate: profile.reversionRate,
+    termMonths: quote.remainingTermMonths,
+    remainingTermMonths: quote.remainingTermMonths,
+    remainingBalance: quote.principal,
+    fixedPeriodYears: quote.fixedPeriodYears,
+    fixedPeriodMonths: quote.fixedPeriodMonths,
+    monthlyPayment: quote.monthlyPayment,
+    variableRateActive: false,
+    lenderId: quote.lender.id,
+    overpaymentAllowanceUsed: 0
+  };
+
+  if (quote.cashOut > 0) {
+    const otherHoldings = { ...state, portfolio: state.portfolio.filter((owned) => owned.id !== property.id) };
+    const underwriting = underwriteMortgage(otherHoldings, property, updatedMortgage);
+    if (!underwriting.approved) {
+      const reasons = underwriting.failures.map((failure) => failure.message).join(' ');
+      return addHistory(state, `Refinance declined for ${property.name}: ${reasons}`);
+    }
+  }
+
+  const updatedProperty: GameProperty = { ...property, mortgage: updatedMortgage };
+  const portfolio = [...state.portfolio];
+  portfolio[index] = updatedProperty;
+
+  const refinanceReset = {
+    ...state.management.refinance,
+    fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
+    cashOutAmount: 0
+  };
+
+  let nextState: GameState = postLedger(
+    {
+      ...state,
+      portfolio,
+      balance: roundCurrency(state.balance + netCash),
+      management: {
+        ...state.management,
+        refinance: refinanceReset
+      }
+    },
+    [
+      { propertyId: property.id, category: 'equity-release', amount: quote.cashOut },
+      { propertyId: property.id, category: 'repayment-charge', amount: -quote.earlyRepaymentCharge }
+    ]
+  );
+
+  const remainingEquity = Math.max(roundCurrency(quote.equity.value - quote.principal), 0);
+  const equityRatio = quote.equity.value > 0 ? remainingEquity / quote.equity.value : 0;
+  const equityPercentLabel = formatPercentage(equityRatio);
+  const fixedRateLabel = formatInterestRate(fixedRate);
+  const baseRateLabel = formatInterestRate(profile.baseRate);
+  const marginLabel = formatInterestRate(profile.variableRateMargin);
+  const reversionLabel = formatInterestRate(profile.reversionRate);
+  const outstandingLabel = formatCurrency(quote.principal);
+  const monthlyPaymentLabel = formatCurrency(quote.monthlyPayment);
+  const fixedYearsLabel = Number(quote.fixedPeriodYears.toFixed(2));
+  const fixedPeriodLabel = `${fixedYearsLabel} year${Math.abs(fixedYearsLabel - 1) < 1e-6 ? '' : 's'}`;
+
+  if (quote.earlyRepaymentCharge > 0) {
+    nextState = addHistory(
+      nextState,
+      `Paid a ${formatCurrency(quote.earlyRepaymentCharge)} early repayment charge to leave the fixed deal on ${property.name} early.`
+    );
+  }
+
+  if (quote.cashOut > 0) {
+    nextState = addHistory(
+      nextState,
+      `Released ${formatCurrency(quote.cashOut)} of equity from ${property.name}, borrowing ${formatPercentage(
+        quote.loanToValue
+      )} of its ${formatCurrency(quote.equity.value)} value.`
+    );
+  }
+
+  nextState = addHistory(
+    nextState,
+    `Locked a new fixed rate on ${property.name} with ${quote.lender.name}: ${equityPercentLabel} equity unlocked ${fixedRateLabel} for ${fixedPeriodLabel} (base ${baseRateLabel} + ${marginLabel} = ${reversionLabel} thereafter). New payment ${monthlyPaymentLabel} / month on ${outstandingLabel} outstanding.`
+  );
+
+  if (remainingEquity > 0) {
+    const equityLabel = formatCurrency(remainingEquity);
+    const valueLabel = formatCurrency(quote.equity.value);
+    nextState = addHistory(
+      nextState,
+      `${property.name} now has ${equityLabel} equity (${equityPercentLabel} of current value ${valueLabel}).`
+    );
+  }
+
+  return nextState;
+}
+
+function makeMortgageOverpayment(state: GameState, propertyId: string, amount: number): GameState {
+  if (!propertyId || !Number.isFinite(amount) || amount <= 0) {
+    return state;
+  }
+
+  const index = state.portfolio.findIndex((property) => property.id === propertyId);
+  if (index === -1) {
+    return state;
+  }
+  const property = state.portfolio[index];
+  const mortgage = property.mortgage;
+  if (!mortgage || mortgage.remainingBalance <= 0.5) {
+    return state;
+  }
+  if (state.bankruptOnDay !== null) {
+    return addHistory(state, `Overpayment declined for ${property.name}: you have been declared bankrupt.`);
+  }
+  if (getMortgageArrears(mortgage) > 0) {
+    return addHistory(
+      state,
+      `Overpayment declined for ${property.name}: clear the ${formatCurrency(getMortgageArrears(mortgage))} of arrears first.`
+    );
+  }
+
+  const overpayment = applyMortgageOverpayment(mortgage, amount);
+  const cost = roundCurrency(overpayment.amount + overpayment.charge);
+  if (cost > state.balance) {
+    return addHistory(
+      state,
+      `Unable to overpay ${property.name}: requires ${formatCurrency(cost)} but only ${formatCurrency(state.balance)} is available.`
+    );
+  }
+
+  const cleared = overpayment.mortgage.remainingBalance <= 0;
+  const portfolio = [...state.portfolio];
+  portfolio[index] = { ...property, mortgage: cleared ? null : overpayment.mortgage };
+
+  const chargeText =
+    overpayment.charge > 0
+      ? ` An early repayment charge of ${formatCurrency(overpayment.charge)} applied.`
+      : '';
+  let outcomeText: string;
+  if (cleared) {
+    outcomeText = 'The mortgage is now fully repaid.';
+  } else if (overpayment.monthsSaved > 0) {
+    outcomeText = `The term is ${overpayment.monthsSaved} month${overpayment.monthsSaved === 1 ? '' : 's'} shorter.`;
+  } else if (overpayment.paymentReduction > 0) {
+    outcomeText = `The monthly payment fell to ${formatCurrency(overpayment.mortgage.monthlyPayment)}.`;
+  } else {
+    outcomeText = `${formatCurrency(overpayment.mortgage.remainingBalance)} remains outstanding.`;
+  }
+
+  const nextState = postLedger({ ...state, portfolio, balance: roundCurrency(state.balance - cost) }, [
+    { propertyId: property.id, category: 'overpayment', amount: -overpayment.amount },
+    { propertyId: property.id, category: 'repayment-charge', amount: -overpayment.charge }
+  ]);
+  return addHistory(
+    nextState,
+    `Overpaid ${formatCurrency(overpayment.amount)} on the ${property.name} mortgage. ${outcomeText}${chargeText}`
+  );
+}
+
+function setMortgageRecurringOverpayment(state: GameState, propertyId: string, amount: number): GameState {
+  if (!Number.isFinite(amount) || amount < 0) {
+    return state;
+  }
+  const recurringOverpayment = roundCurrency(amount);
+
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    const mortgage = property.mortgage;
+    if (!mortgage || (mortgage.recurringOverpayment ?? 0) === recurringOverpayment) {
+      return null;
+    }
+    return { ...property, mortgage: { ...mortgage, recurringOverpayment } };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message =
+    recurringOverpayment > 0
+      ? `Set a recurring overpayment of ${formatCurrency(recurringOverpayment)} / month on ${result.property.name}.`
+      : `Stopped recurring overpayments on ${result.property.name}.`;
+  return addHistory(result.state, message);
+}
+
+function setMortgageOverpaymentStrategy(state: GameState, propertyId: string, strategy: MortgageOverpaymentStrategy): GameState {
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    const mortgage = property.mortgage;
+    if (!mortgage || mortgage.interestOnly || getOverpaymentStrategy(mortgage) === strategy) {
+      return null;
+    }
+    return { ...property, mortgage: { ...mortgage, overpaymentStrategy: strategy } };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message =
+    strategy === 'reduce-term'
+      ? `Overpayments on ${result.property.name} will now shorten the mortgage term.`
+      : `Overpayments on ${result.property.name} will now reduce the monthly payment.`;
+  return addHistory(result.state, message);
+}
+
+function updatePortfolioProperty(
+  state: GameState,
+  propertyId: string,
+  updater: (property: GameProperty) => GameProperty | null
+): { state: GameState; property: GameProperty | null; changed: boolean } {
+  const index = state.portfolio.findIndex((property) => property.id === propertyId);
+  if (index === -1) {
+    return { state, property: null, changed: false };
+  }
+  const property = state.portfolio[index];
+  const updated = updater(property);
+  if (!updated) {
+    return { state, property, changed: false };
+  }
+  const portfolio = [...state.portfolio];
+  portfolio[index] = updated;
+  return { state: { ...state, portfolio }, property: updated, changed: true };
+}
+
+function setPropertyLeaseMonths(state: GameState, propertyId: string, leaseMonths: number): GameState {
+  if (!Number.isFinite(leaseMonths) || leaseMonths <= 0) {
+    return state;
+  }
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    const plans = getRentStrategies(property, state.centralBankRate);
+    const currentPlan =
+      plans.find((plan) => plan.id === property.rentPlanId) ?? plans[0] ?? null;
+    if (!currentPlan) {
+      return null;
+    }
+    const targetPlan =
+      plans.find(
+        (plan) =>
+          plan.leaseMonths === leaseMonths && Math.abs(plan.rateOffset - currentPlan.rateOffset) < 1e-6
+      ) ?? null;
+    if (!targetPlan || targetPlan.id === property.rentPlanId) {
+      return null;
+    }
+    return { ...property, rentPlanId: targetPlan.id };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const plan = findRentPlan(
+    result.property,
+    result.property.rentPlanId,
+    result.state.centralBankRate
+  );
+  if (!plan) {
+    return result.state;
+  }
+  const message = `Updated ${result.property.name} to a ${plan.leaseMonths}-month lease with a ${formatRentPremiumLabel(plan.rateOffset)} rent premium (expected rent ${formatCurrency(plan.monthlyRent)}).`;
+  return addHistory(result.state, message);
+}
+
+function setPropertyRentPremium(state: GameState, propertyId: string, rateOffset: number): GameState {
+  if (!Number.isFinite(rateOffset)) {
+    return state;
+  }
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    const plans = getRentStrategies(property, state.centralBankRate);
+    const currentPlan =
+      plans.find((plan) => plan.id === property.rentPlanId) ?? plans[0] ?? null;
+    if (!currentPlan) {
+      return null;
+    }
+    const targetPlan =
+      plans.find(
+        (plan) =>
+          Math.abs(plan.rateOffset - rateOffset) < 1e-6 && plan.leaseMonths === currentPlan.leaseMonths
+      ) ?? null;
+    if (!targetPlan || targetPlan.id === property.rentPlanId) {
+      return null;
+    }
+    return { ...property, rentPlanId: targetPlan.id };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const plan = findRentPlan(
+    result.property,
+    result.property.rentPlanId,
+    result.state.centralBankRate
+  );
+  if (!plan) {
+    return result.state;
+  }
+  const premiumLabel = formatRentPremiumLabel(plan.rateOffset);
+  const message = `Adjusted rent premium for ${result.property.name} to ${premiumLabel} (${formatCurrency(plan.monthlyRent)} expected).`;
+  return addHistory(result.state, message);
+}
+
+function setPropertyAutoRelist(state: GameState, propertyId: string, enabled: boolean): GameState {
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    if (property.autoRelist === enabled) {
+      return null;
+    }
+    return { ...property, autoRelist: enabled };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message = result.property.autoRelist
+    ? `Enabled auto-relisting for ${result.property.name}.`
+    : `Disabled auto-relisting for ${result.property.name}.`;
+  return addHistory(result.state, message);
+}
+
+function setPropertyAutoAcceptApplicants(state: GameState, propertyId: string, enabled: boolean): GameState {
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    if (property.autoAcceptApplicants === enabled) {
+      return null;
+    }
+    return { ...property, autoAcceptApplicants: enabled };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message = result.property.autoAcceptApplicants
+    ? `${result.property.name} will now place the best applicant automatically.`
+    : `${result.property.name} will now hold applicants for your review.`;
+  return addHistory(result.state, message);
+}
+
+function setPropertyLettingAgent(state: GameState, propertyId: string, agentId: string | null): GameState {
+  const agent = findLettingAgent(agentId);
+  if (agentId !== null && !agent) {
+    return state;
+  }
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    if (property.lettingAgentId === agentId) {
+      return null;
+    }
+    return { ...property, lettingAgentId: agentId };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message = agent
+    ? `Hired ${agent.name} to look after ${result.property.name} for ${formatPercentage(agent.feeRate)} of the rent.`
+    : `${result.property.name} is now self-managed.`;
+  return addHistory(result.state, message);
+}
+
+function setPropertyRentReviews(state: GameState, propertyId: string, enabled: boolean): GameState {
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    if (property.rentReviewsEnabled === enabled) {
+      return null;
+    }
+    return { ...property, rentReviewsEnabled: enabled };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message = result.property.rentReviewsEnabled
+    ? `Enabled rent reviews every ${TENANT_CONFIG.renewal.reviewIntervalMonths} months at ${result.property.name}.`
+    : `Disabled rent reviews at ${result.property.name}.`;
+  return addHistory(result.state, message);
+}
+
+function offerLeaseRenewal(state: GameState, propertyId: string, monthlyRent: number): GameState {
+  if (!Number.isFinite(monthlyRent) || monthlyRent <= 0) {
+    return state;
+  }
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    const { tenant } = property;
+    if (!tenant?.renewal) {
+      return null;
+    }
+    const offeredRent = roundCurrency(Math.min(monthlyRent, calculateMaximumRenewalRent(tenant)));
+    return { ...property, tenant: { ...tenant, renewal: { ...tenant.renewal, offeredRent, declined: false } } };
+  });
+  const renewal = result.property?.tenant?.renewal;
+  if (!result.changed || !result.property?.tenant || !renewal) {
+    return result.state;
+  }
+  return addHistory(
+    result.state,
+    `Offered ${result.property.tenant.name} a ${renewal.leaseMonths}-month renewal at ${result.property.name} for ${formatCurrency(
+      renewal.offeredRent
+    )} a month.`
+  );
+}
+
+function declineLeaseRenewal(state: GameState, propertyId: string): GameState {
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    const { tenant } = property;
+    if (!tenant?.renewal || tenant.renewal.declined) {
+      return null;
+    }
+    return { ...property, tenant: { ...tenant, renewal: { ...tenant.renewal, declined: true } } };
+  });
+  if (!result.changed || !result.property?.tenant) {
+    return result.state;
+  }
+  return addHistory(
+    result.state,
+    `Told ${result.property.tenant.name} the lease at ${result.property.name} will not be renewed.`
+  );
+}
+
+function findPendingApplicant(
+  state: GameState,
+  propertyId: string,
+  applicantId: string
+): { property: GameProperty; applicant: TenantApplicant } | null {
+  const property = state.portfolio.find((entry) => entry.id === propertyId);
+  const applicant = property?.applicants.find((entry) => entry.id === applicantId);
+  return property && applicant && !property.tenant ? { property, applicant } : null;
+}
+
+function acceptTenantApplicant(state: GameState, propertyId: string, applicantId: string): GameState {
+  const pending = findPendingApplicant(state, propertyId, applicantId);
+  if (!pending) {
+    return state;
+  }
+  const result = updatePortfolioProperty(state, propertyId, (property) => placeTenant(property, pending.applicant.tenant));
+  return addHistory(result.state, describeTenantPlacement(pending.property.name, pending.applicant.tenant));
+}
+
+function rejectTenantApplicant(state: GameState, propertyId: string, applicantId: string): GameState {
+  const pending = findPendingApplicant(state, propertyId, applicantId);
+  if (!pending) {
+    return state;
+  }
+  const result = updatePortfolioProperty(state, propertyId, (property) => ({
+    ...property,
+    applicants: property.applicants.filter((entry) => entry.id !== applicantId)
+  }));
+  return addHistory(result.state, `Turned down ${pending.applicant.tenant.name}'s application for ${pending.property.name}.`);
+}
+
+function counterTenantApplicant(
+  state: GameState,
+  propertyId: string,
+  applicantId: string,
+  monthlyRent: number
+): GameState {
+  const pending = findPendingApplicant(state, propertyId, applicantId);
+  if (!pending || !Number.isFinite(monthlyRent) || monthlyRent <= 0) {
+    return state;
+  }
+  const { property, applicant } = pending;
+  const tenant = respondToCounterOffer(applicant, monthlyRent);
+  if (!tenant) {
+    const result = updatePortfolioProperty(state, propertyId, (entry) => ({
+      ...entry,
+      applicants: entry.applicants.filter((candidate) => candidate.id !== applicantId)
+    }));
+    return addHistory(
+      result.state,
+      `${applicant.tenant.name} turned down a counter-offer of ${formatCurrency(monthlyRent)} a month for ${property.name} and withdrew.`
+    );
+  }
+  const result = updatePortfolioProperty(state, propertyId, (entry) => placeTenant(entry, tenant));
+  const accepted = addHistory(
+    result.state,
+    `${tenant.name} accepted a counter-offer of ${formatCurrency(tenant.monthlyRent)} a month for ${property.name}.`
+  );
+  return addHistory(accepted, describeTenantPlacement(property.name, tenant));
+}
+
+function setPropertyRentalMarketingActive(state: GameState, propertyId: string, active: boolean): GameState {
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    if (property.rentalMarketingActive === active) {
+      return null;
+    }
+    if (active && (property.rentalMarketingPausedForMaintenance || property.tenant)) {
+      return null;
+    }
+    return {
+      ...property,
+      rentalMarketingActive: active,
+      applicants: active ? property.applicants : [],
+      vacancyMonths: 0
+    };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message = result.property.rentalMarketingActive
+    ? `Started advertising ${result.property.name} for tenants.`
+    : `Paused advertising for ${result.property.name}.`;
+  return addHistory(result.state, message);
+}
+
+function setPropertyMarketingPaused(state: GameState, propertyId: string, paused: boolean): GameState {
+  const result = updatePortfolioProperty(state, propertyId, (property) => {
+    if (property.rentalMarketingPausedForMaintenance === paused) {
+      return null;
+    }
+    return {
+      ...property,
+      rentalMarketingPausedForMaintenance: paused,
+      rentalMarketingActive: paused ? false : property.rentalMarketingActive,
+      applicants: paused ? [] : property.applicants,
+      vacancyMonths: 0
+    };
+  });
+  if (!result.changed || !result.property) {
+    return result.state;
+  }
+  const message = result.property.rentalMarketingPausedForMaintenance
+    ? `Paused marketing at ${result.property.name} for maintenance.`
+    : `Resumed tenant marketing at ${result.property.name}.`;
+  return addHistory(result.state, message);
+}
+
+function schedulePropertyMaintenance(state: GameState, propertyId: string): GameState {
+  const index = state.portfolio.findIndex((property) => property.id === propertyId);
+  if (index === -1) {
+    return state;
+  }
+  const property = state.portfolio[index];
+  if (property.maintenanceWork) {
+    return addHistory(state, `${property.name} already has maintenance scheduled.`);
+  }
+  if (property.maintenancePercent >= 100) {
+    return addHistory(state, `${property.name} is already at 100% maintenance.`);
+  }
+
+  const tenantMonthsRemaining = getTenantMonthsRemaining(property);
+  const { projectedCost, projectedPercent } = estimateMaintenanceCost(property, {
+    delayMonths: tenantMonthsRemaining
+  });
+
+  if (projectedCost > state.balance) {
+    return addHistory(
+      state,
+      `Unable to schedule maintenance for ${property.name}: requires ${formatCurrency(projectedCost)} but only ${formatCurrency(state.balance)} is available.`
+    );
+  }
+
+  const maintenanceWork: MaintenanceWorkOrder = {
+    monthsRemaining: 1,
+    cost: projectedCost,
+    scheduledOnDay: state.day,
+    startDelayMonths: tenantMonthsRemaining
+  };
+
+  const updatedProperty: GameProperty = {
+    ...property,
+    maintenanceWork,
+    rentalMarketingPausedForMaintenance:
+      tenantMonthsRemaining === 0 ? true : property.rentalMarketingPausedForMaintenance,
+    rentalMarketingActive:
+      tenantMonthsRemaining === 0 ? false : property.rentalMarketingActive,
+    applicants: tenantMonthsRemaining === 0 ? [] : property.applicants,
+    vacancyMonths: tenantMonthsRemaining === 0 ? 0 : property.vacancyMonths
+  };
+
+  const portfolio = [...state.portfolio];
+  portfolio[index] = updatedProperty;
+
+  let nextState: GameState = { ...state, portfolio };
+
+  const message = tenantMonthsRemaining > 0
+    ? `Scheduled maintenance for ${property.name}: work will begin once the current lease ends (${formatLeaseCountdown(tenantMonthsRemaining)} remaining) and will require 1 month of vacancy (estimated cost ${formatCurrency(projectedCost)} based on an expected condition of ${formatPercent(projectedPercent)}).`
+    : `Scheduled maintenance for ${property.name}: property will be vacant for 1 month (estimated cost ${formatCurrency(projectedCost)}).`;
+
+  nextState = addHistory(nextState, message);
+  return nextState;
+}
+
+function repairMaintenanceIncident(state: GameState, propertyId: string, incidentId: string): GameState {
+  const property = state.portfolio.find((entry) => entry.id === propertyId);
+  const incident = property?.incidents.find((entry) => entry.id === incidentId && entry.repairedOnDay === null);
+  if (!property || !incident) {
+    return state;
+  }
+  const label = describeIncident(incident);
+  if (incident.repairCost > state.balance) {
+    return addHistory(
+      state,
+      `Unable to repair the ${label} at ${property.name}: requires ${formatCurrency(
+        incident.repairCost
+      )} but only ${formatCurrency(state.balance)} is available.`
+    );
+  }
+  const result = updatePortfolioProperty(state, propertyId, (entry) => ({
+    ...entry,
+    incidents: entry.incidents.map((candidate) =>
+      candidate.id === incidentId ? { ...candidate, repairedOnDay: state.day } : candidate
+    )
+  }));
+  const nextState = postLedger(
+    { ...result.state, balance: roundCurrency(result.state.balance - incident.repairCost) },
+    [{ propertyId, category: 'maintenance', amount: -incident.repairCost }]
+  );
+  return addHistory(nextState, `Repaired the ${label} at ${property.name} for ${formatCurrency(incident.repairCost)}.`);
+}
+
+function openFinance(state: GameState, propertyId: string): GameState {
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      open: true,
+      propertyId,
+      depositRatio: FINANCE_CONFIG.defaultDepositRatio,
+      termYears: FINANCE_CONFIG.defaultTermYears,
+      fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
+      interestOnly: false,
+      lenderId: FINANCE_CONFIG.defaultLenderId,
+      validationError: null
+    }
+  };
+}
+
+function closeFinance(state: GameState): GameState {
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      open: false,
+      propertyId: null,
+      validationError: null
+    }
+  };
+}
+
+function selectFinanceDeposit(state: GameState, ratio: number): GameState {
+  if (!Number.isFinite(ratio) || ratio <= 0) {
+    return state;
+  }
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      depositRatio: ratio,
+      validationError: null
+    }
+  };
+}
+
+function selectFinanceTerm(state: GameState, years: number): GameState {
+  if (!Number.isFinite(years) || years <= 0) {
+    return state;
+  }
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      termYears: years,
+      fixedPeriodYears: Math.min(state.finance.fixedPeriodYears, years),
+      validationError: null
+    }
+  };
+}
+
+function selectFinanceFixedPeriod(state: GameState, years: number): GameState {
+  if (!Number.isFinite(years) || years <= 0) {
+    return state;
+  }
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      fixedPeriodYears: Math.min(years, state.finance.termYears),
+      validationError: null
+    }
+  };
+}
+
+function setFinanceInterestOnly(state: GameState, value: boolean): GameState {
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      interestOnly: value,
+      validationError: null
+    }
+  };
+}
+
+function setFinanceFeeFinancing(state: GameState, addFeeToLoan: boolean): GameState {
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      addFeeToLoan,
+      validationError: null
+    }
+  };
+}
+
+function selectFinanceLender(state: GameState, lenderId: string): GameState {
+  if (!FINANCE_CONFIG.lenders.some((lender) => lender.id === lenderId)) {
+    return state;
+  }
+  return {
+    ...state,
+    finance: {
+      ...state.finance,
+      lenderId,
+      validationError: null
+    }
+  };
+}
+
+function describePurchaseCosts(costs: PurchaseCosts): string {
+  const parts = [`${formatCurrency(costs.purchaseTax)} purchase tax`];
+  if (costs.surcharge > 0) {
+    parts.push(`${formatCurrency(costs.surcharge)} additional property surcharge`);
+  }
+  parts.push(`${formatCurrency(costs.legalFee)} legal fees`, `${formatCurrency(costs.surveyFee)} survey`);
+  return `Paid ${formatCurrency(costs.total)} in purchase costs: ${parts.join(', ')}.`;
+}
+
+function confirmFinance(state: GameState): GameState {
+  if (!state.finance.propertyId) {
+    return state;
+  }
+  const property = state.market.find((item) => item.id === state.finance.propertyId);
+  if (!property) {
+    return closeFinance(state);
+  }
+  const lendingRestriction = getLendingRestriction(state);
+  if (lendingRestriction) {
+    return {
+      ...state,
+      finance: { ...state.finance, validationError: `Mortgage declined. ${lendingRestriction}` }
+    };
+  }
+  const lender = resolveLender(state.finance.lenderId);
+  const eligibilityIssue = getLenderEligibilityIssue(lender, state.finance.depositRatio, state.finance.interestOnly);
+  if (eligibilityIssue) {
+    return {
+      ...state,
+      finance: { ...state.finance, validationError: `Mortgage declined. ${eligibilityIssue}` }
+    };
+  }
+  const mortgage = createMortgage(property, state, lender);
+  const quote = quotePurchase(state, property, mortgage);
+  if (quote.cashRequired > state.balance) {
+    return {
+      ...state,
+      finance: {
+        ...state.finance,
+        validationError: `Insufficient funds for the deposit and purchase costs. You need ${formatCurrency(
+          quote.cashRequired
+        )}.`
+      }
+    };
+  }
+  const underwriting = underwriteMortgage(state, property, mortgage);
+  if (!underwriting.approved) {
+    const reasons = underwriting.failures.map((failure) => failure.message).join(' ');
+    return {
+      ...state,
+      finance: { ...state.finance, validationError: `Mortgage declined. ${reasons}` }
+    };
+  }
+
+  const updatedProperty: GameProperty = {
+    ...property,
+    mortgage,
+    purchasePrice: property.cost
+  };
+
+  let nextState: GameState = {
+    ...state,
+    balance: roundCurrency(state.balance - quote.cashRequired),
+    market: state.market.filter((item) => item.id !== property.id),
+    portfolio: [...state.portfolio, updatedProperty],
+    finance: {
+      ...state.finance,
+      open: false,
+      propertyId: null,
+      validationError: null
+    }
+  };
+  nextState = postLedger(nextState, [
+    { propertyId: property.id, category: 'deposit', amount: -mortgage.deposit },
+    { propertyId: property.id, category: 'arrangement-fee', amount: quote.feeAddedToLoan ? 0 : -quote.arrangementFee },
+    { propertyId: property.id, category: 'purchase-costs', amount: -quote.costs.total }
+  ]);
+
+  nextState = addHistory(
+    nextState,
+    `Purchased ${property.name} with ${Math.round(mortgage.depositRatio * 100)}% deposit. Monthly payment ${formatCurrency(
+      mortgage.monthlyPayment
+    )}.`
+  );
+  let arrangementMessage = `Mortgage arranged with ${lender.name}.`;
+  if (quote.arrangementFee > 0) {
+    arrangementMessage = quote.feeAddedToLoan
+      ? `Mortgage arranged with ${lender.name}, with the ${formatCurrency(quote.arrangementFee)} fee added to the loan.`
+      : `Mortgage arranged with ${lender.name} for a ${formatCurrency(quote.arrangementFee)} fee.`;
+  }
+  nextState = addHistory(nextState, describePurchaseCosts(quote.costs));
+  nextState = addHistory(nextState, arrangementMessage);
+
+  return nextState;
+}
+
+function confirmCashPurchase(state: GameState): GameState {
+  if (!state.finance.propertyId) {
+    return state;
+  }
+  const property = state.market.find((item) => item.id === state.finance.propertyId);
+  if (!property) {
+    return closeFinance(state);
+  }
+  if (state.bankruptOnDay !== null) {
+    return {
+      ...state,
+      finance: { ...state.finance, validationError: 'Purchases are closed after bankruptcy.' }
+    };
+  }
+  const quote = quotePurchase(state, property, null);
+  if (quote.cashRequired > state.balance) {
+    return {
+      ...state,
+      finance: {
+        ...state.finance,
+        validationError: `Insufficient funds to buy outright. You need ${formatCurrency(quote.cashRequired)}.`
+      }
+    };
+  }
+
+  const updatedProperty: GameProperty = {
+    ...property,
+    mortgage: null,
+    purchasePrice: property.cost
+  };
+
+  let nextState: GameState = {
+    ...state,
+    balance: roundCurrency(state.balance - quote.cashRequired),
+    market: state.market.filter((item) => item.id !== property.id),
+    portfolio: [...state.portfolio, updatedProperty],
+    finance: {
+      ...state.finance,
+      open: false,
+      propertyId: null,
+      validationError: null
+    }
+  };
+  nextState = postLedger(nextState, [
+    { propertyId: property.id, category: 'purchase', amount: -property.cost },
+    { propertyId: property.id, category: 'purchase-costs', amount: -quote.costs.total }
+  ]);
+
+  nextState = addHistory(nextState, `Purchased ${property.name} outright for ${formatCurrency(property.cost)}.`);
+  nextState = addHistory(nextState, describePurchaseCosts(quote.costs));
+  if (property.tenant) {
+    nextState = addHistory(
+      nextState,
+      `Lease transfers with purchase: ${property.name} continues at ${formatCurrency(
+        property.tenant.monthlyRent
+      )} per month (${formatLeaseCountdown(property.tenant.leaseMonthsRemaining)} remaining).`
+    );
+  }
+
+  return nextState;
+}
+
+function sellProperty(state: GameState, propertyId: string): GameState {
+  const index = state.portfolio.findIndex((item) => item.id === propertyId);
+  if (index < 0) {
+    return state;
+  }
+  const property = state.portfolio[index];
+  const saleContext = createSaleContext(property, state.balance);
+
+  if (!saleContext.canSell) {
+    const reasonText = saleContext.restrictions.join(' ');
+    const message = reasonText
+      ? `Sale attempt blocked for ${property.name}: ${reasonText}`
+      : `Sale attempt blocked for ${property.name}.`;
+    return addHistory(state, message);
+  }
+
+  const salePrice = saleContext.salePrice;
+  const sellingCosts = saleContext.sellingCosts;
+  const outstanding = saleContext.outstandingBalance;
+  const netProceeds = saleContext.netProceeds;
+  const settlement = property.tenant ? settleDeposit(property.tenant) : null;
+  const retainedDeposit = settlement?.retained ?? 0;
+  const updatedPortfolio = state.portfolio.filter((_, idx) => idx !== index);
+  const balanceAfterSale = roundCurrency(state.balance + netProceeds + retainedDeposit);
+
+  let nextState: GameState = postLedger(
+    {
+      ...state,
+      portfolio: updatedPortfolio,
+      balance: balanceAfterSale
+    },
+    [
+      { propertyId: property.id, category: 'sale', amount: salePrice },
+      { propertyId: property.id, category: 'selling-costs', amount: -sellingCosts },
+      { propertyId: property.id, category: 'redemption', amount: -outstanding },
+      { propertyId: property.id, category: 'rent', amount: retainedDeposit }
+    ]
+  );
+  nextState = recordCapitalGain(nextState, property, salePrice, sellingCosts);
+
+  if (state.management.propertyId === propertyId) {
+    nextState = {
+      ...nextState,
+      management: {
+        ...state.management,
+        open: false,
+        propertyId: null
+      }
+    };
+  }
+
+  const salePriceLabel = formatCurrency(salePrice);
+  const outstandingLabel = formatCurrency(outstanding);
+  const netLabel = formatCurrency(Math.abs(netProceeds));
+  const netProceedsLabel = formatCurrency(netProceeds);
+  let historyMessage = `Sold ${property.name} for ${salePriceLabel}.`;
+  if (sellingCosts > 0) {
+    historyMessage += ` The selling agent took ${formatCurrency(sellingCosts)}.`;
+  }
+  if (outstanding > 0) {
+    if (netProceeds >= 0) {
+      historyMessage += ` Repaid ${outstandingLabel} outstanding on the mortgage and netted ${netProceedsLabel}.`;
+    } else {
+      historyMessage += ` Repaid ${outstandingLabel} outstanding on the mortgage, covering a shortfall of ${netLabel}.`;
+    }
+  } else {
+    historyMessage += ` Net proceeds ${netProceedsLabel}.`;
+  }
+
+  nextState = addHistory(nextState, historyMessage);
+  if (property.tenant && settlement) {
+    const tenant = property.tenant;
+    nextState = addHistory(nextState, `${tenant.name}'s tenancy at ${property.name} ended with the sale.`);
+    if (settlement.retained > 0) {
+      nextState = addHistory(
+        nextState,
+        `Kept ${formatCurrency(settlement.retained)} of ${tenant.name}'s deposit against rent arrears.`
+      );
+    }
+    if (settlement.writtenOff > 0) {
+      nextState = addHistory(
+        nextState,
+        `Wrote off ${formatCurrency(settlement.writtenOff)} of unpaid rent at ${property.name}.`
+      );
+    }
+  }
+  return nextState;
+}
+
+export function createGame(config: GameConfig = GAME_CONFIG, seed: string = generateSeed()): GameState {
+  let state = createInitialState(config, seed);
+  state = { ...state, monthlySnapshots: [createMonthlySnapshot(state)] };
+  state = addHistory(state, `New game started with ${formatCurrency(config.startingBalance)} in capital.`);
+  state = addHistory(state, `Game seed is "${escapeHtml(seed)}". Share it to replay the same market.`);
+  state = addHistory(
+    state,
+    `Central bank base rate set at ${(state.centralBankRate * 100).toFixed(2)}% to start the simulation.`
+  );
+  return state;
+}
+
+export interface AdvanceOptions {
+  random?: RandomSource;
+}
+
+function advanceDay(state: GameState, random?: RandomSource): GameState {
+  if (state.bankruptOnDay !== null) {
+    return state;
+  }
+  const generator = createSeededRandom(state.rngState);
+  const source = random ?? generator.next;
+  let nextState = { ...state, day: state.day + 1 };
+  nextState = progressMarketListings(nextState, source);
+  nextState = degradeAllProperties(nextState);
+  nextState = updateHousePriceIndexIfDue(nextState, source);
+  if (nextState.day - nextState.lastRentCollectionDay >= 30) {
+    nextState = processMonthlyTick(nextState, source);
+  }
+  nextState = adjustCentralBankRateIfNeeded(nextState, source);
+  return { ...nextState, rngState: generator.getState() };
+}
+
+export function advanceDays(state: GameState, days: number, options: AdvanceOptions = {}): GameState {
+  let nextState = state;
+  for (let elapsed = 0; elapsed < days; elapsed += 1) {
+    nextState = advanceDay(nextState, options.random);
+  }
+  return nextState;
+}
+
+export type GameAction =
+  | { type: 'advance-days'; days: number }
+  | { type: 'set-speed'; speed: number }
+  | { type: 'set-paused'; paused: boolean }
+  | { type: 'open-management'; propertyId: string }
+  | { type: 'close-management' }
+  | { type: 'set-management-section'; section: ManagementState['activeSection'] }
+  | { type: 'set-refinance-fixed-period'; years: number }
+  | { type: 'set-refinance-cash-out'; amount: number }
+  | { type: 'confirm-refinance'; propertyId: string }
+  | { type: 'overpay-mortgage'; propertyId: string; amount: number }
+  | { type: 'set-recurring-overpayment'; propertyId: string; amount: number }
+  | { type: 'set-overpayment-strategy'; propertyId: string; strategy: MortgageOverpaymentStrategy }
+  | { type: 'set-lease-months'; propertyId: string; leaseMonths: number }
+  | { type: 'set-rent-premium'; propertyId: string; rateOffset: number }
+  | { type: 'set-auto-relist'; propertyId: string; enabled: boolean }
+  | { type: 'set-rental-marketing'; propertyId: string; active: boolean }
+  | { type: 'set-auto-accept-applicants'; propertyId: string; enabled: boolean }
+  | { type: 'accept-applicant'; propertyId: string; applicantId: string }
+  | { type: 'reject-applicant'; propertyId: string; applicantId: string }
+  | { type: 'counter-applicant'; propertyId: string; applicantId: string; monthlyRent: number }
+  | { type: 'offer-renewal'; propertyId: string; monthlyRent: number }
+  | { type: 'decline-renewal'; propertyId: string }
+  | { type: 'set-rent-reviews'; propertyId: string; enabled: boolean }
+  | { type: 'set-letting-agent'; propertyId: string; agentId: string | null }
+  | { type: 'set-marketing-paused'; propertyId: string; paused: boolean }
+  | { type: 'schedule-maintenance'; propertyId: string }
+  | { type: 'repair-incident'; propertyId: string; incidentId: string }
+  | { type: 'open-finance'; propertyId: string }
+  | { type: 'close-finance' }
+  | { type: 'select-deposit'; ratio: number }
+  | { type: 'select-term'; years: number }
+  | { type: 'select-fixed-period'; years: number }
+  | { type: 'set-interest-only'; interestOnly: boolean }
+  | { type: 'select-lender'; lenderId: string }
+  | { type: 'set-fee-financing'; addFeeToLoan: boolean }
+  | { type: 'confirm-finance' }
+  | { type: 'confirm-cash-purchase' }
+  | { type: 'sell-property'; propertyId: string };
+
+export function step(state: GameState, action: GameAction, options: AdvanceOptions = {}): GameState {
+  switch (action.type) {
+    case 'advance-days':
+      return advanceDays(state, action.days, options);
+    case 'set-speed':
+      return setGameSpeed(state, action.speed);
+    case 'set-paused':
+      return state.isPaused === action.paused ? state : { ...state, isPaused: action.paused };
+    case 'open-management':
+      return openManagement(state, action.propertyId);
+    case 'close-management':
+      return closeManagement(state);
+    case 'set-management-section':
+      return setManagementSection(state, action.section);
+    case 'set-refinance-fixed-period':
+      return setManagementRefinanceFixedPeriod(state, action.years);
+    case 'set-refinance-cash-out':
+      return setManagementRefinanceCashOut(state, action.amount);
+    case 'confirm-refinance':
+      return confirmManagementRefinance(state, action.propertyId);
+    case 'overpay-mortgage':
+      return makeMortgageOverpayment(state, action.propertyId, action.amount);
+    case 'set-recurring-overpayment':
+      return setMortgageRecurringOverpayment(state, action.propertyId, action.amount);
+    case 'set-overpayment-strategy':
+      return setMortgageOverpaymentStrategy(state, action.propertyId, action.strategy);
+    case 'set-lease-months':
+      return setPropertyLeaseMonths(state, action.propertyId, action.leaseMonths);
+    case 'set-rent-premium':
+      return setPropertyRentPremium(state, action.propertyId, action.rateOffset);
+    case 'set-auto-relist':
+      return setPropertyAutoRelist(state, action.propertyId, action.enabled);
+    case 'set-rental-marketing':
+      return setPropertyRentalMarketingActive(state, action.propertyId, action.active);
+    case 'set-auto-accept-applicants':
+      return setPropertyAutoAcceptApplicants(state, action.propertyId, action.enabled);
+    case 'accept-applicant':
+      return acceptTenantApplicant(state, action.propertyId, action.applicantId);
+    case 'reject-applicant':
+      return rejectTenantApplicant(state, action.propertyId, action.applicantId);
+    case 'counter-applicant':
+      return counterTenantApplicant(state, action.propertyId, action.applicantId, action.monthlyRent);
+    case 'offer-renewal':
+      return offerLeaseRenewal(state, action.propertyId, action.monthlyRent);
+    case 'decline-renewal':
+      return declineLeaseRenewal(state, action.propertyId);
+    case 'set-rent-reviews':
+      return setPropertyRentReviews(state, action.propertyId, action.enabled);
+    case 'set-letting-agent':
+      return setPropertyLettingAgent(state, action.propertyId, action.agentId);
+    case 'set-marketing-paused':
+      return setPropertyMarketingPaused(state, action.propertyId, action.paused);
+    case 'schedule-maintenance':
+      return schedulePropertyMaintenance(state, action.propertyId);
+    case 'repair-incident':
+      return repairMaintenanceIncident(state, action.propertyId, action.incidentId);
+    case 'open-finance':
+      return openFinance(state, action.propertyId);
+    case 'close-finance':
+      return closeFinance(state);
+    case 'select-deposit':
+      return selectFinanceDeposit(state, action.ratio);
+    case 'select-term':
+      return selectFinanceTerm(state, action.years);
+    case 'select-fixed-period':
+      return selectFinanceFixedPeriod(state, action.years);
+    case 'set-interest-only':
+      return setFinanceInterestOnly(state, action.interestOnly);
+    case 'select-lender':
+      return selectFinanceLender(state, action.lenderId);
+    case 'set-fee-financing':
+      return setFinanceFeeFinancing(state, action.addFeeToLoan);
+    case 'confirm-finance':
+      return confirmFinance(state);
+    case 'confirm-cash-purchase':
+      return confirmCashPurchase(state);
+    case 'sell-property':
+      return sellProperty(state, action.propertyId);
+  }
+}
+
+export const __testing = {
+  clampMaintenancePercent,
+  createSaleContext,
+  calculateMaintenanceAdjustedValue,
+  calculateMonthlyRentEstimate,
+  calculatePropertyValue,
+  getMaintenanceThreshold,
+  hasActiveMaintenanceWork
+};
@@ -0,0 +1,89 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { LETTING_AGENTS, MAINTENANCE_CONFIG } from './config';
+import type { MaintenanceIncident } from './engine';
+import {
+  calculateEmergencyRepairCost,
+  calculateIncidentChance,
+  calculateRentAbatement,
+  describeIncident,
+  isMinorIncident,
+  rollIncident,
+  rollTenantDeparture,
+  trimIncidentHistory
+} from './incidents';
+
+const incident: MaintenanceIncident = {
+  id: 'home-30-burst-pipe',
+  kind: 'burst-pipe',
+  reportedOnDay: 30,
+  repairCost: 6,
+  monthsUnrepaired: 1,
+  repairedOnDay: null
+};
+
+describe('incident rolls', () => {
+  it('makes incidents more likely as the condition falls', () => {
+    const { chanceAtFullCondition, chanceAtZeroCondition } = MAINTENANCE_CONFIG.incidents;
+
+    expect(calculateIncidentChance(100)).toBe(chanceAtFullCondition);
+    expect(calculateIncidentChance(0)).toBe(chanceAtZeroCondition);
+    expect(calculateIncidentChance(40)).toBeGreaterThan(calculateIncidentChance(80));
+  });
+
+  it('prices an incident from the property value', () => {
+    const input = { propertyId: 'home', day: 30, baseValue: 1000, maintenancePercent: 50 };
+    const rolled = rollIncident(input, () => 0);
+
+    expect(rollIncident(input, () => 0.99)).toBeNull();
+    expect(rolled).toMatchObject({ id: 'home-30-boiler-failure', kind: 'boiler-failure', repairedOnDay: null });
+    expect(rolled?.repairCost).toBe(1000 * MAINTENANCE_CONFIG.incidents.types[0].repairCostRatio);
+    expect(describeIncident(incident)).toBe('burst pipe');
+  });
+});
+
+describe('unrepaired incidents', () => {
+  it('holds back rent only once an incident has gone a month unrepaired', () => {
+    const rentAbatement = MAINTENANCE_CONFIG.incidents.types.find((type) => type.id === 'burst-pipe')?.rentAbatement;
+
+    expect(calculateRentAbatement([incident], 4)).toBe(4 * (rentAbatement ?? 0));
+    expect(calculateRentAbatement([{ ...incident, monthsUnrepaired: 0 }], 4)).toBe(0);
+    expect(calculateRentAbatement([{ ...incident, repairedOnDay: 40 }], 4)).toBe(0);
+    expect(calculateRentAbatement(Array.from({ length: 5 }, () => incident), 4)).toBe(4);
+  });
+
+  it('lets tenants leave over neglected repairs', () => {
+    expect(rollTenantDeparture([incident], () => 0)).toBe(incident);
+    expect(rollTenantDeparture([incident], () => 0.99)).toBeNull();
+    expect(rollTenantDeparture([{ ...incident, monthsUnrepaired: 0 }], () => 0)).toBeNull();
+  });
+
+  it('charges a surcharge for emergency repairs', () => {
+    expect(calculateEmergencyRepairCost(incident)).toBe(6 * (1 + MAINTENANCE_CONFIG.incidents.emergencySurcharge));
+  });
+
+  it('only treats cheap incidents as minor repairs for agents that take them on', () => {
+    const [tenantFind, fullManagement] = LETTING_AGENTS;
+    const pests = { ...incident, kind: 'pest-infestation', repairCost: 3 };
+
+    expect(isMinorIncident(pests, 1000, fullManagement)).toBe(true);
+    expect(isMinorIncident(incident, 1000, fullManagement)).toBe(false);
+    expect(isMinorIncident(pests, 1000, tenantFind)).toBe(false);
+    expect(isMinorIncident(pests, 1000, null)).toBe(false);
+  });
+
+  it('keeps open incidents when trimming the repaired history', () => {
+    const { historyLimit } = MAINTENANCE_CONFIG.incidents;
+    const repaired = Array.from({ length: historyLimit }, (_, index) => ({
+      ...incident,
+      id: `repaired-${index}`,
+      repairedOnDay: 40 + index
+    }));
+    const trimmed = trimIncidentHistory([...repaired, incident]);
+
+    expect(trimmed).toHaveLength(historyLimit);
+    expect(trimmed).toContain(incident);
+    expect(trimmed[0].id).toBe('repaired-1');
+  });
+});
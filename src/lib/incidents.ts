@@ -0,0 +1,112 @@
+import {
+  MAINTENANCE_CONFIG,
+  type LettingAgentConfig,
+  type MaintenanceConfig,
+  type MaintenanceIncidentType
+} from '$lib/config';
+import type { MaintenanceIncident } from '$lib/engine';
+import type { RandomSource } from '$lib/random';
+import { pickRandom, roundCurrency } from '$lib/utils';
+
+export type IncidentRollInput = {
+  propertyId: string;
+  day: number;
+  baseValue: number;
+  maintenancePercent: number;
+};
+
+export function findIncidentType(
+  kind: string,
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): MaintenanceIncidentType | null {
+  return config.incidents.types.find((type) => type.id === kind) ?? null;
+}
+
+export function describeIncident(
+  incident: MaintenanceIncident,
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): string {
+  return (findIncidentType(incident.kind, config)?.label ?? 'Repair').toLowerCase();
+}
+
+export function calculateIncidentChance(
+  maintenancePercent: number,
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): number {
+  const { chanceAtFullCondition, chanceAtZeroCondition } = config.incidents;
+  const wear = 1 - Math.min(Math.max(maintenancePercent, 0), 100) / 100;
+  return chanceAtFullCondition + (chanceAtZeroCondition - chanceAtFullCondition) * wear;
+}
+
+export function rollIncident(
+  { propertyId, day, baseValue, maintenancePercent }: IncidentRollInput,
+  random: RandomSource,
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): MaintenanceIncident | null {
+  if (random() >= calculateIncidentChance(maintenancePercent, config)) {
+    return null;
+  }
+  const type = pickRandom(config.incidents.types, random);
+  return {
+    id: `${propertyId}-${day}-${type.id}`,
+    kind: type.id,
+    reportedOnDay: day,
+    repairCost: roundCurrency(baseValue * type.repairCostRatio),
+    monthsUnrepaired: 0,
+    repairedOnDay: null
+  };
+}
+
+export function getOpenIncidents(incidents: MaintenanceIncident[]): MaintenanceIncident[] {
+  return incidents.filter((incident) => incident.repairedOnDay === null);
+}
+
+export function calculateRentAbatement(
+  incidents: MaintenanceIncident[],
+  monthlyRent: number,
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): number {
+  const share = getOpenIncidents(incidents)
+    .filter((incident) => incident.monthsUnrepaired > 0)
+    .reduce((total, incident) => total + (findIncidentType(incident.kind, config)?.rentAbatement ?? 0), 0);
+  return roundCurrency(monthlyRent * Math.min(share, 1));
+}
+
+export function calculateEmergencyRepairCost(
+  incident: MaintenanceIncident,
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): number {
+  return roundCurrency(incident.repairCost * (1 + config.incidents.emergencySurcharge));
+}
+
+export function isMinorIncident(
+  incident: MaintenanceIncident,
+  baseValue: number,
+  agent: LettingAgentConfig | null
+): boolean {
+  return agent !== null && incident.repairCost <= baseValue * agent.minorRepairCostRatio;
+}
+
+export function trimIncidentHistory(
+  incidents: MaintenanceIncident[],
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): MaintenanceIncident[] {
+  const repaired = incidents.filter((incident) => incident.repairedOnDay !== null);
+  const excess = repaired.length - Math.max(config.incidents.historyLimit - getOpenIncidents(incidents).length, 0);
+  if (excess <= 0) {
+    return incidents;
+  }
+  const dropped = new Set(repaired.slice(0, excess).map((incident) => incident.id));
+  return incidents.filter((incident) => !dropped.has(incident.id));
+}
+
+export function rollTenantDeparture(
+  incidents: MaintenanceIncident[],
+  random: RandomSource,
+  config: MaintenanceConfig = MAINTENANCE_CONFIG
+): MaintenanceIncident | null {
+  const neglected = getOpenIncidents(incidents).filter((incident) => incident.monthsUnrepaired > 0);
+  return (
+    neglected.find((incident) => random() < (findIncidentType(incident.kind, config)?.departureChance ?? 0)) ?? null
+  );
+}
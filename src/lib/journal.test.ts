@@ -0,0 +1,102 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { GAME_CONFIG } from './config';
+import { createGame, step, type GameAction } from './engine';
+import { createJournal, parseJournal, recordAction, replayJournal, serialiseJournal } from './journal';
+import { MAX_JOURNAL_ADVANCE_DAYS } from './validation';
+
+describe('action journal', () => {
+  it('merges consecutive day advances and skips runtime controls', () => {
+    let journal = createJournal('journal-seed');
+    journal = recordAction(journal, 1, { type: 'advance-days', days: 1 });
+    journal = recordAction(journal, 2, { type: 'set-speed', speed: 500 });
+    journal = recordAction(journal, 2, { type: 'advance-days', days: 1 });
+    journal = recordAction(journal, 3, { type: 'open-finance', propertyId: 'listing' });
+
+    expect(journal.entries).toEqual([
+      { day: 1, action: { type: 'advance-days', days: 2 } },
+      { day: 3, action: { type: 'open-finance', propertyId: 'listing' } }
+    ]);
+  });
+
+  it('starts a new day advance once the merged entry reaches the replay limit', () => {
+    let journal = createJournal('journal-seed');
+    journal = recordAction(journal, 1, { type: 'advance-days', days: MAX_JOURNAL_ADVANCE_DAYS });
+    journal = recordAction(journal, MAX_JOURNAL_ADVANCE_DAYS + 1, { type: 'advance-days', days: 1 });
+
+    expect(journal.entries.map((entry) => entry.action)).toEqual([
+      { type: 'advance-days', days: MAX_JOURNAL_ADVANCE_DAYS },
+      { type: 'advance-days', days: 1 }
+    ]);
+  });
+
+  it('replays a game from its seed', () => {
+    const config = { ...GAME_CONFIG, startingBalance: 5_000 };
+    let state = createGame(config, 'replay-seed');
+    let journal = createJournal(state.seed, config);
+    const play = (action: GameAction) => {
+      journal = recordAction(journal, state.day, action);
+      state = step(state, action);
+    };
+
+    play({ type: 'advance-days', days: 45 });
+    play({ type: 'open-finance', propertyId: state.market[0].id });
+    play({ type: 'confirm-cash-purchase' });
+    play({ type: 'advance-days', days: 90 });
+
+    const parsed = parseJournal(serialiseJournal(journal));
+    expect(parsed.ok).toBe(true);
+    if (parsed.ok) {
+      expect(replayJournal(parsed.journal)).toEqual(state);
+    }
+  });
+
+  it('rejects malformed action payloads and oversized day advances', () => {
+    const result = parseJournal(
+      JSON.stringify({
+        version: 1,
+        seed: 'bad',
+        config: GAME_CONFIG,
+        entries: [
+          { day: 1, action: { type: 'advance-days', days: 1e9 } },
+          { day: 1, action: { type: 'select-deposit', ratio: 'half' } },
+          { day: 1, action: { type: 'set-lease-months', propertyId: 'listing', leaseMonths: 7 } },
+          { day: 1, action: { type: 'set-interest-only', interestOnly: 'yes' } },
+          { day: 1, action: { type: 'select-lender', lenderId: 'loan-shark' } },
+          { day: 1, action: { type: 'overpay-mortgage', propertyId: 'listing', amount: -500 } },
+          { day: 1, action: { type: 'accept-applicant', propertyId: 'listing' } }
+        ]
+      })
+    );
+
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errors.map((issue) => issue.path)).toEqual([
+        'entries[0].action.days',
+        'entries[1].action.ratio',
+        'entries[2].action.leaseMonths',
+        'entries[3].action.interestOnly',
+        'entries[4].action.lenderId',
+        'entries[5].action.amount',
+        'entries[6].action.applicantId'
+      ]);
+    }
+  });
+
+  it('rejects journals with unknown actions', () => {
+    const result = parseJournal(
+      JSON.stringify({
+        version: 1,
+        seed: 'bad',
+        config: GAME_CONFIG,
+        entries: [{ day: 1, action: { type: 'print-money' } }]
+      })
+    );
+
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errors.map((issue) => issue.path)).toEqual(['entries[0].action.type']);
+    }
+  });
+});
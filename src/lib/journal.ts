@@ -0,0 +1,117 @@
+import { GAME_CONFIG, type GameConfig } from '$lib/config';
+import { createGame, step, type GameAction, type GameState } from '$lib/engine';
+import type { RandomSource } from '$lib/random';
+import { MAX_JOURNAL_ADVANCE_DAYS, validateActionJournal, type ValidationIssue } from '$lib/validation';
+
+export const JOURNAL_VERSION = 1;
+
+export type JournalEntry = {
+  day: number;
+  action: GameAction;
+};
+
+export type ActionJournal = {
+  version: number;
+  seed: string;
+  config: GameConfig;
+  entries: JournalEntry[];
+};
+
+export type JournalParseResult =
+  | { ok: true; journal: ActionJournal }
+  | { ok: false; errors: ValidationIssue[] };
+
+const UNJOURNALED_ACTIONS = new Set<GameAction['type']>(['set-speed', 'set-paused']);
+
+export function createJournal(seed: string, config: GameConfig = GAME_CONFIG): ActionJournal {
+  return { version: JOURNAL_VERSION, seed, config, entries: [] };
+}
+
+export function recordAction(journal: ActionJournal, day: number, action: GameAction): ActionJournal {
+  if (UNJOURNALED_ACTIONS.has(action.type)) {
+    return journal;
+  }
+  const last = journal.entries.at(-1);
+  if (
+    action.type === 'advance-days' &&
+    last?.action.type === 'advance-days' &&
+    last.action.days + action.days <= MAX_JOURNAL_ADVANCE_DAYS
+  ) {
+    const merged: JournalEntry = {
+      day: last.day,
+      action: { type: 'advance-days', days: last.action.days + action.days }
+    };
+    return { ...journal, entries: [...journal.entries.slice(0, -1), merged] };
+  }
+  return { ...journal, entries: [...journal.entries, { day, action }] };
+}
+
+export function replayJournal(journal: ActionJournal, options: { random?: RandomSource } = {}): GameState {
+  return journal.entries.reduce(
+    (state, entry) => step(state, entry.action, options),
+    createGame(journal.config, journal.seed)
+  );
+}
+
+function findPropertyName(state: GameState, propertyId: string | null): string {
+  const property = [...state.portfolio, ...state.market].find((item) => item.id === propertyId);
+  return property?.name ?? 'property';
+}
+
+export function describePlayerDecision(state: GameState, action: GameAction): string | null {
+  switch (action.type) {
+    case 'confirm-finance':
+    case 'confirm-cash-purchase':
+      return `purchase of ${findPropertyName(state, state.finance.propertyId)}`;
+    case 'sell-property':
+      return `sale of ${findPropertyName(state, action.propertyId)}`;
+    case 'set-lease-months':
+    case 'set-rent-premium':
+    case 'set-auto-relist':
+    case 'set-rental-marketing':
+    case 'set-auto-accept-applicants':
+    case 'accept-applicant':
+    case 'reject-applicant':
+    case 'counter-applicant':
+    case 'offer-renewal':
+    case 'decline-renewal':
+    case 'set-rent-reviews':
+    case 'set-letting-agent':
+      return `lease change at ${findPropertyName(state, action.propertyId)}`;
+    case 'schedule-maintenance':
+    case 'repair-incident':
+      return `maintenance at ${findPropertyName(state, action.propertyId)}`;
+    case 'confirm-refinance':
+      return `refinance of ${findPropertyName(state, action.propertyId)}`;
+    case 'overpay-mortgage':
+      return `overpayment on ${findPropertyName(state, action.propertyId)}`;
+    default:
+      return null;
+  }
+}
+
+export function serialiseJournal(journal: ActionJournal): string {
+  return JSON.stringify(journal, null, 2);
+}
+
+export function parseJournal(text: string): JournalParseResult {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text) as unknown;
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : 'unknown parse error';
+    return { ok: false, errors: [{ path: 'file', message: `File is not valid JSON (${detail}).` }] };
+  }
+  const errors = validateActionJournal(raw);
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+  const journal = raw as ActionJournal;
+  if (journal.version > JOURNAL_VERSION) {
+    return {
+      ok: false,
+      errors: [{ path: 'version', message: `is newer than this game supports (${JOURNAL_VERSION})` }]
+    };
+  }
+  return { ok: true, journal };
+}
@@ -0,0 +1,38 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import type { LedgerEntry } from './engine';
+import { calculateIrr, summarisePropertyLedger } from './ledger';
+
+describe('calculateIrr', () => {
+  it('finds the annual rate that discounts the flows to zero', () => {
+    expect(calculateIrr([{ day: 0, amount: -100 }, { day: 360, amount: 110 }])).toBeCloseTo(0.1, 6);
+  });
+
+  it('returns null without both outflows and inflows', () => {
+    expect(calculateIrr([{ day: 0, amount: -100 }])).toBeNull();
+    expect(calculateIrr([{ day: 0, amount: 100 }, { day: 30, amount: 50 }])).toBeNull();
+  });
+});
+
+describe('summarisePropertyLedger', () => {
+  it('reports ROI and cash-on-cash against the cash invested', () => {
+    const entries: LedgerEntry[] = [
+      { day: 0, propertyId: 'p', category: 'deposit', amount: -200 },
+      { day: 0, propertyId: 'p', category: 'arrangement-fee', amount: -20 },
+      ...Array.from({ length: 12 }, (_, index) => [
+        { day: (index + 1) * 30, propertyId: 'p', category: 'rent' as const, amount: 10 },
+        { day: (index + 1) * 30, propertyId: 'p', category: 'interest' as const, amount: -5 }
+      ]).flat()
+    ];
+    const summary = summarisePropertyLedger(entries, 360, 250);
+
+    expect(summary.totalInvested).toBe(220);
+    expect(summary.operatingCashFlow).toBe(60);
+    expect(summary.profit).toBe(90);
+    expect(summary.daysHeld).toBe(360);
+    expect(summary.roi).toBeCloseTo(90 / 220, 6);
+    expect(summary.cashOnCash).toBeCloseTo(60 / 220, 6);
+    expect(summary.irr).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,114 @@
+import type { LedgerCategory, LedgerEntry } from '$lib/engine';
+
+export type LedgerGroup = 'capital' | 'income' | 'mortgage' | 'costs';
+
+export type PropertyPerformance = {
+  totalInvested: number;
+  netCashFlow: number;
+  operatingCashFlow: number;
+  currentEquity: number;
+  profit: number;
+  daysHeld: number;
+  roi: number | null;
+  cashOnCash: number | null;
+  irr: number | null;
+};
+
+const DAYS_PER_YEAR = 360;
+
+export const LEDGER_CATEGORIES: Record<LedgerCategory, { label: string; group: LedgerGroup }> = {
+  purchase: { label: 'Cash purchase', group: 'capital' },
+  deposit: { label: 'Deposit', group: 'capital' },
+  'arrangement-fee': { label: 'Arrangement fee', group: 'costs' },
+  'purchase-costs': { label: 'Purchase tax, legal & survey', group: 'costs' },
+  rent: { label: 'Rent received', group: 'income' },
+  interest: { label: 'Mortgage interest', group: 'mortgage' },
+  principal: { label: 'Mortgage principal', group: 'mortgage' },
+  overpayment: { label: 'Overpayment', group: 'mortgage' },
+  arrears: { label: 'Arrears repaid', group: 'mortgage' },
+  'repayment-charge': { label: 'Early repayment charge', group: 'costs' },
+  maintenance: { label: 'Maintenance', group: 'costs' },
+  eviction: { label: 'Eviction legal costs', group: 'costs' },
+  'letting-fees': { label: 'Letting agent fees', group: 'costs' },
+  'equity-release': { label: 'Equity released', group: 'capital' },
+  sale: { label: 'Sale proceeds', group: 'capital' },
+  'selling-costs': { label: 'Selling agent fee', group: 'costs' },
+  redemption: { label: 'Mortgage redeemed', group: 'capital' }
+};
+
+const ACQUISITION_CATEGORIES = new Set<LedgerCategory>(['purchase', 'deposit', 'arrangement-fee', 'purchase-costs']);
+const OPERATING_CATEGORIES = new Set<LedgerCategory>([
+  'rent',
+  'interest',
+  'principal',
+  'arrears',
+  'maintenance',
+  'eviction',
+  'letting-fees'
+]);
+
+function sum(entries: LedgerEntry[]): number {
+  return entries.reduce((total, entry) => total + entry.amount, 0);
+}
+
+function netPresentValue(flows: { years: number; amount: number }[], rate: number): number {
+  return flows.reduce((total, flow) => total + flow.amount / Math.pow(1 + rate, flow.years), 0);
+}
+
+export function calculateIrr(flows: { day: number; amount: number }[]): number | null {
+  if (flows.length < 2 || !flows.some((flow) => flow.amount < 0) || !flows.some((flow) => flow.amount > 0)) {
+    return null;
+  }
+  const start = Math.min(...flows.map((flow) => flow.day));
+  const timed = flows.map((flow) => ({ years: (flow.day - start) / DAYS_PER_YEAR, amount: flow.amount }));
+  let low = -0.99;
+  let high = 10;
+  let lowValue = netPresentValue(timed, low);
+  if (lowValue * netPresentValue(timed, high) > 0) {
+    return null;
+  }
+  for (let iteration = 0; iteration < 100; iteration += 1) {
+    const middle = (low + high) / 2;
+    const value = netPresentValue(timed, middle);
+    if (Math.abs(value) < 1e-7) {
+      return middle;
+    }
+    if (value * lowValue > 0) {
+      low = middle;
+      lowValue = value;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+export function summarisePropertyLedger(
+  entries: LedgerEntry[],
+  currentDay: number,
+  currentEquity: number
+): PropertyPerformance {
+  const totalInvested = -sum(entries.filter((entry) => ACQUISITION_CATEGORIES.has(entry.category)));
+  const netCashFlow = sum(entries);
+  const operatingCashFlow = sum(entries.filter((entry) => OPERATING_CATEGORIES.has(entry.category)));
+  const profit = netCashFlow + currentEquity;
+  const firstDay = entries.length > 0 ? Math.min(...entries.map((entry) => entry.day)) : currentDay;
+  const daysHeld = Math.max(currentDay - firstDay, 0);
+  const yearsHeld = Math.max(daysHeld, 30) / DAYS_PER_YEAR;
+  const flows = entries.map((entry) => ({ day: entry.day, amount: entry.amount }));
+  if (currentEquity !== 0) {
+    flows.push({ day: currentDay, amount: currentEquity });
+  }
+
+  return {
+    totalInvested,
+    netCashFlow,
+    operatingCashFlow,
+    currentEquity,
+    profit,
+    daysHeld,
+    roi: totalInvested > 0 ? profit / totalInvested : null,
+    cashOnCash: totalInvested > 0 ? operatingCashFlow / yearsHeld / totalInvested : null,
+    irr: calculateIrr(flows)
+  };
+}
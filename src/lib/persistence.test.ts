@@ -0,0 +1,491 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { get } from 'svelte/store';
+
+import { FINANCE_CONFIG, HOUSE_PRICE_CONFIG } from './config';
+
+import {
+  SAVE_SCHEMA_VERSION,
+  clearAutosave,
+  createSaveEnvelope,
+  deleteSaveSlot,
+  listSaveSlots,
+  readAutosave,
+  readSaveEnvelope,
+  readSaveSlot,
+  writeAutosave,
+  writeAutosaveJournal,
+  writeSaveSlot
+} from './persistence';
+import { replayJournal } from './journal';
+import {
+  actionJournal,
+  enableAutosave,
+  exportGameToJson,
+  gameState,
+  getRentStrategies,
+  importGameFromJson,
+  initialiseGame,
+  loadGameFromSlot,
+  restoreAutosave,
+  saveGameToSlot,
+  saveSlots,
+  tickDay
+} from './stores/game';
+
+const options = {
+  rentPlanIds: (property: Parameters<typeof getRentStrategies>[0]) =>
+    getRentStrategies(property).map((plan) => plan.id)
+};
+
+describe('save envelopes', () => {
+  beforeEach(() => {
+    initialiseGame();
+  });
+
+  it('stamps the current schema version and closes transient modals', () => {
+    const state = get(gameState);
+    const envelope = createSaveEnvelope(
+      {
+        ...state,
+        finance: { ...state.finance, open: true, propertyId: 'studio' },
+        management: { ...state.management, open: true, propertyId: 'studio' }
+      },
+      'Test save'
+    );
+
+    expect(envelope.version).toBe(SAVE_SCHEMA_VERSION);
+    expect(envelope.name).toBe('Test save');
+    expect(envelope.state.finance.open).toBe(false);
+    expect(envelope.state.management.propertyId).toBeNull();
+  });
+
+  it('rejects saves written by a newer schema version', () => {
+    const envelope = createSaveEnvelope(get(gameState), 'Future');
+    const result = readSaveEnvelope({ ...envelope, version: SAVE_SCHEMA_VERSION + 1 }, options);
+
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errors[0]?.message).toContain('newer version');
+    }
+  });
+
+  it('migrates version 1 saves by assigning a legacy seed', () => {
+    const legacyState: Record<string, unknown> = { ...get(gameState) };
+    delete legacyState.seed;
+    delete legacyState.rngState;
+    const result = readSaveEnvelope({ version: 1, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.version).toBe(SAVE_SCHEMA_VERSION);
+      expect(result.envelope.state.seed).toBe(`legacy-day-${get(gameState).day}`);
+      expect(Number.isInteger(result.envelope.state.rngState)).toBe(true);
+    }
+  });
+
+  it('migrates version 3 saves onto the default lender', () => {
+    const legacyFinance: Record<string, unknown> = { ...get(gameState).finance };
+    delete legacyFinance.lenderId;
+    const result = readSaveEnvelope(
+      { version: 3, name: 'Old', state: { ...get(gameState), finance: legacyFinance } },
+      options
+    );
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.finance.lenderId).toBe(FINANCE_CONFIG.defaultLenderId);
+    }
+  });
+
+  it('migrates version 4 saves with an empty snapshot series', () => {
+    const legacyState: Record<string, unknown> = { ...get(gameState) };
+    delete legacyState.monthlySnapshots;
+    const result = readSaveEnvelope({ version: 4, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.monthlySnapshots).toEqual([]);
+    }
+  });
+
+  it('migrates version 5 saves with an empty ledger', () => {
+    const legacyState: Record<string, unknown> = { ...get(gameState) };
+    delete legacyState.ledger;
+    const result = readSaveEnvelope({ version: 5, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.ledger).toEqual([]);
+    }
+  });
+
+  it('migrates version 6 saves onto the current tax year with purchase prices', () => {
+    const state = get(gameState);
+    const owned = { ...state.market[0] } as Record<string, unknown>;
+    delete owned.purchasePrice;
+    const legacyState: Record<string, unknown> = {
+      ...state,
+      day: 400,
+      market: state.market.slice(1),
+      portfolio: [owned]
+    };
+    delete legacyState.tax;
+    const result = readSaveEnvelope({ version: 6, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.tax).toEqual({
+        yearStartDay: 361,
+        capitalGains: [],
+        lossesCarriedForward: 0,
+        bills: []
+      });
+      expect(result.envelope.state.portfolio[0].purchasePrice).toBe(state.market[0].cost);
+    }
+  });
+
+  it('migrates version 7 saves with arrangement fees paid up front', () => {
+    const legacyFinance: Record<string, unknown> = { ...get(gameState).finance };
+    delete legacyFinance.addFeeToLoan;
+    const result = readSaveEnvelope(
+      { version: 7, name: 'Old', state: { ...get(gameState), finance: legacyFinance } },
+      options
+    );
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.finance.addFeeToLoan).toBe(false);
+    }
+  });
+
+  it('migrates version 8 saves onto the starting house price index', () => {
+    const state = get(gameState);
+    const legacyState: Record<string, unknown> = {
+      ...state,
+      lastCentralBankAdjustmentDay: 30,
+      monthlySnapshots: state.monthlySnapshots.map((snapshot) => {
+        const legacySnapshot: Record<string, unknown> = { ...snapshot };
+        delete legacySnapshot.housePriceIndex;
+        return legacySnapshot;
+      })
+    };
+    delete legacyState.housePriceIndex;
+    delete legacyState.lastHousePriceUpdateDay;
+    const result = readSaveEnvelope({ version: 8, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.housePriceIndex).toBe(HOUSE_PRICE_CONFIG.initialIndex);
+      expect(result.envelope.state.lastHousePriceUpdateDay).toBe(30);
+      expect(
+        result.envelope.state.monthlySnapshots.every(
+          (snapshot) => snapshot.housePriceIndex === HOUSE_PRICE_CONFIG.initialIndex
+        )
+      ).toBe(true);
+    }
+  });
+
+  it('migrates version 9 saves by giving sitting tenants a default profile', () => {
+    const state = get(gameState);
+    const owned = {
+      ...state.market[0],
+      tenant: { leaseMonthsRemaining: 6, monthlyRent: 4 }
+    };
+    const legacyState: Record<string, unknown> = {
+      ...state,
+      market: state.market.slice(1),
+      portfolio: [owned]
+    };
+    const result = readSaveEnvelope({ version: 9, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.portfolio[0].tenant).toMatchObject({
+        leaseMonthsRemaining: 6,
+        monthlyRent: 4,
+        name: 'Existing tenant',
+        deposit: 4,
+        arrears: 0,
+        eviction: null
+      });
+    }
+  });
+
+  it('migrates version 10 saves with an empty applicant queue and auto-accept on', () => {
+    const state = get(gameState);
+    const legacyState: Record<string, unknown> = {
+      ...state,
+      market: state.market.map((property) => {
+        const legacyProperty: Record<string, unknown> = { ...property };
+        delete legacyProperty.applicants;
+        delete legacyProperty.autoAcceptApplicants;
+        return legacyProperty;
+      })
+    };
+    const result = readSaveEnvelope({ version: 10, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(
+        result.envelope.state.market.every(
+          (property) => property.applicants.length === 0 && property.autoAcceptApplicants
+        )
+      ).toBe(true);
+    }
+  });
+
+  it('migrates version 11 saves with rent reviews off and no pending renewals', () => {
+    const state = get(gameState);
+    const owned: Record<string, unknown> = {
+      ...state.market[0],
+      tenant: {
+        leaseMonthsRemaining: 6,
+        monthlyRent: 4,
+        name: 'Existing tenant',
+        monthlyIncome: 12,
+        creditScore: 620,
+        reliability: 0.9,
+        deposit: 4,
+        arrears: 0,
+        latePayments: 0,
+        missedPayments: 0,
+        eviction: null
+      }
+    };
+    delete owned.rentReviewsEnabled;
+    const legacyState: Record<string, unknown> = { ...state, market: state.market.slice(1), portfolio: [owned] };
+    const result = readSaveEnvelope({ version: 11, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      const [property] = result.envelope.state.portfolio;
+      expect(property.rentReviewsEnabled).toBe(false);
+      expect(property.tenant).toMatchObject({ renewal: null, monthsSinceRentReview: 0 });
+    }
+  });
+
+  it('migrates version 12 saves to self-managed properties', () => {
+    const state = get(gameState);
+    const legacyState: Record<string, unknown> = {
+      ...state,
+      market: state.market.map((property) => {
+        const legacyProperty: Record<string, unknown> = { ...property };
+        delete legacyProperty.lettingAgentId;
+        return legacyProperty;
+      })
+    };
+    const result = readSaveEnvelope({ version: 12, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.market.every((property) => property.lettingAgentId === null)).toBe(true);
+    }
+  });
+
+  it('migrates version 13 saves to an empty incident log', () => {
+    const state = get(gameState);
+    const legacyState: Record<string, unknown> = {
+      ...state,
+      market: state.market.map((property) => {
+        const legacyProperty: Record<string, unknown> = { ...property };
+        delete legacyProperty.incidents;
+        return legacyProperty;
+      })
+    };
+    const result = readSaveEnvelope({ version: 13, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.market.every((property) => property.incidents.length === 0)).toBe(true);
+    }
+  });
+
+  it('migrates version 14 tax bills with no letting or eviction deductions', () => {
+    const state = get(gameState);
+    const legacyBill = {
+      yearStartDay: 1,
+      yearEndDay: 360,
+      rentalIncome: 1_000,
+      mortgageInterest: 0,
+      maintenance: 0,
+      lossesUsed: 0,
+      taxableProfit: 1_000,
+      incomeTax: 200,
+      interestCredit: 0,
+      capitalGains: 0,
+      capitalGainsTax: 0,
+      total: 200,
+      lossesCarriedForward: 0
+    };
+    const legacyState = { ...state, tax: { ...state.tax, bills: [legacyBill] } };
+    const result = readSaveEnvelope({ version: 14, name: 'Old', state: legacyState }, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.state.tax.bills).toEqual([{ ...legacyBill, lettingFees: 0, evictionCosts: 0 }]);
+    }
+  });
+
+  it('rejects saves without core game state', () => {
+    const result = readSaveEnvelope(
+      { version: SAVE_SCHEMA_VERSION, state: { balance: 10 } },
+      options
+    );
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errors.map((issue) => issue.path)).toContain('portfolio');
+    }
+  });
+});
+
+describe('browser storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    initialiseGame();
+  });
+
+  it('round-trips the autosave through localStorage', () => {
+    const state = { ...get(gameState), balance: 4_321, day: 57 };
+    expect(writeAutosave(state)).toBe(true);
+
+    const result = readAutosave(options);
+    expect(result?.ok).toBe(true);
+    if (result?.ok) {
+      expect(result.envelope.state.balance).toBe(4_321);
+      expect(result.envelope.state.day).toBe(57);
+    }
+  });
+
+  it('overwrites slots that share a name and deletes them by id', () => {
+    const state = get(gameState);
+    const first = writeSaveSlot({ ...state, day: 10 }, 'Plan A');
+    const second = writeSaveSlot({ ...state, day: 20 }, 'Plan A');
+    writeSaveSlot({ ...state, day: 30 }, 'Plan B');
+
+    expect(first?.id).toBe(second?.id);
+    expect(listSaveSlots()).toHaveLength(2);
+
+    const loaded = readSaveSlot(first!.id, options);
+    expect(loaded.ok && loaded.envelope.state.day).toBe(20);
+
+    expect(deleteSaveSlot(first!.id)).toBe(true);
+    expect(listSaveSlots().map((slot) => slot.name)).toEqual(['Plan B']);
+    expect(readSaveSlot(first!.id, options).ok).toBe(false);
+  });
+
+  it('skips slot index entries without a save time', () => {
+    localStorage.setItem(
+      'money-games:slots',
+      JSON.stringify([
+        { id: 'broken', name: 'Edited by hand' },
+        { id: 'plan-a', name: 'Plan A', savedAt: '2024-01-01T00:00:00.000Z', day: 10, balance: 0, propertyCount: 0 }
+      ])
+    );
+
+    expect(listSaveSlots().map((slot) => slot.id)).toEqual(['plan-a']);
+  });
+
+  it('reports a failure when storage refuses to remove entries', () => {
+    const removeSpy = vi.spyOn(Storage.prototype, 'removeItem').mockImplementation(() => {
+      throw new Error('denied');
+    });
+    const slot = writeSaveSlot(get(gameState), 'Plan A');
+
+    expect(clearAutosave()).toBe(false);
+    expect(writeAutosaveJournal(null)).toBe(false);
+    expect(deleteSaveSlot(slot!.id)).toBe(false);
+    expect(listSaveSlots()).toHaveLength(1);
+    removeSpy.mockRestore();
+  });
+});
+
+describe('store persistence actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    initialiseGame();
+  });
+
+  it('restores the autosave written while the game was running', () => {
+    const stop = enableAutosave();
+    gameState.update((state) => ({ ...state, balance: 9_999, day: 42 }));
+    stop();
+
+    initialiseGame();
+    expect(get(gameState).day).toBe(1);
+
+    expect(restoreAutosave()).toBe(true);
+    const restored = get(gameState);
+    expect(restored.balance).toBe(9_999);
+    expect(restored.day).toBe(42);
+    expect(restored.history.at(-1)?.message).toContain('Resumed autosaved game from day 42');
+  });
+
+  it('throttles autosave writes and flushes them when the page is hidden', () => {
+    vi.useFakeTimers();
+    const setItemSpy = vi.spyOn(Storage.prototype, 'setItem');
+    const stop = enableAutosave(1_000);
+    gameState.update((state) => ({ ...state, day: 2 }));
+    gameState.update((state) => ({ ...state, day: 3 }));
+
+    expect(setItemSpy).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1_000);
+    const saved = readAutosave(options);
+    expect(saved?.ok && saved.envelope.state.day).toBe(3);
+
+    setItemSpy.mockClear();
+    gameState.update((state) => ({ ...state, day: 4 }));
+    Object.defineProperty(document, 'visibilityState', { configurable: true, value: 'hidden' });
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(setItemSpy).toHaveBeenCalled();
+
+    stop();
+    Reflect.deleteProperty(document, 'visibilityState');
+    setItemSpy.mockRestore();
+    vi.useRealTimers();
+  });
+
+  it('returns false when there is no autosave to restore', () => {
+    expect(restoreAutosave()).toBe(false);
+  });
+
+  it('saves to a named slot and loads it back with unique history ids', () => {
+    gameState.update((state) => ({ ...state, balance: 12_345 }));
+    saveGameToSlot('Checkpoint');
+
+    const [slot] = get(saveSlots);
+    expect(slot?.name).toBe('Checkpoint');
+
+    gameState.update((state) => ({ ...state, balance: 1 }));
+    loadGameFromSlot(slot.id);
+
+    const loaded = get(gameState);
+    expect(loaded.balance).toBe(12_345);
+    expect(loaded.history.at(-1)?.message).toContain('Loaded save "Checkpoint"');
+    const ids = loaded.history.map((entry) => entry.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('keeps the action journal with slot saves and file exports so loaded games can be replayed', () => {
+    tickDay();
+    tickDay();
+    const journal = get(actionJournal);
+    saveGameToSlot('Replayable');
+    const exported = exportGameToJson();
+
+    initialiseGame();
+    loadGameFromSlot(get(saveSlots)[0].id);
+    expect(get(actionJournal)).toEqual(journal);
+    expect(replayJournal(get(actionJournal)!).day).toBe(get(gameState).day);
+
+    initialiseGame();
+    expect(importGameFromJson(exported)).toEqual([]);
+    expect(get(actionJournal)).toEqual(journal);
+  });
+
+  it('drops a saved journal that does not belong to the saved game', () => {
+    const envelope = createSaveEnvelope(get(gameState), 'Mismatched', { ...get(actionJournal)!, seed: 'other' });
+    const result = readSaveEnvelope(JSON.parse(JSON.stringify(envelope)), options);
+
+    expect(result.ok && result.envelope.journal).toBeNull();
+  });
+});
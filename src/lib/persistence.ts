@@ -0,0 +1,467 @@
+import { FINANCE_CONFIG, HOUSE_PRICE_CONFIG, TAX_CONFIG, TENANT_CONFIG } from '$lib/config';
+import { hashSeed } from '$lib/random';
+import { calculateTenantReliability } from '$lib/tenants';
+import type { GameState } from '$lib/engine';
+import type { ActionJournal } from '$lib/journal';
+import {
+  validateActionJournal,
+  validateGameState,
+  type GameStateValidationOptions,
+  type ValidationIssue
+} from '$lib/validation';
+
+export const SAVE_SCHEMA_VERSION = 15;
+
+const STORAGE_PREFIX = 'money-games';
+const AUTOSAVE_KEY = `${STORAGE_PREFIX}:autosave`;
+const JOURNAL_KEY = `${STORAGE_PREFIX}:journal`;
+const SLOT_INDEX_KEY = `${STORAGE_PREFIX}:slots`;
+const SLOT_KEY_PREFIX = `${STORAGE_PREFIX}:slot:`;
+
+export type SaveEnvelope = {
+  version: number;
+  name: string;
+  savedAt: string;
+  state: GameState;
+  journal: ActionJournal | null;
+};
+
+export type SaveSlotSummary = {
+  id: string;
+  name: string;
+  savedAt: string;
+  day: number;
+  balance: number;
+  propertyCount: number;
+};
+
+type SaveRecord = Record<string, unknown>;
+
+type SaveMigration = (state: SaveRecord) => SaveRecord;
+
+function migrateTenantProfile(property: unknown): unknown {
+  if (!isRecord(property) || !isRecord(property.tenant)) {
+    return property;
+  }
+  const rent = typeof property.tenant.monthlyRent === 'number' ? property.tenant.monthlyRent : 0;
+  const incomeToRent = (TENANT_CONFIG.incomeToRentRange[0] + TENANT_CONFIG.incomeToRentRange[1]) / 2;
+  const creditScore = Math.round((TENANT_CONFIG.creditScoreRange[0] + TENANT_CONFIG.creditScoreRange[1]) / 2);
+  return {
+    ...property,
+    tenant: {
+      ...property.tenant,
+      name: 'Existing tenant',
+      monthlyIncome: Math.round(rent * incomeToRent * 100) / 100,
+      creditScore,
+      reliability: calculateTenantReliability(creditScore, incomeToRent),
+      deposit: Math.round(rent * TENANT_CONFIG.depositMonths * 100) / 100,
+      arrears: 0,
+      latePayments: 0,
+      missedPayments: 0,
+      eviction: null
+    }
+  };
+}
+
+function migrateApplicantQueue(property: unknown): unknown {
+  return isRecord(property) ? { ...property, applicants: [], autoAcceptApplicants: true } : property;
+}
+
+function migrateLeaseRenewals(property: unknown): unknown {
+  if (!isRecord(property)) {
+    return property;
+  }
+  return {
+    ...property,
+    rentReviewsEnabled: false,
+    tenant: isRecord(property.tenant)
+      ? { ...property.tenant, renewal: null, monthsSinceRentReview: 0 }
+      : property.tenant
+  };
+}
+
+function migrateSelfManaged(property: unknown): unknown {
+  return isRecord(property) ? { ...property, lettingAgentId: null } : property;
+}
+
+function migrateIncidentLog(property: unknown): unknown {
+  return isRecord(property) ? { ...property, incidents: [] } : property;
+}
+
+function migrateTaxBillFees(bill: unknown): unknown {
+  return isRecord(bill) ? { ...bill, lettingFees: 0, evictionCosts: 0 } : bill;
+}
+
+const SAVE_MIGRATIONS: Record<number, SaveMigration> = {
+  1: (state) => {
+    const seed = `legacy-day-${typeof state.day === 'number' ? state.day : 0}`;
+    return { ...state, seed, rngState: hashSeed(seed) };
+  },
+  2: (state) => ({
+    ...state,
+    creditScore: FINANCE_CONFIG.creditScore.initial,
+    overdrawnMonths: 0,
+    bankruptOnDay: null
+  }),
+  3: (state) => ({
+    ...state,
+    finance: {
+      ...(isRecord(state.finance) ? state.finance : {}),
+      lenderId: FINANCE_CONFIG.defaultLenderId
+    }
+  }),
+  4: (state) => ({ ...state, monthlySnapshots: [] }),
+  5: (state) => ({ ...state, ledger: [] }),
+  6: (state) => {
+    const day = typeof state.day === 'number' ? state.day : 1;
+    const yearLength = TAX_CONFIG.yearLengthDays;
+    return {
+      ...state,
+      portfolio: Array.isArray(state.portfolio)
+        ? state.portfolio.map((property: unknown) =>
+            isRecord(property) ? { ...property, purchasePrice: property.cost } : property
+          )
+        : state.portfolio,
+      tax: {
+        yearStartDay: day - ((day - 1) % yearLength),
+        capitalGains: [],
+        lossesCarriedForward: 0,
+        bills: []
+      }
+    };
+  },
+  7: (state) => ({
+    ...state,
+    finance: isRecord(state.finance) ? { ...state.finance, addFeeToLoan: false } : state.finance
+  }),
+  8: (state) => ({
+    ...state,
+    housePriceIndex: HOUSE_PRICE_CONFIG.initialIndex,
+    lastHousePriceUpdateDay:
+      typeof state.lastCentralBankAdjustmentDay === 'number' ? state.lastCentralBankAdjustmentDay : 0,
+    monthlySnapshots: Array.isArray(state.monthlySnapshots)
+      ? state.monthlySnapshots.map((snapshot: unknown) =>
+          isRecord(snapshot) ? { ...snapshot, housePriceIndex: HOUSE_PRICE_CONFIG.initialIndex } : snapshot
+        )
+      : state.monthlySnapshots
+  }),
+  9: (state) => ({
+    ...state,
+    portfolio: Array.isArray(state.portfolio) ? state.portfolio.map(migrateTenantProfile) : state.portfolio,
+    market: Array.isArray(state.market) ? state.market.map(migrateTenantProfile) : state.market
+  }),
+  10: (state) => ({
+    ...state,
+    portfolio: Array.isArray(state.portfolio) ? state.portfolio.map(migrateApplicantQueue) : state.portfolio,
+    market: Array.isArray(state.market) ? state.market.map(migrateApplicantQueue) : state.market
+  }),
+  11: (state) => ({
+    ...state,
+    portfolio: Array.isArray(state.portfolio) ? state.portfolio.map(migrateLeaseRenewals) : state.portfolio,
+    market: Array.isArray(state.market) ? state.market.map(migrateLeaseRenewals) : state.market
+  }),
+  12: (state) => ({
+    ...state,
+    portfolio: Array.isArray(state.portfolio) ? state.portfolio.map(migrateSelfManaged) : state.portfolio,
+    market: Array.isArray(state.market) ? state.market.map(migrateSelfManaged) : state.market
+  }),
+  13: (state) => ({
+    ...state,
+    portfolio: Array.isArray(state.portfolio) ? state.portfolio.map(migrateIncidentLog) : state.portfolio,
+    market: Array.isArray(state.market) ? state.market.map(migrateIncidentLog) : state.market
+  }),
+  14: (state) => ({
+    ...state,
+    tax:
+      isRecord(state.tax) && Array.isArray(state.tax.bills)
+        ? { ...state.tax, bills: state.tax.bills.map(migrateTaxBillFees) }
+        : state.tax
+  })
+};
+
+export type SaveLoadResult =
+  | { ok: true; envelope: SaveEnvelope }
+  | { ok: false; errors: ValidationIssue[] };
+
+function failure(message: string): SaveLoadResult {
+  return { ok: false, errors: [{ path: 'file', message }] };
+}
+
+function isRecord(value: unknown): value is SaveRecord {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function getSaveStorage(): Storage | null {
+  try {
+    const storage = (globalThis as { localStorage?: Storage }).localStorage;
+    return storage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export function createSaveEnvelope(
+  state: GameState,
+  name: string,
+  journal: ActionJournal | null = null,
+  savedAt = new Date()
+): SaveEnvelope {
+  return {
+    version: SAVE_SCHEMA_VERSION,
+    name,
+    savedAt: savedAt.toISOString(),
+    state: {
+      ...state,
+      finance: { ...state.finance, open: false, propertyId: null, validationError: null },
+      management: { ...state.management, open: false, propertyId: null }
+    },
+    journal
+  };
+}
+
+export function matchJournalToState(raw: unknown, state: Pick<GameState, 'seed' | 'day'>): ActionJournal | null {
+  if (raw === null || raw === undefined || validateActionJournal(raw).length > 0) {
+    return null;
+  }
+  const journal = raw as ActionJournal;
+  return journal.seed === state.seed && (journal.entries.at(-1)?.day ?? 1) <= state.day ? journal : null;
+}
+
+export function migrateSaveState(version: number, state: SaveRecord): SaveRecord {
+  let migrated = state;
+  for (let current = version; current < SAVE_SCHEMA_VERSION; current += 1) {
+    const migration = SAVE_MIGRATIONS[current];
+    if (!migration) {
+      throw new Error(`No migration available for save schema version ${current}.`);
+    }
+    migrated = migration(migrated);
+  }
+  return migrated;
+}
+
+export function readSaveEnvelope(raw: unknown, options: GameStateValidationOptions): SaveLoadResult {
+  if (!isRecord(raw)) {
+    return failure('Save data is not an object.');
+  }
+  const version = raw.version;
+  if (typeof version !== 'number' || !Number.isInteger(version) || version < 0) {
+    return failure('Save data is missing a schema version.');
+  }
+  if (version > SAVE_SCHEMA_VERSION) {
+    return failure(
+      `Save was created by a newer version of the game (schema ${version}, supported ${SAVE_SCHEMA_VERSION}).`
+    );
+  }
+  if (!isRecord(raw.state)) {
+    return failure('Save data has no game state.');
+  }
+
+  let state: SaveRecord;
+  try {
+    state = migrateSaveState(version, raw.state);
+  } catch (error) {
+    return failure(error instanceof Error ? error.message : 'Save migration failed.');
+  }
+
+  const errors = validateGameState(state, options);
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+
+  return {
+    ok: true,
+    envelope: {
+      version: SAVE_SCHEMA_VERSION,
+      name: typeof raw.name === 'string' ? raw.name : '',
+      savedAt: typeof raw.savedAt === 'string' ? raw.savedAt : '',
+      state: state as unknown as GameState,
+      journal: matchJournalToState(raw.journal, state as unknown as GameState)
+    }
+  };
+}
+
+export function serialiseSaveDocument(state: GameState, name: string, journal: ActionJournal | null = null): string {
+  return JSON.stringify(createSaveEnvelope(state, name, journal), null, 2);
+}
+
+export function parseSaveDocument(text: string, options: GameStateValidationOptions): SaveLoadResult {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text) as unknown;
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : 'unknown parse error';
+    return failure(`File is not valid JSON (${detail}).`);
+  }
+  return readSaveEnvelope(raw, options);
+}
+
+function readJson(storage: Storage, key: string): unknown {
+  try {
+    const text = storage.getItem(key);
+    return text === null ? null : (JSON.parse(text) as unknown);
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(storage: Storage, key: string, value: unknown): boolean {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function removeKey(storage: Storage, key: string): boolean {
+  try {
+    storage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function summariseSave(id: string, envelope: SaveEnvelope): SaveSlotSummary {
+  return {
+    id,
+    name: envelope.name,
+    savedAt: envelope.savedAt,
+    day: envelope.state.day,
+    balance: envelope.state.balance,
+    propertyCount: envelope.state.portfolio.length
+  };
+}
+
+export function writeAutosave(state: GameState, storage = getSaveStorage()): boolean {
+  if (!storage) {
+    return false;
+  }
+  return writeJson(storage, AUTOSAVE_KEY, createSaveEnvelope(state, 'Autosave'));
+}
+
+export function readAutosave(
+  options: GameStateValidationOptions,
+  storage = getSaveStorage()
+): SaveLoadResult | null {
+  if (!storage) {
+    return null;
+  }
+  const raw = readJson(storage, AUTOSAVE_KEY);
+  return raw === null ? null : readSaveEnvelope(raw, options);
+}
+
+export function clearAutosave(storage = getSaveStorage()): boolean {
+  if (!storage) {
+    return false;
+  }
+  const stateCleared = removeKey(storage, AUTOSAVE_KEY);
+  const journalCleared = removeKey(storage, JOURNAL_KEY);
+  return stateCleared && journalCleared;
+}
+
+export function writeAutosaveJournal(journal: ActionJournal | null, storage = getSaveStorage()): boolean {
+  if (!storage) {
+    return false;
+  }
+  if (!journal) {
+    return removeKey(storage, JOURNAL_KEY);
+  }
+  return writeJson(storage, JOURNAL_KEY, journal);
+}
+
+export function readAutosaveJournal(storage = getSaveStorage()): ActionJournal | null {
+  if (!storage) {
+    return null;
+  }
+  const raw = readJson(storage, JOURNAL_KEY);
+  return raw !== null && validateActionJournal(raw).length === 0 ? (raw as ActionJournal) : null;
+}
+
+export function listSaveSlots(storage = getSaveStorage()): SaveSlotSummary[] {
+  if (!storage) {
+    return [];
+  }
+  const index = readJson(storage, SLOT_INDEX_KEY);
+  if (!Array.isArray(index)) {
+    return [];
+  }
+  return index
+    .filter(
+      (entry): entry is SaveSlotSummary =>
+        isRecord(entry) &&
+        typeof entry.id === 'string' &&
+        typeof entry.name === 'string' &&
+        typeof entry.savedAt === 'string'
+    )
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+function createSlotId(name: string, existing: SaveSlotSummary[]): string {
+  const slug =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 32) || 'save';
+  const ids = new Set(existing.map((slot) => slot.id));
+  let candidate = slug;
+  let suffix = 2;
+  while (ids.has(candidate)) {
+    candidate = `${slug}-${suffix}`;
+    suffix += 1;
+  }
+  return candidate;
+}
+
+export function writeSaveSlot(
+  state: GameState,
+  name: string,
+  journal: ActionJournal | null = null,
+  storage = getSaveStorage()
+): SaveSlotSummary | null {
+  if (!storage) {
+    return null;
+  }
+  const trimmedName = name.trim() || `Day ${state.day}`;
+  const slots = listSaveSlots(storage);
+  const existing = slots.find((slot) => slot.name === trimmedName);
+  const id = existing?.id ?? createSlotId(trimmedName, slots);
+  const envelope = createSaveEnvelope(state, trimmedName, journal);
+  if (!writeJson(storage, `${SLOT_KEY_PREFIX}${id}`, envelope)) {
+    return null;
+  }
+  const summary = summariseSave(id, envelope);
+  const index = [...slots.filter((slot) => slot.id !== id), summary];
+  writeJson(storage, SLOT_INDEX_KEY, index);
+  return summary;
+}
+
+export function readSaveSlot(
+  id: string,
+  options: GameStateValidationOptions,
+  storage = getSaveStorage()
+): SaveLoadResult {
+  if (!storage) {
+    return failure('Browser storage is unavailable.');
+  }
+  const raw = readJson(storage, `${SLOT_KEY_PREFIX}${id}`);
+  if (raw === null) {
+    return failure('Save slot not found.');
+  }
+  return readSaveEnvelope(raw, options);
+}
+
+export function deleteSaveSlot(id: string, storage = getSaveStorage()): boolean {
+  if (!storage) {
+    return false;
+  }
+  const slots = listSaveSlots(storage);
+  if (!slots.some((slot) => slot.id === id)) {
+    return false;
+  }
+  if (!removeKey(storage, `${SLOT_KEY_PREFIX}${id}`)) {
+    return false;
+  }
+  return writeJson(storage, SLOT_INDEX_KEY, slots.filter((slot) => slot.id !== id));
+}
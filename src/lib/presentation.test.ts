@@ -0,0 +1,24 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { GAME_CONFIG } from './config';
+import { addHistory, createGame } from './engine';
+import { buildHistoryEntries, buildManagementView, buildPropertyCards } from './presentation';
+
+describe('presentation builders', () => {
+  it('lists history newest first', () => {
+    const state = addHistory(addHistory(createGame(GAME_CONFIG, 'seed'), 'First'), 'Second');
+
+    const entries = buildHistoryEntries(state.history);
+
+    expect(entries[0].contentHtml).toContain('Second');
+    expect(entries[1].contentHtml).toContain('First');
+  });
+
+  it('builds cards for market listings and a closed management view from state alone', () => {
+    const state = createGame(GAME_CONFIG, 'seed');
+
+    expect(buildPropertyCards(state).map((card) => card.id)).toEqual(state.market.map((property) => property.id));
+    expect(buildManagementView(state).open).toBe(false);
+  });
+});
@@ -0,0 +1,1273 @@
+import { createLineChart } from '$lib/charts';
+import {
+  FINANCE_CONFIG,
+  HOUSE_PRICE_CONFIG,
+  LETTING_AGENTS,
+  MAINTENANCE_CONFIG,
+  TAX_CONFIG
+} from '$lib/config';
+import {
+  MINIMUM_DEPOSIT_RATIO,
+  calculateMaxCashOut,
+  calculateLettingAgentFee,
+  calculatePropertyEquity,
+  computeMonthlyCashFlow,
+  createAmortizationSchedule,
+  createMortgage,
+  createSaleContext,
+  estimateMaintenanceCost,
+  formatPercent,
+  formatRentPremiumLabel,
+  getEarlyRepaymentChargeRate,
+  getLenderEligibilityIssue,
+  getLendingRestriction,
+  getMortgageArrears,
+  getOverpaymentAllowanceRemaining,
+  getOverpaymentStrategy,
+  getRefinanceRestriction,
+  getRentStrategies,
+  getTenantMonthsRemaining,
+  quotePurchase,
+  quoteRefinance,
+  resolveLender,
+  resolveRefinanceFixedPeriodYears,
+  resolveRefinanceTermMonths,
+  underwriteMortgage,
+  type GameProperty,
+  type GameState,
+  type MaintenanceIncident,
+  type MaintenanceWorkOrder,
+  type Mortgage,
+  type MortgageOverpaymentStrategy,
+  type PurchaseCosts,
+  type Tenant,
+  type TenantApplicant
+} from '$lib/engine';
+import { findIncidentType } from '$lib/incidents';
+import { LEDGER_CATEGORIES, summarisePropertyLedger, type LedgerGroup } from '$lib/ledger';
+import { estimateTaxYearToDate } from '$lib/tax';
+import { calculateMaximumRenewalRent, calculateRenewalAcceptance, findBestApplicant } from '$lib/tenants';
+import type {
+  AmortizationProjection,
+  HistoryEntry,
+  PerformanceChart,
+  PropertyCard,
+  RentalItem,
+  RentalTenantSummary,
+  TaxSummary
+} from '$lib/types';
+import {
+  escapeHtml,
+  formatCurrency,
+  formatInterestRate,
+  formatLeaseCountdown,
+  formatPercentage,
+  formatPropertyType
+} from '$lib/utils';
+
+export interface ManagementApplicant {
+  id: string;
+  name: string;
+  creditScore: number;
+  reliability: number;
+  monthlyIncome: number;
+  monthlyRent: number;
+  leaseMonths: number;
+  receivedOnDay: number;
+  isBest: boolean;
+}
+
+export interface ManagementRenewal {
+  tenantName: string;
+  leaseMonthsRemaining: number;
+  leaseMonths: number;
+  currentRent: number;
+  offeredRent: number;
+  maximumRent: number;
+  marketRent: number;
+  acceptanceChance: number;
+  declined: boolean;
+}
+
+export interface ManagementLeasingControls {
+  plans: {
+    id: string;
+    label: string;
+    leaseMonths: number;
+    rateOffset: number;
+    monthlyRent: number;
+    probability: number;
+  }[];
+  leaseMonthsOptions: number[];
+  rentPremiumOptions: { value: number; label: string }[];
+  selectedPlanId: string;
+  selectedLeaseMonths: number;
+  selectedRateOffset: number;
+  autoRelist: boolean;
+  marketingActive: boolean;
+  marketingPaused: boolean;
+  hasTenant: boolean;
+  applicants: ManagementApplicant[];
+  autoAcceptApplicants: boolean;
+  renewal: ManagementRenewal | null;
+  rentReviewsEnabled: boolean;
+  lettingAgentId: string | null;
+  lettingAgentOptions: { id: string; label: string; description: string }[];
+}
+
+export interface ManagementIncident {
+  id: string;
+  label: string;
+  reportedOnDay: number;
+  repairCost: number;
+  monthsUnrepaired: number;
+  repairedOnDay: number | null;
+  isOpen: boolean;
+  canAfford: boolean;
+}
+
+export interface ManagementMaintenanceState {
+  maintenancePercent: number;
+  projectedCost: number;
+  projectedPercent: number;
+  tenantMonthsRemaining: number;
+  leaseCountdownLabel: string | null;
+  work: MaintenanceWorkOrder | null;
+  workDelayMonths: number;
+  workIsActive: boolean;
+  maintenanceThreshold: number;
+  canSchedule: boolean;
+  incidents: ManagementIncident[];
+  reasons: {
+    atMaxMaintenance: boolean;
+    alreadyScheduled: boolean;
+    insufficientFunds: boolean;
+  };
+}
+
+export interface ManagementSaleState {
+  salePrice: number;
+  sellingCosts: number;
+  outstandingBalance: number;
+  netProceeds: number;
+  canSell: boolean;
+  restrictions: string[];
+}
+
+export interface ManagementLedgerRow {
+  id: string;
+  day: number;
+  label: string;
+  group: LedgerGroup;
+  amount: number;
+}
+
+export interface ManagementRefinanceOption {
+  years: number;
+  label: string;
+  disabled: boolean;
+  active: boolean;
+}
+
+export interface ManagementRefinancePreview {
+  fixedPeriodYears: number;
+  fixedPeriodMonths: number;
+  fixedRate: number;
+  reversionRate: number;
+  baseRate: number;
+  variableRateMargin: number;
+  monthlyPayment: number;
+  paymentDelta: number;
+  cashOut: number;
+  newBalance: number;
+  loanToValue: number;
+  earlyRepaymentCharge: number;
+  comparisonMonths: number;
+  stayCost: number;
+  switchCost: number;
+}
+
+export interface ManagementRefinanceView {
+  available: boolean;
+  reason: string | null;
+  options: ManagementRefinanceOption[];
+  preview: ManagementRefinancePreview | null;
+  equity: number;
+  equityRatio: number;
+  propertyValue: number;
+  outstandingBalance: number;
+  centralBankRate: number;
+  remainingTermYears: number;
+  selectedFixedPeriodYears: number;
+  maxCashOut: number;
+  maxLoanToValue: number;
+  selectedCashOut: number;
+}
+
+export interface ManagementOverpaymentView {
+  available: boolean;
+  reason: string | null;
+  outstandingBalance: number;
+  monthlyPayment: number;
+  remainingTermMonths: number;
+  interestOnly: boolean;
+  chargeApplies: boolean;
+  chargeRate: number;
+  allowanceRemaining: number;
+  recurringAmount: number;
+  strategy: MortgageOverpaymentStrategy;
+  availableFunds: number;
+}
+
+function formatReturn(value: number | null): string {
+  return value === null || !Number.isFinite(value) ? '—' : `${(value * 100).toFixed(1)}%`;
+}
+
+function buildAmortizationProjections(mortgage: Mortgage, centralBankRate: number): AmortizationProjection[] {
+  return FINANCE_CONFIG.rateScenarios.map((scenario) => ({
+    id: scenario.id,
+    label: scenario.label,
+    description: scenario.description,
+    schedule: createAmortizationSchedule(mortgage, {
+      centralBankRate,
+      annualBaseRateChange: scenario.annualBaseRateChange
+    })
+  }));
+}
+
+const LETTING_AGENT_OPTIONS = LETTING_AGENTS.map((agent) => {
+  const service = agent.service === 'full-management' ? 'full management' : 'tenant find';
+  return {
+    id: agent.id,
+    label: `${agent.name} (${service}, ${formatPercentage(agent.feeRate)} of rent)`,
+    description: agent.description
+  };
+});
+
+function createEmptyLeasingControls(): ManagementLeasingControls {
+  return {
+    plans: [],
+    leaseMonthsOptions: [],
+    rentPremiumOptions: [],
+    selectedPlanId: '',
+    selectedLeaseMonths: 0,
+    selectedRateOffset: 0,
+    autoRelist: false,
+    marketingActive: false,
+    marketingPaused: false,
+    hasTenant: false,
+    applicants: [],
+    autoAcceptApplicants: true,
+    renewal: null,
+    rentReviewsEnabled: false,
+    lettingAgentId: null,
+    lettingAgentOptions: []
+  };
+}
+
+export function createEmptyMaintenanceState(): ManagementMaintenanceState {
+  return {
+    maintenancePercent: 0,
+    projectedCost: 0,
+    projectedPercent: 0,
+    tenantMonthsRemaining: 0,
+    leaseCountdownLabel: null,
+    work: null,
+    workDelayMonths: 0,
+    workIsActive: false,
+    maintenanceThreshold: MAINTENANCE_CONFIG.criticalThreshold,
+    canSchedule: false,
+    incidents: [],
+    reasons: {
+      atMaxMaintenance: false,
+      alreadyScheduled: false,
+      insufficientFunds: false
+    }
+  };
+}
+
+export function createEmptyRefinanceView(): ManagementRefinanceView {
+  return {
+    available: false,
+    reason: null,
+    options: [],
+    preview: null,
+    equity: 0,
+    equityRatio: 0,
+    propertyValue: 0,
+    outstandingBalance: 0,
+    centralBankRate: 0,
+    remainingTermYears: 0,
+    selectedFixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
+    maxCashOut: 0,
+    maxLoanToValue: FINANCE_CONFIG.equityRelease.maxLoanToValue,
+    selectedCashOut: 0
+  };
+}
+
+export function createEmptyOverpaymentView(): ManagementOverpaymentView {
+  return {
+    available: false,
+    reason: null,
+    outstandingBalance: 0,
+    monthlyPayment: 0,
+    remainingTermMonths: 0,
+    interestOnly: false,
+    chargeApplies: false,
+    chargeRate: 0,
+    allowanceRemaining: 0,
+    recurringAmount: 0,
+    strategy: 'reduce-term',
+    availableFunds: 0
+  };
+}
+
+export function formatHousePriceIndex(state: GameState): string {
+  const index = state.housePriceIndex.toFixed(1);
+  const yearAgo = state.monthlySnapshots.at(-13);
+  if (!yearAgo) {
+    return index;
+  }
+  const change = (state.housePriceIndex / yearAgo.housePriceIndex - 1) * 100;
+  return `${index} (${change >= 0 ? '+' : ''}${change.toFixed(1)}% over 12 months)`;
+}
+
+export function formatMonthlyCashFlow(state: GameState): string {
+  const grossRent = state.portfolio.reduce(
+    (sum, property) => sum + (property.tenant?.monthlyRent ?? property.monthlyRentEstimate ?? 0),
+    0
+  );
+  const mortgage = state.portfolio.reduce(
+    (sum, property) => sum + (property.mortgage?.monthlyPayment ?? 0),
+    0
+  );
+  const agentFees = state.portfolio.reduce((sum, property) => sum + calculateLettingAgentFee(property), 0);
+  const net = computeMonthlyCashFlow(state);
+  const feesLabel = agentFees > 0 ? ` - agents ${formatCurrency(agentFees)}` : '';
+  const label = `${formatCurrency(net)} <small class="text-muted">(rent ${formatCurrency(
+    grossRent
+  )} - mortgages ${formatCurrency(mortgage)}${feesLabel})</small>`;
+  return label;
+}
+
+function buildLocationSummary(property: GameProperty): string {
+  const location = property.location ?? {};
+  const transit = Math.round((location.proximity ?? 0) * 100);
+  const schools = location.schoolRating ?? '-';
+  const crime = location.crimeScore ?? '-';
+  return `<strong>Location:</strong> ${property.locationDescriptor} · Transit ${transit}% · Schools ${schools}/10 · Crime score ${crime}/10`;
+}
+
+function formatMaintenanceLabel(property: GameProperty): string {
+  return `${Math.round(property.maintenancePercent)}% condition`;
+}
+
+function formatRentSummary(property: GameProperty): string {
+  if (property.tenant) {
+    const months = property.tenant.leaseMonthsRemaining;
+    return `<strong>Current rent:</strong> ${formatCurrency(property.tenant.monthlyRent)} <span class="text-muted">(${months} months remaining)</span>`;
+  }
+  return `<strong>Projected rent:</strong> ${formatCurrency(property.monthlyRentEstimate)} <span class="text-muted">(based on demand)</span>`;
+}
+
+function summariseTenant(tenant: Tenant): RentalTenantSummary {
+  let statusLabel = 'Paying on time';
+  let statusVariant = 'bg-success';
+  if (tenant.eviction) {
+    statusLabel = `Eviction under way (${tenant.eviction.monthsRemaining} months to possession)`;
+    statusVariant = 'bg-danger';
+  } else if (tenant.arrears > 0) {
+    statusLabel = `Rent arrears ${formatCurrency(tenant.arrears)}`;
+    statusVariant = 'bg-warning text-dark';
+  }
+  return {
+    name: tenant.name,
+    creditScore: tenant.creditScore,
+    reliability: tenant.reliability,
+    deposit: tenant.deposit,
+    statusLabel,
+    statusVariant
+  };
+}
+
+function summariseApplicants(applicants: TenantApplicant[]): ManagementApplicant[] {
+  const bestId = findBestApplicant(applicants)?.id ?? null;
+  return applicants.map(({ id, receivedOnDay, tenant }) => ({
+    id,
+    name: tenant.name,
+    creditScore: tenant.creditScore,
+    reliability: tenant.reliability,
+    monthlyIncome: tenant.monthlyIncome,
+    monthlyRent: tenant.monthlyRent,
+    leaseMonths: tenant.leaseMonthsRemaining,
+    receivedOnDay,
+    isBest: id === bestId
+  }));
+}
+
+function summariseIncidents(incidents: MaintenanceIncident[], balance: number): ManagementIncident[] {
+  return [...incidents]
+    .sort(
+      (a, b) =>
+        Number(a.repairedOnDay !== null) - Number(b.repairedOnDay !== null) || b.reportedOnDay - a.reportedOnDay
+    )
+    .map((incident) => ({
+      id: incident.id,
+      label: findIncidentType(incident.kind)?.label ?? 'Repair',
+      reportedOnDay: incident.reportedOnDay,
+      repairCost: incident.repairCost,
+      monthsUnrepaired: incident.monthsUnrepaired,
+      repairedOnDay: incident.repairedOnDay,
+      isOpen: incident.repairedOnDay === null,
+      canAfford: incident.repairCost <= balance
+    }));
+}
+
+function summariseRenewal(tenant: Tenant, marketRent: number): ManagementRenewal | null {
+  const { renewal } = tenant;
+  if (!renewal) {
+    return null;
+  }
+  return {
+    tenantName: tenant.name,
+    leaseMonthsRemaining: tenant.leaseMonthsRemaining,
+    leaseMonths: renewal.leaseMonths,
+    currentRent: tenant.monthlyRent,
+    offeredRent: renewal.offeredRent,
+    maximumRent: calculateMaximumRenewalRent(tenant),
+    marketRent,
+    acceptanceChance: calculateRenewalAcceptance(renewal.offeredRent, marketRent),
+    declined: renewal.declined
+  };
+}
+
+function buildTenantHtml(tenant: Tenant): string {
+  const summary = summariseTenant(tenant);
+  return `
+    <div class="section-card mt-3" id="tenantProfile">
+      <h6>Tenant</h6>
+      <p class="mb-2"><strong>${escapeHtml(tenant.name)}</strong> <span class="badge ${summary.statusVariant}">${
+        summary.statusLabel
+      }</span></p>
+      <dl class="row small text-muted mb-0">
+        <dt class="col-sm-4">Monthly income</dt>
+        <dd class="col-sm-8">${formatCurrency(tenant.monthlyIncome)}</dd>
+        <dt class="col-sm-4">Credit score</dt>
+        <dd class="col-sm-8">${tenant.creditScore}</dd>
+        <dt class="col-sm-4">Reliability</dt>
+        <dd class="col-sm-8">${formatPercentage(tenant.reliability)} chance of paying on time</dd>
+        <dt class="col-sm-4">Deposit held</dt>
+        <dd class="col-sm-8">${formatCurrency(tenant.deposit)}</dd>
+        <dt class="col-sm-4">Rent arrears</dt>
+        <dd class="col-sm-8">${formatCurrency(tenant.arrears)}</dd>
+        <dt class="col-sm-4">Payment record</dt>
+        <dd class="col-sm-8">${tenant.latePayments} late · ${tenant.missedPayments} missed</dd>
+        ${
+          tenant.eviction
+            ? `<dt class="col-sm-4">Eviction</dt>
+        <dd class="col-sm-8">Started day ${tenant.eviction.startedOnDay} · legal costs ${formatCurrency(
+          tenant.eviction.legalCosts
+        )}</dd>`
+            : ''
+        }
+      </dl>
+    </div>
+  `;
+}
+
+function buildStatusChips(property: GameProperty): { label: string; variant?: string }[] {
+  const chips: { label: string; variant?: string }[] = [];
+  if (property.tenant) {
+    chips.push({ label: `Tenant in place (${property.tenant.leaseMonthsRemaining} months remaining)`, variant: 'bg-success' });
+    if (property.tenant.eviction || property.tenant.arrears > 0) {
+      const summary = summariseTenant(property.tenant);
+      chips.push({ label: summary.statusLabel, variant: summary.statusVariant });
+    }
+  } else {
+    chips.push({ label: 'Vacant', variant: 'bg-secondary' });
+  }
+  if (property.rentalMarketingPausedForMaintenance) {
+    chips.push({ label: 'Marketing paused', variant: 'bg-warning text-dark' });
+  } else if (!property.tenant && property.rentalMarketingActive) {
+    chips.push({ label: 'Advertising', variant: 'bg-warning text-dark' });
+  }
+  if (property.autoRelist) {
+    chips.push({ label: 'Auto-relist on', variant: 'bg-info text-dark' });
+  }
+  const arrears = getMortgageArrears(property.mortgage);
+  if (arrears > 0) {
+    chips.push({ label: `In arrears (${formatCurrency(arrears)})`, variant: 'bg-danger' });
+  }
+  return chips;
+}
+
+export function buildPropertyCards(state: GameState): PropertyCard[] {
+  const cards: PropertyCard[] = [];
+  const ownedIds = new Set(state.portfolio.map((property) => property.id));
+
+  state.portfolio.forEach((property) => {
+    const saleContext = createSaleContext(property, state.balance);
+    cards.push({
+      id: property.id,
+      name: property.name,
+      description: property.description,
+      summaryHtml: `<strong>${property.bedrooms}</strong> bed · <strong>${property.bathrooms}</strong> bath · ${formatPropertyType(property.propertyType)}`,
+      featureTags: property.features,
+      locationDetailsHtml: buildLocationSummary(property),
+      maintenanceLabel: formatMaintenanceLabel(property),
+      maintenancePercent: property.maintenancePercent,
+      demandHtml: `<strong>Demand:</strong> ${property.demandScore}/10`,
+      costHtml: `<strong>Value:</strong> ${formatCurrency(property.cost)}`,
+      rentHtml: formatRentSummary(property),
+      statusChips: buildStatusChips(property),
+      owned: true,
+      disablePurchase: true,
+      manageLabel: 'Manage lease',
+      showSell: true,
+      sellLabel: 'Sell',
+      sellDisabled: !saleContext.canSell,
+      sellDisabledReason: saleContext.restrictions.join(' ')
+    });
+  });
+
+  state.market.forEach((property) => {
+    cards.push({
+      id: property.id,
+      name: property.name,
+      description: property.description,
+      summaryHtml: `<strong>${property.bedrooms}</strong> bed · <strong>${property.bathrooms}</strong> bath · ${formatPropertyType(property.propertyType)}`,
+      featureTags: property.features,
+      locationDetailsHtml: buildLocationSummary(property),
+      maintenanceLabel: formatMaintenanceLabel(property),
+      maintenancePercent: property.maintenancePercent,
+      demandHtml: `<strong>Demand:</strong> ${property.demandScore}/10`,
+      costHtml: `<strong>Cost:</strong> ${formatCurrency(property.cost)}`,
+      rentHtml: formatRentSummary(property),
+      statusChips: buildStatusChips(property),
+      owned: false,
+      disablePurchase:
+        state.bankruptOnDay !== null ||
+        ownedIds.has(property.id) ||
+        property.cost * Math.min(state.finance.depositRatio, MINIMUM_DEPOSIT_RATIO) > state.balance,
+      manageLabel: 'Inspect'
+    });
+  });
+
+  return cards;
+}
+
+export function buildRentalItems(state: GameState): RentalItem[] {
+  return state.portfolio.map((property) => {
+    const manageAction = {
+      type: 'manage' as const,
+      label: 'Manage',
+      propertyId: property.id,
+      ariaLabel: `Manage ${property.name}`
+    };
+    if (property.tenant) {
+      const net =
+        property.tenant.monthlyRent - (property.mortgage?.monthlyPayment ?? 0) - calculateLettingAgentFee(property);
+      const netLabel = net >= 0 ? 'Positive cash flow' : 'Negative cash flow';
+      const netClass = net >= 0 ? 'text-success' : 'text-danger';
+      return {
+        id: `rental-${property.id}`,
+        propertyId: property.id,
+        contentHtml: `<strong>${property.name}:</strong> Lease ${property.tenant.leaseMonthsRemaining} months remaining. Monthly rent ${formatCurrency(
+          property.tenant.monthlyRent
+        )}. <span class="${netClass}">${netLabel} ${formatCurrency(net)}</span>`,
+        tenant: summariseTenant(property.tenant),
+        actions: [manageAction]
+      };
+    }
+    const marketingMessage = property.rentalMarketingPausedForMaintenance
+      ? 'Vacant — marketing paused for maintenance.'
+      : property.rentalMarketingActive
+        ? 'Vacant — marketing active.'
+        : property.autoRelist
+          ? 'Vacant — auto-relist enabled, awaiting marketing window.'
+          : 'Vacant — marketing paused.';
+    return {
+      id: `rental-${property.id}`,
+      propertyId: property.id,
+      contentHtml: `<strong>${property.name}:</strong> ${marketingMessage} Expected rent ${formatCurrency(
+        property.monthlyRentEstimate
+      )}.`,
+      actions: [manageAction]
+    };
+  });
+}
+
+export function buildHistoryEntries(history: GameState['history']): HistoryEntry[] {
+  return history
+    .slice()
+    .reverse()
+    .map((entry) => ({
+      id: entry.id,
+      contentHtml: `<code>[Day ${entry.day}]</code> ${entry.message}`
+    }));
+}
+
+export function buildPerformanceCharts(state: GameState): PerformanceChart[] {
+  const snapshots = state.monthlySnapshots;
+  return [
+    {
+      id: 'netWorth',
+      label: 'Net worth',
+      description: 'Cash plus property sale value, less outstanding mortgage debt.',
+      chart: createLineChart(
+        snapshots.map((snapshot) => ({ x: snapshot.day, y: snapshot.netWorth })),
+        { formatY: formatCurrency }
+      )
+    },
+    {
+      id: 'leverage',
+      label: 'Leverage',
+      description: 'Mortgage debt as a share of the portfolio value.',
+      chart: createLineChart(
+        snapshots.map((snapshot) => ({
+          x: snapshot.day,
+          y: snapshot.propertyValue > 0 ? snapshot.mortgageDebt / snapshot.propertyValue : 0
+        })),
+        { formatY: formatPercentage }
+      )
+    },
+    {
+      id: 'housePrices',
+      label: 'House prices',
+      description: `${HOUSE_PRICE_CONFIG.regionName} house price index. Every property value moves with it.`,
+      chart: createLineChart(
+        snapshots.map((snapshot) => ({ x: snapshot.day, y: snapshot.housePriceIndex })),
+        { formatY: (value) => value.toFixed(1) }
+      )
+    },
+    {
+      id: 'cashFlow',
+      label: 'Cash flow',
+      description: 'Rent collected less mortgage payments each month.',
+      chart: createLineChart(
+        snapshots.map((snapshot) => ({ x: snapshot.day, y: snapshot.rentIncome - snapshot.mortgageCosts })),
+        { formatY: formatCurrency }
+      )
+    }
+  ];
+}
+
+export function buildTaxSummary(state: GameState): TaxSummary {
+  return {
+    yearNumber: Math.ceil(state.tax.yearStartDay / TAX_CONFIG.yearLengthDays),
+    daysRemaining: Math.max(state.tax.yearStartDay + TAX_CONFIG.yearLengthDays - 1 - state.day, 0),
+    estimate: estimateTaxYearToDate(state),
+    capitalGains: state.tax.capitalGains,
+    bills: [...state.tax.bills].reverse().slice(0, 5)
+  };
+}
+
+export function buildManagementView(state: GameState) {
+  if (!state.management.open || !state.management.propertyId) {
+    return {
+      open: false,
+      activeSection: 'overview',
+      subtitle: '',
+      summaryHtml: '',
+      overviewHtml: '',
+      leasingHtml: '',
+      financingHtml: '',
+      transactionsHtml: '',
+      ledgerRows: [] as ManagementLedgerRow[],
+      amortization: [] as AmortizationProjection[],
+      maintenanceHtml: '',
+      propertyId: '',
+      isOwned: false,
+      saleState: null,
+      leasingControls: createEmptyLeasingControls(),
+      maintenanceState: createEmptyMaintenanceState(),
+      refinance: createEmptyRefinanceView(),
+      overpayment: createEmptyOverpaymentView()
+    };
+  }
+  const property =
+    state.portfolio.find((item) => item.id === state.management.propertyId) ??
+    state.market.find((item) => item.id === state.management.propertyId);
+  if (!property) {
+    return {
+      open: false,
+      activeSection: 'overview',
+      subtitle: '',
+      summaryHtml: '',
+      overviewHtml: '',
+      leasingHtml: '',
+      financingHtml: '',
+      transactionsHtml: '',
+      ledgerRows: [] as ManagementLedgerRow[],
+      amortization: [] as AmortizationProjection[],
+      maintenanceHtml: '',
+      propertyId: '',
+      isOwned: false,
+      saleState: null,
+      leasingControls: createEmptyLeasingControls(),
+      maintenanceState: createEmptyMaintenanceState(),
+      refinance: createEmptyRefinanceView(),
+      overpayment: createEmptyOverpaymentView()
+    };
+  }
+
+  const netCash =
+    (property.tenant?.monthlyRent ?? 0) - (property.mortgage?.monthlyPayment ?? 0) - calculateLettingAgentFee(property);
+  const netClass = netCash >= 0 ? 'text-success' : 'text-danger';
+  const summaryHtml = `
+    <div class="metric">
+      <span class="label">Gross rent</span>
+      <span class="value">${formatCurrency(property.tenant?.monthlyRent ?? property.monthlyRentEstimate)}</span>
+    </div>
+    <div class="metric">
+      <span class="label">Occupancy</span>
+      <span class="value">${property.tenant ? 'Tenant in place' : 'Vacant'}</span>
+    </div>
+    <div class="metric">
+      <span class="label">Net cash flow</span>
+      <span class="value ${netClass}">${formatCurrency(netCash)}</span>
+    </div>
+  `;
+
+  const overviewHtml = `
+    <div class="section-card">
+      <h6>Performance snapshot</h6>
+      <p class="mb-2">Market value: <strong>${formatCurrency(property.cost)}</strong></p>
+      <p class="mb-2">Maintenance level: <strong>${formatPercent(property.maintenancePercent)}</strong></p>
+      <p class="mb-0">Demand score: <strong>${property.demandScore}/10</strong></p>
+    </div>
+  `;
+
+  const rentPlans = getRentStrategies(property, state.centralBankRate);
+  const selectedPlan =
+    rentPlans.find((plan) => plan.id === property.rentPlanId) ?? rentPlans[0] ?? null;
+  const marketingStatus = property.rentalMarketingPausedForMaintenance
+    ? 'Marketing paused for maintenance'
+    : property.rentalMarketingActive
+      ? 'Marketing active'
+      : property.autoRelist
+        ? 'Auto-relist enabled'
+        : 'Marketing paused';
+  const leasingHtml = `
+    <div class="section-card">
+      <h6>Leasing status</h6>
+      <p class="mb-2">${
+        property.tenant
+          ? property.tenant.eviction
+            ? 'Tenant being evicted for rent arrears. No rent is being paid.'
+            : 'Tenant secured and paying rent.'
+          : property.rentalMarketingPausedForMaintenance
+            ? 'Vacant — marketing is currently paused.'
+            : property.rentalMarketingActive
+              ? 'Vacant — marketing active.'
+              : property.autoRelist
+                ? 'Vacant — auto-relist enabled and awaiting the next marketing cycle.'
+                : 'Vacant — marketing paused.'
+      }</p>
+      <dl class="row small text-muted mb-0">
+        <dt class="col-sm-4">Plan</dt>
+        <dd class="col-sm-8">${
+          selectedPlan
+            ? `${selectedPlan.leaseMonths}-month · ${formatRentPremiumLabel(selectedPlan.rateOffset)} premium`
+            : 'Standard listing'
+        }</dd>
+        <dt class="col-sm-4">Expected rent</dt>
+        <dd class="col-sm-8">${
+          selectedPlan ? formatCurrency(selectedPlan.monthlyRent) : formatCurrency(property.monthlyRentEstimate)
+        }</dd>
+        <dt class="col-sm-4">Tenant chance</dt>
+        <dd class="col-sm-8">${
+          selectedPlan ? formatPercentage(selectedPlan.probability) : '—'
+        } per month</dd>
+        <dt class="col-sm-4">Marketing</dt>
+        <dd class="col-sm-8">${marketingStatus}</dd>
+      </dl>
+    </div>
+    ${property.tenant ? buildTenantHtml(property.tenant) : ''}
+  `;
+
+  const arrears = getMortgageArrears(property.mortgage);
+  const arrearsHtml =
+    arrears > 0
+      ? `<p class="mb-0 mt-2 text-danger">Arrears: <strong>${formatCurrency(arrears)}</strong> after ${
+          property.mortgage?.missedPayments ?? 0
+        } missed payment(s). The lender repossesses after ${FINANCE_CONFIG.arrears.repossessionAfterMissedPayments}.</p>`
+      : '';
+  const recurringOverpayment = Math.max(property.mortgage?.recurringOverpayment ?? 0, 0);
+  const recurringOverpaymentHtml =
+    recurringOverpayment > 0
+      ? `<p class="mb-0 mt-2">Recurring overpayment: <strong>${formatCurrency(recurringOverpayment)}</strong> / month</p>`
+      : '';
+  const financingHtml = property.mortgage
+    ? `
+        <div class="section-card">
+          <h6>Mortgage details</h6>
+          <p class="mb-2">Outstanding balance: <strong>${formatCurrency(property.mortgage.remainingBalance)}</strong></p>
+          <p class="mb-2">Monthly payment: <strong>${formatCurrency(property.mortgage.monthlyPayment)}</strong></p>
+          <p class="mb-0">Rate: <strong>${formatInterestRate(property.mortgage.annualInterestRate)}</strong></p>
+          ${recurringOverpaymentHtml}
+          ${arrearsHtml}
+        </div>
+      `
+    : `
+        <div class="section-card">
+          <h6>Financing</h6>
+          <p class="mb-0">No mortgage in place. Purchase financing is available from the property list.</p>
+        </div>
+      `;
+
+  const tenantMonthsRemaining = getTenantMonthsRemaining(property);
+  const maintenanceEstimate = estimateMaintenanceCost(property, { delayMonths: tenantMonthsRemaining });
+  const maintenanceWork = property.maintenanceWork ? { ...property.maintenanceWork } : null;
+  const workDelayMonths = maintenanceWork ? Math.max(maintenanceWork.startDelayMonths ?? 0, 0) : 0;
+  const maintenanceState: ManagementMaintenanceState = {
+    maintenancePercent: property.maintenancePercent,
+    projectedCost: maintenanceEstimate.projectedCost,
+    projectedPercent: maintenanceEstimate.projectedPercent,
+    tenantMonthsRemaining,
+    leaseCountdownLabel: tenantMonthsRemaining > 0 ? formatLeaseCountdown(tenantMonthsRemaining) : null,
+    work: maintenanceWork,
+    workDelayMonths,
+    workIsActive: Boolean(maintenanceWork && workDelayMonths <= 0),
+    maintenanceThreshold: MAINTENANCE_CONFIG.criticalThreshold,
+    canSchedule:
+      !maintenanceWork &&
+      property.maintenancePercent < 100 &&
+      maintenanceEstimate.projectedCost <= state.balance,
+    incidents: summariseIncidents(property.incidents, state.balance),
+    reasons: {
+      atMaxMaintenance: property.maintenancePercent >= 100,
+      alreadyScheduled: Boolean(maintenanceWork),
+      insufficientFunds: maintenanceEstimate.projectedCost > state.balance
+    }
+  };
+  const maintenanceHtml = '';
+
+  const plans = rentPlans.map((plan) => ({
+    id: plan.id,
+    label: plan.label,
+    leaseMonths: plan.leaseMonths,
+    rateOffset: plan.rateOffset,
+    monthlyRent: plan.monthlyRent,
+    probability: plan.probability
+  }));
+  const leaseMonthsOptions = Array.from(new Set(plans.map((plan) => plan.leaseMonths))).sort((a, b) => a - b);
+  const rentPremiumOptions = Array.from(new Set(plans.map((plan) => plan.rateOffset)))
+    .sort((a, b) => a - b)
+    .map((value) => ({ value, label: formatRentPremiumLabel(value) }));
+  const selectedLeaseMonths = selectedPlan?.leaseMonths ?? leaseMonthsOptions[0] ?? 0;
+  const selectedRateOffset = selectedPlan?.rateOffset ?? rentPremiumOptions[0]?.value ?? 0;
+
+  const isOwned = state.portfolio.some((item) => item.id === property.id);
+  const saleContext = isOwned ? createSaleContext(property, state.balance) : null;
+
+  const ledgerEntries = state.ledger.filter((entry) => entry.propertyId === property.id);
+  const ledgerRows: ManagementLedgerRow[] = ledgerEntries.map((entry, index) => ({
+    id: `${entry.day}-${index}`,
+    day: entry.day,
+    label: LEDGER_CATEGORIES[entry.category].label,
+    group: LEDGER_CATEGORIES[entry.category].group,
+    amount: entry.amount
+  }));
+  const performance = summarisePropertyLedger(ledgerEntries, state.day, saleContext?.netProceeds ?? 0);
+  const profitClass = performance.profit >= 0 ? 'text-success' : 'text-danger';
+  const transactionsHtml =
+    ledgerEntries.length > 0
+      ? `
+    <div class="section-card">
+      <h6>Returns to date</h6>
+      <dl class="row small mb-0">
+        <dt class="col-sm-6">Cash invested</dt>
+        <dd class="col-sm-6">${formatCurrency(performance.totalInvested)}</dd>
+        <dt class="col-sm-6">Net cash received</dt>
+        <dd class="col-sm-6">${formatCurrency(performance.netCashFlow)}</dd>
+        <dt class="col-sm-6">Equity if sold today</dt>
+        <dd class="col-sm-6">${formatCurrency(performance.currentEquity)}</dd>
+        <dt class="col-sm-6">Total profit</dt>
+        <dd class="col-sm-6 ${profitClass}">${formatCurrency(performance.profit)}</dd>
+        <dt class="col-sm-6">ROI</dt>
+        <dd class="col-sm-6">${formatReturn(performance.roi)}</dd>
+        <dt class="col-sm-6">Cash-on-cash return</dt>
+        <dd class="col-sm-6">${formatReturn(performance.cashOnCash)} a year</dd>
+        <dt class="col-sm-6">IRR</dt>
+        <dd class="col-sm-6">${formatReturn(performance.irr)} a year</dd>
+      </dl>
+    </div>
+  `
+      : `
+    <div class="section-card">
+      <h6>Transactions</h6>
+      <p class="mb-0">Cash movements for ${property.name} will appear here once you own it.</p>
+    </div>
+  `;
+
+  const mortgage = property.mortgage;
+  let refinance: ManagementRefinanceView = {
+    ...createEmptyRefinanceView(),
+    centralBankRate: state.centralBankRate,
+    selectedFixedPeriodYears: resolveRefinanceFixedPeriodYears(state)
+  };
+
+  if (isOwned) {
+    const equitySnapshot = calculatePropertyEquity(property);
+    const remainingTermMonths = resolveRefinanceTermMonths(property);
+    const remainingTermYears = remainingTermMonths > 0 ? Math.max(remainingTermMonths / 12, 1 / 12) : 0;
+    refinance = {
+      ...refinance,
+      equity: equitySnapshot.equity,
+      equityRatio: equitySnapshot.ratio,
+      propertyValue: equitySnapshot.value,
+      outstandingBalance: equitySnapshot.outstanding,
+      remainingTermYears,
+      maxCashOut: calculateMaxCashOut(equitySnapshot)
+    };
+
+    const refinanceRestriction = getRefinanceRestriction(state, property);
+    if (refinanceRestriction) {
+      refinance = { ...refinance, reason: refinanceRestriction };
+    } else {
+      const quote = quoteRefinance(state, property);
+      const effectiveYears = quote?.fixedPeriodYears ?? Math.min(refinance.selectedFixedPeriodYears, remainingTermYears);
+
+      const options: ManagementRefinanceOption[] = [];
+      let hasActiveOption = false;
+
+      FINANCE_CONFIG.fixedPeriodOptions.forEach((years) => {
+        const disabled = years > remainingTermYears + 1e-6;
+        const isActive = !disabled && Math.abs(years - effectiveYears) < 1e-6;
+        if (isActive) {
+          hasActiveOption = true;
+        }
+        options.push({ years, label: `${years} years`, disabled, active: isActive });
+      });
+
+      if (remainingTermYears > 0) {
+        const roundedRemaining = Number(remainingTermYears.toFixed(2));
+        const fullTermActive = Math.abs(effectiveYears - remainingTermYears) < 1e-6 || !hasActiveOption;
+        options.push({
+          years: remainingTermYears,
+          label: `Full remaining term (${roundedRemaining}y)`,
+          disabled: false,
+          active: fullTermActive
+        });
+      }
+
+      refinance = {
+        ...refinance,
+        available: true,
+        options,
+        preview: quote
+          ? {
+              fixedPeriodYears: quote.fixedPeriodYears,
+              fixedPeriodMonths: quote.fixedPeriodMonths,
+              fixedRate: quote.profile.fixedRate,
+              reversionRate: quote.profile.reversionRate,
+              baseRate: quote.profile.baseRate,
+              variableRateMargin: quote.profile.variableRateMargin,
+              monthlyPayment: quote.monthlyPayment,
+              paymentDelta: quote.paymentDelta,
+              cashOut: quote.cashOut,
+              newBalance: quote.principal,
+              loanToValue: quote.loanToValue,
+              earlyRepaymentCharge: quote.earlyRepaymentCharge,
+              comparisonMonths: quote.fixedPeriodMonths,
+              stayCost: quote.stayCost,
+              switchCost: quote.switchCost
+            }
+          : null,
+        selectedFixedPeriodYears: effectiveYears,
+        selectedCashOut: quote?.cashOut ?? 0
+      };
+    }
+  } else {
+    refinance = {
+      ...refinance,
+      reason: 'Property has no active mortgage.'
+    };
+  }
+
+  let overpayment = createEmptyOverpaymentView();
+  if (isOwned && mortgage && mortgage.remainingBalance > 0.5) {
+    const arrearsOutstanding = getMortgageArrears(mortgage);
+    overpayment = {
+      ...overpayment,
+      available: state.bankruptOnDay === null && arrearsOutstanding <= 0,
+      reason:
+        state.bankruptOnDay !== null
+          ? 'Overpayments are unavailable while you are bankrupt.'
+          : arrearsOutstanding > 0
+            ? 'Clear the mortgage arrears before making overpayments.'
+            : null,
+      outstandingBalance: mortgage.remainingBalance,
+      monthlyPayment: mortgage.monthlyPayment,
+      remainingTermMonths: mortgage.remainingTermMonths,
+      interestOnly: mortgage.interestOnly,
+      chargeApplies: getEarlyRepaymentChargeRate(mortgage) > 0,
+      chargeRate: getEarlyRepaymentChargeRate(mortgage),
+      allowanceRemaining: getOverpaymentAllowanceRemaining(mortgage),
+      recurringAmount: Math.max(mortgage.recurringOverpayment ?? 0, 0),
+      strategy: getOverpaymentStrategy(mortgage),
+      availableFunds: state.balance
+    };
+  }
+
+  return {
+    open: true,
+    activeSection: state.management.activeSection,
+    subtitle: property.name,
+    summaryHtml,
+    overviewHtml,
+    leasingHtml,
+    financingHtml,
+    transactionsHtml,
+    ledgerRows,
+    amortization: property.mortgage
+      ? buildAmortizationProjections(property.mortgage, state.centralBankRate)
+      : [],
+    maintenanceHtml,
+    propertyId: property.id,
+    isOwned,
+    saleState: saleContext
+      ? {
+          salePrice: saleContext.salePrice,
+          sellingCosts: saleContext.sellingCosts,
+          outstandingBalance: saleContext.outstandingBalance,
+          netProceeds: saleContext.netProceeds,
+          canSell: saleContext.canSell,
+          restrictions: saleContext.restrictions
+        }
+      : null,
+    leasingControls: {
+      plans,
+      leaseMonthsOptions,
+      rentPremiumOptions,
+      selectedPlanId: selectedPlan?.id ?? '',
+      selectedLeaseMonths,
+      selectedRateOffset,
+      autoRelist: property.autoRelist,
+      marketingActive: property.rentalMarketingActive,
+      marketingPaused: property.rentalMarketingPausedForMaintenance,
+      hasTenant: Boolean(property.tenant),
+      applicants: summariseApplicants(property.applicants),
+      autoAcceptApplicants: property.autoAcceptApplicants,
+      renewal: property.tenant
+        ? summariseRenewal(property.tenant, selectedPlan?.monthlyRent ?? property.monthlyRentEstimate)
+        : null,
+      rentReviewsEnabled: property.rentReviewsEnabled,
+      lettingAgentId: property.lettingAgentId,
+      lettingAgentOptions: LETTING_AGENT_OPTIONS
+    },
+    maintenanceState,
+    refinance,
+    overpayment
+  };
+}
+
+function purchaseCostsHtml(costs: PurchaseCosts): string {
+  const surchargeHtml =
+    costs.surcharge > 0
+      ? `<p class="mb-2">Additional property surcharge: <strong>${formatCurrency(costs.surcharge)}</strong></p>`
+      : '';
+  return `
+    <p class="mb-2">Purchase tax: <strong>${formatCurrency(costs.purchaseTax)}</strong></p>
+    ${surchargeHtml}
+    <p class="mb-2">Legal fees: <strong>${formatCurrency(costs.legalFee)}</strong></p>
+    <p class="mb-2">Survey: <strong>${formatCurrency(costs.surveyFee)}</strong></p>
+  `;
+}
+
+export function buildFinanceView(state: GameState) {
+  if (!state.finance.open || !state.finance.propertyId) {
+    return {
+      open: false,
+      propertyName: '',
+      propertySummary: '',
+      depositOptionsHtml: '',
+      fixedPeriodOptionsHtml: '',
+      termOptionsHtml: '',
+      paymentTypeOptionsHtml: '',
+      lenderOffersHtml: '',
+      paymentPreviewHtml: '',
+      amortization: [] as AmortizationProjection[],
+      affordabilityNoteHtml: '',
+      cashPurchaseHtml: '',
+      canPayCash: false,
+      addFeeToLoan: false
+    };
+  }
+  const property = state.market.find((item) => item.id === state.finance.propertyId);
+  if (!property) {
+    return {
+      open: false,
+      propertyName: '',
+      propertySummary: '',
+      depositOptionsHtml: '',
+      fixedPeriodOptionsHtml: '',
+      termOptionsHtml: '',
+      paymentTypeOptionsHtml: '',
+      lenderOffersHtml: '',
+      paymentPreviewHtml: '',
+      amortization: [] as AmortizationProjection[],
+      affordabilityNoteHtml: '',
+      cashPurchaseHtml: '',
+      canPayCash: false,
+      addFeeToLoan: false
+    };
+  }
+
+  const depositOptionsHtml = FINANCE_CONFIG.depositOptions
+    .map((ratio) => {
+      const isActive = Math.abs(ratio - state.finance.depositRatio) < 1e-6;
+      return `
+        <button type="button" class="btn btn-outline-primary${isActive ? ' active' : ''}" data-deposit-ratio="${ratio}" aria-pressed="${isActive}">
+          ${Math.round(ratio * 100)}%
+        </button>
+      `;
+    })
+    .join('');
+
+  const termOptionsHtml = FINANCE_CONFIG.termOptions
+    .map((years) => {
+      const isActive = years === state.finance.termYears;
+      return `
+        <button type="button" class="btn btn-outline-primary${isActive ? ' active' : ''}" data-term-years="${years}" aria-pressed="${isActive}">
+          ${years} years
+        </button>
+      `;
+    })
+    .join('');
+
+  const fixedPeriodOptionsHtml = FINANCE_CONFIG.fixedPeriodOptions
+    .map((years) => {
+      const disabled = years > state.finance.termYears;
+      const isActive = years === state.finance.fixedPeriodYears && !disabled;
+      return `
+        <button type="button" class="btn btn-outline-primary${isActive ? ' active' : ''}" data-fixed-period-years="${years}" aria-pressed="${isActive}" ${disabled ? 'disabled' : ''}>
+          ${years} years
+        </button>
+      `;
+    })
+    .join('');
+
+  const paymentTypeOptionsHtml = `
+    <button type="button" class="btn btn-outline-secondary${state.finance.interestOnly ? '' : ' active'}" data-interest-only="false" aria-pressed="${state.finance.interestOnly ? 'false' : 'true'}">Repayment</button>
+    <button type="button" class="btn btn-outline-secondary${state.finance.interestOnly ? ' active' : ''}" data-interest-only="true" aria-pressed="${state.finance.interestOnly ? 'true' : 'false'}">Interest-only</button>
+  `;
+
+  const selectedLender = resolveLender(state.finance.lenderId);
+  const lenderOfferRowsHtml = FINANCE_CONFIG.lenders
+    .map((lender) => {
+      const offer = createMortgage(property, state, lender);
+      const fee = quotePurchase(state, property, offer).arrangementFee;
+      const issue = getLenderEligibilityIssue(lender, state.finance.depositRatio, state.finance.interestOnly);
+      const isActive = lender.id === selectedLender.id;
+      return `
+        <tr class="${isActive ? 'table-active' : ''}">
+          <th scope="row">
+            ${lender.name}
+            <div class="small text-muted fw-normal">${issue ?? lender.description}</div>
+          </th>
+          <td>${issue ? '—' : formatInterestRate(offer.annualInterestRate)}</td>
+          <td>${issue ? '—' : formatCurrency(offer.monthlyPayment)}</td>
+          <td>${formatCurrency(fee)}</td>
+          <td>${formatPercentage(lender.maxLoanToValue)}</td>
+          <td class="text-end">
+            <button type="button" class="btn btn-sm btn-outline-primary${isActive ? ' active' : ''}" data-lender-id="${lender.id}" aria-pressed="${isActive}" ${issue ? 'disabled' : ''}>
+              ${isActive ? 'Selected' : 'Select'}
+            </button>
+          </td>
+        </tr>
+      `;
+    })
+    .join('');
+  const lenderOffersHtml = `
+    <table class="table table-sm align-middle mb-0">
+      <thead>
+        <tr>
+          <th scope="col">Lender</th>
+          <th scope="col">Fixed rate</th>
+          <th scope="col">Monthly</th>
+          <th scope="col">Fee</th>
+          <th scope="col">Max LTV</th>
+          <th scope="col"></th>
+        </tr>
+      </thead>
+      <tbody>${lenderOfferRowsHtml}</tbody>
+    </table>
+  `;
+
+  const mortgagePreview = createMortgage(property, state, selectedLender);
+  const quote = quotePurchase(state, property, mortgagePreview);
+  const lenderIssue = getLenderEligibilityIssue(
+    selectedLender,
+    state.finance.depositRatio,
+    state.finance.interestOnly
+  );
+  const canAffordDeposit = state.balance >= quote.cashRequired;
+  const underwriting = underwriteMortgage(state, property, mortgagePreview);
+  const paymentPreviewHtml = `
+    <p class="mb-2">Purchase price: <strong>${formatCurrency(property.cost)}</strong></p>
+    <p class="mb-2">Lender: <strong>${selectedLender.name}</strong></p>
+    <p class="mb-2">Deposit: <strong>${formatCurrency(mortgagePreview.deposit)} (${Math.round(
+      mortgagePreview.depositRatio * 100
+    )}%)</strong></p>
+    <p class="mb-2">Arrangement fee: <strong>${formatCurrency(quote.arrangementFee)}</strong>${
+      quote.feeAddedToLoan ? ' <span class="text-muted">(added to the loan)</span>' : ''
+    }</p>
+    ${purchaseCostsHtml(quote.costs)}
+    <p class="mb-2">Total cash needed: <strong>${formatCurrency(quote.cashRequired)}</strong></p>
+    <p class="mb-2">Monthly payment: <strong>${formatCurrency(mortgagePreview.monthlyPayment)}</strong></p>
+    <p class="mb-2">Fixed rate: <strong>${formatInterestRate(mortgagePreview.annualInterestRate)}</strong></p>
+    <p class="mb-0">Rent cover at ${formatInterestRate(underwriting.stressRate)} stress rate: <strong>${formatPercentage(
+      underwriting.coverageRatio
+    )}</strong> (lender minimum ${formatPercentage(underwriting.tier.interestCoverageRatio)})</p>
+  `;
+
+  const lendingRestriction = getLendingRestriction(state);
+  const affordabilityNoteHtml = lendingRestriction
+    ? `<span class="text-danger">Mortgage unavailable. ${lendingRestriction}</span>`
+    : lenderIssue
+      ? `<span class="text-danger">${lenderIssue} Choose a larger deposit or another lender.</span>`
+      : !underwriting.approved
+        ? `<span class="text-danger">Lender affordability checks failed. ${underwriting.failures
+            .map((failure) => failure.message)
+            .join(' ')}</span>`
+        : canAffordDeposit
+          ? '<span class="text-success">Deposit and purchase costs affordable with current balance.</span>'
+          : `<span class="text-danger">Insufficient funds for the deposit and purchase costs. You need ${formatCurrency(
+              quote.cashRequired
+            )}.</span>`;
+
+  const cashQuote = quotePurchase(state, property, null);
+  const canPayCash = state.bankruptOnDay === null && state.balance >= cashQuote.cashRequired;
+  const cashPurchaseHtml = canPayCash
+    ? `<span class="text-success">Buy outright for ${formatCurrency(property.cost)} plus ${formatCurrency(
+        cashQuote.costs.total
+      )} purchase costs with no mortgage. Balance afterwards ${formatCurrency(
+        state.balance - cashQuote.cashRequired
+      )}.</span>`
+    : `<span class="text-muted">Buying outright needs ${formatCurrency(
+        cashQuote.cashRequired
+      )} including purchase costs. You are ${formatCurrency(cashQuote.cashRequired - state.balance)} short.</span>`;
+
+  const validationHtml = state.finance.validationError
+    ? `<div class="alert alert-danger mt-2" role="alert">${state.finance.validationError}</div>`
+    : '';
+
+  return {
+    open: true,
+    propertyName: property.name,
+    propertySummary: `<strong>${property.bedrooms}</strong> bed · <strong>${property.bathrooms}</strong> bath · ${formatPropertyType(property.propertyType)}`,
+    depositOptionsHtml,
+    fixedPeriodOptionsHtml,
+    termOptionsHtml,
+    paymentTypeOptionsHtml,
+    lenderOffersHtml,
+    paymentPreviewHtml,
+    amortization: buildAmortizationProjections(mortgagePreview, state.centralBankRate),
+    affordabilityNoteHtml: `${affordabilityNoteHtml}${validationHtml}`,
+    cashPurchaseHtml,
+    canPayCash,
+    addFeeToLoan: state.finance.addFeeToLoan
+  };
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+
+import { createDailySeed, createSeededRandom, hashSeed } from './random';
+import { getRandomInt, selectFeatureSubset } from './utils';
+
+describe('seeded random source', () => {
+  it('produces the same sequence for the same state', () => {
+    const first = createSeededRandom(hashSeed('same'));
+    const second = createSeededRandom(hashSeed('same'));
+
+    const sequence = Array.from({ length: 5 }, () => first.next());
+    expect(Array.from({ length: 5 }, () => second.next())).toEqual(sequence);
+    sequence.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('resumes from a stored state', () => {
+    const original = createSeededRandom(hashSeed('resume'));
+    original.next();
+    original.next();
+    const resumed = createSeededRandom(original.getState());
+
+    expect(resumed.next()).toBe(original.next());
+  });
+
+  it('drives the utility helpers deterministically', () => {
+    const pool = ['garden', 'garage', 'balcony', 'loft', 'solar'];
+    const first = createSeededRandom(hashSeed('features'));
+    const second = createSeededRandom(hashSeed('features'));
+
+    expect(selectFeatureSubset(pool, first.next)).toEqual(selectFeatureSubset(pool, second.next));
+    expect(getRandomInt(1, 6, first.next)).toBe(getRandomInt(1, 6, second.next));
+  });
+
+  it('derives daily challenge seeds from the calendar date', () => {
+    expect(createDailySeed(new Date('2024-03-05T12:00:00Z'))).toBe('daily-2024-03-05');
+  });
+});
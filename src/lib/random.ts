@@ -0,0 +1,43 @@
+export type RandomSource = () => number;
+
+export type SeededRandom = {
+  next: RandomSource;
+  getState: () => number;
+};
+
+export function hashSeed(seed: string): number {
+  let hash = 2166136261;
+  for (let index = 0; index < seed.length; index += 1) {
+    hash ^= seed.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+export function createSeededRandom(state: number): SeededRandom {
+  let current = state >>> 0;
+  return {
+    next: () => {
+      current = (current + 0x6d2b79f5) >>> 0;
+      let value = current;
+      value = Math.imul(value ^ (value >>> 15), value | 1);
+      value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+      return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    },
+    getState: () => current
+  };
+}
+
+export function normaliseSeed(seed: string): string {
+  return seed.trim().slice(0, 64);
+}
+
+export function generateSeed(): string {
+  return Math.floor(Math.random() * 36 ** 8)
+    .toString(36)
+    .padStart(8, '0');
+}
+
+export function createDailySeed(date = new Date()): string {
+  return `daily-${date.toISOString().slice(0, 10)}`;
+}
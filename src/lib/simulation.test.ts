@@ -0,0 +1,96 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { GAME_CONFIG } from './config';
+import {
+  createRuleStrategy,
+  parseStrategyRules,
+  runSimulation,
+  summariseBatch,
+  summariseDistribution,
+  type StrategyRules
+} from './simulation';
+
+const rules: StrategyRules = {
+  name: 'Test',
+  purchase: { maxProperties: 2, financing: 'cash', cashReserve: 0 },
+  letting: { leaseMonths: 12, rentPremium: 0.02 },
+  maintenance: { belowPercent: 50 }
+};
+
+describe('strategy rules', () => {
+  it('accepts well-formed rules', () => {
+    expect(parseStrategyRules(rules).ok).toBe(true);
+  });
+
+  it('reports invalid rule values by path', () => {
+    const result = parseStrategyRules({
+      purchase: { depositRatio: 0.33, financing: 'loan' },
+      letting: { leaseMonths: 7 },
+      maintenance: {}
+    });
+
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errors.map((issue) => issue.path)).toEqual([
+        'purchase.financing',
+        'purchase.depositRatio',
+        'letting.leaseMonths',
+        'maintenance.belowPercent'
+      ]);
+    }
+  });
+});
+
+describe('runSimulation', () => {
+  it('follows the scripted rules and replays identically per seed', () => {
+    const options = {
+      seed: 'strategy-test',
+      years: 1,
+      config: { ...GAME_CONFIG, startingBalance: 5_000 },
+      createStrategy: () => createRuleStrategy(rules),
+      recordHistory: true
+    };
+    const first = runSimulation(options);
+    const second = runSimulation(options);
+
+    expect(second).toEqual(first);
+    expect(first.day).toBe(361);
+    expect(first.propertiesOwned).toBe(2);
+    expect(first.history.filter((entry) => entry.message.includes('outright'))).toHaveLength(2);
+    expect(new Set(first.history.map((entry) => entry.id)).size).toBe(first.history.length);
+  });
+
+  it('sells holdings once the hold period has elapsed', () => {
+    const result = runSimulation({
+      seed: 'sell-test',
+      years: 1,
+      config: { ...GAME_CONFIG, startingBalance: 5_000 },
+      createStrategy: () =>
+        createRuleStrategy({ purchase: { maxProperties: 1, financing: 'cash' }, sale: { afterYears: 0.25 } }),
+      recordHistory: true
+    });
+
+    expect(result.history.some((entry) => entry.message.startsWith('Sold '))).toBe(true);
+  });
+});
+
+describe('distributions', () => {
+  it('interpolates percentiles across runs', () => {
+    const distribution = summariseDistribution([5, 1, 3, 2, 4]);
+
+    expect(distribution).toEqual({ min: 1, p10: 1.4, median: 3, mean: 3, p90: 4.6, max: 5 });
+  });
+
+  it('counts bankruptcies in a batch summary', () => {
+    const base = { day: 10, balance: 0, monthlyCashFlow: 0, propertiesOwned: 0, history: [] };
+    const summary = summariseBatch([
+      { ...base, seed: 'a', netWorth: 100, bankrupt: false },
+      { ...base, seed: 'b', netWorth: -50, bankrupt: true }
+    ]);
+
+    expect(summary.runs).toBe(2);
+    expect(summary.bankruptcies).toBe(1);
+    expect(summary.netWorth.min).toBe(-50);
+  });
+});
@@ -0,0 +1,319 @@
+import { GAME_CONFIG, type GameConfig } from '$lib/config';
+import {
+  advanceDays,
+  calculateNetWorth,
+  calculatePurchaseCosts,
+  calculatePropertyEquity,
+  computeMonthlyCashFlow,
+  createGame,
+  createSaleContext,
+  estimateMaintenanceCost,
+  getTenantMonthsRemaining,
+  step,
+  type GameAction,
+  type GameProperty,
+  type GameState,
+  type HistoryEvent
+} from '$lib/engine';
+import { validateStrategyRules, type ValidationIssue } from '$lib/validation';
+
+const DAYS_PER_MONTH = 30;
+const DAYS_PER_YEAR = DAYS_PER_MONTH * 12;
+
+export type Strategy = (state: Readonly<GameState>) => GameAction[];
+
+export interface StrategyRules {
+  name?: string;
+  purchase?: {
+    maxProperties?: number;
+    maxPrice?: number;
+    minGrossYield?: number;
+    cashReserve?: number;
+    financing?: 'mortgage' | 'cash';
+    depositRatio?: number;
+    termYears?: number;
+    fixedPeriodYears?: number;
+    interestOnly?: boolean;
+    lenderId?: string;
+  };
+  letting?: {
+    leaseMonths?: number;
+    rentPremium?: number;
+  };
+  maintenance?: {
+    belowPercent: number;
+    cashReserve?: number;
+  };
+  sale?: {
+    afterYears?: number;
+    minEquityRatio?: number;
+  };
+}
+
+export interface MortgageTerms {
+  depositRatio: number;
+  termYears?: number;
+  fixedPeriodYears?: number;
+  interestOnly?: boolean;
+  lenderId?: string;
+}
+
+export type StrategyParseResult =
+  | { ok: true; rules: StrategyRules }
+  | { ok: false; errors: ValidationIssue[] };
+
+export interface SimulationOptions {
+  seed: string;
+  years: number;
+  createStrategy: () => Strategy;
+  config?: GameConfig;
+  recordHistory?: boolean;
+}
+
+export interface SimulationResult {
+  seed: string;
+  day: number;
+  netWorth: number;
+  balance: number;
+  monthlyCashFlow: number;
+  propertiesOwned: number;
+  bankrupt: boolean;
+  history: HistoryEvent[];
+}
+
+export interface Distribution {
+  min: number;
+  p10: number;
+  median: number;
+  mean: number;
+  p90: number;
+  max: number;
+}
+
+export interface BatchSummary {
+  runs: number;
+  bankruptcies: number;
+  netWorth: Distribution;
+  balance: Distribution;
+  monthlyCashFlow: Distribution;
+  propertiesOwned: Distribution;
+}
+
+export function parseStrategyRules(value: unknown): StrategyParseResult {
+  const errors = validateStrategyRules(value);
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, rules: value as StrategyRules };
+}
+
+export function grossYield(property: GameProperty): number {
+  return property.cost > 0 ? (property.monthlyRentEstimate * 12) / property.cost : 0;
+}
+
+export function cashPurchaseActions(propertyId: string): GameAction[] {
+  return [
+    { type: 'open-finance', propertyId },
+    { type: 'confirm-cash-purchase' },
+    { type: 'close-finance' }
+  ];
+}
+
+export function mortgagePurchaseActions(propertyId: string, terms: MortgageTerms): GameAction[] {
+  const actions: GameAction[] = [
+    { type: 'open-finance', propertyId },
+    { type: 'select-deposit', ratio: terms.depositRatio }
+  ];
+  if (terms.termYears !== undefined) {
+    actions.push({ type: 'select-term', years: terms.termYears });
+  }
+  if (terms.fixedPeriodYears !== undefined) {
+    actions.push({ type: 'select-fixed-period', years: terms.fixedPeriodYears });
+  }
+  if (terms.interestOnly !== undefined) {
+    actions.push({ type: 'set-interest-only', interestOnly: terms.interestOnly });
+  }
+  if (terms.lenderId !== undefined) {
+    actions.push({ type: 'select-lender', lenderId: terms.lenderId });
+  }
+  actions.push({ type: 'confirm-finance' }, { type: 'close-finance' });
+  return actions;
+}
+
+export function refinanceActions(propertyId: string, cashOut: number, fixedPeriodYears: number): GameAction[] {
+  return [
+    { type: 'set-refinance-fixed-period', years: fixedPeriodYears },
+    { type: 'set-refinance-cash-out', amount: cashOut },
+    { type: 'confirm-refinance', propertyId }
+  ];
+}
+
+function planPurchase(state: Readonly<GameState>, rules: NonNullable<StrategyRules['purchase']>): GameAction[] {
+  if (state.portfolio.length >= (rules.maxProperties ?? Infinity)) {
+    return [];
+  }
+  const financing = rules.financing ?? 'mortgage';
+  const depositRatio = rules.depositRatio ?? 0.25;
+  const available = state.balance - (rules.cashReserve ?? 0);
+  const [listing] = state.market
+    .filter((property) => property.cost <= (rules.maxPrice ?? Infinity))
+    .filter((property) => grossYield(property) >= (rules.minGrossYield ?? 0))
+    .filter((property) => {
+      const costs = calculatePurchaseCosts(property.cost, state.portfolio.length).total;
+      return (financing === 'cash' ? property.cost : property.cost * depositRatio) + costs <= available;
+    })
+    .sort((a, b) => grossYield(b) - grossYield(a));
+  if (!listing) {
+    return [];
+  }
+  return financing === 'cash'
+    ? cashPurchaseActions(listing.id)
+    : mortgagePurchaseActions(listing.id, { ...rules, depositRatio });
+}
+
+function planLetting(property: GameProperty, rules: NonNullable<StrategyRules['letting']>): GameAction[] {
+  const actions: GameAction[] = [];
+  if (rules.leaseMonths !== undefined) {
+    actions.push({ type: 'set-lease-months', propertyId: property.id, leaseMonths: rules.leaseMonths });
+  }
+  if (rules.rentPremium !== undefined) {
+    actions.push({ type: 'set-rent-premium', propertyId: property.id, rateOffset: rules.rentPremium });
+  }
+  return actions;
+}
+
+export function canAffordMaintenance(state: Readonly<GameState>, property: GameProperty, reserve = 0): boolean {
+  const { projectedCost } = estimateMaintenanceCost(property, {
+    delayMonths: getTenantMonthsRemaining(property)
+  });
+  return projectedCost + reserve <= state.balance;
+}
+
+function shouldScheduleMaintenance(
+  state: Readonly<GameState>,
+  property: GameProperty,
+  rules: NonNullable<StrategyRules['maintenance']>
+): boolean {
+  if (property.maintenanceWork || property.maintenancePercent >= rules.belowPercent) {
+    return false;
+  }
+  return canAffordMaintenance(state, property, rules.cashReserve ?? 0);
+}
+
+function shouldSell(
+  state: Readonly<GameState>,
+  property: GameProperty,
+  heldDays: number,
+  rules: NonNullable<StrategyRules['sale']>
+): boolean {
+  if (!createSaleContext(property, state.balance).canSell) {
+    return false;
+  }
+  if (rules.afterYears !== undefined && heldDays >= rules.afterYears * DAYS_PER_YEAR) {
+    return true;
+  }
+  if (rules.minEquityRatio !== undefined) {
+    const equity = calculatePropertyEquity(property);
+    return equity.value > 0 && equity.equity / equity.value >= rules.minEquityRatio;
+  }
+  return false;
+}
+
+export function createRuleStrategy(rules: StrategyRules): Strategy {
+  const acquiredOnDay = new Map<string, number>();
+  return (state) => {
+    const actions: GameAction[] = [];
+    state.portfolio.forEach((property) => {
+      if (!acquiredOnDay.has(property.id)) {
+        acquiredOnDay.set(property.id, state.day);
+      }
+      const heldDays = state.day - (acquiredOnDay.get(property.id) ?? state.day);
+      if (rules.sale && shouldSell(state, property, heldDays, rules.sale)) {
+        actions.push({ type: 'sell-property', propertyId: property.id });
+        acquiredOnDay.delete(property.id);
+        return;
+      }
+      if (rules.letting) {
+        actions.push(...planLetting(property, rules.letting));
+      }
+      if (rules.maintenance && shouldScheduleMaintenance(state, property, rules.maintenance)) {
+        actions.push({ type: 'schedule-maintenance', propertyId: property.id });
+      }
+    });
+    if (rules.purchase) {
+      actions.push(...planPurchase(state, rules.purchase));
+    }
+    return actions;
+  };
+}
+
+function collectNewHistory(previous: GameState, next: GameState, log: HistoryEvent[]): void {
+  if (previous.history === next.history) {
+    return;
+  }
+  const lastId = previous.history.at(-1)?.id;
+  const start = lastId ? next.history.findIndex((entry) => entry.id === lastId) + 1 : 0;
+  log.push(...next.history.slice(start));
+}
+
+export function runSimulation({
+  seed,
+  years,
+  createStrategy,
+  config = GAME_CONFIG,
+  recordHistory = false
+}: SimulationOptions): SimulationResult {
+  const strategy = createStrategy();
+  let state = createGame(config, seed);
+  const history: HistoryEvent[] = recordHistory ? [...state.history] : [];
+  const totalDays = Math.round(years * DAYS_PER_YEAR);
+
+  for (let elapsed = 0; elapsed < totalDays && state.bankruptOnDay === null; elapsed += 1) {
+    const previous = state;
+    state = strategy(state).reduce((current, action) => step(current, action), state);
+    state = advanceDays(state, 1);
+    if (recordHistory) {
+      collectNewHistory(previous, state, history);
+    }
+  }
+
+  return {
+    seed,
+    day: state.day,
+    netWorth: calculateNetWorth(state),
+    balance: state.balance,
+    monthlyCashFlow: computeMonthlyCashFlow(state),
+    propertiesOwned: state.portfolio.length,
+    bankrupt: state.bankruptOnDay !== null,
+    history
+  };
+}
+
+export function summariseDistribution(values: number[]): Distribution {
+  if (values.length === 0) {
+    return { min: 0, p10: 0, median: 0, mean: 0, p90: 0, max: 0 };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = (ratio: number) => {
+    const position = (sorted.length - 1) * ratio;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  };
+  return {
+    min: sorted[0],
+    p10: percentile(0.1),
+    median: percentile(0.5),
+    mean: sorted.reduce((total, value) => total + value, 0) / sorted.length,
+    p90: percentile(0.9),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+export function summariseBatch(results: SimulationResult[]): BatchSummary {
+  return {
+    runs: results.length,
+    bankruptcies: results.filter((result) => result.bankrupt).length,
+    netWorth: summariseDistribution(results.map((result) => result.netWorth)),
+    balance: summariseDistribution(results.map((result) => result.balance)),
+    monthlyCashFlow: summariseDistribution(results.map((result) => result.monthlyCashFlow)),
+    propertiesOwned: summariseDistribution(results.map((result) => result.propertiesOwned))
+  };
+}
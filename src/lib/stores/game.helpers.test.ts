@@ -1,7 +1,8 @@
 import { describe, expect, it, beforeEach, afterEach } from 'vitest';
 
 import { MAINTENANCE_CONFIG, type PropertyDefinition } from '$lib/config';
-import { createEmptyMaintenanceState, __testing } from './game';
+import { createEmptyMaintenanceState } from '$lib/presentation';
+import { __testing } from './game';
 
 const {
   clampMaintenancePercent,
@@ -27,6 +28,7 @@ describe('maintenance helpers', () => {
       workIsActive: false,
       maintenanceThreshold: MAINTENANCE_CONFIG.criticalThreshold,
       canSchedule: false,
+      incidents: [],
       reasons: {
         atMaxMaintenance: false,
         alreadyScheduled: false,
@@ -2,19 +2,41 @@ import { beforeEach, describe, expect, it, vi } from 'vitest';
 import { get } from 'svelte/store';
 
 import { FINANCE_CONFIG, MAINTENANCE_CONFIG, MARKET_CONFIG } from '$lib/config';
+import { calculatePurchaseCosts, calculateSellingCosts } from '$lib/engine';
 import { formatCurrency } from '$lib/utils';
 import {
+  __testing,
+  activeBotId,
+  confirmCashPurchase,
+  confirmFinance,
   confirmManagementRefinance,
+  exportJournalToJson,
+  financeView,
   gameState,
   getRentStrategies,
   initialiseGame,
   isPaused,
+  makeMortgageOverpayment,
+  managementView,
+  openFinance,
   pauseGame,
+  redoDecision,
+  replayJournalFromJson,
   resumeGame,
+  selectFinanceDeposit,
+  selectFinanceLender,
   sellProperty,
+  setManagementRefinanceCashOut,
+  setFinanceInterestOnly,
   setManagementRefinanceFixedPeriod,
+  setMortgageOverpaymentStrategy,
+  setMortgageRecurringOverpayment,
   setPropertyRentalMarketingActive,
-  tickDay
+  startBot,
+  stopBot,
+  tickDay,
+  undoDecision,
+  undoRedoView
 } from './game';
 
 type TestProperty = Parameters<typeof getRentStrategies>[0];
@@ -43,9 +65,14 @@ function createProperty(overrides: Partial<TestProperty> = {}): TestProperty {
     tenant: null,
     mortgage: null,
     autoRelist: true,
+    lettingAgentId: null,
     rentalMarketingActive: false,
     rentalMarketingPausedForMaintenance: false,
+    applicants: [],
+    autoAcceptApplicants: true,
+    rentReviewsEnabled: false,
     maintenanceWork: null,
+    incidents: [],
     marketAge: 0,
     introducedOnDay: 1,
     vacancyMonths: 0
@@ -54,9 +81,31 @@ function createProperty(overrides: Partial<TestProperty> = {}): TestProperty {
   return { ...base, ...overrides };
 }
 
+type TestTenant = NonNullable<TestProperty['tenant']>;
+
+function createTenant(overrides: Partial<TestTenant> = {}): TestTenant {
+  return {
+    leaseMonthsRemaining: 12,
+    monthlyRent: 1_200,
+    name: 'Test Tenant',
+    monthlyIncome: 4_000,
+    creditScore: 720,
+    reliability: 1,
+    deposit: 1_200,
+    arrears: 0,
+    latePayments: 0,
+    missedPayments: 0,
+    eviction: null,
+    renewal: null,
+    monthsSinceRentReview: 0,
+    ...overrides
+  };
+}
+
 describe('market listing lifecycle', () => {
   beforeEach(() => {
     vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
     initialiseGame();
   });
 
@@ -74,7 +123,7 @@ describe('market listing lifecycle', () => {
       lastMarketGenerationDay: state.day
     });
 
-    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    __testing.setRandomSourceOverride(() => 0.5);
 
     const baseline = trimmedMarket.length;
     for (let day = 0; day < MARKET_CONFIG.generationInterval; day += 1) {
@@ -96,7 +145,7 @@ describe('market listing lifecycle', () => {
       lastMarketGenerationDay: state.day
     });
 
-    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    __testing.setRandomSourceOverride(() => 0.5);
 
     tickDay();
 
@@ -108,6 +157,7 @@ describe('market listing lifecycle', () => {
 describe('rental marketing controls', () => {
   beforeEach(() => {
     vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
     initialiseGame();
   });
 
@@ -116,6 +166,7 @@ describe('rental marketing controls', () => {
     const property = createProperty({
       id: 'marketing-test',
       name: 'Marketing Test',
+      maintenancePercent: 100,
       autoRelist: false,
       rentalMarketingActive: false
     });
@@ -126,7 +177,7 @@ describe('rental marketing controls', () => {
       lastRentCollectionDay: initialState.day - 30
     });
 
-    vi.spyOn(Math, 'random').mockReturnValue(0.01);
+    __testing.setRandomSourceOverride(() => 0.05);
 
     tickDay();
 
@@ -149,6 +200,7 @@ describe('rental marketing controls', () => {
     expect(updated.portfolio[0]?.tenant).not.toBeNull();
     expect(updated.portfolio[0]?.rentalMarketingActive).toBe(false);
     expect(updated.history.at(-1)?.message).toContain('Placed a tenant');
+    expect(updated.portfolio[0]?.incidents).toEqual([]);
   });
 
   it('boosts tenant placement probability after consecutive vacancies', () => {
@@ -176,7 +228,7 @@ describe('rental marketing controls', () => {
       lastRentCollectionDay: initialState.day - 30
     });
 
-    vi.spyOn(Math, 'random').mockReturnValue(0.25);
+    __testing.setRandomSourceOverride(() => 0.25);
 
     tickDay();
 
@@ -249,9 +301,349 @@ describe('getRentStrategies', () => {
   });
 });
 
+describe('mortgage underwriting', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
+    initialiseGame();
+  });
+
+  it('declines a mortgage whose rent does not cover the stressed payment', () => {
+    const initialState = get(gameState);
+    const listing = createProperty({ id: 'thin-yield', cost: 200_000, monthlyRentEstimate: 500 });
+    gameState.set({ ...initialState, balance: 100_000, market: [listing] });
+
+    openFinance(listing.id);
+    confirmFinance();
+
+    const updated = get(gameState);
+    expect(updated.portfolio).toHaveLength(0);
+    expect(updated.balance).toBe(100_000);
+    expect(updated.finance.validationError).toContain('Mortgage declined.');
+    expect(updated.finance.validationError).toContain('stress-tested');
+  });
+
+  it('approves a mortgage when every affordability check passes', () => {
+    const initialState = get(gameState);
+    const listing = createProperty({ id: 'strong-yield', cost: 200_000, monthlyRentEstimate: 2_000 });
+    gameState.set({ ...initialState, balance: 100_000, market: [listing] });
+
+    openFinance(listing.id);
+    confirmFinance();
+
+    const updated = get(gameState);
+    expect(updated.finance.validationError).toBeNull();
+    expect(updated.portfolio[0]?.mortgage?.principal).toBeGreaterThan(0);
+  });
+});
+
+describe('competing lenders', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
+    initialiseGame();
+  });
+
+  it('records the chosen lender on the mortgage and charges its arrangement fee', () => {
+    const initialState = get(gameState);
+    const listing = createProperty({ id: 'lender-test', cost: 200_000, monthlyRentEstimate: 2_000 });
+    gameState.set({ ...initialState, balance: 100_000, market: [listing] });
+
+    openFinance(listing.id);
+    selectFinanceLender('challenger');
+    confirmFinance();
+
+    const updated = get(gameState);
+    const mortgage = updated.portfolio[0]?.mortgage;
+    const lender = FINANCE_CONFIG.lenders.find((item) => item.id === 'challenger')!;
+    const fee = Math.round(mortgage!.principal * lender.arrangementFeeRate * 100) / 100;
+    expect(mortgage?.lenderId).toBe('challenger');
+    const costs = calculatePurchaseCosts(listing.cost, 0).total;
+    expect(updated.balance).toBeCloseTo(100_000 - mortgage!.deposit - fee - costs, 2);
+    expect(updated.history.at(-1)?.message).toContain('Mortgage arranged with Challenger Digital');
+  });
+
+  it('prices each lender from its own rate model', () => {
+    const initialState = get(gameState);
+    const listing = createProperty({ id: 'lender-rates', cost: 200_000, monthlyRentEstimate: 2_000 });
+    gameState.set({ ...initialState, balance: 100_000, market: [listing] });
+
+    openFinance(listing.id);
+    const offersHtml = get(financeView).lenderOffersHtml;
+    for (const lender of FINANCE_CONFIG.lenders) {
+      expect(offersHtml).toContain(`data-lender-id="${lender.id}"`);
+    }
+
+    selectFinanceLender('specialist');
+    confirmFinance();
+    const specialistRate = get(gameState).portfolio[0]?.mortgage?.annualInterestRate;
+
+    gameState.set({ ...initialState, balance: 100_000, market: [listing] });
+    openFinance(listing.id);
+    selectFinanceLender('high-street');
+    confirmFinance();
+    const highStreetRate = get(gameState).portfolio[0]?.mortgage?.annualInterestRate;
+
+    expect(specialistRate).not.toBe(highStreetRate);
+  });
+
+  it('declines products outside the lender criteria', () => {
+    const initialState = get(gameState);
+    const listing = createProperty({ id: 'lender-criteria', cost: 200_000, monthlyRentEstimate: 2_000 });
+    gameState.set({ ...initialState, balance: 100_000, market: [listing] });
+
+    openFinance(listing.id);
+    selectFinanceLender('building-society');
+    setFinanceInterestOnly(true);
+    confirmFinance();
+    expect(get(gameState).finance.validationError).toContain('does not offer interest-only');
+
+    setFinanceInterestOnly(false);
+    selectFinanceDeposit(0.05);
+    confirmFinance();
+
+    const updated = get(gameState);
+    expect(updated.portfolio).toHaveLength(0);
+    expect(updated.finance.validationError).toContain('lends up to 85%');
+  });
+});
+
+describe('cash purchases', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
+    initialiseGame();
+  });
+
+  it('buys a listing outright without creating a mortgage', () => {
+    const initialState = get(gameState);
+    const listing = createProperty({
+      id: 'cash-test',
+      name: 'Cash Test',
+      cost: 150_000,
+      tenant: createTenant({ leaseMonthsRemaining: 6, monthlyRent: 1_200 })
+    });
+    gameState.set({ ...initialState, balance: 200_000, market: [listing] });
+
+    openFinance(listing.id);
+    confirmCashPurchase();
+
+    const updated = get(gameState);
+    expect(updated.balance).toBe(50_000 - calculatePurchaseCosts(150_000, 0).total);
+    expect(updated.market).toHaveLength(0);
+    expect(updated.portfolio[0]?.mortgage).toBeNull();
+    expect(updated.finance.open).toBe(false);
+    expect(updated.history.map((entry) => entry.message)).toContain(
+      `Purchased Cash Test outright for ${formatCurrency(150_000)}.`
+    );
+  });
+
+  it('keeps the listing and reports an error when the balance is too low', () => {
+    const initialState = get(gameState);
+    const listing = createProperty({ id: 'cash-short', cost: 150_000 });
+    gameState.set({ ...initialState, balance: 149_999, market: [listing] });
+
+    openFinance(listing.id);
+    confirmCashPurchase();
+
+    const updated = get(gameState);
+    expect(updated.balance).toBe(149_999);
+    expect(updated.portfolio).toHaveLength(0);
+    expect(updated.finance.open).toBe(true);
+    expect(updated.finance.validationError).toContain('Insufficient funds to buy outright');
+  });
+
+  it('collects full rent with no mortgage payment and keeps all sale proceeds', () => {
+    const initialState = get(gameState);
+    const owned = createProperty({
+      id: 'cash-owned',
+      name: 'Cash Owned',
+      maintenancePercent: 90,
+      tenant: createTenant({ leaseMonthsRemaining: 6, monthlyRent: 1_500 })
+    });
+    gameState.set({
+      ...initialState,
+      balance: 1_000,
+      portfolio: [owned],
+      lastRentCollectionDay: initialState.day - 30
+    });
+
+    __testing.setRandomSourceOverride(() => 0.99);
+    tickDay();
+
+    const afterRent = get(gameState);
+    expect(afterRent.balance).toBe(2_500);
+
+    const salePrice = __testing.createSaleContext(afterRent.portfolio[0]).salePrice;
+    sellProperty(owned.id);
+
+    const afterSale = get(gameState);
+    expect(afterSale.portfolio).toHaveLength(0);
+    expect(afterSale.balance).toBe(2_500 + salePrice - calculateSellingCosts(salePrice));
+  });
+});
+
+describe('arrears and insolvency', () => {
+  function createMortgage(overrides: Record<string, number | boolean> = {}) {
+    return {
+      depositRatio: 0.2,
+      deposit: 50_000,
+      principal: 200_000,
+      fixedPeriodYears: 5,
+      fixedPeriodMonths: 60,
+      interestOnly: false,
+      annualInterestRate: 0.04,
+      reversionRate: 0.05,
+      baseRate: FINANCE_CONFIG.centralBank.initialRate,
+      variableRateMargin: 0.02,
+      variableRateActive: false,
+      monthlyPayment: 1_200,
+      monthlyInterestRate: 0.04 / 12,
+      remainingTermMonths: 300,
+      termMonths: 300,
+      remainingBalance: 200_000,
+      ...overrides
+    };
+  }
+
+  function runMonth() {
+    const state = get(gameState);
+    gameState.set({ ...state, lastRentCollectionDay: state.day - 29 });
+    tickDay();
+    return get(gameState);
+  }
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(() => 0.99);
+    initialiseGame();
+  });
+
+  it('records a missed payment with a late fee instead of clamping the balance', () => {
+    const initialState = get(gameState);
+    const property = createProperty({
+      id: 'arrears-test',
+      name: 'Arrears Test',
+      autoRelist: false,
+      baseValue: 400_000,
+      mortgage: createMortgage()
+    });
+    gameState.set({ ...initialState, balance: 500, portfolio: [property] });
+
+    const updated = runMonth();
+    const mortgage = updated.portfolio[0]?.mortgage;
+    const expectedInterest = Math.round(200_000 * (0.04 / 12) * 100) / 100;
+    const expectedFee = Math.max(
+      FINANCE_CONFIG.arrears.lateFeeFlat,
+      1_200 * FINANCE_CONFIG.arrears.lateFeeRate
+    );
+
+    expect(updated.balance).toBe(500);
+    expect(mortgage?.remainingBalance).toBe(200_000);
+    expect(mortgage?.missedPayments).toBe(1);
+    expect(mortgage?.arrears).toBeCloseTo(expectedInterest + expectedFee, 2);
+    expect(updated.creditScore).toBe(
+      FINANCE_CONFIG.creditScore.initial - FINANCE_CONFIG.creditScore.missedPaymentPenalty
+    );
+    expect(updated.history.some((entry) => entry.message.includes('Missed the'))).toBe(true);
+  });
+
+  it('clears arrears once funds are available again', () => {
+    const initialState = get(gameState);
+    const property = createProperty({
+      id: 'arrears-clear',
+      name: 'Arrears Clear',
+      autoRelist: false,
+      mortgage: { ...createMortgage(), arrears: 700, missedPayments: 1 }
+    });
+    gameState.set({ ...initialState, balance: 5_000, portfolio: [property] });
+
+    const updated = runMonth();
+    const mortgage = updated.portfolio[0]?.mortgage;
+
+    expect(mortgage?.arrears).toBe(0);
+    expect(mortgage?.missedPayments).toBe(0);
+    expect(updated.balance).toBe(5_000 - 1_200 - 700);
+    expect(updated.history.some((entry) => entry.message.includes('back in good standing'))).toBe(true);
+  });
+
+  it('repossesses the property after repeated missed payments', () => {
+    const initialState = get(gameState);
+    const property = createProperty({
+      id: 'repossess-test',
+      name: 'Repossess Test',
+      autoRelist: false,
+      baseValue: 400_000,
+      mortgage: createMortgage()
+    });
+    gameState.set({ ...initialState, balance: 100, portfolio: [property] });
+
+    for (let month = 1; month < FINANCE_CONFIG.arrears.repossessionAfterMissedPayments; month += 1) {
+      expect(runMonth().portfolio).toHaveLength(1);
+    }
+    const updated = runMonth();
+
+    expect(updated.portfolio).toHaveLength(0);
+    expect(updated.balance).toBeGreaterThan(100);
+    expect(updated.bankruptOnDay).toBeNull();
+    expect(updated.history.some((entry) => entry.message.includes('Lender repossessed Repossess Test'))).toBe(
+      true
+    );
+  });
+
+  it('declares bankruptcy when a shortfall leaves liabilities above assets', () => {
+    const initialState = get(gameState);
+    const property = createProperty({
+      id: 'bankrupt-test',
+      name: 'Bankrupt Test',
+      autoRelist: false,
+      baseValue: 100_000,
+      maintenancePercent: 80,
+      mortgage: createMortgage({
+        interestOnly: true,
+        variableRateActive: true,
+        remainingTermMonths: 0,
+        remainingBalance: 190_000,
+        monthlyPayment: 600
+      })
+    });
+    gameState.set({ ...initialState, balance: 1_000, portfolio: [property] });
+
+    const updated = runMonth();
+
+    expect(updated.balance).toBeLessThan(0);
+    expect(updated.bankruptOnDay).toBe(updated.day);
+    expect(updated.isPaused).toBe(true);
+    expect(updated.history.at(-1)?.message).toContain('Declared bankrupt');
+
+    tickDay();
+    expect(get(gameState).day).toBe(updated.day);
+  });
+
+  it('blocks sales whose shortfall cannot be covered', () => {
+    const initialState = get(gameState);
+    const property = createProperty({
+      id: 'negative-equity',
+      name: 'Negative Equity',
+      baseValue: 100_000,
+      maintenancePercent: 90,
+      mortgage: createMortgage({ remainingBalance: 190_000 })
+    });
+    gameState.set({ ...initialState, balance: 1_000, portfolio: [property] });
+
+    sellProperty(property.id);
+
+    const updated = get(gameState);
+    expect(updated.portfolio).toHaveLength(1);
+    expect(updated.balance).toBe(1_000);
+    expect(updated.history.at(-1)?.message).toContain('Sale attempt blocked for Negative Equity');
+  });
+});
+
 describe('mortgage processing', () => {
   beforeEach(() => {
     vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
     initialiseGame();
   });
 
@@ -291,7 +683,7 @@ describe('mortgage processing', () => {
       lastRentCollectionDay: initialState.day - 30
     });
 
-    vi.spyOn(Math, 'random').mockReturnValue(0.99);
+    __testing.setRandomSourceOverride(() => 0.99);
 
     tickDay();
 
@@ -337,7 +729,7 @@ describe('mortgage processing', () => {
       lastRentCollectionDay: initialState.day - 30
     });
 
-    vi.spyOn(Math, 'random').mockReturnValue(0.99);
+    __testing.setRandomSourceOverride(() => 0.99);
 
     tickDay();
 
@@ -390,7 +782,7 @@ describe('mortgage processing', () => {
       lastRentCollectionDay: initialState.day - 30
     });
 
-    vi.spyOn(Math, 'random').mockReturnValue(0.99);
+    __testing.setRandomSourceOverride(() => 0.99);
 
     tickDay();
 
@@ -405,6 +797,7 @@ describe('mortgage processing', () => {
 describe('mortgage refinance', () => {
   beforeEach(() => {
     vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
     initialiseGame();
   });
 
@@ -470,6 +863,218 @@ describe('mortgage refinance', () => {
     );
     expect(lockLogged).toBe(true);
   });
+
+  it('keeps the existing lender when re-locking a fixed rate', () => {
+    const baseState = get(gameState);
+    const property = createProperty({
+      id: 'lender-refi',
+      name: 'Lender Refi',
+      cost: 320_000,
+      baseValue: 320_000,
+      autoRelist: false,
+      mortgage: {
+        depositRatio: 0.2,
+        deposit: 64_000,
+        principal: 256_000,
+        fixedPeriodYears: 2,
+        fixedPeriodMonths: 24,
+        interestOnly: false,
+        annualInterestRate: 0.055,
+        reversionRate: 0.055,
+        baseRate: baseState.centralBankRate,
+        variableRateMargin: 0.015,
+        variableRateActive: true,
+        monthlyPayment: 1_600,
+        monthlyInterestRate: 0.055 / 12,
+        remainingTermMonths: 240,
+        termMonths: 240,
+        remainingBalance: 200_000,
+        lenderId: 'building-society'
+      }
+    });
+    gameState.set({ ...baseState, portfolio: [property] });
+
+    confirmManagementRefinance(property.id);
+
+    const updatedState = get(gameState);
+    expect(updatedState.portfolio[0]?.mortgage?.lenderId).toBe('building-society');
+    expect(
+      updatedState.history.some((entry) => entry.message.includes('with Mutual Building Society'))
+    ).toBe(true);
+  });
+
+  it('releases equity up to the loan-to-value cap and credits the cash', () => {
+    const baseState = get(gameState);
+    const property = createProperty({
+      id: 'cash-out-test',
+      name: 'Cash Out Test',
+      cost: 400_000,
+      baseValue: 400_000,
+      monthlyRentEstimate: 3_200,
+      autoRelist: false,
+      mortgage: {
+        depositRatio: 0.2,
+        deposit: 80_000,
+        principal: 320_000,
+        fixedPeriodYears: 2,
+        fixedPeriodMonths: 24,
+        interestOnly: false,
+        annualInterestRate: 0.055,
+        reversionRate: 0.055,
+        baseRate: baseState.centralBankRate,
+        variableRateMargin: 0.015,
+        variableRateActive: true,
+        monthlyPayment: 1_800,
+        monthlyInterestRate: 0.055 / 12,
+        remainingTermMonths: 240,
+        termMonths: 300,
+        remainingBalance: 200_000
+      }
+    });
+    gameState.set({ ...baseState, balance: 1_000, portfolio: [property] });
+
+    setManagementRefinanceCashOut(500_000);
+    confirmManagementRefinance(property.id);
+
+    const maxCashOut = 400_000 * FINANCE_CONFIG.equityRelease.maxLoanToValue - 200_000;
+    const updatedState = get(gameState);
+    const mortgage = updatedState.portfolio[0]?.mortgage;
+    expect(updatedState.balance).toBe(1_000 + maxCashOut);
+    expect(mortgage?.remainingBalance).toBe(300_000);
+    expect(mortgage?.principal).toBe(300_000);
+    expect(mortgage?.remainingTermMonths).toBe(240);
+    expect(mortgage?.variableRateActive).toBe(false);
+    expect(mortgage?.monthlyPayment).toBeGreaterThan(1_800);
+    expect(updatedState.management.refinance.cashOutAmount).toBe(0);
+    expect(updatedState.history.some((entry) => entry.message.startsWith('Released'))).toBe(true);
+  });
+
+  it('declines a cash-out that the rent cannot cover', () => {
+    const baseState = get(gameState);
+    const property = createProperty({
+      id: 'thin-cover',
+      name: 'Thin Cover',
+      cost: 400_000,
+      baseValue: 400_000,
+      monthlyRentEstimate: 1_000,
+      autoRelist: false,
+      mortgage: {
+        depositRatio: 0.5,
+        deposit: 200_000,
+        principal: 200_000,
+        fixedPeriodYears: 2,
+        fixedPeriodMonths: 24,
+        interestOnly: false,
+        annualInterestRate: 0.055,
+        reversionRate: 0.055,
+        baseRate: baseState.centralBankRate,
+        variableRateMargin: 0.015,
+        variableRateActive: true,
+        monthlyPayment: 1_200,
+        monthlyInterestRate: 0.055 / 12,
+        remainingTermMonths: 240,
+        termMonths: 300,
+        remainingBalance: 150_000
+      }
+    });
+    gameState.set({ ...baseState, balance: 1_000, portfolio: [property] });
+
+    setManagementRefinanceCashOut(100_000);
+    confirmManagementRefinance(property.id);
+
+    const updatedState = get(gameState);
+    expect(updatedState.balance).toBe(1_000);
+    expect(updatedState.portfolio[0]?.mortgage?.remainingBalance).toBe(150_000);
+    expect(updatedState.history.at(-1)?.message).toMatch(/^Refinance declined for Thin Cover: Expected rent of/);
+  });
+
+  function createFixedRateProperty(balance: number) {
+    return createProperty({
+      id: 'early-remortgage',
+      name: 'Early Remortgage',
+      cost: 400_000,
+      baseValue: 400_000,
+      autoRelist: false,
+      mortgage: {
+        depositRatio: 0.25,
+        deposit: 100_000,
+        principal: 300_000,
+        fixedPeriodYears: 5,
+        fixedPeriodMonths: 60,
+        interestOnly: false,
+        annualInterestRate: 0.075,
+        reversionRate: 0.08,
+        baseRate: 0.06,
+        variableRateMargin: 0.02,
+        variableRateActive: false,
+        monthlyPayment: 2_100,
+        monthlyInterestRate: 0.075 / 12,
+        remainingTermMonths: 282,
+        termMonths: 300,
+        remainingBalance: balance
+      }
+    });
+  }
+
+  it('charges the scheduled early repayment charge when leaving a fixed deal early', () => {
+    const baseState = get(gameState);
+    const property = createFixedRateProperty(290_000);
+    gameState.set({
+      ...baseState,
+      balance: 20_000,
+      centralBankRate: 0.01,
+      portfolio: [property],
+      management: { ...baseState.management, open: true, propertyId: property.id, activeSection: 'financing' }
+    });
+
+    const preview = get(managementView).refinance.preview;
+    const expectedCharge = 290_000 * FINANCE_CONFIG.earlyRepayment.chargeSchedule[1];
+    expect(preview?.earlyRepaymentCharge).toBe(expectedCharge);
+    expect(preview?.switchCost).toBeLessThan(preview?.stayCost ?? 0);
+
+    confirmManagementRefinance(property.id);
+
+    const updatedState = get(gameState);
+    expect(updatedState.balance).toBe(20_000 - expectedCharge);
+    expect(updatedState.portfolio[0]?.mortgage?.annualInterestRate).toBeLessThan(0.075);
+    expect(updatedState.history.some((entry) => entry.message.includes('early repayment charge'))).toBe(true);
+  });
+
+  it('declines an early remortgage when the charge cannot be paid', () => {
+    const baseState = get(gameState);
+    const property = createFixedRateProperty(290_000);
+    gameState.set({ ...baseState, balance: 100, portfolio: [property] });
+
+    confirmManagementRefinance(property.id);
+
+    const updatedState = get(gameState);
+    expect(updatedState.balance).toBe(100);
+    expect(updatedState.portfolio[0]?.mortgage?.annualInterestRate).toBe(0.075);
+    expect(updatedState.history.at(-1)?.message).toContain('Refinance declined');
+  });
+
+  it('takes out a new mortgage when releasing equity from a property owned outright', () => {
+    const baseState = get(gameState);
+    const property = createProperty({
+      id: 'unencumbered-test',
+      name: 'Unencumbered Test',
+      cost: 200_000,
+      baseValue: 200_000,
+      autoRelist: false,
+      mortgage: null
+    });
+    gameState.set({ ...baseState, balance: 0, portfolio: [property] });
+
+    setManagementRefinanceCashOut(100_000);
+    confirmManagementRefinance(property.id);
+
+    const updatedState = get(gameState);
+    const mortgage = updatedState.portfolio[0]?.mortgage;
+    expect(updatedState.balance).toBe(100_000);
+    expect(mortgage?.remainingBalance).toBe(100_000);
+    expect(mortgage?.termMonths).toBe(FINANCE_CONFIG.defaultTermYears * 12);
+    expect(mortgage?.monthlyPayment).toBeGreaterThan(0);
+  });
 });
 
 describe('modal-driven pause management', () => {
@@ -522,6 +1127,7 @@ describe('sellProperty', () => {
 
   beforeEach(() => {
     vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
     initialiseGame();
   });
 
@@ -619,7 +1225,7 @@ describe('sellProperty', () => {
     const updated = get(gameState);
     expect(updated.portfolio).toHaveLength(0);
     const salePrice = Math.round((property.baseValue * property.maintenancePercent) / 100);
-    const expectedNet = salePrice - mortgage.remainingBalance;
+    const expectedNet = salePrice - calculateSellingCosts(salePrice) - mortgage.remainingBalance;
     const expectedBalance = startingBalance + expectedNet;
     expect(updated.balance).toBe(expectedBalance);
     const lastMessage = updated.history.at(-1)?.message ?? '';
@@ -666,3 +1272,264 @@ describe('sellProperty', () => {
     expect(lastMessage).toContain('Repaid $30,000 outstanding');
   });
 });
+
+describe('seeded simulation', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
+  });
+
+  function simulate(seed: string, days: number) {
+    initialiseGame(seed);
+    const state = get(gameState);
+    gameState.set({ ...state, market: state.market.slice(0, 1) });
+    for (let index = 0; index < days; index += 1) {
+      tickDay();
+    }
+    return get(gameState);
+  }
+
+  it('replays the same listings and rate moves for the same seed', () => {
+    const first = simulate('challenge-42', 120);
+    const second = simulate('challenge-42', 120);
+
+    expect(second.seed).toBe('challenge-42');
+    expect(second.market).toEqual(first.market);
+    expect(second.centralBankRate).toBe(first.centralBankRate);
+    expect(second.rngState).toBe(first.rngState);
+    expect(second.history.map((entry) => entry.message)).toEqual(
+      first.history.map((entry) => entry.message)
+    );
+  });
+
+  it('diverges when the seed changes', () => {
+    const first = simulate('challenge-42', 120);
+    const other = simulate('challenge-43', 120);
+
+    expect(other.market.map((property) => property.id)).not.toEqual(
+      first.market.map((property) => property.id)
+    );
+  });
+});
+
+describe('mortgage overpayments', () => {
+  function createMortgage(overrides: Record<string, number | boolean> = {}) {
+    return {
+      depositRatio: 0.2,
+      deposit: 50_000,
+      principal: 200_000,
+      fixedPeriodYears: 5,
+      fixedPeriodMonths: 60,
+      interestOnly: false,
+      annualInterestRate: 0.04,
+      reversionRate: 0.05,
+      baseRate: FINANCE_CONFIG.centralBank.initialRate,
+      variableRateMargin: 0.02,
+      variableRateActive: false,
+      monthlyPayment: 1_055.67,
+      monthlyInterestRate: 0.04 / 12,
+      remainingTermMonths: 300,
+      termMonths: 300,
+      remainingBalance: 200_000,
+      ...overrides
+    };
+  }
+
+  function setupPortfolio(balance: number, overrides: Record<string, number | boolean> = {}) {
+    const state = get(gameState);
+    const property = createProperty({
+      id: 'overpay-test',
+      name: 'Overpay Test',
+      autoRelist: false,
+      mortgage: createMortgage(overrides)
+    });
+    gameState.set({ ...state, balance, portfolio: [property] });
+  }
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(() => 0.99);
+    initialiseGame();
+  });
+
+  it('shortens the term for overpayments within the annual allowance', () => {
+    setupPortfolio(50_000);
+
+    makeMortgageOverpayment('overpay-test', 20_000);
+
+    const state = get(gameState);
+    const mortgage = state.portfolio[0]?.mortgage;
+    expect(state.balance).toBe(30_000);
+    expect(mortgage?.remainingBalance).toBe(180_000);
+    expect(mortgage?.monthlyPayment).toBe(1_055.67);
+    expect(mortgage?.remainingTermMonths).toBeLessThan(300);
+    expect(mortgage?.termMonths).toBe(mortgage?.remainingTermMonths);
+    expect(state.history.at(-1)?.message).toContain('months shorter');
+  });
+
+  it('charges the early repayment rate on amounts above the allowance during the fixed period', () => {
+    setupPortfolio(50_000);
+
+    makeMortgageOverpayment('overpay-test', 30_000);
+
+    const expectedCharge = 10_000 * FINANCE_CONFIG.earlyRepayment.chargeSchedule[0];
+    const state = get(gameState);
+    expect(state.balance).toBe(50_000 - 30_000 - expectedCharge);
+    expect(state.history.at(-1)?.message).toContain(formatCurrency(expectedCharge));
+  });
+
+  it('skips the charge once the mortgage is on its variable rate', () => {
+    setupPortfolio(50_000, { variableRateActive: true });
+
+    makeMortgageOverpayment('overpay-test', 30_000);
+
+    expect(get(gameState).balance).toBe(20_000);
+  });
+
+  it('reduces the monthly payment when that strategy is selected', () => {
+    setupPortfolio(50_000);
+    setMortgageOverpaymentStrategy('overpay-test', 'reduce-payment');
+
+    makeMortgageOverpayment('overpay-test', 20_000);
+
+    const mortgage = get(gameState).portfolio[0]?.mortgage;
+    expect(mortgage?.overpaymentStrategy).toBe('reduce-payment');
+    expect(mortgage?.remainingTermMonths).toBe(300);
+    expect(mortgage?.monthlyPayment).toBeLessThan(1_055.67);
+  });
+
+  it('declines overpayments while the mortgage is in arrears', () => {
+    setupPortfolio(50_000, { arrears: 500, missedPayments: 1 });
+
+    makeMortgageOverpayment('overpay-test', 10_000);
+
+    const state = get(gameState);
+    expect(state.balance).toBe(50_000);
+    expect(state.portfolio[0]?.mortgage?.remainingBalance).toBe(200_000);
+    expect(state.history.at(-1)?.message).toContain('Overpayment declined');
+  });
+
+  it('applies the recurring overpayment after each scheduled payment', () => {
+    setupPortfolio(50_000);
+    setMortgageRecurringOverpayment('overpay-test', 500);
+
+    const state = get(gameState);
+    gameState.set({ ...state, lastRentCollectionDay: state.day - 29 });
+    tickDay();
+
+    const updated = get(gameState);
+    const mortgage = updated.portfolio[0]?.mortgage;
+    const principalPaid = 1_055.67 - Math.round(200_000 * (0.04 / 12) * 100) / 100;
+    expect(mortgage?.recurringOverpayment).toBe(500);
+    expect(mortgage?.remainingBalance).toBeCloseTo(200_000 - principalPaid - 500, 2);
+    expect(mortgage?.overpaymentAllowanceUsed).toBe(500);
+    expect(updated.history.some((entry) => entry.message.startsWith('Recurring overpayments of'))).toBe(true);
+  });
+});
+
+describe('investor bot watch mode', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
+    initialiseGame('bot-watch');
+    gameState.update((state) => ({ ...state, balance: 5_000 }));
+  });
+
+  it('lets the active bot act before each day advances', () => {
+    startBot('cash-flow');
+
+    expect(get(activeBotId)).toBe('cash-flow');
+    expect(get(gameState).history.at(-1)?.message).toBe(
+      'Investor bot "Conservative cash-flow" took over the portfolio.'
+    );
+
+    tickDay();
+
+    const state = get(gameState);
+    expect(state.day).toBe(2);
+    expect(state.portfolio.length).toBeGreaterThan(0);
+    expect(state.finance.propertyId).toBeNull();
+  });
+
+  it('hands control back when stopped or when a new game starts', () => {
+    startBot('flipper');
+    stopBot();
+
+    expect(get(activeBotId)).toBeNull();
+    expect(get(gameState).history.at(-1)?.message).toBe('Investor bot "Flipper" handed the portfolio back to you.');
+
+    tickDay();
+    expect(get(gameState).portfolio).toHaveLength(0);
+
+    startBot('flipper');
+    initialiseGame('bot-watch');
+    expect(get(activeBotId)).toBeNull();
+  });
+
+  it('ignores unknown bots', () => {
+    startBot('missing');
+
+    expect(get(activeBotId)).toBeNull();
+  });
+});
+
+describe('undo, redo and the action journal', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    __testing.setRandomSourceOverride(null);
+    initialiseGame('undo-test');
+    gameState.update((state) => ({ ...state, balance: 5_000 }));
+  });
+
+  function buyFirstListing() {
+    const listing = get(gameState).market[0];
+    openFinance(listing.id);
+    confirmCashPurchase();
+    return listing;
+  }
+
+  it('undoes and redoes a purchase on the same day', () => {
+    const before = get(gameState);
+    const listing = buyFirstListing();
+    const purchased = get(gameState);
+
+    expect(get(undoRedoView).undoLabel).toBe(`purchase of ${listing.name}`);
+
+    undoDecision();
+    const undone = get(gameState);
+    expect(undone.portfolio).toHaveLength(0);
+    expect(undone.balance).toBe(before.balance);
+    expect(undone.finance.propertyId).toBe(listing.id);
+    expect(get(undoRedoView)).toEqual({ undoLabel: null, redoLabel: `purchase of ${listing.name}` });
+
+    redoDecision();
+    expect(get(gameState).portfolio).toEqual(purchased.portfolio);
+    expect(get(gameState).balance).toBe(purchased.balance);
+  });
+
+  it('drops undo history once the day ends', () => {
+    buyFirstListing();
+    tickDay();
+
+    expect(get(undoRedoView)).toEqual({ undoLabel: null, redoLabel: null });
+    undoDecision();
+    expect(get(gameState).portfolio).toHaveLength(1);
+  });
+
+  it('rebuilds the game by replaying the journal', () => {
+    for (let index = 0; index < 40; index += 1) {
+      tickDay();
+    }
+    const json = exportJournalToJson();
+    const played = get(gameState);
+
+    initialiseGame('someone-else');
+    expect(json).not.toBeNull();
+    expect(replayJournalFromJson(json ?? '')).toEqual([]);
+
+    const replayed = get(gameState);
+    expect(replayed.day).toBe(played.day);
+    expect(replayed.market).toEqual(played.market);
+    expect(replayed.rngState).toBe(played.rngState);
+  });
+});
@@ -1,2731 +1,578 @@
 import { derived, get, writable } from 'svelte/store';
+import { INVESTOR_BOTS, findInvestorBot } from '$lib/bots';
+import { GAME_CONFIG } from '$lib/config';
 import {
-  FINANCE_CONFIG,
-  MAINTENANCE_CONFIG,
-  MARKET_CONFIG,
-  defaultProperties,
-  featureAddOns as FEATURE_ADD_ONS,
-  proceduralPropertyArchetypes,
-  propertyTypeMultipliers,
-  type PropertyDefinition
-} from '$lib/config';
-import type { HistoryEntry, PropertyCard, RentalItem } from '$lib/types';
+  addHistory,
+  createGame,
+  getRentStrategies,
+  resolveLender,
+  step,
+  __testing as engineTesting,
+  type GameAction,
+  type GameProperty,
+  type GameState,
+  type ManagementState,
+  type MortgageOverpaymentStrategy
+} from '$lib/engine';
 import {
-  formatCurrency,
-  formatInterestRate,
-  formatLeaseCountdown,
-  formatPercentage,
-  formatPropertyType,
-  getRandomInt,
-  getRandomNumber,
-  pickRandom,
-  roundCurrency,
-  selectFeatureSubset
-} from '$lib/utils';
-
-type RentPlan = {
-  id: string;
+  createJournal,
+  describePlayerDecision,
+  parseJournal,
+  recordAction,
+  replayJournal,
+  serialiseJournal,
+  type ActionJournal
+} from '$lib/journal';
+import {
+  deleteSaveSlot,
+  listSaveSlots,
+  matchJournalToState,
+  parseSaveDocument,
+  readAutosave,
+  readAutosaveJournal,
+  readSaveSlot,
+  serialiseSaveDocument,
+  writeAutosave,
+  writeAutosaveJournal,
+  writeSaveSlot,
+  type SaveSlotSummary
+} from '$lib/persistence';
+import {
+  buildFinanceView,
+  buildHistoryEntries,
+  buildManagementView,
+  buildPerformanceCharts,
+  buildPropertyCards,
+  buildRentalItems,
+  buildTaxSummary,
+  formatHousePriceIndex,
+  formatMonthlyCashFlow
+} from '$lib/presentation';
+import { generateSeed, normaliseSeed, type RandomSource } from '$lib/random';
+import type { Strategy } from '$lib/simulation';
+import type { GameStateValidationOptions, ValidationIssue } from '$lib/validation';
+import { escapeHtml, formatCurrency } from '$lib/utils';
+
+export { getRentStrategies, resolveLender };
+export type { GameProperty, GameState, MortgageOverpaymentStrategy };
+
+interface SessionControls {
+  pauseDepth: number;
+  pausedBeforeModal: boolean;
+  botAgent: Strategy | null;
+  randomSource: RandomSource | null;
+}
+
+interface DecisionCheckpoint {
+  state: GameState;
+  journal: ActionJournal | null;
+}
+
+interface PlayerDecision {
   label: string;
-  leaseMonths: number;
-  rateOffset: number;
-  monthlyRent: number;
-  probability: number;
-};
-
-type Tenant = {
-  leaseMonthsRemaining: number;
-  monthlyRent: number;
-};
-
-type Mortgage = {
-  depositRatio: number;
-  deposit: number;
-  principal: number;
-  fixedPeriodYears: number;
-  fixedPeriodMonths: number;
-  interestOnly: boolean;
-  annualInterestRate: number;
-  reversionRate: number;
-  baseRate: number;
-  variableRateMargin: number;
-  variableRateActive: boolean;
-  monthlyPayment: number;
-  monthlyInterestRate: number;
-  remainingTermMonths: number;
-  termMonths: number;
-  remainingBalance: number;
-};
-
-type MortgageVariableTransition = {
-  propertyId: string;
-  propertyName: string;
-  baseRate: number;
-  margin: number;
-  reversionRate: number;
-};
-
-type ForcedSaleResult = {
-  propertyId: string;
-  propertyName: string;
-  salePrice: number;
-  outstanding: number;
-  netProceeds: number;
-};
-
-type MaintenanceWorkOrder = {
-  monthsRemaining: number;
-  cost: number;
-  scheduledOnDay: number;
-  startDelayMonths: number;
-};
-
-type GameProperty = PropertyDefinition & {
-  baseValue: number;
-  cost: number;
-  maintenancePercent: number;
-  monthlyRentEstimate: number;
-  rentPlanId: string;
-  tenant: Tenant | null;
-  mortgage: Mortgage | null;
-  autoRelist: boolean;
-  rentalMarketingActive: boolean;
-  rentalMarketingPausedForMaintenance: boolean;
-  maintenanceWork: MaintenanceWorkOrder | null;
-  marketAge: number;
-  introducedOnDay: number;
-  vacancyMonths: number;
-};
-
-export type ManagementLeasingControls = {
-  plans: {
-    id: string;
-    label: string;
-    leaseMonths: number;
-    rateOffset: number;
-    monthlyRent: number;
-    probability: number;
-  }[];
-  leaseMonthsOptions: number[];
-  rentPremiumOptions: { value: number; label: string }[];
-  selectedPlanId: string;
-  selectedLeaseMonths: number;
-  selectedRateOffset: number;
-  autoRelist: boolean;
-  marketingActive: boolean;
-  marketingPaused: boolean;
-  hasTenant: boolean;
-};
-
-type HistoryEvent = {
-  id: string;
   day: number;
-  message: string;
-};
+  before: DecisionCheckpoint;
+  after: DecisionCheckpoint;
+}
 
-type FinanceState = {
-  open: boolean;
-  propertyId: string | null;
-  depositRatio: number;
-  termYears: number;
-  fixedPeriodYears: number;
-  interestOnly: boolean;
-  validationError: string | null;
-};
+interface DecisionStacks {
+  undo: PlayerDecision[];
+  redo: PlayerDecision[];
+}
 
-type ManagementState = {
-  open: boolean;
-  propertyId: string | null;
-  activeSection: 'overview' | 'leasing' | 'financing' | 'transactions' | 'maintenance';
-  refinance: ManagementRefinanceState;
-};
+const MAX_UNDO_DECISIONS = 20;
+const AUTOSAVE_INTERVAL_MS = 2_000;
 
-export type ManagementMaintenanceState = {
-  maintenancePercent: number;
-  projectedCost: number;
-  projectedPercent: number;
-  tenantMonthsRemaining: number;
-  leaseCountdownLabel: string | null;
-  work: MaintenanceWorkOrder | null;
-  workDelayMonths: number;
-  workIsActive: boolean;
-  maintenanceThreshold: number;
-  canSchedule: boolean;
-  reasons: {
-    atMaxMaintenance: boolean;
-    alreadyScheduled: boolean;
-    insufficientFunds: boolean;
-  };
-};
+export const gameState = writable<GameState>(createGame(GAME_CONFIG, generateSeed()));
+export const actionJournal = writable<ActionJournal | null>(null);
 
-export type ManagementSaleState = {
-  salePrice: number;
-  outstandingBalance: number;
-  netProceeds: number;
-  canSell: boolean;
-  restrictions: string[];
-};
+const decisionStacks = writable<DecisionStacks>({ undo: [], redo: [] });
+const sessionControls = writable<SessionControls>({
+  pauseDepth: 0,
+  pausedBeforeModal: false,
+  botAgent: null,
+  randomSource: null
+});
 
-type ManagementRefinanceState = {
-  fixedPeriodYears: number;
-};
+export const balance = derived(gameState, ($state) => $state.balance);
+export const day = derived(gameState, ($state) => $state.day);
+export const centralBankRate = derived(gameState, ($state) => $state.centralBankRate);
+export const market = derived(gameState, ($state) => $state.market);
+export const portfolio = derived(gameState, ($state) => $state.portfolio);
+export const history = derived(gameState, ($state) => $state.history);
+export const speed = derived(gameState, ($state) => $state.speed);
+export const seed = derived(gameState, ($state) => $state.seed);
+export const creditScore = derived(gameState, ($state) => $state.creditScore);
+export const bankruptOnDay = derived(gameState, ($state) => $state.bankruptOnDay);
+export const isPaused = derived(gameState, ($state) => $state.isPaused);
+export const managementState = derived(gameState, ($state) => $state.management);
+export const financeState = derived(gameState, ($state) => $state.finance);
 
-export type ManagementRefinanceOption = {
-  years: number;
-  label: string;
-  disabled: boolean;
-  active: boolean;
-};
+export const balanceLabel = derived(balance, ($balance) => formatCurrency($balance));
+export const centralBankRateLabel = derived(centralBankRate, ($rate) => `${($rate * 100).toFixed(2)}%`);
 
-export type ManagementRefinancePreview = {
-  fixedPeriodYears: number;
-  fixedPeriodMonths: number;
-  fixedRate: number;
-  reversionRate: number;
-  baseRate: number;
-  variableRateMargin: number;
-  monthlyPayment: number;
-  paymentDelta: number;
-};
+export const housePriceIndexLabel = derived(gameState, formatHousePriceIndex);
 
-export type ManagementRefinanceView = {
-  available: boolean;
-  reason: string | null;
-  options: ManagementRefinanceOption[];
-  preview: ManagementRefinancePreview | null;
-  equity: number;
-  equityRatio: number;
-  propertyValue: number;
-  outstandingBalance: number;
-  centralBankRate: number;
-  remainingTermYears: number;
-  selectedFixedPeriodYears: number;
-};
+export const monthlyCashFlowLabel = derived(gameState, formatMonthlyCashFlow);
 
-type GameState = {
-  balance: number;
-  day: number;
-  centralBankRate: number;
-  speed: number;
-  isPaused: boolean;
-  market: GameProperty[];
-  portfolio: GameProperty[];
-  history: HistoryEvent[];
-  lastCentralBankAdjustmentDay: number;
-  lastMarketGenerationDay: number;
-  lastRentCollectionDay: number;
-  finance: FinanceState;
-  management: ManagementState;
-};
+export const propertyCards = derived(gameState, buildPropertyCards);
 
-const MINIMUM_DEPOSIT_RATIO = Math.min(...FINANCE_CONFIG.depositOptions);
+export const rentalItems = derived(gameState, buildRentalItems);
 
-const RENT_RATE_OFFSETS = [0.01, 0.02, 0.03, 0.04, 0.05, 0.06, 0.07, 0.08, 0.09, 0.1];
-const LEASE_LENGTH_CHOICES = [6, 12, 18, 24, 36];
+export const historyEntries = derived(history, buildHistoryEntries);
 
-let pauseDepth = 0;
-let pausedBeforeModal = false;
+export const speedLabel = derived(speed, ($speed) => $speed.toString());
 
-let historyIdCounter = 1;
+export const performanceCharts = derived(gameState, buildPerformanceCharts);
 
-function createEmptyLeasingControls(): ManagementLeasingControls {
-  return {
-    plans: [],
-    leaseMonthsOptions: [],
-    rentPremiumOptions: [],
-    selectedPlanId: '',
-    selectedLeaseMonths: 0,
-    selectedRateOffset: 0,
-    autoRelist: false,
-    marketingActive: false,
-    marketingPaused: false,
-    hasTenant: false
-  };
-}
+export const taxSummary = derived(gameState, buildTaxSummary);
 
-export function createEmptyMaintenanceState(): ManagementMaintenanceState {
+export const undoRedoView = derived([gameState, decisionStacks], ([$state, $stacks]) => {
+  const undo = $stacks.undo.at(-1);
+  const redo = $stacks.redo.at(-1);
   return {
-    maintenancePercent: 0,
-    projectedCost: 0,
-    projectedPercent: 0,
-    tenantMonthsRemaining: 0,
-    leaseCountdownLabel: null,
-    work: null,
-    workDelayMonths: 0,
-    workIsActive: false,
-    maintenanceThreshold: MAINTENANCE_CONFIG.criticalThreshold,
-    canSchedule: false,
-    reasons: {
-      atMaxMaintenance: false,
-      alreadyScheduled: false,
-      insufficientFunds: false
-    }
+    undoLabel: undo && undo.day === $state.day ? undo.label : null,
+    redoLabel: redo && redo.day === $state.day ? redo.label : null
   };
-}
+});
 
-export function createEmptyRefinanceView(): ManagementRefinanceView {
-  return {
-    available: false,
-    reason: null,
-    options: [],
-    preview: null,
-    equity: 0,
-    equityRatio: 0,
-    propertyValue: 0,
-    outstandingBalance: 0,
-    centralBankRate: 0,
-    remainingTermYears: 0,
-    selectedFixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears
-  };
-}
+export const managementView = derived(gameState, buildManagementView);
 
-function formatPercent(value: number): string {
-  return formatPercentage(value / 100);
-}
+export const financeView = derived(gameState, buildFinanceView);
 
-function clampMaintenancePercent(value?: number): number {
-  if (!Number.isFinite(value)) {
-    return 0;
-  }
-  const clamped = Math.min(Math.max(value ?? 0, 0), 100);
-  return Math.round(clamped * 10) / 10;
+function createStateWithInitialHistory(logResetMessage: boolean, seed: string): GameState {
+  const state = createGame(GAME_CONFIG, seed);
+  return logResetMessage ? addHistory(state, 'Game reset. Starting over with fresh capital.') : state;
 }
 
-function calculatePropertyValue(property: PropertyDefinition): number {
-  const weights = {
-    base: 220,
-    bedrooms: 95,
-    bathrooms: 80,
-    proximity: 160,
-    schoolRating: 22,
-    safety: 18
-  } as const;
-
-  const location = property.location ?? {};
-
-  const proximityScore = (location.proximity ?? 0) * weights.proximity;
-  const schoolScore = (location.schoolRating ?? 0) * weights.schoolRating;
-  const safetyScore = (10 - (location.crimeScore ?? 5)) * weights.safety;
-
-  const featureScore = property.features.reduce(
-    (total, feature) => total + (FEATURE_ADD_ONS[feature] ?? 35),
-    0
-  );
+function clearDecisions(): void {
+  decisionStacks.set({ undo: [], redo: [] });
+}
 
-  const baseValue =
-    weights.base +
-    property.bedrooms * weights.bedrooms +
-    property.bathrooms * weights.bathrooms +
-    proximityScore +
-    schoolScore +
-    safetyScore +
-    featureScore;
+function resolveSeed(seed?: string): string {
+  const normalised = normaliseSeed(seed ?? '');
+  return normalised || generateSeed();
+}
 
-  const typeMultiplier = propertyTypeMultipliers[property.propertyType] ?? 1;
+export const investorBots = INVESTOR_BOTS.map(({ id, name, description }) => ({ id, name, description }));
+export const activeBotId = writable<string | null>(null);
 
-  return Math.round(baseValue * typeMultiplier);
+function clearBot(): void {
+  sessionControls.update((controls) => ({ ...controls, botAgent: null }));
+  activeBotId.set(null);
 }
 
-function calculateMaintenanceAdjustedValue(baseValue: number, maintenancePercent: number): number {
-  const percent = clampMaintenancePercent(maintenancePercent);
-  return Math.max(Math.round((baseValue * percent) / 100), 0);
+function clearSession(): void {
+  sessionControls.update((controls) => ({ ...controls, pauseDepth: 0, pausedBeforeModal: false, botAgent: null }));
+  activeBotId.set(null);
 }
 
-function calculateMonthlyRentEstimate(cost: number, demandScore: number): number {
-  const baseRent = cost * 0.0065;
-  const demandPremium = (demandScore - 5) * 45;
-  return Math.max(Math.round(baseRent + demandPremium), 0);
+export function initialiseGame(seed?: string): void {
+  clearSession();
+  const state = createStateWithInitialHistory(false, resolveSeed(seed));
+  clearDecisions();
+  actionJournal.set(createJournal(state.seed));
+  gameState.set(state);
 }
 
-function getMaintenanceThreshold(): number {
-  const threshold = MAINTENANCE_CONFIG.criticalThreshold;
-  if (!Number.isFinite(threshold)) {
-    return 25;
-  }
-  return threshold ?? 25;
+export function resetGame(seed?: string): void {
+  clearSession();
+  const state = createStateWithInitialHistory(true, resolveSeed(seed));
+  clearDecisions();
+  actionJournal.set(createJournal(state.seed));
+  gameState.set(state);
 }
 
-function hasActiveMaintenanceWork(property: GameProperty): boolean {
-  const work = property.maintenanceWork;
-  if (!work) {
-    return false;
-  }
-  const delay = Number.isFinite(work.startDelayMonths) ? Math.max(work.startDelayMonths ?? 0, 0) : 0;
-  if (delay > 0) {
-    return false;
-  }
-  const remaining = Number.isFinite(work.monthsRemaining) ? Math.max(work.monthsRemaining ?? 0, 0) : 0;
-  return remaining > 0;
-}
-
-type SaleContext = {
-  salePrice: number;
-  outstandingBalance: number;
-  netProceeds: number;
-  maintenancePercent: number;
-  maintenanceThreshold: number;
-  canSell: boolean;
-  restrictions: string[];
-};
+export const saveSlots = writable<SaveSlotSummary[]>([]);
 
-function createSaleContext(property: GameProperty): SaleContext {
-  const salePrice = roundCurrency(calculateSalePrice(property));
-  const outstandingBalance = roundCurrency(property.mortgage?.remainingBalance ?? 0);
-  const maintenancePercent = clampMaintenancePercent(property.maintenancePercent ?? 0);
-  const maintenanceThreshold = getMaintenanceThreshold();
-  const restrictions: string[] = [];
-  if (maintenancePercent < maintenanceThreshold) {
-    restrictions.push(`Maintenance must be at least ${maintenanceThreshold}%.`);
-  }
-  if (hasActiveMaintenanceWork(property)) {
-    restrictions.push('Maintenance work must be complete before selling.');
-  }
-  const netProceeds = roundCurrency(salePrice - outstandingBalance);
-  return {
-    salePrice,
-    outstandingBalance,
-    netProceeds,
-    maintenancePercent,
-    maintenanceThreshold,
-    canSell: restrictions.length === 0,
-    restrictions
-  };
-}
+const saveValidationOptions: GameStateValidationOptions = {
+  rentPlanIds: (property) => getRentStrategies(property).map((plan) => plan.id)
+};
 
-function clampDemandScore(score: number): number {
-  if (!Number.isFinite(score)) {
-    return 5;
-  }
-  return Math.min(Math.max(score, 1), 10);
+function describeLoadErrors(errors: ValidationIssue[]): string {
+  const listed = errors
+    .slice(0, 3)
+    .map((issue) => (issue.path === 'file' ? issue.message : `${issue.path} ${issue.message}.`));
+  const remaining = errors.length - listed.length;
+  return remaining > 0 ? `${listed.join(' ')} (+${remaining} more)` : listed.join(' ');
 }
 
-function mapDemandToAnnualYield(demandScore: number): number {
-  const minYield = 0.03;
-  const maxYield = 0.08;
-  const clamped = clampDemandScore(demandScore);
-  const progression = (clamped - 1) / 9;
-  return minYield + progression * (maxYield - minYield);
+function applyLoadedState(state: GameState, message: string, journal: ActionJournal | null): void {
+  clearSession();
+  clearDecisions();
+  actionJournal.set(journal);
+  gameState.set(addHistory({ ...state, isPaused: false }, message));
 }
 
-function getTenantMonthsRemaining(property: GameProperty): number {
-  const remaining = property.tenant?.leaseMonthsRemaining ?? 0;
-  if (!Number.isFinite(remaining)) {
-    return 0;
-  }
-  return Math.max(Math.round(remaining), 0);
-}
-
-function forecastMaintenancePercent(
-  property: GameProperty,
-  options: { maintenancePercent?: number; delayMonths?: number } = {}
-): number {
-  const { maintenancePercent, delayMonths } = options;
-  let baseCandidate: number;
-  if (Number.isFinite(maintenancePercent)) {
-    baseCandidate = maintenancePercent ?? 0;
-  } else if (Number.isFinite(property.maintenancePercent)) {
-    baseCandidate = property.maintenancePercent;
-  } else {
-    const [minPercent, maxPercent] = MAINTENANCE_CONFIG.initialPercentRange;
-    baseCandidate = Number.isFinite(maxPercent)
-      ? maxPercent
-      : Number.isFinite(minPercent)
-        ? minPercent
-        : 100;
-  }
-  const currentPercent = clampMaintenancePercent(baseCandidate);
-  const delay = Number.isFinite(delayMonths) ? Math.max(delayMonths ?? 0, 0) : getTenantMonthsRemaining(property);
-  if (delay <= 0) {
-    return currentPercent;
-  }
-  const occupiedDecay = MAINTENANCE_CONFIG.occupiedDecayPerMonth ?? 0;
-  const projected = currentPercent - occupiedDecay * delay;
-  return clampMaintenancePercent(projected);
+export function refreshSaveSlots(): void {
+  saveSlots.set(listSaveSlots());
 }
 
-function estimateMaintenanceCost(
-  property: GameProperty,
-  options: { delayMonths?: number } = {}
-): { baseValue: number; projectedCost: number; projectedPercent: number; deficiencyRatio: number } {
-  if (!property) {
-    return { baseValue: 0, projectedCost: 0, projectedPercent: 0, deficiencyRatio: 0 };
+export function restoreAutosave(): boolean {
+  const result = readAutosave(saveValidationOptions);
+  if (!result?.ok) {
+    return false;
   }
-  const baseValue = Number.isFinite(property.baseValue) ? property.baseValue : calculatePropertyValue(property);
-  const projectedPercent = forecastMaintenancePercent(property, { delayMonths: options.delayMonths });
-  const deficiencyRatio = Math.max(0, 100 - projectedPercent) / 100;
-  const costRatio = MAINTENANCE_CONFIG.refurbishmentCostRatio ?? 0.25;
-  const projectedCost = Math.round(baseValue * costRatio * deficiencyRatio);
-  return { baseValue, projectedCost, projectedPercent, deficiencyRatio };
+  const { state } = result.envelope;
+  const journal = matchJournalToState(readAutosaveJournal(), state);
+  applyLoadedState(state, `Resumed autosaved game from day ${state.day}.`, journal);
+  return true;
 }
 
-function getInitialMaintenancePercent(preferred?: number): number {
-  if (Number.isFinite(preferred)) {
-    return clampMaintenancePercent(preferred);
-  }
-  const [minPercent, maxPercent] = MAINTENANCE_CONFIG.initialPercentRange;
-  return clampMaintenancePercent((minPercent + maxPercent) / 2);
-}
-
-function deriveMaintenancePercent(
-  range: readonly [number, number] | undefined,
-  fallback: number
-): number {
-  if (Array.isArray(range) && range.length === 2) {
-    const [min, max] = range;
-    const lower = Number.isFinite(min) ? min : fallback;
-    const upper = Number.isFinite(max) ? max : fallback;
-    if (Number.isFinite(lower) && Number.isFinite(upper) && lower < upper) {
-      return clampMaintenancePercent(getRandomInt(lower, upper));
+export function enableAutosave(intervalMs = AUTOSAVE_INTERVAL_MS): () => void {
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let pending = false;
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
     }
-  }
-  return getInitialMaintenancePercent(fallback);
-}
-
-function createInitialProperty(definition: PropertyDefinition, day = 1): GameProperty {
-  const baseValue = calculatePropertyValue(definition);
-  const maintenancePercent = getInitialMaintenancePercent(definition.maintenancePercent);
-  const cost = calculateMaintenanceAdjustedValue(baseValue, maintenancePercent);
-  const monthlyRentEstimate = calculateMonthlyRentEstimate(cost, definition.demandScore);
-  const placeholder: GameProperty = {
-    ...definition,
-    baseValue,
-    cost,
-    maintenancePercent,
-    monthlyRentEstimate,
-    rentPlanId: '',
-    tenant: null,
-    mortgage: null,
-    autoRelist: true,
-    rentalMarketingActive: false,
-    rentalMarketingPausedForMaintenance: false,
-    maintenanceWork: null,
-    marketAge: 0,
-    introducedOnDay: day,
-    vacancyMonths: 0
-  };
-
-  const plans = getRentStrategies(placeholder, FINANCE_CONFIG.centralBank.initialRate);
-  const preferredPlan =
-    plans.find(
-      (plan) =>
-        plan.leaseMonths === LEASE_LENGTH_CHOICES[1] &&
-        Math.abs(plan.rateOffset - RENT_RATE_OFFSETS[1]) < 1e-6
-    ) ?? plans[0];
-  const rentPlanId = preferredPlan?.id ?? buildRentPlanId(LEASE_LENGTH_CHOICES[1], RENT_RATE_OFFSETS[1]);
-
-  return { ...placeholder, rentPlanId };
-}
-
-function generateProceduralPropertyId(): string {
-  const cryptoApi =
-    typeof globalThis !== 'undefined'
-      ? (globalThis as { crypto?: { randomUUID?: () => string } }).crypto
-      : undefined;
-  if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
-    return `proc-${cryptoApi.randomUUID()}`;
-  }
-  return `proc-${Math.random().toString(36).slice(2, 10)}`;
-}
-
-function createProceduralProperty(state: GameState): GameProperty {
-  const archetype = pickRandom(proceduralPropertyArchetypes);
-  const bedrooms = getRandomInt(archetype.bedroomsRange[0], archetype.bedroomsRange[1]);
-  const bathrooms = getRandomInt(archetype.bathroomsRange[0], archetype.bathroomsRange[1]);
-  const demandScore = getRandomInt(archetype.demandRange[0], archetype.demandRange[1]);
-  const location = {
-    proximity: getRandomNumber(archetype.proximityRange[0], archetype.proximityRange[1], 2),
-    schoolRating: getRandomInt(archetype.schoolRange[0], archetype.schoolRange[1]),
-    crimeScore: getRandomInt(archetype.crimeRange[0], archetype.crimeRange[1])
+    if (!pending) {
+      return;
+    }
+    pending = false;
+    writeAutosave(get(gameState));
+    writeAutosaveJournal(get(actionJournal));
   };
-
-  const baseDefinition: PropertyDefinition = {
-    id: generateProceduralPropertyId(),
-    name: pickRandom(archetype.names),
-    description: pickRandom(archetype.descriptions),
-    propertyType: archetype.propertyType,
-    bedrooms,
-    bathrooms,
-    features: selectFeatureSubset(archetype.featuresPool),
-    locationDescriptor: pickRandom(archetype.locationDescriptors),
-    demandScore,
-    location
+  const schedule = () => {
+    pending = true;
+    timer ??= setTimeout(flush, intervalMs);
   };
-
-  const baseValue = calculatePropertyValue(baseDefinition);
-  const maintenanceBaseline = getInitialMaintenancePercent();
-  const maintenancePercent = deriveMaintenancePercent(archetype.maintenancePercentRange, maintenanceBaseline);
-  const cost = calculateMaintenanceAdjustedValue(baseValue, maintenancePercent);
-  const monthlyRentEstimate = calculateMonthlyRentEstimate(cost, demandScore);
-
-  const provisional: GameProperty = {
-    ...baseDefinition,
-    baseValue,
-    cost,
-    maintenancePercent,
-    monthlyRentEstimate,
-    rentPlanId: '',
-    tenant: null,
-    mortgage: null,
-    autoRelist: true,
-    rentalMarketingActive: false,
-    rentalMarketingPausedForMaintenance: false,
-    maintenanceWork: null,
-    marketAge: 0,
-    introducedOnDay: state.day,
-    vacancyMonths: 0
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') {
+      flush();
+    }
   };
-
-  const plans = getRentStrategies(provisional, state.centralBankRate);
-  const targetPlan =
-    plans.find(
-      (plan) =>
-        plan.leaseMonths === LEASE_LENGTH_CHOICES[1] &&
-        Math.abs(plan.rateOffset - RENT_RATE_OFFSETS[1]) < 1e-6
-    ) ?? plans[0];
-  const rentPlanId = targetPlan?.id ?? buildRentPlanId(LEASE_LENGTH_CHOICES[1], RENT_RATE_OFFSETS[1]);
-
-  const inheritedChance = 0.25 + (clampDemandScore(demandScore) / 10) * 0.35;
-  const hasInheritedTenant = Math.random() < Math.min(Math.max(inheritedChance, 0), 0.75);
-
-  let tenant: Tenant | null = null;
-  let vacancyMonths = 0;
-  if (hasInheritedTenant) {
-    const planForTenant = targetPlan ?? plans[0] ?? null;
-    const tenantRent = planForTenant
-      ? planForTenant.monthlyRent
-      : Math.round((cost * mapDemandToAnnualYield(demandScore)) / 12);
-    const baseLease = planForTenant?.leaseMonths ?? 12;
-    const minLease = Math.max(baseLease - 3, 6);
-    const maxLease = baseLease + 6;
-    const leaseMonths = getRandomInt(minLease, maxLease);
-    tenant = {
-      leaseMonthsRemaining: leaseMonths,
-      monthlyRent: tenantRent
-    };
-    vacancyMonths = 0;
-  } else {
-    vacancyMonths = getRandomInt(0, 2);
-  }
-
-  return {
-    ...provisional,
-    rentPlanId,
-    tenant,
-    vacancyMonths
+  const stateUnsubscribe = gameState.subscribe(schedule);
+  const journalUnsubscribe = actionJournal.subscribe(schedule);
+  if (typeof window !== 'undefined') {
+    window.addEventListener('beforeunload', flush);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+  return () => {
+    stateUnsubscribe();
+    journalUnsubscribe();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('beforeunload', flush);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }
+    flush();
   };
 }
 
-function generateMarketListings(
-  state: GameState,
-  count = 1
-): { state: GameState; newListings: GameProperty[] } {
-  if (state.market.length >= MARKET_CONFIG.maxSize) {
-    return { state, newListings: [] };
-  }
-
-  const slotsAvailable = Math.max(MARKET_CONFIG.maxSize - state.market.length, 0);
-  const listingsToGenerate = Math.min(count, slotsAvailable);
-  if (listingsToGenerate <= 0) {
-    return { state, newListings: [] };
-  }
-
-  const newListings: GameProperty[] = [];
-  const market = [...state.market];
-  for (let index = 0; index < listingsToGenerate; index += 1) {
-    const property = createProceduralProperty(state);
-    newListings.push(property);
-    market.push(property);
+export function saveGameToSlot(name: string): void {
+  const summary = writeSaveSlot(get(gameState), name, get(actionJournal));
+  if (!summary) {
+    gameState.update((state) =>
+      addHistory(state, 'Unable to save the game: browser storage is unavailable or full.')
+    );
+    return;
   }
-
-  return { state: { ...state, market }, newListings };
+  refreshSaveSlots();
+  gameState.update((state) =>
+    addHistory(state, `Game saved to slot "${escapeHtml(summary.name)}" on day ${summary.day}.`)
+  );
 }
 
-function progressMarketListings(state: GameState): GameState {
-  const retained: GameProperty[] = [];
-  const expired: GameProperty[] = [];
-
-  state.market.forEach((property) => {
-    const currentAge = (property.marketAge ?? 0) + 1;
-    if (currentAge > MARKET_CONFIG.maxAge) {
-      expired.push(property);
-      return;
-    }
-    retained.push({ ...property, marketAge: currentAge });
-  });
-
-  let nextState: GameState = { ...state, market: retained };
-
-  if (expired.length > 0) {
-    const removedNames = expired.map((property) => property.name).join(', ');
-    const message =
-      expired.length > 1
-        ? `Listings expired and left the market: ${removedNames}.`
-        : `Listing expired and left the market: ${removedNames}.`;
-    nextState = addHistory(nextState, message);
-  }
-
-  const daysSinceGeneration = nextState.day - nextState.lastMarketGenerationDay;
-  const spaceAvailable = Math.max(MARKET_CONFIG.maxSize - nextState.market.length, 0);
-  const readyForNewListings = daysSinceGeneration >= MARKET_CONFIG.generationInterval;
-
-  let requiredListings = 0;
-  if (readyForNewListings && spaceAvailable > 0) {
-    const minimumShortfall = Math.max(MARKET_CONFIG.minSize - nextState.market.length, 0);
-    if (minimumShortfall > 0) {
-      requiredListings = minimumShortfall;
-    } else {
-      const batchSize = Math.max(MARKET_CONFIG.batchSize, 1);
-      requiredListings = getRandomInt(1, batchSize);
-    }
-  }
-
-  const listingsNeeded = Math.min(requiredListings, spaceAvailable);
-  if (listingsNeeded > 0) {
-    const result = generateMarketListings(nextState, listingsNeeded);
-    nextState = result.state;
-    if (result.newListings.length > 0) {
-      const newNames = result.newListings.map((property) => property.name).join(', ');
-      const message =
-        result.newListings.length > 1
-          ? `New listings have entered the market: ${newNames}.`
-          : `New listing has entered the market: ${newNames}.`;
-      nextState = addHistory(nextState, message);
-      nextState = { ...nextState, lastMarketGenerationDay: nextState.day };
-    }
+export function loadGameFromSlot(slotId: string): void {
+  const result = readSaveSlot(slotId, saveValidationOptions);
+  if (!result.ok) {
+    gameState.update((state) =>
+      addHistory(state, `Unable to load save: ${escapeHtml(describeLoadErrors(result.errors))}`)
+    );
+    return;
   }
-
-  return nextState;
-}
-
-function buildRentPlanId(leaseMonths: number, rateOffset: number): string {
-  const rateKey = Math.round(rateOffset * 1000);
-  return `lease-${leaseMonths}-rate-${rateKey}`;
+  const { name, state, journal } = result.envelope;
+  applyLoadedState(state, `Loaded save "${escapeHtml(name)}" from day ${state.day}.`, journal);
 }
 
-function findRentPlan(
-  property: GameProperty,
-  rentPlanId: string,
-  baseRate?: number
-): RentPlan | undefined {
-  const plans = getRentStrategies(property, baseRate);
-  return plans.find((plan) => plan.id === rentPlanId);
-}
-
-function formatRentPremiumLabel(rateOffset: number): string {
-  return `${(rateOffset * 100).toFixed(1)}%`;
-}
-
-function calculateTenantProbability(
-  property: GameProperty,
-  leaseMonths: number,
-  rateOffset: number
-): number {
-  const demandScore = clampDemandScore(property?.demandScore ?? 5);
-  const baseProbability = Math.min(0.2 + (demandScore / 10) * 0.6, 0.95);
-
-  const rentIndex = Math.max(RENT_RATE_OFFSETS.indexOf(rateOffset), 0);
-  const rentRatio = RENT_RATE_OFFSETS.length > 1 ? rentIndex / (RENT_RATE_OFFSETS.length - 1) : 0;
-  const rentFactor = Math.max(1 - rentRatio * 0.5, 0.35);
-
-  const leaseIndex = Math.max(LEASE_LENGTH_CHOICES.indexOf(leaseMonths), 0);
-  const leaseRatio = LEASE_LENGTH_CHOICES.length > 1 ? leaseIndex / (LEASE_LENGTH_CHOICES.length - 1) : 0;
-
-  let leaseFactor = 1;
-  if (rateOffset < 0.05) {
-    leaseFactor += (leaseRatio - 0.5) * 0.4;
-  } else if (rateOffset > 0.06) {
-    leaseFactor += (0.5 - leaseRatio) * 0.4;
+export function deleteSavedGame(slotId: string): void {
+  if (deleteSaveSlot(slotId)) {
+    refreshSaveSlots();
   }
-
-  const probability = Math.min(
-    Math.max(baseProbability * rentFactor * Math.max(leaseFactor, 0.6), 0.05),
-    0.95
-  );
-
-  return Math.round(probability * 1000) / 1000;
-}
-
-export function getRentStrategies(property: GameProperty, baseRate?: number): RentPlan[] {
-  const defaultBaseRate = FINANCE_CONFIG?.centralBank?.initialRate ?? 0;
-  const baseRateCandidate = Number.isFinite(baseRate) ? baseRate : defaultBaseRate;
-  const effectiveBaseRate = Math.max(baseRateCandidate ?? 0, 0);
-
-  return LEASE_LENGTH_CHOICES.flatMap((leaseMonths) =>
-    RENT_RATE_OFFSETS.map((rateOffset) => {
-      const annualRate = Math.max(effectiveBaseRate + rateOffset, 0.001);
-      const monthlyRent = roundCurrency((property.cost * annualRate) / 12);
-      const probability = calculateTenantProbability(property, leaseMonths, rateOffset);
-
-      return {
-        id: buildRentPlanId(leaseMonths, rateOffset),
-        label: `${leaseMonths}-month · ${(rateOffset * 100).toFixed(1)}% premium`,
-        leaseMonths,
-        rateOffset,
-        monthlyRent,
-        probability
-      };
-    })
-  );
 }
 
-function deriveMortgageRateProfile({
-  centralBankRate,
-  depositRatio,
-  fixedPeriodYears
-}: {
-  centralBankRate: number;
-  depositRatio: number;
-  fixedPeriodYears: number;
-}): {
-  fixedRate: number;
-  reversionRate: number;
-  baseRate: number;
-  variableRateMargin: number;
-  fixedPeriodYears: number;
-} {
-  const marginBase = FINANCE_CONFIG.rateModel.variableMarginBase;
-  const depositFactor = FINANCE_CONFIG.rateModel.variableMarginDepositFactor;
-  const minimumMargin = FINANCE_CONFIG.rateModel.minimumMargin;
-  const resolvedDepositRatio = Number.isFinite(depositRatio)
-    ? Math.min(Math.max(depositRatio, MINIMUM_DEPOSIT_RATIO), 0.95)
-    : FINANCE_CONFIG.defaultDepositRatio;
-  const resolvedFixedPeriodYears = Number.isFinite(fixedPeriodYears) && fixedPeriodYears > 0
-    ? Math.max(fixedPeriodYears, 1 / 12)
-    : FINANCE_CONFIG.defaultFixedPeriodYears;
-  const baseRate = clampRate(centralBankRate);
-  const depositAdjustment = resolvedDepositRatio * depositFactor;
-  const margin = Math.max(minimumMargin, marginBase - depositAdjustment);
-  const variableRateMargin = Math.max(margin, minimumMargin);
-  const reversionRate = clampRate(baseRate + variableRateMargin);
-  const incentive = FINANCE_CONFIG.rateModel.fixedRateIncentives[Math.round(resolvedFixedPeriodYears)] ?? 0;
-  const fixedRate = clampRate(reversionRate + incentive);
-  return {
-    fixedRate,
-    reversionRate,
-    baseRate,
-    variableRateMargin,
-    fixedPeriodYears: resolvedFixedPeriodYears
-  };
+export function exportGameToJson(): string {
+  const state = get(gameState);
+  return serialiseSaveDocument(state, `Day ${state.day} export`, get(actionJournal));
 }
 
-function clampRate(rate: number): number {
-  const min = FINANCE_CONFIG.minimumRate;
-  const max = FINANCE_CONFIG.maximumRate;
-  return Math.min(Math.max(rate, min), max);
-}
-
-function calculateMonthlyPayment({
-  principal,
-  annualRate,
-  termMonths,
-  interestOnly
-}: {
-  principal: number;
-  annualRate: number;
-  termMonths: number;
-  interestOnly: boolean;
-}): number {
-  const monthlyRate = annualRate / 12;
-  if (interestOnly) {
-    return roundCurrency(principal * monthlyRate);
-  }
-  if (monthlyRate === 0) {
-    return roundCurrency(principal / termMonths);
+export function importGameFromJson(text: string): ValidationIssue[] {
+  const result = parseSaveDocument(text, saveValidationOptions);
+  if (!result.ok) {
+    return result.errors;
   }
-  const numerator = principal * monthlyRate * Math.pow(1 + monthlyRate, termMonths);
-  const denominator = Math.pow(1 + monthlyRate, termMonths) - 1;
-  return roundCurrency(numerator / denominator);
-}
-
-function createMortgage(property: GameProperty, state: GameState): Mortgage {
-  const deposit = Math.round(property.cost * state.finance.depositRatio);
-  const principal = Math.max(property.cost - deposit, 0);
-  const profile = deriveMortgageRateProfile({
-    centralBankRate: state.centralBankRate,
-    depositRatio: state.finance.depositRatio,
-    fixedPeriodYears: state.finance.fixedPeriodYears
-  });
-  const termMonths = state.finance.termYears * 12;
-  const resolvedFixedPeriodYears = Math.min(profile.fixedPeriodYears, state.finance.termYears);
-  const fixedPeriodMonths = Math.max(Math.round(resolvedFixedPeriodYears * 12), 0);
-  const fixedRate = profile.fixedRate;
-  const reversionRate = profile.reversionRate;
-  const monthlyInterestRate = fixedRate / 12;
-  const variableRateMargin = Math.max(profile.variableRateMargin, 0);
-  const monthlyPayment = calculateMonthlyPayment({
-    principal,
-    annualRate: fixedRate,
-    termMonths,
-    interestOnly: state.finance.interestOnly
-  });
-  return {
-    depositRatio: state.finance.depositRatio,
-    deposit,
-    principal,
-    fixedPeriodYears: resolvedFixedPeriodYears,
-    fixedPeriodMonths,
-    interestOnly: state.finance.interestOnly,
-    annualInterestRate: fixedRate,
-    reversionRate,
-    baseRate: profile.baseRate,
-    variableRateMargin,
-    variableRateActive: false,
-    monthlyPayment,
-    monthlyInterestRate,
-    remainingTermMonths: termMonths,
-    termMonths,
-    remainingBalance: principal
-  };
+  const { name, state, journal } = result.envelope;
+  const label = name ? ` "${escapeHtml(name)}"` : '';
+  applyLoadedState(state, `Imported game${label} from file at day ${state.day}.`, journal);
+  return [];
 }
 
-function resolveFixedPeriodMonths(mortgage: Mortgage | null | undefined): number {
-  if (!mortgage) {
-    return 0;
-  }
-  if (Number.isFinite(mortgage.fixedPeriodMonths)) {
-    return Math.max(Math.round(mortgage.fixedPeriodMonths), 0);
-  }
-  const computed = Math.max(Math.round(mortgage.fixedPeriodYears * 12), 0);
-  mortgage.fixedPeriodMonths = computed;
-  return computed;
+export function exportJournalToJson(): string | null {
+  const journal = get(actionJournal);
+  return journal ? serialiseJournal(journal) : null;
 }
 
-function calculateMortgageReversionRate(mortgage: Mortgage | null | undefined): number {
-  if (!mortgage) {
-    return 0;
-  }
-  const explicit = Number.isFinite(mortgage.reversionRate) ? mortgage.reversionRate : null;
-  const baseRateValue = Number.isFinite(mortgage.baseRate) ? mortgage.baseRate : 0;
-  const margin = Number.isFinite(mortgage.variableRateMargin) ? mortgage.variableRateMargin : 0;
-  const resolved = explicit ?? baseRateValue + margin;
-  if (!Number.isFinite(resolved) || resolved < 0) {
-    return 0;
+export function replayJournalFromJson(text: string): ValidationIssue[] {
+  const result = parseJournal(text);
+  if (!result.ok) {
+    return result.errors;
   }
-  return clampRate(resolved);
+  const state = replayJournal(result.journal, { random: get(sessionControls).randomSource ?? undefined });
+  clearSession();
+  clearDecisions();
+  actionJournal.set(result.journal);
+  gameState.set({ ...state, isPaused: false });
+  return [];
 }
 
-function activateMortgageVariablePhase(
-  mortgage: Mortgage | null | undefined
-): { activated: boolean; baseRate?: number; margin?: number; reversionRate?: number } {
-  if (!mortgage || mortgage.variableRateActive || mortgage.remainingBalance <= 0.5) {
-    return { activated: false };
-  }
-
-  const reversionRate = calculateMortgageReversionRate(mortgage);
-  const margin = Number.isFinite(mortgage.variableRateMargin) ? mortgage.variableRateMargin : 0;
-  const baseRateValue = Number.isFinite(mortgage.baseRate) ? mortgage.baseRate : reversionRate - margin;
-
-  mortgage.variableRateActive = true;
-  mortgage.baseRate = baseRateValue;
-  mortgage.annualInterestRate = reversionRate;
-  mortgage.monthlyInterestRate = reversionRate / 12;
-  mortgage.reversionRate = reversionRate;
-
-  if (mortgage.interestOnly) {
-    mortgage.monthlyPayment = roundCurrency(mortgage.remainingBalance * mortgage.monthlyInterestRate);
-  } else {
-    const remainingMonths = Math.max(mortgage.remainingTermMonths, 0);
-    if (remainingMonths > 0 && mortgage.remainingBalance > 0.5) {
-      mortgage.monthlyPayment = calculateMonthlyPayment({
-        principal: mortgage.remainingBalance,
-        annualRate: reversionRate,
-        termMonths: remainingMonths,
-        interestOnly: false
-      });
-    } else {
-      mortgage.monthlyPayment = roundCurrency(mortgage.remainingBalance);
-    }
+function applyAction(action: GameAction, playerDecision: boolean): void {
+  const before = get(gameState);
+  const next = step(before, action, { random: get(sessionControls).randomSource ?? undefined });
+  if (next === before) {
+    return;
   }
+  const journalBefore = get(actionJournal);
+  const journalAfter = journalBefore && recordAction(journalBefore, before.day, action);
+  actionJournal.set(journalAfter);
+  gameState.set(next);
 
-  return {
-    activated: true,
-    baseRate: baseRateValue,
-    margin,
-    reversionRate
-  };
-}
-
-function calculateSalePrice(property: GameProperty): number {
-  const baseValue = Number.isFinite(property.baseValue) ? property.baseValue : property.cost;
-  const maintenancePercent = clampMaintenancePercent(property.maintenancePercent);
-  return calculateMaintenanceAdjustedValue(baseValue, maintenancePercent);
-}
-
-type PropertyEquitySnapshot = {
-  value: number;
-  outstanding: number;
-  equity: number;
-  ratio: number;
-};
-
-function calculatePropertyEquity(property: GameProperty | null | undefined): PropertyEquitySnapshot {
-  if (!property) {
-    return { value: 0, outstanding: 0, equity: 0, ratio: 0 };
+  if (next.day !== before.day) {
+    clearDecisions();
+    return;
   }
-
-  const value = Math.max(Number.isFinite(property.cost) ? property.cost : 0, 0);
-  const outstanding = Math.max(
-    Number.isFinite(property.mortgage?.remainingBalance)
-      ? property.mortgage?.remainingBalance ?? 0
-      : 0,
-    0
-  );
-  const equity = Math.max(value - outstanding, 0);
-  const ratio = value > 0 ? Math.min(Math.max(equity / value, 0), 0.95) : 0;
-
-  return { value, outstanding, equity, ratio };
-}
-
-type MortgageProcessingOutcome = {
-  properties: GameProperty[];
-  totalPaid: number;
-  mortgagesCleared: string[];
-  forcedSales: ForcedSaleResult[];
-  variableTransitions: MortgageVariableTransition[];
-  netProceeds: number;
-};
-
-function processMortgagePayments(
-  properties: GameProperty[],
-  monthsElapsed: number,
-  startingBalance: number
-): MortgageProcessingOutcome {
-  if (monthsElapsed <= 0) {
-    return {
-      properties,
-      totalPaid: 0,
-      mortgagesCleared: [],
-      forcedSales: [],
-      variableTransitions: [],
-      netProceeds: 0
+  const label = playerDecision ? describePlayerDecision(before, action) : null;
+  if (label) {
+    const decision: PlayerDecision = {
+      label,
+      day: before.day,
+      before: { state: before, journal: journalBefore },
+      after: { state: next, journal: journalAfter }
     };
+    decisionStacks.update(({ undo }) => ({ undo: [...undo, decision].slice(-MAX_UNDO_DECISIONS), redo: [] }));
   }
-
-  let totalPaid = 0;
-  const mortgagesCleared: string[] = [];
-  const forcedSales: ForcedSaleResult[] = [];
-  const variableTransitions: MortgageVariableTransition[] = [];
-  let realizedNetProceeds = 0;
-  const updatedProperties = [...properties];
-
-  for (let index = updatedProperties.length - 1; index >= 0; index -= 1) {
-    const property = updatedProperties[index];
-    const mortgage = property.mortgage;
-    if (!mortgage || mortgage.remainingBalance <= 0) {
-      continue;
-    }
-
-    const updatedMortgage: Mortgage = { ...mortgage };
-    const totalTermMonths = Math.max(Math.round(updatedMortgage.termMonths), 0);
-    const fixedPeriodMonths = resolveFixedPeriodMonths(updatedMortgage);
-
-    if (
-      fixedPeriodMonths <= 0 &&
-      !updatedMortgage.variableRateActive &&
-      updatedMortgage.remainingBalance > 0.5 &&
-      updatedMortgage.remainingTermMonths > 0
-    ) {
-      const activation = activateMortgageVariablePhase(updatedMortgage);
-      if (activation.activated) {
-        variableTransitions.push({
-          propertyId: property.id,
-          propertyName: property.name,
-          baseRate: activation.baseRate ?? 0,
-          margin: activation.margin ?? 0,
-          reversionRate: activation.reversionRate ?? 0
-        });
-      }
-    }
-
-    for (let month = 0; month < monthsElapsed; month += 1) {
-      if (updatedMortgage.remainingTermMonths <= 0 || updatedMortgage.remainingBalance <= 0) {
-        break;
-      }
-
-      const interestDueRaw = updatedMortgage.remainingBalance * updatedMortgage.monthlyInterestRate;
-      const interestDue = roundCurrency(interestDueRaw);
-      let payment = roundCurrency(updatedMortgage.monthlyPayment);
-      const totalDue = updatedMortgage.remainingBalance + interestDue;
-      if (!updatedMortgage.interestOnly && payment > totalDue) {
-        payment = roundCurrency(totalDue);
-      }
-
-      const principalPaid = updatedMortgage.interestOnly
-        ? 0
-        : roundCurrency(Math.max(payment - interestDue, 0));
-
-      updatedMortgage.remainingBalance = Math.max(
-        roundCurrency(updatedMortgage.remainingBalance - principalPaid),
-        0
-      );
-      updatedMortgage.remainingTermMonths = Math.max(updatedMortgage.remainingTermMonths - 1, 0);
-      totalPaid = roundCurrency(totalPaid + payment);
-
-      if (
-        !updatedMortgage.variableRateActive &&
-        updatedMortgage.remainingBalance > 0.5 &&
-        updatedMortgage.remainingTermMonths > 0
-      ) {
-        const monthsCompleted = Math.max(totalTermMonths - updatedMortgage.remainingTermMonths, 0);
-        if (monthsCompleted >= fixedPeriodMonths && fixedPeriodMonths > 0) {
-          const activation = activateMortgageVariablePhase(updatedMortgage);
-          if (activation.activated) {
-            variableTransitions.push({
-              propertyId: property.id,
-              propertyName: property.name,
-              baseRate: activation.baseRate ?? 0,
-              margin: activation.margin ?? 0,
-              reversionRate: activation.reversionRate ?? 0
-            });
-          }
-        }
-      }
-    }
-
-    if (
-      updatedMortgage.interestOnly &&
-      updatedMortgage.remainingTermMonths <= 0 &&
-      updatedMortgage.remainingBalance > 0.5
-    ) {
-      const outstanding = roundCurrency(updatedMortgage.remainingBalance);
-      const availableBalance = roundCurrency(startingBalance + realizedNetProceeds - totalPaid);
-      if (availableBalance >= outstanding) {
-        totalPaid = roundCurrency(totalPaid + outstanding);
-        updatedMortgage.remainingBalance = 0;
-        mortgagesCleared.push(property.name);
-        updatedProperties[index] = { ...property, mortgage: null };
-        continue;
-      }
-
-      const salePrice = roundCurrency(calculateSalePrice(property));
-      const netProceeds = roundCurrency(salePrice - outstanding);
-      realizedNetProceeds = roundCurrency(realizedNetProceeds + netProceeds);
-      forcedSales.push({
-        propertyId: property.id,
-        propertyName: property.name,
-        salePrice,
-        outstanding,
-        netProceeds
-      });
-      updatedProperties.splice(index, 1);
-      continue;
-    }
-
-    if (
-      !updatedMortgage.interestOnly &&
-      (updatedMortgage.remainingBalance <= 0.5 || updatedMortgage.remainingTermMonths <= 0)
-    ) {
-      mortgagesCleared.push(property.name);
-      updatedProperties[index] = { ...property, mortgage: null };
-      continue;
-    }
-
-    updatedProperties[index] = { ...property, mortgage: updatedMortgage };
-  }
-
-  return {
-    properties: updatedProperties,
-    totalPaid: roundCurrency(totalPaid),
-    mortgagesCleared,
-    forcedSales,
-    variableTransitions,
-    netProceeds: roundCurrency(realizedNetProceeds)
-  };
 }
 
-function applyVariableRateAdjustments(
-  properties: GameProperty[],
-  centralBankRate: number
-): { properties: GameProperty[]; history: string[] } {
-  const updated: GameProperty[] = [];
-  const history: string[] = [];
-
-  properties.forEach((property) => {
-    const mortgage = property.mortgage;
-    if (!mortgage || !mortgage.variableRateActive || mortgage.remainingBalance <= 0.5) {
-      updated.push(property);
-      return;
-    }
-
-    const adjustedMortgage: Mortgage = { ...mortgage };
-    const margin = Number.isFinite(adjustedMortgage.variableRateMargin)
-      ? adjustedMortgage.variableRateMargin
-      : 0;
-    const newRate = clampRate(centralBankRate + margin);
-
-    adjustedMortgage.baseRate = centralBankRate;
-    if (Math.abs(newRate - adjustedMortgage.annualInterestRate) > 1e-6) {
-      adjustedMortgage.annualInterestRate = newRate;
-      adjustedMortgage.reversionRate = newRate;
-      adjustedMortgage.monthlyInterestRate = newRate / 12;
-      if (adjustedMortgage.interestOnly) {
-        adjustedMortgage.monthlyPayment = roundCurrency(
-          adjustedMortgage.remainingBalance * adjustedMortgage.monthlyInterestRate
-        );
-      } else if (adjustedMortgage.remainingBalance > 0.5 && adjustedMortgage.remainingTermMonths > 0) {
-        adjustedMortgage.monthlyPayment = calculateMonthlyPayment({
-          principal: adjustedMortgage.remainingBalance,
-          annualRate: newRate,
-          termMonths: adjustedMortgage.remainingTermMonths,
-          interestOnly: false
-        });
-      } else {
-        adjustedMortgage.monthlyPayment = roundCurrency(adjustedMortgage.remainingBalance);
-      }
-
-      history.push(
-        `${property.name} variable mortgage adjusted to ${formatInterestRate(newRate)} following base rate update.`
-      );
-    }
-
-    updated.push({ ...property, mortgage: adjustedMortgage });
-  });
-
-  return { properties: updated, history };
-}
-
-function createHistoryEvent(day: number, message: string): HistoryEvent {
-  const id = `history-${historyIdCounter}`;
-  historyIdCounter += 1;
-  return { id, day, message };
+function dispatch(action: GameAction): void {
+  applyAction(action, true);
 }
 
-function addHistory(state: GameState, message: string): GameState {
-  const entry = createHistoryEvent(state.day, message);
-  const history = [...state.history, entry].slice(-80);
-  return { ...state, history };
+function restoreCheckpoint(checkpoint: DecisionCheckpoint): void {
+  const current = get(gameState);
+  actionJournal.set(checkpoint.journal);
+  gameState.set({ ...checkpoint.state, isPaused: current.isPaused, speed: current.speed });
 }
 
-function degradeMaintenance(property: GameProperty, days = 1, occupied = false): GameProperty {
-  const decayPerMonth = occupied
-    ? MAINTENANCE_CONFIG.occupiedDecayPerMonth
-    : MAINTENANCE_CONFIG.unoccupiedDecayPerMonth;
-  const decayPerDay = decayPerMonth / 30;
-  const updatedPercent = clampMaintenancePercent(property.maintenancePercent - decayPerDay * days);
-  if (Math.abs(updatedPercent - property.maintenancePercent) < 1e-6) {
-    return property;
-  }
-  const cost = calculateMaintenanceAdjustedValue(property.baseValue, updatedPercent);
-  const monthlyRentEstimate = calculateMonthlyRentEstimate(cost, property.demandScore);
-  return { ...property, maintenancePercent: updatedPercent, cost, monthlyRentEstimate };
-}
-
-function processMonthlyTick(state: GameState): GameState {
-  let nextState: GameState = { ...state };
-  let balanceChange = 0;
-  let updatedPortfolio = nextState.portfolio.map((property) => {
-    let updated = { ...property };
-    const historyMessages: string[] = [];
-
-    if (updated.tenant) {
-      balanceChange += updated.tenant.monthlyRent;
-      historyMessages.push(
-        `Received ${formatCurrency(updated.tenant.monthlyRent)} rent from ${updated.name}.`
-      );
-      const remaining = Math.max(updated.tenant.leaseMonthsRemaining - 1, 0);
-      if (remaining === 0) {
-        historyMessages.push(`Lease completed at ${updated.name}. Property is now vacant.`);
-        const marketingShouldResume =
-          updated.autoRelist && !updated.rentalMarketingPausedForMaintenance;
-        if (marketingShouldResume) {
-          historyMessages.push(`Auto-relisting resumed marketing at ${updated.name}.`);
-        }
-        updated = {
-          ...updated,
-          tenant: null,
-          rentalMarketingActive: marketingShouldResume,
-          vacancyMonths: 0
-        };
-      } else {
-        updated = {
-          ...updated,
-          tenant: { ...updated.tenant, leaseMonthsRemaining: remaining }
-        };
-      }
-    } else {
-      if (updated.rentalMarketingPausedForMaintenance) {
-        if (updated.rentalMarketingActive || updated.vacancyMonths !== 0) {
-          updated = { ...updated, rentalMarketingActive: false, vacancyMonths: 0 };
-        }
-        historyMessages.push(
-          `Marketing remains paused at ${updated.name} while maintenance is underway.`
-        );
-      } else {
-        let marketingJustActivated = false;
-        if (!updated.rentalMarketingActive) {
-          if (updated.autoRelist) {
-            updated = { ...updated, rentalMarketingActive: true, vacancyMonths: 0 };
-            marketingJustActivated = true;
-            historyMessages.push(`Auto-relisting resumed marketing at ${updated.name}.`);
-          } else {
-            if (updated.vacancyMonths !== 0) {
-              updated = { ...updated, vacancyMonths: 0 };
-            }
-            historyMessages.push(
-              `Marketing paused at ${updated.name}; no tenants were sourced this month.`
-            );
-          }
-        }
-
-        if (updated.rentalMarketingActive) {
-          const plans = getRentStrategies(updated, state.centralBankRate);
-          const selectedPlan = plans.find((plan) => plan.id === updated.rentPlanId) ?? plans[0];
-          const vacancyMonths = Math.max((updated.vacancyMonths ?? 0) + 1, 1);
-          const baseChance = selectedPlan?.probability ?? 0.2;
-          const vacancyBoost = Math.min(Math.max((vacancyMonths - 1) * 0.08, 0), 0.3);
-          const demandAdjustment = Math.min(
-            (clampDemandScore(updated.demandScore) - 5) * 0.02,
-            0.2
-          );
-          const successChance = Math.min(
-            Math.max(baseChance + vacancyBoost + demandAdjustment, 0.01),
-            0.98
-          );
-          if (Math.random() < successChance) {
-            updated = {
-              ...updated,
-              tenant: {
-                leaseMonthsRemaining: selectedPlan.leaseMonths,
-                monthlyRent: selectedPlan.monthlyRent
-              },
-              rentalMarketingActive: false,
-              vacancyMonths: 0
-            };
-            historyMessages.push(
-              `Placed a tenant at ${updated.name} on a ${selectedPlan.leaseMonths}-month lease.`
-            );
-          } else {
-            updated = { ...updated, vacancyMonths };
-            if (!marketingJustActivated) {
-              historyMessages.push(`No tenant secured for ${updated.name} this month.`);
-            } else {
-              historyMessages.push(
-                `No tenant secured for ${updated.name} this month despite renewed marketing.`
-              );
-            }
-          }
-        }
-      }
-    }
-
-    let work = updated.maintenanceWork ? { ...updated.maintenanceWork } : null;
-    if (work) {
-      if (work.startDelayMonths > 0) {
-        work.startDelayMonths = Math.max(work.startDelayMonths - 1, 0);
-        if (work.startDelayMonths <= 0) {
-          work.startDelayMonths = 0;
-          work.monthsRemaining = Math.max(work.monthsRemaining ?? 1, 1);
-          updated = {
-            ...updated,
-            tenant: null,
-            rentalMarketingPausedForMaintenance: true,
-            rentalMarketingActive: false,
-            vacancyMonths: 0
-          };
-          historyMessages.push(
-            `Maintenance work began on ${updated.name}. Property unavailable for tenants until work completes.`
-          );
-        }
-      }
-
-      if (!updated.tenant && work.startDelayMonths <= 0) {
-        work.monthsRemaining = Math.max((work.monthsRemaining ?? 0) - 1, 0);
-        if (work.monthsRemaining <= 0) {
-          const completionCost = Math.max(Math.round(work.cost ?? 0), 0);
-          const newMaintenancePercent = 100;
-          const newCost = calculateMaintenanceAdjustedValue(updated.baseValue, newMaintenancePercent);
-          const newRentEstimate = calculateMonthlyRentEstimate(newCost, updated.demandScore);
-          const costLabel = completionCost > 0 ? ` at a cost of ${formatCurrency(completionCost)}` : '';
-          historyMessages.push(
-            `Maintenance completed on ${updated.name}${costLabel}. Condition restored to 100%.`
-          );
-          balanceChange -= completionCost;
-          updated = {
-            ...updated,
-            maintenancePercent: newMaintenancePercent,
-            cost: newCost,
-            monthlyRentEstimate: newRentEstimate,
-            rentalMarketingPausedForMaintenance: false,
-            rentalMarketingActive: updated.autoRelist,
-            vacancyMonths: 0,
-            maintenanceWork: null
-          };
-          if (updated.autoRelist) {
-            historyMessages.push(`Auto-relisting resumed marketing at ${updated.name} after maintenance.`);
-          }
-          work = null;
-        }
-      }
-    }
-
-    if (work) {
-      updated = { ...updated, maintenanceWork: { ...work } };
-    }
-
-    historyMessages.forEach((message) => {
-      nextState = addHistory(nextState, message);
-    });
-
-    return updated;
-  });
-
-  const monthsElapsed = 1;
-  const mortgageOutcome = processMortgagePayments(
-    updatedPortfolio,
-    monthsElapsed,
-    state.balance + balanceChange
-  );
-
-  updatedPortfolio = mortgageOutcome.properties;
-  balanceChange -= mortgageOutcome.totalPaid;
-  balanceChange += mortgageOutcome.netProceeds;
-
-  if (mortgageOutcome.totalPaid > 0) {
-    nextState = addHistory(
-      nextState,
-      `Mortgage payments this month totalled ${formatCurrency(mortgageOutcome.totalPaid)}.`
-    );
-  }
-
-  if (mortgageOutcome.mortgagesCleared.length > 0) {
-    const clearedNames = mortgageOutcome.mortgagesCleared.join(', ');
-    const prefix = mortgageOutcome.mortgagesCleared.length > 1 ? 'Mortgages fully repaid' : 'Mortgage fully repaid';
-    nextState = addHistory(nextState, `${prefix}: ${clearedNames}.`);
+export function undoDecision(): void {
+  const { undo, redo } = get(decisionStacks);
+  const decision = undo.at(-1);
+  if (!decision || decision.day !== get(gameState).day) {
+    return;
   }
-
-  mortgageOutcome.variableTransitions.forEach(({ propertyName, baseRate, margin, reversionRate }) => {
-    const rateLabel = formatInterestRate(reversionRate);
-    const baseLabel = Number.isFinite(baseRate) ? formatInterestRate(baseRate) : null;
-    const marginLabel = Number.isFinite(margin) ? formatInterestRate(margin) : null;
-    let message = `${propertyName} mortgage reverted to variable rate at ${rateLabel}`;
-    if (baseLabel && marginLabel) {
-      message += ` (${baseLabel} base + ${marginLabel} margin).`;
-    } else if (marginLabel) {
-      message += ` (${marginLabel} margin applied).`;
-    } else {
-      message += '.';
-    }
-    nextState = addHistory(nextState, message);
-  });
-
-  mortgageOutcome.forcedSales.forEach(({ propertyName, salePrice, outstanding, netProceeds }) => {
-    const resultText = netProceeds >= 0
-      ? `netted ${formatCurrency(netProceeds)}`
-      : `covered a shortfall of ${formatCurrency(Math.abs(netProceeds))}`;
-    nextState = addHistory(
-      nextState,
-      `Forced sale of ${propertyName}: Sold for ${formatCurrency(salePrice)} to settle ${formatCurrency(outstanding)} remaining on the interest-only mortgage and ${resultText}.`
-    );
-  });
-
-  const variableAdjustments = applyVariableRateAdjustments(updatedPortfolio, nextState.centralBankRate);
-  updatedPortfolio = variableAdjustments.properties;
-  variableAdjustments.history.forEach((message) => {
-    nextState = addHistory(nextState, message);
-  });
-
-  nextState.portfolio = updatedPortfolio;
-  nextState.balance = Math.max(state.balance + balanceChange, 0);
-  nextState.lastRentCollectionDay = nextState.day;
-
-  return nextState;
+  restoreCheckpoint(decision.before);
+  decisionStacks.set({ undo: undo.slice(0, -1), redo: [...redo, decision] });
 }
 
-function adjustCentralBankRateIfNeeded(state: GameState): GameState {
-  const interval = FINANCE_CONFIG.centralBank.adjustmentIntervalDays ?? 30;
-  if (interval <= 0) {
-    return state;
-  }
-  if (state.day - state.lastCentralBankAdjustmentDay < interval) {
-    return state;
+export function redoDecision(): void {
+  const { undo, redo } = get(decisionStacks);
+  const decision = redo.at(-1);
+  if (!decision || decision.day !== get(gameState).day) {
+    return;
   }
-
-  const maxStep = FINANCE_CONFIG.centralBank.maxStepPerAdjustment ?? 0.0015;
-  const direction = Math.random() < 0.5 ? -1 : 1;
-  const change = Math.random() * maxStep * direction;
-  const adjustedRate = clampRate(state.centralBankRate + change);
-  const message =
-    adjustedRate > state.centralBankRate
-      ? `Central bank increased the base rate to ${(adjustedRate * 100).toFixed(2)}%.`
-      : `Central bank reduced the base rate to ${(adjustedRate * 100).toFixed(2)}%.`;
-
-  return {
-    ...addHistory(state, message),
-    centralBankRate: adjustedRate,
-    lastCentralBankAdjustmentDay: state.day
-  };
+  restoreCheckpoint(decision.after);
+  decisionStacks.set({ undo: [...undo, decision], redo: redo.slice(0, -1) });
 }
 
-function degradeAllProperties(state: GameState): GameState {
-  const portfolio = state.portfolio.map((property) =>
-    degradeMaintenance(property, 1, Boolean(property.tenant))
-  );
-  const market = state.market.map((property) => degradeMaintenance(property, 1, false));
-  return { ...state, portfolio, market };
-}
-
-function computeMonthlyCashFlow(state: GameState): number {
-  return state.portfolio.reduce((total, property) => {
-    const rent = property.tenant?.monthlyRent ?? 0;
-    const mortgage = property.mortgage?.monthlyPayment ?? 0;
-    return total + (rent - mortgage);
-  }, 0);
-}
-
-function createInitialState(): GameState {
-  const market = defaultProperties.map(createInitialProperty);
-  return {
-    balance: 1000,
-    day: 1,
-    centralBankRate: FINANCE_CONFIG.centralBank.initialRate,
-    speed: 1000,
-    isPaused: false,
-    market,
-    portfolio: [],
-    history: [],
-    lastCentralBankAdjustmentDay: 0,
-    lastMarketGenerationDay: 0,
-    lastRentCollectionDay: 0,
-    finance: {
-      open: false,
-      propertyId: null,
-      depositRatio: FINANCE_CONFIG.defaultDepositRatio,
-      termYears: FINANCE_CONFIG.defaultTermYears,
-      fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
-      interestOnly: false,
-      validationError: null
-    },
-    management: {
-      open: false,
-      propertyId: null,
-      activeSection: 'overview',
-      refinance: {
-        fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears
-      }
-    }
-  };
-}
-
-export const gameState = writable<GameState>(createInitialState());
-
-export const balance = derived(gameState, ($state) => $state.balance);
-export const day = derived(gameState, ($state) => $state.day);
-export const centralBankRate = derived(gameState, ($state) => $state.centralBankRate);
-export const market = derived(gameState, ($state) => $state.market);
-export const portfolio = derived(gameState, ($state) => $state.portfolio);
-export const history = derived(gameState, ($state) => $state.history);
-export const speed = derived(gameState, ($state) => $state.speed);
-export const isPaused = derived(gameState, ($state) => $state.isPaused);
-export const managementState = derived(gameState, ($state) => $state.management);
-export const financeState = derived(gameState, ($state) => $state.finance);
-
-export const balanceLabel = derived(balance, ($balance) => formatCurrency($balance));
-export const centralBankRateLabel = derived(centralBankRate, ($rate) => `${($rate * 100).toFixed(2)}%`);
-
-export const monthlyCashFlowLabel = derived(gameState, ($state) => {
-  const grossRent = $state.portfolio.reduce(
-    (sum, property) => sum + (property.tenant?.monthlyRent ?? property.monthlyRentEstimate ?? 0),
-    0
-  );
-  const mortgage = $state.portfolio.reduce(
-    (sum, property) => sum + (property.mortgage?.monthlyPayment ?? 0),
-    0
-  );
-  const net = computeMonthlyCashFlow($state);
-  const label = `${formatCurrency(net)} <small class="text-muted">(rent ${formatCurrency(
-    grossRent
-  )} - mortgages ${formatCurrency(mortgage)})</small>`;
-  return label;
-});
-
-function buildLocationSummary(property: GameProperty): string {
-  const location = property.location ?? {};
-  const transit = Math.round((location.proximity ?? 0) * 100);
-  const schools = location.schoolRating ?? '-';
-  const crime = location.crimeScore ?? '-';
-  return `<strong>Location:</strong> ${property.locationDescriptor} · Transit ${transit}% · Schools ${schools}/10 · Crime score ${crime}/10`;
-}
-
-function formatMaintenanceLabel(property: GameProperty): string {
-  return `${Math.round(property.maintenancePercent)}% condition`;
-}
-
-function formatRentSummary(property: GameProperty): string {
-  if (property.tenant) {
-    const months = property.tenant.leaseMonthsRemaining;
-    return `<strong>Current rent:</strong> ${formatCurrency(property.tenant.monthlyRent)} <span class="text-muted">(${months} months remaining)</span>`;
-  }
-  return `<strong>Projected rent:</strong> ${formatCurrency(property.monthlyRentEstimate)} <span class="text-muted">(based on demand)</span>`;
+export function setGameSpeed(value: number): void {
+  dispatch({ type: 'set-speed', speed: value });
 }
 
-function buildStatusChips(property: GameProperty): { label: string; variant?: string }[] {
-  const chips: { label: string; variant?: string }[] = [];
-  if (property.tenant) {
-    chips.push({ label: `Tenant in place (${property.tenant.leaseMonthsRemaining} months remaining)`, variant: 'bg-success' });
-  } else {
-    chips.push({ label: 'Vacant', variant: 'bg-secondary' });
-  }
-  if (property.rentalMarketingPausedForMaintenance) {
-    chips.push({ label: 'Marketing paused', variant: 'bg-warning text-dark' });
-  } else if (!property.tenant && property.rentalMarketingActive) {
-    chips.push({ label: 'Advertising', variant: 'bg-warning text-dark' });
-  }
-  if (property.autoRelist) {
-    chips.push({ label: 'Auto-relist on', variant: 'bg-info text-dark' });
-  }
-  return chips;
-}
-
-export const propertyCards = derived(gameState, ($state): PropertyCard[] => {
-  const cards: PropertyCard[] = [];
-  const ownedIds = new Set($state.portfolio.map((property) => property.id));
-
-  $state.portfolio.forEach((property) => {
-    const saleContext = createSaleContext(property);
-    cards.push({
-      id: property.id,
-      name: property.name,
-      description: property.description,
-      summaryHtml: `<strong>${property.bedrooms}</strong> bed · <strong>${property.bathrooms}</strong> bath · ${formatPropertyType(property.propertyType)}`,
-      featureTags: property.features,
-      locationDetailsHtml: buildLocationSummary(property),
-      maintenanceLabel: formatMaintenanceLabel(property),
-      maintenancePercent: property.maintenancePercent,
-      demandHtml: `<strong>Demand:</strong> ${property.demandScore}/10`,
-      costHtml: `<strong>Value:</strong> ${formatCurrency(property.cost)}`,
-      rentHtml: formatRentSummary(property),
-      statusChips: buildStatusChips(property),
-      owned: true,
-      disablePurchase: true,
-      manageLabel: 'Manage lease',
-      showSell: true,
-      sellLabel: 'Sell',
-      sellDisabled: !saleContext.canSell,
-      sellDisabledReason: saleContext.restrictions.join(' ')
-    });
-  });
-
-  $state.market.forEach((property) => {
-    cards.push({
-      id: property.id,
-      name: property.name,
-      description: property.description,
-      summaryHtml: `<strong>${property.bedrooms}</strong> bed · <strong>${property.bathrooms}</strong> bath · ${formatPropertyType(property.propertyType)}`,
-      featureTags: property.features,
-      locationDetailsHtml: buildLocationSummary(property),
-      maintenanceLabel: formatMaintenanceLabel(property),
-      maintenancePercent: property.maintenancePercent,
-      demandHtml: `<strong>Demand:</strong> ${property.demandScore}/10`,
-      costHtml: `<strong>Cost:</strong> ${formatCurrency(property.cost)}`,
-      rentHtml: formatRentSummary(property),
-      statusChips: buildStatusChips(property),
-      owned: false,
-      disablePurchase:
-        ownedIds.has(property.id) || property.cost * Math.min($state.finance.depositRatio, MINIMUM_DEPOSIT_RATIO) > $state.balance,
-      manageLabel: 'Inspect'
-    });
-  });
-
-  return cards;
-});
-
-export const rentalItems = derived(gameState, ($state): RentalItem[] =>
-  $state.portfolio.map((property) => {
-    const manageAction = {
-      type: 'manage' as const,
-      label: 'Manage',
-      propertyId: property.id,
-      ariaLabel: `Manage ${property.name}`
-    };
-    if (property.tenant) {
-      const net = property.tenant.monthlyRent - (property.mortgage?.monthlyPayment ?? 0);
-      const netLabel = net >= 0 ? 'Positive cash flow' : 'Negative cash flow';
-      const netClass = net >= 0 ? 'text-success' : 'text-danger';
-      return {
-        id: `rental-${property.id}`,
-        propertyId: property.id,
-        contentHtml: `<strong>${property.name}:</strong> Lease ${property.tenant.leaseMonthsRemaining} months remaining. Monthly rent ${formatCurrency(
-          property.tenant.monthlyRent
-        )}. <span class="${netClass}">${netLabel} ${formatCurrency(net)}</span>`,
-        actions: [manageAction]
-      };
-    }
-    const marketingMessage = property.rentalMarketingPausedForMaintenance
-      ? 'Vacant — marketing paused for maintenance.'
-      : property.rentalMarketingActive
-        ? 'Vacant — marketing active.'
-        : property.autoRelist
-          ? 'Vacant — auto-relist enabled, awaiting marketing window.'
-          : 'Vacant — marketing paused.';
-    return {
-      id: `rental-${property.id}`,
-      propertyId: property.id,
-      contentHtml: `<strong>${property.name}:</strong> ${marketingMessage} Expected rent ${formatCurrency(
-        property.monthlyRentEstimate
-      )}.`,
-      actions: [manageAction]
-    };
-  })
-);
-
-export const historyEntries = derived(history, ($history): HistoryEntry[] =>
-  $history
-    .slice()
-    .reverse()
-    .map((entry) => ({
-      id: entry.id,
-      contentHtml: `<code>[Day ${entry.day}]</code> ${entry.message}`
-    }))
-);
-
-export const speedLabel = derived(speed, ($speed) => $speed.toString());
-
-export const managementView = derived(gameState, ($state) => {
-  if (!$state.management.open || !$state.management.propertyId) {
-    return {
-      open: false,
-      activeSection: 'overview',
-      subtitle: '',
-      summaryHtml: '',
-      overviewHtml: '',
-      leasingHtml: '',
-      financingHtml: '',
-      transactionsHtml: '',
-      maintenanceHtml: '',
-      propertyId: '',
-      isOwned: false,
-      saleState: null,
-      leasingControls: createEmptyLeasingControls(),
-      maintenanceState: createEmptyMaintenanceState(),
-      refinance: createEmptyRefinanceView()
-    };
-  }
-  const property =
-    $state.portfolio.find((item) => item.id === $state.management.propertyId) ??
-    $state.market.find((item) => item.id === $state.management.propertyId);
-  if (!property) {
-    return {
-      open: false,
-      activeSection: 'overview',
-      subtitle: '',
-      summaryHtml: '',
-      overviewHtml: '',
-      leasingHtml: '',
-      financingHtml: '',
-      transactionsHtml: '',
-      maintenanceHtml: '',
-      propertyId: '',
-      isOwned: false,
-      saleState: null,
-      leasingControls: createEmptyLeasingControls(),
-      maintenanceState: createEmptyMaintenanceState(),
-      refinance: createEmptyRefinanceView()
-    };
-  }
-
-  const netCash = (property.tenant?.monthlyRent ?? 0) - (property.mortgage?.monthlyPayment ?? 0);
-  const netClass = netCash >= 0 ? 'text-success' : 'text-danger';
-  const summaryHtml = `
-    <div class="metric">
-      <span class="label">Gross rent</span>
-      <span class="value">${formatCurrency(property.tenant?.monthlyRent ?? property.monthlyRentEstimate)}</span>
-    </div>
-    <div class="metric">
-      <span class="label">Occupancy</span>
-      <span class="value">${property.tenant ? 'Tenant in place' : 'Vacant'}</span>
-    </div>
-    <div class="metric">
-      <span class="label">Net cash flow</span>
-      <span class="value ${netClass}">${formatCurrency(netCash)}</span>
-    </div>
-  `;
-
-  const overviewHtml = `
-    <div class="section-card">
-      <h6>Performance snapshot</h6>
-      <p class="mb-2">Market value: <strong>${formatCurrency(property.cost)}</strong></p>
-      <p class="mb-2">Maintenance level: <strong>${formatPercent(property.maintenancePercent)}</strong></p>
-      <p class="mb-0">Demand score: <strong>${property.demandScore}/10</strong></p>
-    </div>
-  `;
-
-  const rentPlans = getRentStrategies(property, $state.centralBankRate);
-  const selectedPlan =
-    rentPlans.find((plan) => plan.id === property.rentPlanId) ?? rentPlans[0] ?? null;
-  const marketingStatus = property.rentalMarketingPausedForMaintenance
-    ? 'Marketing paused for maintenance'
-    : property.rentalMarketingActive
-      ? 'Marketing active'
-      : property.autoRelist
-        ? 'Auto-relist enabled'
-        : 'Marketing paused';
-  const leasingHtml = `
-    <div class="section-card">
-      <h6>Leasing status</h6>
-      <p class="mb-2">${
-        property.tenant
-          ? 'Tenant secured and paying rent.'
-          : property.rentalMarketingPausedForMaintenance
-            ? 'Vacant — marketing is currently paused.'
-            : property.rentalMarketingActive
-              ? 'Vacant — marketing active.'
-              : property.autoRelist
-                ? 'Vacant — auto-relist enabled and awaiting the next marketing cycle.'
-                : 'Vacant — marketing paused.'
-      }</p>
-      <dl class="row small text-muted mb-0">
-        <dt class="col-sm-4">Plan</dt>
-        <dd class="col-sm-8">${
-          selectedPlan
-            ? `${selectedPlan.leaseMonths}-month · ${formatRentPremiumLabel(selectedPlan.rateOffset)} premium`
-            : 'Standard listing'
-        }</dd>
-        <dt class="col-sm-4">Expected rent</dt>
-        <dd class="col-sm-8">${
-          selectedPlan ? formatCurrency(selectedPlan.monthlyRent) : formatCurrency(property.monthlyRentEstimate)
-        }</dd>
-        <dt class="col-sm-4">Tenant chance</dt>
-        <dd class="col-sm-8">${
-          selectedPlan ? formatPercentage(selectedPlan.probability) : '—'
-        } per month</dd>
-        <dt class="col-sm-4">Marketing</dt>
-        <dd class="col-sm-8">${marketingStatus}</dd>
-      </dl>
-    </div>
-  `;
-
-  const financingHtml = property.mortgage
-    ? `
-        <div class="section-card">
-          <h6>Mortgage details</h6>
-          <p class="mb-2">Outstanding balance: <strong>${formatCurrency(property.mortgage.remainingBalance)}</strong></p>
-          <p class="mb-2">Monthly payment: <strong>${formatCurrency(property.mortgage.monthlyPayment)}</strong></p>
-          <p class="mb-0">Rate: <strong>${formatInterestRate(property.mortgage.annualInterestRate)}</strong></p>
-        </div>
-      `
-    : `
-        <div class="section-card">
-          <h6>Financing</h6>
-          <p class="mb-0">No mortgage in place. Purchase financing is available from the property list.</p>
-        </div>
-      `;
-
-  const transactionsHtml = `
-    <div class="section-card">
-      <h6>Transactions</h6>
-      <p class="mb-0">Purchase and sale history for ${property.name} will appear here.</p>
-    </div>
-  `;
-
-  const tenantMonthsRemaining = getTenantMonthsRemaining(property);
-  const maintenanceEstimate = estimateMaintenanceCost(property, { delayMonths: tenantMonthsRemaining });
-  const maintenanceWork = property.maintenanceWork ? { ...property.maintenanceWork } : null;
-  const workDelayMonths = maintenanceWork ? Math.max(maintenanceWork.startDelayMonths ?? 0, 0) : 0;
-  const maintenanceState: ManagementMaintenanceState = {
-    maintenancePercent: property.maintenancePercent,
-    projectedCost: maintenanceEstimate.projectedCost,
-    projectedPercent: maintenanceEstimate.projectedPercent,
-    tenantMonthsRemaining,
-    leaseCountdownLabel: tenantMonthsRemaining > 0 ? formatLeaseCountdown(tenantMonthsRemaining) : null,
-    work: maintenanceWork,
-    workDelayMonths,
-    workIsActive: Boolean(maintenanceWork && workDelayMonths <= 0),
-    maintenanceThreshold: MAINTENANCE_CONFIG.criticalThreshold,
-    canSchedule:
-      !maintenanceWork &&
-      property.maintenancePercent < 100 &&
-      maintenanceEstimate.projectedCost <= $state.balance,
-    reasons: {
-      atMaxMaintenance: property.maintenancePercent >= 100,
-      alreadyScheduled: Boolean(maintenanceWork),
-      insufficientFunds: maintenanceEstimate.projectedCost > $state.balance
-    }
-  };
-  const maintenanceHtml = '';
-
-  const plans = rentPlans.map((plan) => ({
-    id: plan.id,
-    label: plan.label,
-    leaseMonths: plan.leaseMonths,
-    rateOffset: plan.rateOffset,
-    monthlyRent: plan.monthlyRent,
-    probability: plan.probability
-  }));
-  const leaseMonthsOptions = Array.from(new Set(plans.map((plan) => plan.leaseMonths))).sort((a, b) => a - b);
-  const rentPremiumOptions = Array.from(new Set(plans.map((plan) => plan.rateOffset)))
-    .sort((a, b) => a - b)
-    .map((value) => ({ value, label: formatRentPremiumLabel(value) }));
-  const selectedLeaseMonths = selectedPlan?.leaseMonths ?? leaseMonthsOptions[0] ?? 0;
-  const selectedRateOffset = selectedPlan?.rateOffset ?? rentPremiumOptions[0]?.value ?? 0;
-
-  const isOwned = $state.portfolio.some((item) => item.id === property.id);
-  const saleContext = isOwned ? createSaleContext(property) : null;
-
-  const requestedRefinanceYears = Number.isFinite($state.management.refinance.fixedPeriodYears)
-    ? Math.max($state.management.refinance.fixedPeriodYears, 1 / 12)
-    : FINANCE_CONFIG.defaultFixedPeriodYears;
-
-  const mortgage = property.mortgage;
-  let refinance: ManagementRefinanceView = {
-    available: false,
-    reason: null,
-    options: [],
-    preview: null,
-    equity: 0,
-    equityRatio: 0,
-    propertyValue: 0,
-    outstandingBalance: 0,
-    centralBankRate: $state.centralBankRate,
-    remainingTermYears: 0,
-    selectedFixedPeriodYears: requestedRefinanceYears
-  };
-
-  if (mortgage) {
-    const equitySnapshot = calculatePropertyEquity(property);
-    refinance = {
-      ...refinance,
-      equity: equitySnapshot.equity,
-      equityRatio: equitySnapshot.ratio,
-      propertyValue: equitySnapshot.value,
-      outstandingBalance: equitySnapshot.outstanding
-    };
-    const remainingTermMonths = Math.max(mortgage.remainingTermMonths ?? 0, 0);
-    const remainingTermYears = remainingTermMonths > 0 ? Math.max(remainingTermMonths / 12, 1 / 12) : 0;
-
-    if (
-      mortgage.variableRateActive &&
-      mortgage.remainingBalance > 0.5 &&
-      remainingTermMonths > 0 &&
-      equitySnapshot.outstanding > 0 &&
-      equitySnapshot.value > 0
-    ) {
-      let selectedYears = Math.min(requestedRefinanceYears, remainingTermYears);
-      if (!Number.isFinite(selectedYears) || selectedYears <= 0) {
-        selectedYears = Math.min(FINANCE_CONFIG.defaultFixedPeriodYears, remainingTermYears);
-      }
-      selectedYears = Math.max(selectedYears, 1 / 12);
-
-      const profile = deriveMortgageRateProfile({
-        centralBankRate: $state.centralBankRate,
-        depositRatio: equitySnapshot.ratio,
-        fixedPeriodYears: selectedYears
-      });
-
-      const effectiveYears = Math.min(profile.fixedPeriodYears, remainingTermYears);
-      const fixedPeriodMonths = Math.max(Math.min(Math.round(effectiveYears * 12), remainingTermMonths), 1);
-      const monthlyPayment = mortgage.interestOnly
-        ? roundCurrency(equitySnapshot.outstanding * (profile.fixedRate / 12))
-        : calculateMonthlyPayment({
-            principal: equitySnapshot.outstanding,
-            annualRate: profile.fixedRate,
-            termMonths: remainingTermMonths,
-            interestOnly: false
-          });
-      const paymentDelta = roundCurrency(monthlyPayment - mortgage.monthlyPayment);
-
-      const options: ManagementRefinanceOption[] = [];
-      let hasActiveOption = false;
-
-      FINANCE_CONFIG.fixedPeriodOptions.forEach((years) => {
-        const disabled = years > remainingTermYears + 1e-6;
-        const isActive = !disabled && Math.abs(years - effectiveYears) < 1e-6;
-        if (isActive) {
-          hasActiveOption = true;
-        }
-        options.push({ years, label: `${years} years`, disabled, active: isActive });
-      });
-
-      if (remainingTermYears > 0) {
-        const roundedRemaining = Number(remainingTermYears.toFixed(2));
-        const fullTermActive = Math.abs(effectiveYears - remainingTermYears) < 1e-6 || !hasActiveOption;
-        options.push({
-          years: remainingTermYears,
-          label: `Full remaining term (${roundedRemaining}y)`,
-          disabled: false,
-          active: fullTermActive
-        });
-      }
-
-      refinance = {
-        available: true,
-        reason: null,
-        options,
-        preview: {
-          fixedPeriodYears: effectiveYears,
-          fixedPeriodMonths,
-          fixedRate: profile.fixedRate,
-          reversionRate: profile.reversionRate,
-          baseRate: profile.baseRate,
-          variableRateMargin: profile.variableRateMargin,
-          monthlyPayment,
-          paymentDelta
-        },
-        equity: equitySnapshot.equity,
-        equityRatio: equitySnapshot.ratio,
-        propertyValue: equitySnapshot.value,
-        outstandingBalance: equitySnapshot.outstanding,
-        centralBankRate: $state.centralBankRate,
-        remainingTermYears,
-        selectedFixedPeriodYears: effectiveYears
-      };
-    } else {
-      refinance = {
-        ...refinance,
-        remainingTermYears,
-        reason: mortgage.variableRateActive
-          ? 'No remaining balance or term to refinance.'
-          : 'Mortgage is currently within its fixed rate period.'
-      };
-    }
-  } else {
-    refinance = {
-      ...refinance,
-      reason: 'Property has no active mortgage.'
-    };
-  }
-
-  return {
-    open: true,
-    activeSection: $state.management.activeSection,
-    subtitle: property.name,
-    summaryHtml,
-    overviewHtml,
-    leasingHtml,
-    financingHtml,
-    transactionsHtml,
-    maintenanceHtml,
-    propertyId: property.id,
-    isOwned,
-    saleState: saleContext
-      ? {
-          salePrice: saleContext.salePrice,
-          outstandingBalance: saleContext.outstandingBalance,
-          netProceeds: saleContext.netProceeds,
-          canSell: saleContext.canSell,
-          restrictions: saleContext.restrictions
-        }
-      : null,
-    leasingControls: {
-      plans,
-      leaseMonthsOptions,
-      rentPremiumOptions,
-      selectedPlanId: selectedPlan?.id ?? '',
-      selectedLeaseMonths,
-      selectedRateOffset,
-      autoRelist: property.autoRelist,
-      marketingActive: property.rentalMarketingActive,
-      marketingPaused: property.rentalMarketingPausedForMaintenance,
-      hasTenant: Boolean(property.tenant)
-    },
-    maintenanceState,
-    refinance
-  };
-});
-
-export const financeView = derived(gameState, ($state) => {
-  if (!$state.finance.open || !$state.finance.propertyId) {
-    return {
-      open: false,
-      propertyName: '',
-      propertySummary: '',
-      depositOptionsHtml: '',
-      fixedPeriodOptionsHtml: '',
-      termOptionsHtml: '',
-      paymentTypeOptionsHtml: '',
-      paymentPreviewHtml: '',
-      affordabilityNoteHtml: ''
-    };
-  }
-  const property = $state.market.find((item) => item.id === $state.finance.propertyId);
-  if (!property) {
-    return {
-      open: false,
-      propertyName: '',
-      propertySummary: '',
-      depositOptionsHtml: '',
-      fixedPeriodOptionsHtml: '',
-      termOptionsHtml: '',
-      paymentTypeOptionsHtml: '',
-      paymentPreviewHtml: '',
-      affordabilityNoteHtml: ''
-    };
-  }
-
-  const depositOptionsHtml = FINANCE_CONFIG.depositOptions
-    .map((ratio) => {
-      const isActive = Math.abs(ratio - $state.finance.depositRatio) < 1e-6;
-      return `
-        <button type="button" class="btn btn-outline-primary${isActive ? ' active' : ''}" data-deposit-ratio="${ratio}" aria-pressed="${isActive}">
-          ${Math.round(ratio * 100)}%
-        </button>
-      `;
-    })
-    .join('');
-
-  const termOptionsHtml = FINANCE_CONFIG.termOptions
-    .map((years) => {
-      const isActive = years === $state.finance.termYears;
-      return `
-        <button type="button" class="btn btn-outline-primary${isActive ? ' active' : ''}" data-term-years="${years}" aria-pressed="${isActive}">
-          ${years} years
-        </button>
-      `;
-    })
-    .join('');
-
-  const fixedPeriodOptionsHtml = FINANCE_CONFIG.fixedPeriodOptions
-    .map((years) => {
-      const disabled = years > $state.finance.termYears;
-      const isActive = years === $state.finance.fixedPeriodYears && !disabled;
-      return `
-        <button type="button" class="btn btn-outline-primary${isActive ? ' active' : ''}" data-fixed-period-years="${years}" aria-pressed="${isActive}" ${disabled ? 'disabled' : ''}>
-          ${years} years
-        </button>
-      `;
-    })
-    .join('');
-
-  const paymentTypeOptionsHtml = `
-    <button type="button" class="btn btn-outline-secondary${$state.finance.interestOnly ? '' : ' active'}" data-interest-only="false" aria-pressed="${$state.finance.interestOnly ? 'false' : 'true'}">Repayment</button>
-    <button type="button" class="btn btn-outline-secondary${$state.finance.interestOnly ? ' active' : ''}" data-interest-only="true" aria-pressed="${$state.finance.interestOnly ? 'true' : 'false'}">Interest-only</button>
-  `;
-
-  const mortgagePreview = createMortgage(property, $state);
-  const canAffordDeposit = $state.balance >= mortgagePreview.deposit;
-  const paymentPreviewHtml = `
-    <p class="mb-2">Purchase price: <strong>${formatCurrency(property.cost)}</strong></p>
-    <p class="mb-2">Deposit: <strong>${formatCurrency(mortgagePreview.deposit)} (${Math.round(
-      mortgagePreview.depositRatio * 100
-    )}%)</strong></p>
-    <p class="mb-2">Monthly payment: <strong>${formatCurrency(mortgagePreview.monthlyPayment)}</strong></p>
-    <p class="mb-0">Fixed rate: <strong>${formatInterestRate(mortgagePreview.annualInterestRate)}</strong></p>
-  `;
-
-  const affordabilityNoteHtml = canAffordDeposit
-    ? '<span class="text-success">Deposit affordable with current balance.</span>'
-    : `<span class="text-danger">Insufficient funds for the selected deposit. You need ${formatCurrency(
-        mortgagePreview.deposit
-      )}.</span>`;
-
-  const validationHtml = $state.finance.validationError
-    ? `<div class="alert alert-danger mt-2" role="alert">${$state.finance.validationError}</div>`
-    : '';
-
-  return {
-    open: true,
-    propertyName: property.name,
-    propertySummary: `<strong>${property.bedrooms}</strong> bed · <strong>${property.bathrooms}</strong> bath · ${formatPropertyType(property.propertyType)}`,
-    depositOptionsHtml,
-    fixedPeriodOptionsHtml,
-    termOptionsHtml,
-    paymentTypeOptionsHtml,
-    paymentPreviewHtml,
-    affordabilityNoteHtml: `${affordabilityNoteHtml}${validationHtml}`
-  };
-});
-
-function createStateWithInitialHistory(logResetMessage: boolean): GameState {
-  let state = createInitialState();
-  if (logResetMessage) {
-    state = addHistory(state, 'Game reset. Starting over with fresh capital.');
+export function tickDay(): void {
+  const state = get(gameState);
+  const { botAgent } = get(sessionControls);
+  if (botAgent && state.bankruptOnDay === null) {
+    botAgent(state).forEach((action) => applyAction(action, false));
   }
-  state = addHistory(state, 'New game started with $1,000 in capital.');
-  state = addHistory(
-    state,
-    `Central bank base rate set at ${(state.centralBankRate * 100).toFixed(2)}% to start the simulation.`
-  );
-  return state;
-}
-
-export function initialiseGame(): void {
-  pauseDepth = 0;
-  pausedBeforeModal = false;
-  gameState.set(createStateWithInitialHistory(false));
+  applyAction({ type: 'advance-days', days: 1 }, false);
 }
 
-export function resetGame(): void {
-  pauseDepth = 0;
-  pausedBeforeModal = false;
-  gameState.set(createStateWithInitialHistory(true));
-}
-
-export function setGameSpeed(value: number): void {
-  if (!Number.isFinite(value) || value <= 0) {
+export function startBot(botId: string): void {
+  const bot = findInvestorBot(botId);
+  if (!bot) {
     return;
   }
-  gameState.update((state) => {
-    const speedMultiplier = (1000 / value).toFixed(1);
-    return addHistory({ ...state, speed: value }, `Game speed set to ${speedMultiplier}x.`);
-  });
+  const botAgent = bot.createAgent();
+  sessionControls.update((controls) => ({ ...controls, botAgent }));
+  activeBotId.set(bot.id);
+  gameState.update((state) => addHistory(state, `Investor bot "${bot.name}" took over the portfolio.`));
 }
 
-export function tickDay(): void {
-  gameState.update((state) => {
-    let nextState = { ...state, day: state.day + 1 };
-    nextState = progressMarketListings(nextState);
-    nextState = degradeAllProperties(nextState);
-    if (nextState.day - nextState.lastRentCollectionDay >= 30) {
-      nextState = processMonthlyTick(nextState);
-    }
-    nextState = adjustCentralBankRateIfNeeded(nextState);
-    return nextState;
-  });
+export function stopBot(): void {
+  const bot = findInvestorBot(get(activeBotId) ?? '');
+  clearBot();
+  if (bot) {
+    gameState.update((state) => addHistory(state, `Investor bot "${bot.name}" handed the portfolio back to you.`));
+  }
 }
 
 export function pauseGame(): void {
+  const { pauseDepth, pausedBeforeModal } = get(sessionControls);
+  sessionControls.update((controls) => ({
+    ...controls,
+    pauseDepth: pauseDepth + 1,
+    pausedBeforeModal: pauseDepth === 0 ? get(gameState).isPaused : pausedBeforeModal
+  }));
   if (pauseDepth === 0) {
-    pausedBeforeModal = get(gameState).isPaused;
-  }
-
-  pauseDepth += 1;
-  if (pauseDepth === 1) {
-    gameState.update((state) => (state.isPaused ? state : { ...state, isPaused: true }));
+    dispatch({ type: 'set-paused', paused: true });
   }
 }
 
 export function resumeGame(): void {
+  const { pauseDepth, pausedBeforeModal } = get(sessionControls);
   if (pauseDepth === 0) {
     return;
   }
 
-  pauseDepth -= 1;
-  if (pauseDepth === 0) {
-    gameState.update((state) =>
-      state.isPaused === pausedBeforeModal ? state : { ...state, isPaused: pausedBeforeModal }
-    );
+  sessionControls.update((controls) => ({ ...controls, pauseDepth: pauseDepth - 1 }));
+  if (pauseDepth === 1) {
+    dispatch({ type: 'set-paused', paused: pausedBeforeModal });
   }
 }
 
 export function openManagement(propertyId: string): void {
-  gameState.update((state) => ({
-    ...state,
-    management: {
-      ...state.management,
-      open: true,
-      propertyId,
-      activeSection: 'overview',
-      refinance: {
-        ...state.management.refinance,
-        fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears
-      }
-    }
-  }));
+  dispatch({ type: 'open-management', propertyId });
 }
 
 export function closeManagement(): void {
-  gameState.update((state) => ({
-    ...state,
-    management: {
-      ...state.management,
-      open: false,
-      propertyId: null,
-      refinance: {
-        ...state.management.refinance,
-        fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears
-      }
-    }
-  }));
+  dispatch({ type: 'close-management' });
 }
 
 export function setManagementSection(section: ManagementState['activeSection']): void {
-  gameState.update((state) => ({
-    ...state,
-    management: {
-      ...state.management,
-      activeSection: section
-    }
-  }));
+  dispatch({ type: 'set-management-section', section });
 }
 
 export function setManagementRefinanceFixedPeriod(years: number): void {
-  if (!Number.isFinite(years) || years <= 0) {
-    return;
-  }
-
-  const clamped = Math.max(years, 1 / 12);
+  dispatch({ type: 'set-refinance-fixed-period', years });
+}
 
-  gameState.update((state) => ({
-    ...state,
-    management: {
-      ...state.management,
-      refinance: {
-        ...state.management.refinance,
-        fixedPeriodYears: clamped
-      }
-    }
-  }));
+export function setManagementRefinanceCashOut(amount: number): void {
+  dispatch({ type: 'set-refinance-cash-out', amount });
 }
 
 export function confirmManagementRefinance(propertyId: string): void {
-  if (!propertyId) {
-    return;
-  }
-
-  gameState.update((state) => {
-    const index = state.portfolio.findIndex((property) => property.id === propertyId);
-    if (index === -1) {
-      return state;
-    }
-
-    const property = state.portfolio[index];
-    const mortgage = property.mortgage;
-    if (!mortgage || !mortgage.variableRateActive || mortgage.remainingBalance <= 0.5) {
-      return state;
-    }
-
-    const remainingTermMonths = Math.max(mortgage.remainingTermMonths ?? 0, 0);
-    if (remainingTermMonths <= 0) {
-      return state;
-    }
-
-    const equitySnapshot = calculatePropertyEquity(property);
-    if (equitySnapshot.outstanding <= 0 || equitySnapshot.value <= 0) {
-      return state;
-    }
-
-    const remainingTermYears = Math.max(remainingTermMonths / 12, 1 / 12);
-    const requestedYears = Number.isFinite(state.management.refinance.fixedPeriodYears)
-      ? Math.max(state.management.refinance.fixedPeriodYears, 1 / 12)
-      : FINANCE_CONFIG.defaultFixedPeriodYears;
-
-    let selectedYears = Math.min(requestedYears, remainingTermYears);
-    if (!Number.isFinite(selectedYears) || selectedYears <= 0) {
-      selectedYears = Math.min(FINANCE_CONFIG.defaultFixedPeriodYears, remainingTermYears);
-    }
-    selectedYears = Math.max(selectedYears, 1 / 12);
-
-    const profile = deriveMortgageRateProfile({
-      centralBankRate: state.centralBankRate,
-      depositRatio: equitySnapshot.ratio,
-      fixedPeriodYears: selectedYears
-    });
-
-    const effectiveYears = Math.min(profile.fixedPeriodYears, remainingTermYears);
-    const fixedPeriodMonths = Math.max(Math.min(Math.round(effectiveYears * 12), remainingTermMonths), 1);
-    const fixedRate = profile.fixedRate;
-    const monthlyRate = fixedRate / 12;
-    const outstanding = roundCurrency(equitySnapshot.outstanding);
-    const monthlyPayment = mortgage.interestOnly
-      ? roundCurrency(outstanding * monthlyRate)
-      : calculateMonthlyPayment({
-          principal: outstanding,
-          annualRate: fixedRate,
-          termMonths: remainingTermMonths,
-          interestOnly: false
-        });
-
-    const depositRatio = Math.min(Math.max(equitySnapshot.ratio, MINIMUM_DEPOSIT_RATIO), 0.95);
-    const deposit = roundCurrency(property.cost * depositRatio);
-
-    const updatedMortgage: Mortgage = {
-      ...mortgage,
-      depositRatio,
-      deposit,
-      principal: outstanding,
-      baseRate: profile.baseRate,
-      annualInterestRate: fixedRate,
-      monthlyInterestRate: monthlyRate,
-      variableRateMargin: profile.variableRateMargin,
-      reversionRate: profile.reversionRate,
-      termMonths: remainingTermMonths,
-      remainingTermMonths,
-      fixedPeriodYears: effectiveYears,
-      fixedPeriodMonths,
-      monthlyPayment,
-      variableRateActive: false
-    };
-
-    const updatedProperty: GameProperty = { ...property, mortgage: updatedMortgage };
-    const portfolio = [...state.portfolio];
-    portfolio[index] = updatedProperty;
-
-    const refinanceReset = {
-      ...state.management.refinance,
-      fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears
-    };
-
-    let nextState: GameState = {
-      ...state,
-      portfolio,
-      management: {
-        ...state.management,
-        refinance: refinanceReset
-      }
-    };
-
-    const equityPercentLabel = formatPercentage(equitySnapshot.ratio);
-    const fixedRateLabel = formatInterestRate(fixedRate);
-    const baseRateLabel = formatInterestRate(profile.baseRate);
-    const marginLabel = formatInterestRate(profile.variableRateMargin);
-    const reversionLabel = formatInterestRate(profile.reversionRate);
-    const outstandingLabel = formatCurrency(outstanding);
-    const monthlyPaymentLabel = formatCurrency(monthlyPayment);
-    const fixedYearsLabel = Number(effectiveYears.toFixed(2));
-    const fixedPeriodLabel = `${fixedYearsLabel} year${Math.abs(fixedYearsLabel - 1) < 1e-6 ? '' : 's'}`;
-
-    nextState = addHistory(
-      nextState,
-      `Locked a new fixed rate on ${property.name}: ${equityPercentLabel} equity unlocked ${fixedRateLabel} for ${fixedPeriodLabel} (base ${baseRateLabel} + ${marginLabel} = ${reversionLabel} thereafter). New payment ${monthlyPaymentLabel} / month on ${outstandingLabel} outstanding.`
-    );
+  dispatch({ type: 'confirm-refinance', propertyId });
+}
 
-    if (equitySnapshot.equity > 0) {
-      const equityLabel = formatCurrency(equitySnapshot.equity);
-      const valueLabel = formatCurrency(equitySnapshot.value);
-      nextState = addHistory(
-        nextState,
-        `${property.name} now has ${equityLabel} equity (${equityPercentLabel} of current value ${valueLabel}).`
-      );
-    }
+export function makeMortgageOverpayment(propertyId: string, amount: number): void {
+  dispatch({ type: 'overpay-mortgage', propertyId, amount });
+}
 
-    return nextState;
-  });
+export function setMortgageRecurringOverpayment(propertyId: string, amount: number): void {
+  dispatch({ type: 'set-recurring-overpayment', propertyId, amount });
 }
 
-function updatePortfolioProperty(
-  state: GameState,
-  propertyId: string,
-  updater: (property: GameProperty) => GameProperty | null
-): { state: GameState; property: GameProperty | null; changed: boolean } {
-  const index = state.portfolio.findIndex((property) => property.id === propertyId);
-  if (index === -1) {
-    return { state, property: null, changed: false };
-  }
-  const property = state.portfolio[index];
-  const updated = updater(property);
-  if (!updated) {
-    return { state, property, changed: false };
-  }
-  const portfolio = [...state.portfolio];
-  portfolio[index] = updated;
-  return { state: { ...state, portfolio }, property: updated, changed: true };
+export function setMortgageOverpaymentStrategy(propertyId: string, strategy: MortgageOverpaymentStrategy): void {
+  dispatch({ type: 'set-overpayment-strategy', propertyId, strategy });
 }
 
 export function setPropertyLeaseMonths(propertyId: string, leaseMonths: number): void {
-  if (!Number.isFinite(leaseMonths) || leaseMonths <= 0) {
-    return;
-  }
-  gameState.update((state) => {
-    const result = updatePortfolioProperty(state, propertyId, (property) => {
-      const plans = getRentStrategies(property, state.centralBankRate);
-      const currentPlan =
-        plans.find((plan) => plan.id === property.rentPlanId) ?? plans[0] ?? null;
-      if (!currentPlan) {
-        return null;
-      }
-      const targetPlan =
-        plans.find(
-          (plan) =>
-            plan.leaseMonths === leaseMonths && Math.abs(plan.rateOffset - currentPlan.rateOffset) < 1e-6
-        ) ?? null;
-      if (!targetPlan || targetPlan.id === property.rentPlanId) {
-        return null;
-      }
-      return { ...property, rentPlanId: targetPlan.id };
-    });
-    if (!result.changed || !result.property) {
-      return result.state;
-    }
-    const plan = findRentPlan(
-      result.property,
-      result.property.rentPlanId,
-      result.state.centralBankRate
-    );
-    if (!plan) {
-      return result.state;
-    }
-    const message = `Updated ${result.property.name} to a ${plan.leaseMonths}-month lease with a ${formatRentPremiumLabel(plan.rateOffset)} rent premium (expected rent ${formatCurrency(plan.monthlyRent)}).`;
-    return addHistory(result.state, message);
-  });
+  dispatch({ type: 'set-lease-months', propertyId, leaseMonths });
 }
 
 export function setPropertyRentPremium(propertyId: string, rateOffset: number): void {
-  if (!Number.isFinite(rateOffset)) {
-    return;
-  }
-  gameState.update((state) => {
-    const result = updatePortfolioProperty(state, propertyId, (property) => {
-      const plans = getRentStrategies(property, state.centralBankRate);
-      const currentPlan =
-        plans.find((plan) => plan.id === property.rentPlanId) ?? plans[0] ?? null;
-      if (!currentPlan) {
-        return null;
-      }
-      const targetPlan =
-        plans.find(
-          (plan) =>
-            Math.abs(plan.rateOffset - rateOffset) < 1e-6 && plan.leaseMonths === currentPlan.leaseMonths
-        ) ?? null;
-      if (!targetPlan || targetPlan.id === property.rentPlanId) {
-        return null;
-      }
-      return { ...property, rentPlanId: targetPlan.id };
-    });
-    if (!result.changed || !result.property) {
-      return result.state;
-    }
-    const plan = findRentPlan(
-      result.property,
-      result.property.rentPlanId,
-      result.state.centralBankRate
-    );
-    if (!plan) {
-      return result.state;
-    }
-    const premiumLabel = formatRentPremiumLabel(plan.rateOffset);
-    const message = `Adjusted rent premium for ${result.property.name} to ${premiumLabel} (${formatCurrency(plan.monthlyRent)} expected).`;
-    return addHistory(result.state, message);
-  });
+  dispatch({ type: 'set-rent-premium', propertyId, rateOffset });
 }
 
 export function setPropertyAutoRelist(propertyId: string, enabled: boolean): void {
-  gameState.update((state) => {
-    const result = updatePortfolioProperty(state, propertyId, (property) => {
-      if (property.autoRelist === enabled) {
-        return null;
-      }
-      return { ...property, autoRelist: enabled };
-    });
-    if (!result.changed || !result.property) {
-      return result.state;
-    }
-    const message = result.property.autoRelist
-      ? `Enabled auto-relisting for ${result.property.name}.`
-      : `Disabled auto-relisting for ${result.property.name}.`;
-    return addHistory(result.state, message);
-  });
+  dispatch({ type: 'set-auto-relist', propertyId, enabled });
 }
 
 export function setPropertyRentalMarketingActive(propertyId: string, active: boolean): void {
-  gameState.update((state) => {
-    const result = updatePortfolioProperty(state, propertyId, (property) => {
-      if (property.rentalMarketingActive === active) {
-        return null;
-      }
-      if (active && (property.rentalMarketingPausedForMaintenance || property.tenant)) {
-        return null;
-      }
-      return {
-        ...property,
-        rentalMarketingActive: active,
-        vacancyMonths: 0
-      };
-    });
-    if (!result.changed || !result.property) {
-      return result.state;
-    }
-    const message = result.property.rentalMarketingActive
-      ? `Started advertising ${result.property.name} for tenants.`
-      : `Paused advertising for ${result.property.name}.`;
-    return addHistory(result.state, message);
-  });
+  dispatch({ type: 'set-rental-marketing', propertyId, active });
 }
 
-export function setPropertyMarketingPaused(propertyId: string, paused: boolean): void {
-  gameState.update((state) => {
-    const result = updatePortfolioProperty(state, propertyId, (property) => {
-      if (property.rentalMarketingPausedForMaintenance === paused) {
-        return null;
-      }
-      return {
-        ...property,
-        rentalMarketingPausedForMaintenance: paused,
-        rentalMarketingActive: paused ? false : property.rentalMarketingActive,
-        vacancyMonths: 0
-      };
-    });
-    if (!result.changed || !result.property) {
-      return result.state;
-    }
-    const message = result.property.rentalMarketingPausedForMaintenance
-      ? `Paused marketing at ${result.property.name} for maintenance.`
-      : `Resumed tenant marketing at ${result.property.name}.`;
-    return addHistory(result.state, message);
-  });
+export function setPropertyAutoAcceptApplicants(propertyId: string, enabled: boolean): void {
+  dispatch({ type: 'set-auto-accept-applicants', propertyId, enabled });
 }
 
-export function schedulePropertyMaintenance(propertyId: string): void {
-  gameState.update((state) => {
-    const index = state.portfolio.findIndex((property) => property.id === propertyId);
-    if (index === -1) {
-      return state;
-    }
-    const property = state.portfolio[index];
-    if (property.maintenanceWork) {
-      return addHistory(state, `${property.name} already has maintenance scheduled.`);
-    }
-    if (property.maintenancePercent >= 100) {
-      return addHistory(state, `${property.name} is already at 100% maintenance.`);
-    }
+export function acceptTenantApplicant(propertyId: string, applicantId: string): void {
+  dispatch({ type: 'accept-applicant', propertyId, applicantId });
+}
 
-    const tenantMonthsRemaining = getTenantMonthsRemaining(property);
-    const { projectedCost, projectedPercent } = estimateMaintenanceCost(property, {
-      delayMonths: tenantMonthsRemaining
-    });
+export function rejectTenantApplicant(propertyId: string, applicantId: string): void {
+  dispatch({ type: 'reject-applicant', propertyId, applicantId });
+}
 
-    if (projectedCost > state.balance) {
-      return addHistory(
-        state,
-        `Unable to schedule maintenance for ${property.name}: requires ${formatCurrency(projectedCost)} but only ${formatCurrency(state.balance)} is available.`
-      );
-    }
+export function counterTenantApplicant(propertyId: string, applicantId: string, monthlyRent: number): void {
+  dispatch({ type: 'counter-applicant', propertyId, applicantId, monthlyRent });
+}
 
-    const maintenanceWork: MaintenanceWorkOrder = {
-      monthsRemaining: 1,
-      cost: projectedCost,
-      scheduledOnDay: state.day,
-      startDelayMonths: tenantMonthsRemaining
-    };
+export function offerLeaseRenewal(propertyId: string, monthlyRent: number): void {
+  dispatch({ type: 'offer-renewal', propertyId, monthlyRent });
+}
 
-    const updatedProperty: GameProperty = {
-      ...property,
-      maintenanceWork,
-      rentalMarketingPausedForMaintenance:
-        tenantMonthsRemaining === 0 ? true : property.rentalMarketingPausedForMaintenance,
-      rentalMarketingActive:
-        tenantMonthsRemaining === 0 ? false : property.rentalMarketingActive,
-      vacancyMonths: tenantMonthsRemaining === 0 ? 0 : property.vacancyMonths
-    };
+export function declineLeaseRenewal(propertyId: string): void {
+  dispatch({ type: 'decline-renewal', propertyId });
+}
 
-    const portfolio = [...state.portfolio];
-    portfolio[index] = updatedProperty;
+export function setPropertyLettingAgent(propertyId: string, agentId: string | null): void {
+  dispatch({ type: 'set-letting-agent', propertyId, agentId });
+}
 
-    let nextState: GameState = { ...state, portfolio };
+export function setPropertyRentReviews(propertyId: string, enabled: boolean): void {
+  dispatch({ type: 'set-rent-reviews', propertyId, enabled });
+}
 
-    const message = tenantMonthsRemaining > 0
-      ? `Scheduled maintenance for ${property.name}: work will begin once the current lease ends (${formatLeaseCountdown(tenantMonthsRemaining)} remaining) and will require 1 month of vacancy (estimated cost ${formatCurrency(projectedCost)} based on an expected condition of ${formatPercent(projectedPercent)}).`
-      : `Scheduled maintenance for ${property.name}: property will be vacant for 1 month (estimated cost ${formatCurrency(projectedCost)}).`;
+export function setPropertyMarketingPaused(propertyId: string, paused: boolean): void {
+  dispatch({ type: 'set-marketing-paused', propertyId, paused });
+}
 
-    nextState = addHistory(nextState, message);
-    return nextState;
-  });
+export function schedulePropertyMaintenance(propertyId: string): void {
+  dispatch({ type: 'schedule-maintenance', propertyId });
+}
+
+export function repairMaintenanceIncident(propertyId: string, incidentId: string): void {
+  dispatch({ type: 'repair-incident', propertyId, incidentId });
 }
 
 export function openFinance(propertyId: string): void {
-  gameState.update((state) => ({
-    ...state,
-    finance: {
-      ...state.finance,
-      open: true,
-      propertyId,
-      depositRatio: FINANCE_CONFIG.defaultDepositRatio,
-      termYears: FINANCE_CONFIG.defaultTermYears,
-      fixedPeriodYears: FINANCE_CONFIG.defaultFixedPeriodYears,
-      interestOnly: false,
-      validationError: null
-    }
-  }));
+  dispatch({ type: 'open-finance', propertyId });
 }
 
 export function closeFinance(): void {
-  gameState.update((state) => ({
-    ...state,
-    finance: {
-      ...state.finance,
-      open: false,
-      propertyId: null,
-      validationError: null
-    }
-  }));
+  dispatch({ type: 'close-finance' });
 }
 
 export function selectFinanceDeposit(ratio: number): void {
-  if (!Number.isFinite(ratio) || ratio <= 0) {
-    return;
-  }
-  gameState.update((state) => ({
-    ...state,
-    finance: {
-      ...state.finance,
-      depositRatio: ratio,
-      validationError: null
-    }
-  }));
+  dispatch({ type: 'select-deposit', ratio });
 }
 
 export function selectFinanceTerm(years: number): void {
-  if (!Number.isFinite(years) || years <= 0) {
-    return;
-  }
-  gameState.update((state) => ({
-    ...state,
-    finance: {
-      ...state.finance,
-      termYears: years,
-      fixedPeriodYears: Math.min(state.finance.fixedPeriodYears, years),
-      validationError: null
-    }
-  }));
+  dispatch({ type: 'select-term', years });
 }
 
 export function selectFinanceFixedPeriod(years: number): void {
-  if (!Number.isFinite(years) || years <= 0) {
-    return;
-  }
-  gameState.update((state) => ({
-    ...state,
-    finance: {
-      ...state.finance,
-      fixedPeriodYears: Math.min(years, state.finance.termYears),
-      validationError: null
-    }
-  }));
+  dispatch({ type: 'select-fixed-period', years });
 }
 
 export function setFinanceInterestOnly(value: boolean): void {
-  gameState.update((state) => ({
-    ...state,
-    finance: {
-      ...state.finance,
-      interestOnly: value,
-      validationError: null
-    }
-  }));
+  dispatch({ type: 'set-interest-only', interestOnly: value });
 }
 
-export function confirmFinance(): void {
-  const state = get(gameState);
-  if (!state.finance.propertyId) {
-    return;
-  }
-  const property = state.market.find((item) => item.id === state.finance.propertyId);
-  if (!property) {
-    closeFinance();
-    return;
-  }
-  const mortgage = createMortgage(property, state);
-  if (mortgage.deposit > state.balance) {
-    gameState.update((current) => ({
-      ...current,
-      finance: { ...current.finance, validationError: 'Insufficient funds for the selected deposit.' }
-    }));
-    return;
-  }
-
-  const updatedProperty: GameProperty = {
-    ...property,
-    mortgage
-  };
+export function selectFinanceLender(lenderId: string): void {
+  dispatch({ type: 'select-lender', lenderId });
+}
 
-  let nextState: GameState = {
-    ...state,
-    balance: state.balance - mortgage.deposit,
-    market: state.market.filter((item) => item.id !== property.id),
-    portfolio: [...state.portfolio, updatedProperty],
-    finance: {
-      ...state.finance,
-      open: false,
-      propertyId: null,
-      validationError: null
-    }
-  };
+export function setFinanceFeeFinancing(value: boolean): void {
+  dispatch({ type: 'set-fee-financing', addFeeToLoan: value });
+}
 
-  nextState = addHistory(
-    nextState,
-    `Purchased ${property.name} with ${Math.round(mortgage.depositRatio * 100)}% deposit. Monthly payment ${formatCurrency(
-      mortgage.monthlyPayment
-    )}.`
-  );
+export function confirmFinance(): void {
+  dispatch({ type: 'confirm-finance' });
+}
 
-  gameState.set(nextState);
+export function confirmCashPurchase(): void {
+  dispatch({ type: 'confirm-cash-purchase' });
 }
 
 export function cancelFinance(): void {
@@ -2741,71 +588,14 @@ export function manageProperty(propertyId: string): void {
 }
 
 export function sellProperty(propertyId: string): void {
-  gameState.update((state) => {
-    const index = state.portfolio.findIndex((item) => item.id === propertyId);
-    if (index < 0) {
-      return state;
-    }
-    const property = state.portfolio[index];
-    const saleContext = createSaleContext(property);
-
-    if (!saleContext.canSell) {
-      const reasonText = saleContext.restrictions.join(' ');
-      const message = reasonText
-        ? `Sale attempt blocked for ${property.name}: ${reasonText}`
-        : `Sale attempt blocked for ${property.name}.`;
-      return addHistory(state, message);
-    }
-
-    const salePrice = saleContext.salePrice;
-    const outstanding = saleContext.outstandingBalance;
-    const netProceeds = saleContext.netProceeds;
-    const updatedPortfolio = state.portfolio.filter((_, idx) => idx !== index);
-    const balanceAfterSale = Math.max(roundCurrency(state.balance + netProceeds), 0);
-
-    let nextState: GameState = {
-      ...state,
-      portfolio: updatedPortfolio,
-      balance: balanceAfterSale
-    };
-
-    if (state.management.propertyId === propertyId) {
-      nextState = {
-        ...nextState,
-        management: {
-          ...state.management,
-          open: false,
-          propertyId: null
-        }
-      };
-    }
-
-    const salePriceLabel = formatCurrency(salePrice);
-    const outstandingLabel = formatCurrency(outstanding);
-    const netLabel = formatCurrency(Math.abs(netProceeds));
-    const netProceedsLabel = formatCurrency(netProceeds);
-    let historyMessage = `Sold ${property.name} for ${salePriceLabel}.`;
-    if (outstanding > 0) {
-      if (netProceeds >= 0) {
-        historyMessage += ` Repaid ${outstandingLabel} outstanding on the mortgage and netted ${netProceedsLabel}.`;
-      } else {
-        historyMessage += ` Repaid ${outstandingLabel} outstanding on the mortgage, covering a shortfall of ${netLabel}.`;
-      }
-    } else {
-      historyMessage += ` Net proceeds ${netProceedsLabel}.`;
-    }
+  dispatch({ type: 'sell-property', propertyId });
+}
 
-    nextState = addHistory(nextState, historyMessage);
-    return nextState;
-  });
+function setRandomSourceOverride(source: RandomSource | null): void {
+  sessionControls.update((controls) => ({ ...controls, randomSource: source }));
 }
 
 export const __testing = {
-  clampMaintenancePercent,
-  calculateMaintenanceAdjustedValue,
-  calculateMonthlyRentEstimate,
-  calculatePropertyValue,
-  getMaintenanceThreshold,
-  hasActiveMaintenanceWork
+  ...engineTesting,
+  setRandomSourceOverride
 };
-
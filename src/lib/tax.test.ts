@@ -0,0 +1,100 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { TAX_CONFIG } from './config';
+import type { LedgerEntry } from './engine';
+import { assessTaxYear, calculateBandedTax } from './tax';
+
+const bands = [
+  { from: 0, rate: 0 },
+  { from: 20, rate: 0.2 },
+  { from: 100, rate: 0.4 }
+];
+
+function entry(day: number, category: LedgerEntry['category'], amount: number): LedgerEntry {
+  return { day, propertyId: 'p', category, amount };
+}
+
+describe('calculateBandedTax', () => {
+  it('taxes each slice of profit at its band rate', () => {
+    expect(calculateBandedTax(10, bands)).toBe(0);
+    expect(calculateBandedTax(60, bands)).toBe(8);
+    expect(calculateBandedTax(150, bands)).toBe(36);
+  });
+});
+
+describe('assessTaxYear', () => {
+  const config = {
+    ...TAX_CONFIG,
+    incomeBands: bands,
+    mortgageInterestRelief: { deductibleShare: 0, creditRate: 0.2 },
+    capitalGains: { annualExemption: 10, rate: 0.25 }
+  };
+
+  it('deducts maintenance, credits mortgage interest and ignores other years', () => {
+    const bill = assessTaxYear(
+      {
+        ledger: [
+          entry(30, 'rent', 80),
+          entry(60, 'rent', 80),
+          entry(60, 'interest', -20),
+          entry(90, 'maintenance', -40),
+          entry(400, 'rent', 500)
+        ],
+        capitalGains: [],
+        yearStartDay: 1,
+        yearEndDay: 360,
+        lossesBroughtForward: 0
+      },
+      config
+    );
+
+    expect(bill.rentalIncome).toBe(160);
+    expect(bill.taxableProfit).toBe(120);
+    expect(bill.incomeTax).toBe(24);
+    expect(bill.interestCredit).toBe(4);
+    expect(bill.total).toBe(20);
+  });
+
+  it('deducts letting agent fees and eviction costs from rental profit', () => {
+    const ledger = [entry(30, 'rent', 100), entry(60, 'rent', 100)];
+    const input = { capitalGains: [], yearStartDay: 1, yearEndDay: 360, lossesBroughtForward: 0 };
+    const selfManaged = assessTaxYear({ ...input, ledger }, config);
+    const managed = assessTaxYear(
+      { ...input, ledger: [...ledger, entry(30, 'letting-fees', -15), entry(60, 'eviction', -25)] },
+      config
+    );
+
+    expect(managed.lettingFees).toBe(15);
+    expect(managed.evictionCosts).toBe(25);
+    expect(managed.taxableProfit).toBe(selfManaged.taxableProfit - 40);
+  });
+
+  it('carries rental losses forward and taxes gains above the exemption', () => {
+    const input = {
+      capitalGains: [
+        { day: 50, propertyId: 'a', propertyName: 'A', purchasePrice: 500, salePrice: 560, gain: 60 },
+        { day: 80, propertyId: 'b', propertyName: 'B', purchasePrice: 500, salePrice: 490, gain: -10 }
+      ],
+      yearStartDay: 1,
+      yearEndDay: 360
+    };
+    const lossYear = assessTaxYear(
+      { ...input, ledger: [entry(30, 'rent', 10), entry(90, 'maintenance', -40)], lossesBroughtForward: 5 },
+      config
+    );
+
+    expect(lossYear.incomeTax).toBe(0);
+    expect(lossYear.lossesCarriedForward).toBe(35);
+    expect(lossYear.capitalGains).toBe(50);
+    expect(lossYear.capitalGainsTax).toBe(10);
+
+    const nextYear = assessTaxYear(
+      { ...input, capitalGains: [], ledger: [entry(30, 'rent', 60)], lossesBroughtForward: 35 },
+      config
+    );
+    expect(nextYear.lossesUsed).toBe(35);
+    expect(nextYear.taxableProfit).toBe(25);
+    expect(nextYear.lossesCarriedForward).toBe(0);
+  });
+});
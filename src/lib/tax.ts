@@ -0,0 +1,82 @@
+import { TAX_CONFIG, type TaxBand, type TaxConfig } from '$lib/config';
+import type { CapitalGain, GameState, LedgerCategory, LedgerEntry, TaxBill } from '$lib/engine';
+import { roundCurrency } from '$lib/utils';
+
+export type TaxYearInput = {
+  ledger: LedgerEntry[];
+  capitalGains: CapitalGain[];
+  yearStartDay: number;
+  yearEndDay: number;
+  lossesBroughtForward: number;
+};
+
+export function calculateBandedTax(amount: number, bands: TaxBand[]): number {
+  const sorted = [...bands].sort((a, b) => a.from - b.from);
+  const tax = sorted.reduce((total, band, index) => {
+    const upper = sorted[index + 1]?.from ?? Infinity;
+    const taxed = Math.min(amount, upper) - band.from;
+    return taxed > 0 ? total + taxed * band.rate : total;
+  }, 0);
+  return roundCurrency(tax);
+}
+
+function sumCategory(entries: LedgerEntry[], category: LedgerCategory): number {
+  return entries
+    .filter((entry) => entry.category === category)
+    .reduce((total, entry) => total + entry.amount, 0);
+}
+
+export function assessTaxYear(
+  { ledger, capitalGains, yearStartDay, yearEndDay, lossesBroughtForward }: TaxYearInput,
+  config: TaxConfig = TAX_CONFIG
+): TaxBill {
+  const entries = ledger.filter((entry) => entry.day >= yearStartDay && entry.day <= yearEndDay);
+  const rentalIncome = roundCurrency(sumCategory(entries, 'rent'));
+  const mortgageInterest = roundCurrency(-sumCategory(entries, 'interest'));
+  const maintenance = roundCurrency(-sumCategory(entries, 'maintenance'));
+  const lettingFees = roundCurrency(-sumCategory(entries, 'letting-fees'));
+  const evictionCosts = roundCurrency(-sumCategory(entries, 'eviction'));
+  const relief = config.mortgageInterestRelief;
+  const deductibleInterest = mortgageInterest * relief.deductibleShare;
+
+  const profit = rentalIncome - maintenance - lettingFees - evictionCosts - deductibleInterest;
+  const lossesUsed = profit > 0 ? Math.min(lossesBroughtForward, profit) : 0;
+  const lossesCarriedForward = lossesBroughtForward - lossesUsed + Math.max(-profit, 0);
+  const taxableProfit = roundCurrency(Math.max(profit - lossesUsed, 0));
+  const incomeTax = calculateBandedTax(taxableProfit, config.incomeBands);
+  const interestCredit = roundCurrency(
+    Math.min((mortgageInterest - deductibleInterest) * relief.creditRate, incomeTax)
+  );
+
+  const netGains = roundCurrency(capitalGains.reduce((total, entry) => total + entry.gain, 0));
+  const taxableGains = Math.max(netGains - config.capitalGains.annualExemption, 0);
+  const capitalGainsTax = roundCurrency(taxableGains * config.capitalGains.rate);
+
+  return {
+    yearStartDay,
+    yearEndDay,
+    rentalIncome,
+    mortgageInterest,
+    maintenance,
+    lettingFees,
+    evictionCosts,
+    lossesUsed: roundCurrency(lossesUsed),
+    taxableProfit,
+    incomeTax,
+    interestCredit,
+    capitalGains: netGains,
+    capitalGainsTax,
+    total: roundCurrency(incomeTax - interestCredit + capitalGainsTax),
+    lossesCarriedForward: roundCurrency(lossesCarriedForward)
+  };
+}
+
+export function estimateTaxYearToDate(state: Pick<GameState, 'day' | 'ledger' | 'tax'>): TaxBill {
+  return assessTaxYear({
+    ledger: state.ledger,
+    capitalGains: state.tax.capitalGains,
+    yearStartDay: state.tax.yearStartDay,
+    yearEndDay: state.day,
+    lossesBroughtForward: state.tax.lossesCarriedForward
+  });
+}
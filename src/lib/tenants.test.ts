@@ -0,0 +1,179 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { TENANT_CONFIG } from './config';
+import type { Tenant, TenantApplicant } from './engine';
+import { createSeededRandom, hashSeed } from './random';
+import {
+  calculateMaximumRenewalRent,
+  calculateRenewalAcceptance,
+  calculateTenantReliability,
+  collectRent,
+  findBestApplicant,
+  generateApplicants,
+  generateTenant,
+  respondToCounterOffer,
+  reviewRent,
+  settleDeposit,
+  shouldStartEviction
+} from './tenants';
+
+const tenant: Tenant = {
+  leaseMonthsRemaining: 12,
+  monthlyRent: 4,
+  name: 'Sam Evans',
+  monthlyIncome: 12,
+  creditScore: 650,
+  reliability: 0.9,
+  deposit: 4,
+  arrears: 0,
+  latePayments: 0,
+  missedPayments: 0,
+  eviction: null,
+  renewal: null,
+  monthsSinceRentReview: 0
+};
+
+describe('tenant profiles', () => {
+  it('rates tenants with better credit and income as more reliable', () => {
+    const weak = calculateTenantReliability(450, 2.2);
+    const strong = calculateTenantReliability(800, 4.2);
+
+    expect(strong).toBeGreaterThan(weak);
+    expect(weak).toBeGreaterThanOrEqual(TENANT_CONFIG.reliabilityRange[0]);
+    expect(strong).toBeLessThanOrEqual(TENANT_CONFIG.reliabilityRange[1]);
+  });
+
+  it('generates the same tenant from the same random stream', () => {
+    const lease = { monthlyRent: 4, leaseMonths: 12 };
+    const first = generateTenant(lease, createSeededRandom(hashSeed('tenant')).next);
+    const second = generateTenant(lease, createSeededRandom(hashSeed('tenant')).next);
+
+    expect(second).toEqual(first);
+    expect(first.deposit).toBe(4 * TENANT_CONFIG.depositMonths);
+    expect(first.monthlyIncome).toBeGreaterThanOrEqual(4 * TENANT_CONFIG.incomeToRentRange[0]);
+    expect(first.eviction).toBeNull();
+  });
+
+  it('only draws credit scores above a screening floor', () => {
+    const random = createSeededRandom(hashSeed('screening')).next;
+    const scores = Array.from(
+      { length: 20 },
+      () => generateTenant({ monthlyRent: 4, leaseMonths: 12, minimumCreditScore: 700 }, random).creditScore
+    );
+
+    expect(Math.min(...scores)).toBeGreaterThanOrEqual(700);
+  });
+});
+
+describe('collectRent', () => {
+  it('collects rent on time and recovers part of any arrears', () => {
+    const result = collectRent({ ...tenant, arrears: 4 }, () => 0.1);
+
+    expect(result.outcome).toBe('paid');
+    expect(result.arrearsRepaid).toBe(4 * TENANT_CONFIG.arrearsRepaymentShare);
+    expect(result.received).toBe(4 + result.arrearsRepaid);
+    expect(result.tenant.arrears).toBe(4 - result.arrearsRepaid);
+  });
+
+  it('records late payments and missed payments separately', () => {
+    const late = collectRent(tenant, () => 0.92);
+    const missed = collectRent(tenant, () => 0.99);
+
+    expect(late).toMatchObject({ outcome: 'late', received: 4 });
+    expect(late.tenant.latePayments).toBe(1);
+    expect(missed).toMatchObject({ outcome: 'missed', received: 0 });
+    expect(missed.tenant).toMatchObject({ arrears: 4, missedPayments: 1 });
+  });
+
+  it('withholds rent while an eviction is under way', () => {
+    const evicting = { ...tenant, arrears: 8, eviction: { startedOnDay: 60, monthsRemaining: 2, legalCosts: 5 } };
+    const result = collectRent(evicting, () => 0);
+
+    expect(result).toMatchObject({ outcome: 'withheld', received: 0 });
+    expect(result.tenant.arrears).toBe(12);
+  });
+});
+
+describe('evictions and deposits', () => {
+  it('starts an eviction once arrears reach the threshold', () => {
+    const threshold = tenant.monthlyRent * TENANT_CONFIG.eviction.arrearsMonthsThreshold;
+
+    expect(shouldStartEviction({ ...tenant, arrears: threshold - 1 })).toBe(false);
+    expect(shouldStartEviction({ ...tenant, arrears: threshold })).toBe(true);
+  });
+
+  it('keeps the deposit against arrears and writes off the rest', () => {
+    expect(settleDeposit({ ...tenant, arrears: 10 })).toEqual({ retained: 4, returned: 0, writtenOff: 6 });
+    expect(settleDeposit({ ...tenant, arrears: 1 })).toEqual({ retained: 1, returned: 3, writtenOff: 0 });
+  });
+});
+
+describe('applicants', () => {
+  const pool = {
+    propertyId: 'home',
+    day: 30,
+    monthlyRent: 4,
+    leaseMonths: 12,
+    leaseOptions: [6, 12, 24]
+  };
+
+  it('draws a bigger pool when placement is more likely', () => {
+    const random = createSeededRandom(hashSeed('pool'));
+    const sizes = (successChance: number) =>
+      Array.from({ length: 50 }, () => generateApplicants({ ...pool, successChance }, random.next).length);
+    const total = (values: number[]) => values.reduce((sum, value) => sum + value, 0);
+
+    expect(generateApplicants({ ...pool, successChance: 0 }, random.next)).toEqual([]);
+    expect(total(sizes(0.9))).toBeGreaterThan(total(sizes(0.3)));
+    expect(Math.max(...sizes(1))).toBeLessThanOrEqual(TENANT_CONFIG.applicants.maxPoolSize);
+  });
+
+  it('gives each applicant an offer around the asking rent', () => {
+    const applicants = generateApplicants({ ...pool, successChance: 1 }, createSeededRandom(hashSeed('offers')).next);
+    const [minimum, maximum] = TENANT_CONFIG.applicants.offerRange;
+
+    expect(applicants.map((applicant) => applicant.id)).toEqual(applicants.map((_, index) => `home-30-${index + 1}`));
+    applicants.forEach(({ tenant: applicant }) => {
+      expect(applicant.monthlyRent).toBeGreaterThanOrEqual(4 * (1 + minimum) - 0.01);
+      expect(applicant.monthlyRent).toBeLessThanOrEqual(4 * (1 + maximum) + 0.01);
+      expect(pool.leaseOptions).toContain(applicant.leaseMonthsRemaining);
+    });
+  });
+
+  it('prefers the applicant with the best risk-adjusted rent', () => {
+    const applicants: TenantApplicant[] = [
+      { id: 'a', receivedOnDay: 30, tenant: { ...tenant, monthlyRent: 4.2, reliability: 0.75 } },
+      { id: 'b', receivedOnDay: 30, tenant: { ...tenant, monthlyRent: 3.9, reliability: 0.95 } }
+    ];
+
+    expect(findBestApplicant(applicants)?.id).toBe('b');
+    expect(findBestApplicant([])).toBeNull();
+  });
+
+  it('accepts a modest counter-offer and walks away from a greedy one', () => {
+    const applicant: TenantApplicant = { id: 'a', receivedOnDay: 30, tenant };
+
+    expect(respondToCounterOffer(applicant, 4.1)).toMatchObject({ monthlyRent: 4.1, deposit: 4.1 });
+    expect(respondToCounterOffer(applicant, 5)).toBeNull();
+    expect(respondToCounterOffer({ ...applicant, tenant: { ...tenant, monthlyIncome: 8 } }, 4.1)).toBeNull();
+  });
+});
+
+describe('renewals and rent reviews', () => {
+  it('is less likely to renew the further the offer sits above market rent', () => {
+    const atMarket = calculateRenewalAcceptance(4, 4);
+    const aboveMarket = calculateRenewalAcceptance(4.4, 4);
+
+    expect(atMarket).toBe(TENANT_CONFIG.renewal.baseAcceptance);
+    expect(aboveMarket).toBeLessThan(atMarket);
+    expect(calculateRenewalAcceptance(100, 4)).toBe(TENANT_CONFIG.renewal.acceptanceRange[0]);
+    expect(calculateMaximumRenewalRent(tenant)).toBe(4 * (1 + TENANT_CONFIG.renewal.maxIncrease));
+  });
+
+  it('moves the rent up to market at a review without passing the cap or cutting it', () => {
+    expect(reviewRent(tenant, 4.1)).toBe(4.1);
+    expect(reviewRent(tenant, 10)).toBe(4 * (1 + TENANT_CONFIG.renewal.reviewCap));
+    expect(reviewRent(tenant, 3)).toBe(4);
+  });
+});
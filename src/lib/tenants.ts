@@ -0,0 +1,207 @@
+import { TENANT_CONFIG, type TenantConfig } from '$lib/config';
+import type { Tenant, TenantApplicant } from '$lib/engine';
+import type { RandomSource } from '$lib/random';
+import { getRandomInt, getRandomNumber, pickRandom, roundCurrency } from '$lib/utils';
+
+export type RentPaymentOutcome = 'paid' | 'late' | 'missed' | 'withheld';
+
+export type RentCollection = {
+  tenant: Tenant;
+  outcome: RentPaymentOutcome;
+  received: number;
+  arrearsRepaid: number;
+};
+
+export type DepositSettlement = {
+  retained: number;
+  returned: number;
+  writtenOff: number;
+};
+
+function normalise(value: number, [min, max]: [number, number]): number {
+  return max > min ? Math.min(Math.max((value - min) / (max - min), 0), 1) : 1;
+}
+
+export function calculateTenantReliability(
+  creditScore: number,
+  incomeToRent: number,
+  config: TenantConfig = TENANT_CONFIG
+): number {
+  const [minimum, maximum] = config.reliabilityRange;
+  const score =
+    normalise(creditScore, config.creditScoreRange) * 0.7 + normalise(incomeToRent, config.incomeToRentRange) * 0.3;
+  return Math.round((minimum + (maximum - minimum) * score) * 1000) / 1000;
+}
+
+export function generateTenant(
+  {
+    monthlyRent,
+    leaseMonths,
+    minimumCreditScore = 0
+  }: { monthlyRent: number; leaseMonths: number; minimumCreditScore?: number },
+  random: RandomSource,
+  config: TenantConfig = TENANT_CONFIG
+): Tenant {
+  const name = `${pickRandom(config.firstNames, random)} ${pickRandom(config.lastNames, random)}`;
+  const incomeToRent = getRandomNumber(config.incomeToRentRange[0], config.incomeToRentRange[1], 2, random);
+  const [lowestScore, highestScore] = config.creditScoreRange;
+  const floor = Math.min(Math.max(minimumCreditScore, lowestScore), highestScore);
+  const creditScore = getRandomInt(floor, highestScore, random);
+  return {
+    leaseMonthsRemaining: leaseMonths,
+    monthlyRent,
+    name,
+    monthlyIncome: roundCurrency(monthlyRent * incomeToRent),
+    creditScore,
+    reliability: calculateTenantReliability(creditScore, incomeToRent, config),
+    deposit: roundCurrency(monthlyRent * config.depositMonths),
+    arrears: 0,
+    latePayments: 0,
+    missedPayments: 0,
+    eviction: null,
+    renewal: null,
+    monthsSinceRentReview: 0
+  };
+}
+
+export type ApplicantPoolInput = {
+  propertyId: string;
+  day: number;
+  monthlyRent: number;
+  leaseMonths: number;
+  leaseOptions: number[];
+  successChance: number;
+  minimumCreditScore?: number;
+};
+
+export function generateApplicants(
+  { propertyId, day, monthlyRent, leaseMonths, leaseOptions, successChance, minimumCreditScore }: ApplicantPoolInput,
+  random: RandomSource,
+  config: TenantConfig = TENANT_CONFIG
+): TenantApplicant[] {
+  const { maxPoolSize, poolDecay, offerRange, planLeaseShare } = config.applicants;
+  const applicants: TenantApplicant[] = [];
+  while (applicants.length < maxPoolSize && random() < successChance * poolDecay ** applicants.length) {
+    const offerRatio = 1 + getRandomNumber(offerRange[0], offerRange[1], 3, random);
+    const offeredLease =
+      leaseOptions.length === 0 || random() < planLeaseShare ? leaseMonths : pickRandom(leaseOptions, random);
+    applicants.push({
+      id: `${propertyId}-${day}-${applicants.length + 1}`,
+      receivedOnDay: day,
+      tenant: generateTenant(
+        { monthlyRent: roundCurrency(monthlyRent * offerRatio), leaseMonths: offeredLease, minimumCreditScore },
+        random,
+        config
+      )
+    });
+  }
+  return applicants;
+}
+
+export function scoreApplicant(applicant: TenantApplicant): number {
+  return applicant.tenant.monthlyRent * applicant.tenant.reliability;
+}
+
+export function findBestApplicant(applicants: TenantApplicant[]): TenantApplicant | null {
+  return applicants.reduce<TenantApplicant | null>(
+    (best, applicant) => (!best || scoreApplicant(applicant) > scoreApplicant(best) ? applicant : best),
+    null
+  );
+}
+
+export function respondToCounterOffer(
+  applicant: TenantApplicant,
+  monthlyRent: number,
+  config: TenantConfig = TENANT_CONFIG
+): Tenant | null {
+  const { tenant } = applicant;
+  const ceiling = Math.min(
+    tenant.monthlyRent * (1 + config.applicants.maxCounterUplift),
+    tenant.monthlyIncome / config.applicants.minimumIncomeToRent
+  );
+  if (!Number.isFinite(monthlyRent) || monthlyRent <= 0 || monthlyRent > Math.max(ceiling, tenant.monthlyRent) + 1e-6) {
+    return null;
+  }
+  const rent = roundCurrency(monthlyRent);
+  return { ...tenant, monthlyRent: rent, deposit: roundCurrency(rent * config.depositMonths) };
+}
+
+export function calculateMaximumRenewalRent(tenant: Tenant, config: TenantConfig = TENANT_CONFIG): number {
+  return roundCurrency(tenant.monthlyRent * (1 + config.renewal.maxIncrease));
+}
+
+export function calculateRenewalAcceptance(
+  offeredRent: number,
+  marketRent: number,
+  config: TenantConfig = TENANT_CONFIG
+): number {
+  const { baseAcceptance, acceptanceSlope, acceptanceRange } = config.renewal;
+  const premium = marketRent > 0 ? offeredRent / marketRent - 1 : 0;
+  const chance = Math.min(Math.max(baseAcceptance - premium * acceptanceSlope, acceptanceRange[0]), acceptanceRange[1]);
+  return Math.round(chance * 1000) / 1000;
+}
+
+export function reviewRent(tenant: Tenant, marketRent: number, config: TenantConfig = TENANT_CONFIG): number {
+  const ceiling = tenant.monthlyRent * (1 + config.renewal.reviewCap);
+  return roundCurrency(Math.min(Math.max(marketRent, tenant.monthlyRent), ceiling));
+}
+
+export function collectRent(
+  tenant: Tenant,
+  random: RandomSource,
+  config: TenantConfig = TENANT_CONFIG
+): RentCollection {
+  if (tenant.eviction) {
+    return {
+      tenant: { ...tenant, arrears: roundCurrency(tenant.arrears + tenant.monthlyRent) },
+      outcome: 'withheld',
+      received: 0,
+      arrearsRepaid: 0
+    };
+  }
+  const roll = random();
+  if (roll < tenant.reliability) {
+    const arrearsRepaid = roundCurrency(Math.min(tenant.arrears, tenant.monthlyRent * config.arrearsRepaymentShare));
+    return {
+      tenant: { ...tenant, arrears: roundCurrency(tenant.arrears - arrearsRepaid) },
+      outcome: 'paid',
+      received: roundCurrency(tenant.monthlyRent + arrearsRepaid),
+      arrearsRepaid
+    };
+  }
+  if (roll < tenant.reliability + (1 - tenant.reliability) * config.latePaymentShare) {
+    return {
+      tenant: { ...tenant, latePayments: tenant.latePayments + 1 },
+      outcome: 'late',
+      received: tenant.monthlyRent,
+      arrearsRepaid: 0
+    };
+  }
+  return {
+    tenant: {
+      ...tenant,
+      arrears: roundCurrency(tenant.arrears + tenant.monthlyRent),
+      missedPayments: tenant.missedPayments + 1
+    },
+    outcome: 'missed',
+    received: 0,
+    arrearsRepaid: 0
+  };
+}
+
+export function shouldStartEviction(tenant: Tenant, config: TenantConfig = TENANT_CONFIG): boolean {
+  return (
+    tenant.eviction === null &&
+    tenant.monthlyRent > 0 &&
+    tenant.arrears >= tenant.monthlyRent * config.eviction.arrearsMonthsThreshold - 1e-6
+  );
+}
+
+export function settleDeposit(tenant: Tenant): DepositSettlement {
+  const retained = roundCurrency(Math.min(tenant.deposit, tenant.arrears));
+  return {
+    retained,
+    returned: roundCurrency(tenant.deposit - retained),
+    writtenOff: roundCurrency(tenant.arrears - retained)
+  };
+}
@@ -1,3 +1,6 @@
+import type { LineChart } from '$lib/charts';
+import type { AmortizationSchedule, CapitalGain, TaxBill } from '$lib/engine';
+
 export type PropertyStatusChip = {
   label: string;
   variant?: string;
@@ -33,10 +36,20 @@ export type RentalItemAction = {
   className?: string;
 };
 
+export type RentalTenantSummary = {
+  name: string;
+  creditScore: number;
+  reliability: number;
+  deposit: number;
+  statusLabel: string;
+  statusVariant: string;
+};
+
 export type RentalItem = {
   id: string;
   propertyId?: string;
   contentHtml: string;
+  tenant?: RentalTenantSummary;
   actions?: RentalItemAction[];
 };
 
@@ -44,3 +57,25 @@ export type HistoryEntry = {
   id: string;
   contentHtml: string;
 };
+
+export type PerformanceChart = {
+  id: 'netWorth' | 'leverage' | 'housePrices' | 'cashFlow';
+  label: string;
+  description: string;
+  chart: LineChart;
+};
+
+export type AmortizationProjection = {
+  id: string;
+  label: string;
+  description: string;
+  schedule: AmortizationSchedule;
+};
+
+export type TaxSummary = {
+  yearNumber: number;
+  daysRemaining: number;
+  estimate: TaxBill;
+  capitalGains: CapitalGain[];
+  bills: TaxBill[];
+};
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+
+import { FINANCE_CONFIG } from './config';
+import { assessMortgageApplication, resolveUnderwritingTier } from './underwriting';
+
+const baseApplication = {
+  loanAmount: 200_000,
+  propertyValue: 250_000,
+  depositRatio: 0.2,
+  annualInterestRate: 0.045,
+  monthlyRent: 1_500,
+  existingDebt: 0,
+  existingPropertyValue: 0,
+  existingMonthlyRent: 0
+};
+
+describe('underwriting', () => {
+  it('picks stricter thresholds for smaller deposits', () => {
+    const smallDeposit = resolveUnderwritingTier(0.05);
+    const largeDeposit = resolveUnderwritingTier(0.4);
+
+    expect(smallDeposit.interestCoverageRatio).toBeGreaterThan(largeDeposit.interestCoverageRatio);
+    expect(resolveUnderwritingTier(0.25).minDepositRatio).toBe(0.25);
+  });
+
+  it('approves a well covered loan', () => {
+    const result = assessMortgageApplication(baseApplication);
+
+    expect(result.approved).toBe(true);
+    expect(result.stressRate).toBeCloseTo(0.065, 6);
+    expect(result.coverageRatio).toBeCloseTo(1_500 / ((200_000 * 0.065) / 12), 6);
+  });
+
+  it('never stresses below the minimum stress rate', () => {
+    const result = assessMortgageApplication({ ...baseApplication, annualInterestRate: 0.01 });
+
+    expect(result.stressRate).toBe(FINANCE_CONFIG.underwriting.minimumStressRate);
+  });
+
+  it('reports each failed check with a specific reason', () => {
+    const result = assessMortgageApplication({
+      ...baseApplication,
+      monthlyRent: 600,
+      existingDebt: 900_000,
+      existingPropertyValue: 950_000,
+      existingMonthlyRent: 2_000
+    });
+
+    expect(result.approved).toBe(false);
+    expect(result.failures.map((failure) => failure.check)).toEqual([
+      'interest-coverage',
+      'loan-to-income',
+      'portfolio-leverage'
+    ]);
+    expect(result.failures[0]?.message).toContain('stress-tested');
+  });
+});
@@ -0,0 +1,100 @@
+import { FINANCE_CONFIG, type UnderwritingConfig, type UnderwritingTier } from '$lib/config';
+import { formatCurrency, formatInterestRate, formatPercentage } from '$lib/utils';
+
+export type UnderwritingApplication = {
+  loanAmount: number;
+  propertyValue: number;
+  depositRatio: number;
+  annualInterestRate: number;
+  monthlyRent: number;
+  existingDebt: number;
+  existingPropertyValue: number;
+  existingMonthlyRent: number;
+};
+
+export type UnderwritingCheck = 'interest-coverage' | 'loan-to-income' | 'portfolio-leverage';
+
+export type UnderwritingFailure = {
+  check: UnderwritingCheck;
+  message: string;
+};
+
+export type UnderwritingResult = {
+  approved: boolean;
+  tier: UnderwritingTier;
+  stressRate: number;
+  stressedPayment: number;
+  coverageRatio: number;
+  loanToIncome: number;
+  portfolioLoanToValue: number;
+  failures: UnderwritingFailure[];
+};
+
+export function resolveUnderwritingTier(
+  depositRatio: number,
+  config: UnderwritingConfig = FINANCE_CONFIG.underwriting
+): UnderwritingTier {
+  const tiers = [...config.tiers].sort((a, b) => b.minDepositRatio - a.minDepositRatio);
+  return (
+    tiers.find((tier) => depositRatio >= tier.minDepositRatio - 1e-9) ?? tiers[tiers.length - 1]
+  );
+}
+
+export function assessMortgageApplication(
+  application: UnderwritingApplication,
+  config: UnderwritingConfig = FINANCE_CONFIG.underwriting
+): UnderwritingResult {
+  const tier = resolveUnderwritingTier(application.depositRatio, config);
+  const stressRate = Math.max(application.annualInterestRate + tier.stressRateBuffer, config.minimumStressRate);
+  const stressedPayment = application.loanAmount * (stressRate / 12);
+  const coverageRatio = stressedPayment > 0 ? application.monthlyRent / stressedPayment : Infinity;
+
+  const totalDebt = application.existingDebt + application.loanAmount;
+  const annualRent = (application.existingMonthlyRent + application.monthlyRent) * 12;
+  const loanToIncome = annualRent > 0 ? totalDebt / annualRent : Infinity;
+  const totalValue = application.existingPropertyValue + application.propertyValue;
+  const portfolioLoanToValue = totalValue > 0 ? totalDebt / totalValue : Infinity;
+
+  const failures: UnderwritingFailure[] = [];
+  const depositLabel = formatPercentage(application.depositRatio);
+
+  if (coverageRatio < tier.interestCoverageRatio) {
+    failures.push({
+      check: 'interest-coverage',
+      message: `Expected rent of ${formatCurrency(application.monthlyRent)} covers only ${formatPercentage(
+        coverageRatio
+      )} of the ${formatCurrency(stressedPayment)} payment stress-tested at ${formatInterestRate(
+        stressRate
+      )}; lenders require ${formatPercentage(tier.interestCoverageRatio)} at a ${depositLabel} deposit.`
+    });
+  }
+
+  if (loanToIncome > tier.maxLoanToIncome) {
+    failures.push({
+      check: 'loan-to-income',
+      message: `Total borrowing of ${formatCurrency(totalDebt)} would be ${loanToIncome.toFixed(
+        1
+      )}x annual rent; the limit at a ${depositLabel} deposit is ${tier.maxLoanToIncome}x.`
+    });
+  }
+
+  if (portfolioLoanToValue > config.maxPortfolioLoanToValue) {
+    failures.push({
+      check: 'portfolio-leverage',
+      message: `Portfolio loan-to-value would reach ${formatPercentage(
+        portfolioLoanToValue
+      )}; lenders cap total leverage at ${formatPercentage(config.maxPortfolioLoanToValue)}.`
+    });
+  }
+
+  return {
+    approved: failures.length === 0,
+    tier,
+    stressRate,
+    stressedPayment,
+    coverageRatio,
+    loanToIncome,
+    portfolioLoanToValue,
+    failures
+  };
+}
@@ -1,34 +1,43 @@
 import { propertyTypeLabels } from '$lib/config';
+import type { RandomSource } from '$lib/random';
 
-export function getRandomInt(min: number, max: number): number {
+export function getRandomInt(min: number, max: number, random: RandomSource = Math.random): number {
   const lower = Math.ceil(min);
   const upper = Math.floor(max);
-  return Math.floor(Math.random() * (upper - lower + 1)) + lower;
+  return Math.floor(random() * (upper - lower + 1)) + lower;
 }
 
-export function getRandomNumber(min: number, max: number, precision = 2): number {
-  const value = Math.random() * (max - min) + min;
+export function getRandomNumber(
+  min: number,
+  max: number,
+  precision = 2,
+  random: RandomSource = Math.random
+): number {
+  const value = random() * (max - min) + min;
   const factor = 10 ** precision;
   return Math.round(value * factor) / factor;
 }
 
-export function pickRandom<T>(items: readonly T[]): T {
-  return items[getRandomInt(0, items.length - 1)];
+export function pickRandom<T>(items: readonly T[], random: RandomSource = Math.random): T {
+  return items[getRandomInt(0, items.length - 1, random)];
 }
 
-export function selectFeatureSubset(featuresPool: readonly string[]): string[] {
+export function selectFeatureSubset(
+  featuresPool: readonly string[],
+  random: RandomSource = Math.random
+): string[] {
   if (!Array.isArray(featuresPool) || featuresPool.length === 0) {
     return [];
   }
 
   const maxSelectable = Math.min(featuresPool.length, 4);
   const minSelectable = Math.min(2, maxSelectable);
-  const subsetSize = getRandomInt(minSelectable, maxSelectable);
+  const subsetSize = getRandomInt(minSelectable, maxSelectable, random);
   const poolCopy = [...featuresPool];
   const selected: string[] = [];
 
   while (selected.length < subsetSize && poolCopy.length > 0) {
-    const index = getRandomInt(0, poolCopy.length - 1);
+    const index = getRandomInt(0, poolCopy.length - 1, random);
     selected.push(poolCopy.splice(index, 1)[0]);
   }
 
@@ -54,6 +63,15 @@ export function roundRate(value: number): number {
   return Math.round(value * 10000) / 10000;
 }
 
+export function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export function formatPropertyType(type: string): string {
   return propertyTypeLabels[type as keyof typeof propertyTypeLabels] ?? type;
 }
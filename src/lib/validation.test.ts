@@ -0,0 +1,164 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { get } from 'svelte/store';
+
+import { parseSaveDocument, serialiseSaveDocument } from './persistence';
+import {
+  exportGameToJson,
+  gameState,
+  getRentStrategies,
+  importGameFromJson,
+  initialiseGame
+} from './stores/game';
+import { validateGameState } from './validation';
+
+const options = {
+  rentPlanIds: (property: Parameters<typeof getRentStrategies>[0]) =>
+    getRentStrategies(property).map((plan) => plan.id)
+};
+
+function exportedDocument(): { state: Record<string, unknown> } {
+  return JSON.parse(exportGameToJson()) as { state: Record<string, unknown> };
+}
+
+describe('game state validation', () => {
+  beforeEach(() => {
+    initialiseGame();
+  });
+
+  it('accepts a freshly exported game', () => {
+    expect(validateGameState(get(gameState), options)).toEqual([]);
+  });
+
+  it('reports each corrupt field with its path', () => {
+    const state = get(gameState);
+    const [first, second] = state.market;
+    const corrupt = {
+      ...state,
+      day: 0,
+      market: [
+        {
+          ...first,
+          rentPlanId: 'lease-7-rate-999',
+          mortgage: {
+            depositRatio: 0.2,
+            deposit: 10_000,
+            principal: 40_000,
+            fixedPeriodYears: 5,
+            fixedPeriodMonths: 60,
+            interestOnly: false,
+            annualInterestRate: 0.05,
+            reversionRate: 0.06,
+            baseRate: 0.04,
+            variableRateMargin: 0.02,
+            variableRateActive: false,
+            monthlyPayment: 300,
+            monthlyInterestRate: 0.05 / 12,
+            remainingTermMonths: 300,
+            termMonths: 300,
+            remainingBalance: -5
+          }
+        },
+        {
+          ...second,
+          maintenanceWork: {
+            monthsRemaining: 1.5,
+            cost: 'lots',
+            scheduledOnDay: 1,
+            startDelayMonths: 0
+          }
+        }
+      ]
+    };
+
+    const paths = validateGameState(corrupt, options).map((issue) => issue.path);
+
+    expect(paths).toEqual([
+      'day',
+      'market[0].rentPlanId',
+      'market[0].mortgage.remainingBalance',
+      'market[1].maintenanceWork.monthsRemaining',
+      'market[1].maintenanceWork.cost'
+    ]);
+  });
+
+  it('flags mortgage balances above the original principal and duplicate ids', () => {
+    const state = get(gameState);
+    const [first] = state.market;
+    const mortgage = {
+      depositRatio: 0.2,
+      deposit: 10_000,
+      principal: 40_000,
+      fixedPeriodYears: 5,
+      fixedPeriodMonths: 60,
+      interestOnly: false,
+      annualInterestRate: 0.05,
+      reversionRate: 0.06,
+      baseRate: 0.04,
+      variableRateMargin: 0.02,
+      variableRateActive: false,
+      monthlyPayment: 300,
+      monthlyInterestRate: 0.05 / 12,
+      remainingTermMonths: 360,
+      termMonths: 300,
+      remainingBalance: 50_000
+    };
+
+    const issues = validateGameState({ ...state, portfolio: [{ ...first, mortgage }] }, options);
+
+    expect(issues).toEqual([
+      {
+        path: 'portfolio[0].mortgage.remainingTermMonths',
+        message: 'cannot exceed termMonths'
+      },
+      {
+        path: 'portfolio[0].mortgage.remainingBalance',
+        message: 'cannot exceed the original principal'
+      },
+      {
+        path: 'portfolio[0].id',
+        message: `duplicates another property id "${first.id}"`
+      }
+    ]);
+  });
+});
+
+describe('save documents', () => {
+  beforeEach(() => {
+    initialiseGame();
+  });
+
+  it('round-trips the exported JSON document', () => {
+    const text = serialiseSaveDocument({ ...get(gameState), balance: 2_500 }, 'Shared');
+    const result = parseSaveDocument(text, options);
+
+    expect(result.ok).toBe(true);
+    if (result.ok) {
+      expect(result.envelope.name).toBe('Shared');
+      expect(result.envelope.state.balance).toBe(2_500);
+    }
+  });
+
+  it('reports files that are not JSON', () => {
+    const result = parseSaveDocument('not json', options);
+    expect(result.ok).toBe(false);
+    if (!result.ok) {
+      expect(result.errors[0]?.path).toBe('file');
+      expect(result.errors[0]?.message).toContain('not valid JSON');
+    }
+  });
+
+  it('replaces the store only when the imported file is valid', () => {
+    const document = exportedDocument();
+    document.state.balance = 77_777;
+
+    expect(importGameFromJson(JSON.stringify(document))).toEqual([]);
+    expect(get(gameState).balance).toBe(77_777);
+    expect(get(gameState).history.at(-1)?.message).toContain('Imported game');
+
+    document.state.balance = 'plenty';
+    const errors = importGameFromJson(JSON.stringify(document));
+
+    expect(errors).toEqual([{ path: 'balance', message: 'must be a finite number' }]);
+    expect(get(gameState).balance).toBe(77_777);
+  });
+});
@@ -0,0 +1,906 @@
+import { FINANCE_CONFIG, LETTING_AGENTS, MAINTENANCE_CONFIG, propertyTypeLabels } from '$lib/config';
+import { LEASE_LENGTH_CHOICES, RENT_RATE_OFFSETS, type GameAction, type GameProperty } from '$lib/engine';
+import { LEDGER_CATEGORIES } from '$lib/ledger';
+
+export interface ValidationIssue {
+  path: string;
+  message: string;
+}
+
+export interface GameStateValidationOptions {
+  rentPlanIds: (property: GameProperty) => string[];
+}
+
+type UnknownRecord = Record<string, unknown>;
+
+interface NumberRule {
+  min?: number;
+  max?: number;
+  integer?: boolean;
+}
+
+function addIssue(issues: ValidationIssue[], path: string, message: string): void {
+  issues.push({ path, message });
+}
+
+function checkRecord(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown
+): UnknownRecord | null {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    addIssue(issues, path, 'must be an object');
+    return null;
+  }
+  return value as UnknownRecord;
+}
+
+function checkArray(issues: ValidationIssue[], path: string, value: unknown): unknown[] | null {
+  if (!Array.isArray(value)) {
+    addIssue(issues, path, 'must be an array');
+    return null;
+  }
+  return value as unknown[];
+}
+
+function checkNumber(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  rule: NumberRule = {}
+): value is number {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    addIssue(issues, path, 'must be a finite number');
+    return false;
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    addIssue(issues, path, `must be a whole number (got ${value})`);
+    return false;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    addIssue(issues, path, `must be at least ${rule.min} (got ${value})`);
+    return false;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    addIssue(issues, path, `must be at most ${rule.max} (got ${value})`);
+    return false;
+  }
+  return true;
+}
+
+function checkString(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  { allowEmpty = false } = {}
+): value is string {
+  if (typeof value !== 'string') {
+    addIssue(issues, path, 'must be a string');
+    return false;
+  }
+  if (!allowEmpty && value.trim().length === 0) {
+    addIssue(issues, path, 'must not be empty');
+    return false;
+  }
+  return true;
+}
+
+function checkNullableString(issues: ValidationIssue[], path: string, value: unknown): void {
+  if (value !== null) {
+    checkString(issues, path, value);
+  }
+}
+
+function checkNullableNumber(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  rule: NumberRule = {}
+): void {
+  if (value !== null) {
+    checkNumber(issues, path, value, rule);
+  }
+}
+
+function checkOptionalNumber(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  rule: NumberRule = {}
+): void {
+  if (value !== undefined) {
+    checkNumber(issues, path, value, rule);
+  }
+}
+
+function checkBoolean(issues: ValidationIssue[], path: string, value: unknown): value is boolean {
+  if (typeof value !== 'boolean') {
+    addIssue(issues, path, 'must be true or false');
+    return false;
+  }
+  return true;
+}
+
+function checkOneOf<T extends string>(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  allowed: readonly T[]
+): value is T {
+  if (typeof value !== 'string' || !allowed.includes(value as T)) {
+    addIssue(issues, path, `must be one of ${allowed.join(', ')}`);
+    return false;
+  }
+  return true;
+}
+
+function checkNumberOneOf(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  allowed: readonly number[]
+): void {
+  if (typeof value !== 'number' || !allowed.includes(value)) {
+    addIssue(issues, path, `must be one of ${allowed.join(', ')}`);
+  }
+}
+
+function checkOptionalNumberOneOf(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  allowed: readonly number[]
+): void {
+  if (value !== undefined) {
+    checkNumberOneOf(issues, path, value, allowed);
+  }
+}
+
+const PROPERTY_TYPES = Object.keys(propertyTypeLabels) as (keyof typeof propertyTypeLabels)[];
+const MANAGEMENT_SECTIONS = [
+  'overview',
+  'leasing',
+  'financing',
+  'transactions',
+  'maintenance'
+] as const;
+const OVERPAYMENT_STRATEGIES = ['reduce-term', 'reduce-payment'] as const;
+const LENDER_IDS = FINANCE_CONFIG.lenders.map((lender) => lender.id);
+const LETTING_AGENT_IDS = LETTING_AGENTS.map((agent) => agent.id);
+const INCIDENT_KINDS = MAINTENANCE_CONFIG.incidents.types.map((type) => type.id);
+
+function validateTenantEviction(issues: ValidationIssue[], path: string, value: unknown): void {
+  if (value === null) {
+    return;
+  }
+  const eviction = checkRecord(issues, path, value);
+  if (!eviction) {
+    return;
+  }
+  checkNumber(issues, `${path}.startedOnDay`, eviction.startedOnDay, { min: 1, integer: true });
+  checkNumber(issues, `${path}.monthsRemaining`, eviction.monthsRemaining, { min: 0, integer: true });
+  checkNumber(issues, `${path}.legalCosts`, eviction.legalCosts, { min: 0 });
+}
+
+function validateTenantRenewal(issues: ValidationIssue[], path: string, value: unknown): void {
+  if (value === null) {
+    return;
+  }
+  const renewal = checkRecord(issues, path, value);
+  if (!renewal) {
+    return;
+  }
+  checkNumber(issues, `${path}.requestedOnDay`, renewal.requestedOnDay, { min: 1, integer: true });
+  checkNumber(issues, `${path}.leaseMonths`, renewal.leaseMonths, { min: 1, integer: true });
+  checkNumber(issues, `${path}.offeredRent`, renewal.offeredRent, { min: 0 });
+  checkBoolean(issues, `${path}.declined`, renewal.declined);
+}
+
+function validateTenant(issues: ValidationIssue[], path: string, value: unknown): void {
+  if (value === null) {
+    return;
+  }
+  const tenant = checkRecord(issues, path, value);
+  if (!tenant) {
+    return;
+  }
+  checkNumber(issues, `${path}.leaseMonthsRemaining`, tenant.leaseMonthsRemaining, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, `${path}.monthlyRent`, tenant.monthlyRent, { min: 0 });
+  checkString(issues, `${path}.name`, tenant.name);
+  checkNumber(issues, `${path}.monthlyIncome`, tenant.monthlyIncome, { min: 0 });
+  checkNumber(issues, `${path}.creditScore`, tenant.creditScore, { min: 0, integer: true });
+  checkNumber(issues, `${path}.reliability`, tenant.reliability, { min: 0, max: 1 });
+  (['deposit', 'arrears'] as const).forEach((key) => {
+    checkNumber(issues, `${path}.${key}`, tenant[key], { min: 0 });
+  });
+  (['latePayments', 'missedPayments'] as const).forEach((key) => {
+    checkNumber(issues, `${path}.${key}`, tenant[key], { min: 0, integer: true });
+  });
+  validateTenantEviction(issues, `${path}.eviction`, tenant.eviction);
+  validateTenantRenewal(issues, `${path}.renewal`, tenant.renewal);
+  checkNumber(issues, `${path}.monthsSinceRentReview`, tenant.monthsSinceRentReview, { min: 0, integer: true });
+}
+
+function validateApplicants(issues: ValidationIssue[], path: string, value: unknown): void {
+  const applicants = checkArray(issues, path, value);
+  applicants?.forEach((entry, index) => {
+    const applicant = checkRecord(issues, `${path}[${index}]`, entry);
+    if (!applicant) {
+      return;
+    }
+    checkString(issues, `${path}[${index}].id`, applicant.id);
+    checkNumber(issues, `${path}[${index}].receivedOnDay`, applicant.receivedOnDay, { min: 1, integer: true });
+    if (applicant.tenant === null) {
+      addIssue(issues, `${path}[${index}].tenant`, 'must be an object');
+      return;
+    }
+    validateTenant(issues, `${path}[${index}].tenant`, applicant.tenant);
+  });
+}
+
+function validateMortgage(issues: ValidationIssue[], path: string, value: unknown): void {
+  if (value === null) {
+    return;
+  }
+  const mortgage = checkRecord(issues, path, value);
+  if (!mortgage) {
+    return;
+  }
+  const { principal, termMonths, remainingTermMonths, remainingBalance } = mortgage;
+  checkNumber(issues, `${path}.depositRatio`, mortgage.depositRatio, {
+    min: 0,
+    max: 1
+  });
+  checkNumber(issues, `${path}.deposit`, mortgage.deposit, { min: 0 });
+  const principalValid = checkNumber(issues, `${path}.principal`, principal, {
+    min: 0
+  });
+  checkNumber(issues, `${path}.fixedPeriodYears`, mortgage.fixedPeriodYears, {
+    min: 0
+  });
+  checkNumber(issues, `${path}.fixedPeriodMonths`, mortgage.fixedPeriodMonths, {
+    min: 0,
+    integer: true
+  });
+  checkBoolean(issues, `${path}.interestOnly`, mortgage.interestOnly);
+  checkOptionalNumber(issues, `${path}.financedFee`, mortgage.financedFee, { min: 0 });
+  checkNumber(issues, `${path}.annualInterestRate`, mortgage.annualInterestRate, {
+    min: 0,
+    max: 1
+  });
+  checkNumber(issues, `${path}.reversionRate`, mortgage.reversionRate, {
+    min: 0,
+    max: 1
+  });
+  checkNumber(issues, `${path}.baseRate`, mortgage.baseRate, {
+    min: 0,
+    max: 1
+  });
+  checkNumber(issues, `${path}.variableRateMargin`, mortgage.variableRateMargin, {
+    min: 0,
+    max: 1
+  });
+  checkBoolean(issues, `${path}.variableRateActive`, mortgage.variableRateActive);
+  checkNumber(issues, `${path}.monthlyPayment`, mortgage.monthlyPayment, {
+    min: 0
+  });
+  checkNumber(issues, `${path}.monthlyInterestRate`, mortgage.monthlyInterestRate, {
+    min: 0,
+    max: 1
+  });
+  const termValid = checkNumber(issues, `${path}.termMonths`, termMonths, {
+    min: 0,
+    integer: true
+  });
+  const remainingTermValid = checkNumber(
+    issues,
+    `${path}.remainingTermMonths`,
+    remainingTermMonths,
+    {
+      min: 0,
+      integer: true
+    }
+  );
+  const balanceValid = checkNumber(issues, `${path}.remainingBalance`, remainingBalance, {
+    min: 0
+  });
+  checkOptionalNumber(issues, `${path}.arrears`, mortgage.arrears, { min: 0 });
+  checkOptionalNumber(issues, `${path}.missedPayments`, mortgage.missedPayments, {
+    min: 0,
+    integer: true
+  });
+  checkOptionalNumber(issues, `${path}.recurringOverpayment`, mortgage.recurringOverpayment, { min: 0 });
+  if (mortgage.overpaymentStrategy !== undefined) {
+    checkOneOf(issues, `${path}.overpaymentStrategy`, mortgage.overpaymentStrategy, OVERPAYMENT_STRATEGIES);
+  }
+  checkOptionalNumber(issues, `${path}.overpaymentAllowanceYear`, mortgage.overpaymentAllowanceYear, {
+    min: 0,
+    integer: true
+  });
+  checkOptionalNumber(issues, `${path}.overpaymentAllowanceUsed`, mortgage.overpaymentAllowanceUsed, {
+    min: 0
+  });
+  if (mortgage.lenderId !== undefined) {
+    checkOneOf(issues, `${path}.lenderId`, mortgage.lenderId, LENDER_IDS);
+  }
+
+  if (termValid && remainingTermValid && remainingTermMonths > termMonths) {
+    addIssue(issues, `${path}.remainingTermMonths`, 'cannot exceed termMonths');
+  }
+  if (principalValid && balanceValid && remainingBalance > principal + 1) {
+    addIssue(issues, `${path}.remainingBalance`, 'cannot exceed the original principal');
+  }
+}
+
+function validateMaintenanceWork(issues: ValidationIssue[], path: string, value: unknown): void {
+  if (value === null) {
+    return;
+  }
+  const work = checkRecord(issues, path, value);
+  if (!work) {
+    return;
+  }
+  checkNumber(issues, `${path}.monthsRemaining`, work.monthsRemaining, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, `${path}.cost`, work.cost, { min: 0 });
+  checkNumber(issues, `${path}.scheduledOnDay`, work.scheduledOnDay, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, `${path}.startDelayMonths`, work.startDelayMonths, {
+    min: 0,
+    integer: true
+  });
+}
+
+function validateIncidents(issues: ValidationIssue[], path: string, value: unknown): void {
+  const incidents = checkArray(issues, path, value);
+  incidents?.forEach((entry, index) => {
+    const incident = checkRecord(issues, `${path}[${index}]`, entry);
+    if (!incident) {
+      return;
+    }
+    checkString(issues, `${path}[${index}].id`, incident.id);
+    checkOneOf(issues, `${path}[${index}].kind`, incident.kind, INCIDENT_KINDS);
+    checkNumber(issues, `${path}[${index}].reportedOnDay`, incident.reportedOnDay, { min: 1, integer: true });
+    checkNumber(issues, `${path}[${index}].repairCost`, incident.repairCost, { min: 0 });
+    checkNumber(issues, `${path}[${index}].monthsUnrepaired`, incident.monthsUnrepaired, { min: 0, integer: true });
+    if (incident.repairedOnDay !== null) {
+      checkNumber(issues, `${path}[${index}].repairedOnDay`, incident.repairedOnDay, { min: 1, integer: true });
+    }
+  });
+}
+
+function validateProperty(
+  issues: ValidationIssue[],
+  path: string,
+  value: unknown,
+  options: GameStateValidationOptions
+): void {
+  const property = checkRecord(issues, path, value);
+  if (!property) {
+    return;
+  }
+  checkString(issues, `${path}.id`, property.id);
+  checkString(issues, `${path}.name`, property.name);
+  checkString(issues, `${path}.description`, property.description, {
+    allowEmpty: true
+  });
+  checkOneOf(issues, `${path}.propertyType`, property.propertyType, PROPERTY_TYPES);
+  checkNumber(issues, `${path}.bedrooms`, property.bedrooms, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, `${path}.bathrooms`, property.bathrooms, {
+    min: 0,
+    integer: true
+  });
+  const features = checkArray(issues, `${path}.features`, property.features);
+  features?.forEach((feature, index) => checkString(issues, `${path}.features[${index}]`, feature));
+  checkString(issues, `${path}.locationDescriptor`, property.locationDescriptor, {
+    allowEmpty: true
+  });
+  checkNumber(issues, `${path}.demandScore`, property.demandScore, {
+    min: 1,
+    max: 10
+  });
+  if (property.location !== undefined) {
+    const location = checkRecord(issues, `${path}.location`, property.location);
+    if (location) {
+      if (location.proximity !== undefined) {
+        checkNumber(issues, `${path}.location.proximity`, location.proximity, {
+          min: 0,
+          max: 1
+        });
+      }
+      if (location.schoolRating !== undefined) {
+        checkNumber(issues, `${path}.location.schoolRating`, location.schoolRating, {
+          min: 0,
+          max: 10
+        });
+      }
+      if (location.crimeScore !== undefined) {
+        checkNumber(issues, `${path}.location.crimeScore`, location.crimeScore, {
+          min: 0,
+          max: 10
+        });
+      }
+    }
+  }
+  checkNumber(issues, `${path}.baseValue`, property.baseValue, { min: 0 });
+  checkNumber(issues, `${path}.cost`, property.cost, { min: 0 });
+  checkNumber(issues, `${path}.maintenancePercent`, property.maintenancePercent, {
+    min: 0,
+    max: 100
+  });
+  checkNumber(issues, `${path}.monthlyRentEstimate`, property.monthlyRentEstimate, { min: 0 });
+  if (checkString(issues, `${path}.rentPlanId`, property.rentPlanId)) {
+    const validIds = options.rentPlanIds(property as unknown as GameProperty);
+    if (!validIds.includes(property.rentPlanId)) {
+      addIssue(issues, `${path}.rentPlanId`, `"${property.rentPlanId}" is not a known rent plan`);
+    }
+  }
+  validateTenant(issues, `${path}.tenant`, property.tenant);
+  validateMortgage(issues, `${path}.mortgage`, property.mortgage);
+  checkBoolean(issues, `${path}.autoRelist`, property.autoRelist);
+  if (property.lettingAgentId !== null) {
+    checkOneOf(issues, `${path}.lettingAgentId`, property.lettingAgentId, LETTING_AGENT_IDS);
+  }
+  checkBoolean(issues, `${path}.rentalMarketingActive`, property.rentalMarketingActive);
+  checkBoolean(
+    issues,
+    `${path}.rentalMarketingPausedForMaintenance`,
+    property.rentalMarketingPausedForMaintenance
+  );
+  validateApplicants(issues, `${path}.applicants`, property.applicants);
+  checkBoolean(issues, `${path}.autoAcceptApplicants`, property.autoAcceptApplicants);
+  checkBoolean(issues, `${path}.rentReviewsEnabled`, property.rentReviewsEnabled);
+  validateMaintenanceWork(issues, `${path}.maintenanceWork`, property.maintenanceWork);
+  validateIncidents(issues, `${path}.incidents`, property.incidents);
+  checkNumber(issues, `${path}.marketAge`, property.marketAge, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, `${path}.introducedOnDay`, property.introducedOnDay, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, `${path}.vacancyMonths`, property.vacancyMonths, {
+    min: 0,
+    integer: true
+  });
+  checkOptionalNumber(issues, `${path}.purchasePrice`, property.purchasePrice, { min: 0 });
+}
+
+function validateHistory(issues: ValidationIssue[], value: unknown): void {
+  const history = checkArray(issues, 'history', value);
+  history?.forEach((item, index) => {
+    const path = `history[${index}]`;
+    const entry = checkRecord(issues, path, item);
+    if (!entry) {
+      return;
+    }
+    checkString(issues, `${path}.id`, entry.id);
+    checkNumber(issues, `${path}.day`, entry.day, { min: 0, integer: true });
+    checkString(issues, `${path}.message`, entry.message, { allowEmpty: true });
+  });
+}
+
+function validateMonthlySnapshots(issues: ValidationIssue[], value: unknown): void {
+  const snapshots = checkArray(issues, 'monthlySnapshots', value);
+  snapshots?.forEach((item, index) => {
+    const path = `monthlySnapshots[${index}]`;
+    const snapshot = checkRecord(issues, path, item);
+    if (!snapshot) {
+      return;
+    }
+    checkNumber(issues, `${path}.day`, snapshot.day, { min: 1, integer: true });
+    (['cash', 'equity', 'netWorth'] as const).forEach((key) => {
+      checkNumber(issues, `${path}.${key}`, snapshot[key]);
+    });
+    (['propertyValue', 'mortgageDebt', 'rentIncome', 'mortgageCosts'] as const).forEach((key) => {
+      checkNumber(issues, `${path}.${key}`, snapshot[key], { min: 0 });
+    });
+    checkNumber(issues, `${path}.baseRate`, snapshot.baseRate, { min: 0, max: 1 });
+    checkNumber(issues, `${path}.housePriceIndex`, snapshot.housePriceIndex, { min: 0 });
+  });
+}
+
+function validateLedger(issues: ValidationIssue[], value: unknown): void {
+  const ledger = checkArray(issues, 'ledger', value);
+  ledger?.forEach((item, index) => {
+    const path = `ledger[${index}]`;
+    const entry = checkRecord(issues, path, item);
+    if (!entry) {
+      return;
+    }
+    checkNumber(issues, `${path}.day`, entry.day, { min: 1, integer: true });
+    checkString(issues, `${path}.propertyId`, entry.propertyId);
+    checkOneOf(issues, `${path}.category`, entry.category, Object.keys(LEDGER_CATEGORIES));
+    checkNumber(issues, `${path}.amount`, entry.amount);
+  });
+}
+
+const TAX_BILL_FIELDS = [
+  'rentalIncome',
+  'mortgageInterest',
+  'maintenance',
+  'lettingFees',
+  'evictionCosts',
+  'lossesUsed',
+  'taxableProfit',
+  'incomeTax',
+  'interestCredit',
+  'capitalGainsTax',
+  'total',
+  'lossesCarriedForward'
+] as const;
+
+function validateTax(issues: ValidationIssue[], value: unknown): void {
+  const tax = checkRecord(issues, 'tax', value);
+  if (!tax) {
+    return;
+  }
+  checkNumber(issues, 'tax.yearStartDay', tax.yearStartDay, { min: 1, integer: true });
+  checkNumber(issues, 'tax.lossesCarriedForward', tax.lossesCarriedForward, { min: 0 });
+  const gains = checkArray(issues, 'tax.capitalGains', tax.capitalGains);
+  gains?.forEach((item, index) => {
+    const path = `tax.capitalGains[${index}]`;
+    const gain = checkRecord(issues, path, item);
+    if (!gain) {
+      return;
+    }
+    checkNumber(issues, `${path}.day`, gain.day, { min: 1, integer: true });
+    checkString(issues, `${path}.propertyId`, gain.propertyId);
+    checkString(issues, `${path}.propertyName`, gain.propertyName);
+    checkNumber(issues, `${path}.purchasePrice`, gain.purchasePrice, { min: 0 });
+    checkNumber(issues, `${path}.salePrice`, gain.salePrice, { min: 0 });
+    checkNumber(issues, `${path}.gain`, gain.gain);
+  });
+  const bills = checkArray(issues, 'tax.bills', tax.bills);
+  bills?.forEach((item, index) => {
+    const path = `tax.bills[${index}]`;
+    const bill = checkRecord(issues, path, item);
+    if (!bill) {
+      return;
+    }
+    checkNumber(issues, `${path}.yearStartDay`, bill.yearStartDay, { min: 1, integer: true });
+    checkNumber(issues, `${path}.yearEndDay`, bill.yearEndDay, { min: 1, integer: true });
+    TAX_BILL_FIELDS.forEach((key) => {
+      checkNumber(issues, `${path}.${key}`, bill[key], { min: 0 });
+    });
+    checkNumber(issues, `${path}.capitalGains`, bill.capitalGains);
+  });
+}
+
+function validateFinance(issues: ValidationIssue[], value: unknown): void {
+  const finance = checkRecord(issues, 'finance', value);
+  if (!finance) {
+    return;
+  }
+  checkBoolean(issues, 'finance.open', finance.open);
+  checkNullableString(issues, 'finance.propertyId', finance.propertyId);
+  checkNumber(issues, 'finance.depositRatio', finance.depositRatio, {
+    min: 0,
+    max: 1
+  });
+  checkNumber(issues, 'finance.termYears', finance.termYears, { min: 1 });
+  checkNumber(issues, 'finance.fixedPeriodYears', finance.fixedPeriodYears, {
+    min: 0
+  });
+  checkBoolean(issues, 'finance.interestOnly', finance.interestOnly);
+  checkBoolean(issues, 'finance.addFeeToLoan', finance.addFeeToLoan);
+  checkOneOf(issues, 'finance.lenderId', finance.lenderId, LENDER_IDS);
+  checkNullableString(issues, 'finance.validationError', finance.validationError);
+}
+
+function validateManagement(issues: ValidationIssue[], value: unknown): void {
+  const management = checkRecord(issues, 'management', value);
+  if (!management) {
+    return;
+  }
+  checkBoolean(issues, 'management.open', management.open);
+  checkNullableString(issues, 'management.propertyId', management.propertyId);
+  checkOneOf(issues, 'management.activeSection', management.activeSection, MANAGEMENT_SECTIONS);
+  const refinance = checkRecord(issues, 'management.refinance', management.refinance);
+  if (refinance) {
+    checkNumber(issues, 'management.refinance.fixedPeriodYears', refinance.fixedPeriodYears, {
+      min: 0
+    });
+    checkOptionalNumber(issues, 'management.refinance.cashOutAmount', refinance.cashOutAmount, {
+      min: 0
+    });
+  }
+}
+
+export function validateGameState(
+  value: unknown,
+  options: GameStateValidationOptions
+): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+  const state = checkRecord(issues, 'state', value);
+  if (!state) {
+    return issues;
+  }
+
+  checkNumber(issues, 'balance', state.balance);
+  checkNumber(issues, 'day', state.day, { min: 1, integer: true });
+  checkNumber(issues, 'centralBankRate', state.centralBankRate, {
+    min: 0,
+    max: 1
+  });
+  checkNumber(issues, 'housePriceIndex', state.housePriceIndex, { min: 0 });
+  checkNumber(issues, 'speed', state.speed, { min: 1 });
+  checkBoolean(issues, 'isPaused', state.isPaused);
+  checkNumber(issues, 'lastCentralBankAdjustmentDay', state.lastCentralBankAdjustmentDay, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, 'lastHousePriceUpdateDay', state.lastHousePriceUpdateDay, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, 'lastMarketGenerationDay', state.lastMarketGenerationDay, {
+    min: 0,
+    integer: true
+  });
+  checkNumber(issues, 'lastRentCollectionDay', state.lastRentCollectionDay, {
+    min: 0,
+    integer: true
+  });
+  checkString(issues, 'seed', state.seed);
+  checkNumber(issues, 'rngState', state.rngState, { min: 0, max: 0xffffffff, integer: true });
+  checkNumber(issues, 'creditScore', state.creditScore, {
+    min: FINANCE_CONFIG.creditScore.minimum,
+    max: FINANCE_CONFIG.creditScore.maximum
+  });
+  checkNumber(issues, 'overdrawnMonths', state.overdrawnMonths, { min: 0, integer: true });
+  checkNullableNumber(issues, 'bankruptOnDay', state.bankruptOnDay, { min: 1, integer: true });
+
+  const seenIds = new Set<string>();
+  (['market', 'portfolio'] as const).forEach((key) => {
+    const properties = checkArray(issues, key, state[key]);
+    properties?.forEach((property, index) => {
+      const path = `${key}[${index}]`;
+      validateProperty(issues, path, property, options);
+      const id = (property as Partial<GameProperty> | null)?.id;
+      if (typeof id === 'string') {
+        if (seenIds.has(id)) {
+          addIssue(issues, `${path}.id`, `duplicates another property id "${id}"`);
+        }
+        seenIds.add(id);
+      }
+    });
+  });
+
+  validateHistory(issues, state.history);
+  validateMonthlySnapshots(issues, state.monthlySnapshots);
+  validateLedger(issues, state.ledger);
+  validateTax(issues, state.tax);
+  validateFinance(issues, state.finance);
+  validateManagement(issues, state.management);
+
+  return issues;
+}
+
+export function validateStrategyRules(value: unknown): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+  const rules = checkRecord(issues, 'strategy', value);
+  if (!rules) {
+    return issues;
+  }
+  if (rules.name !== undefined) {
+    checkString(issues, 'name', rules.name);
+  }
+
+  if (rules.purchase !== undefined) {
+    const purchase = checkRecord(issues, 'purchase', rules.purchase);
+    if (purchase) {
+      checkOptionalNumber(issues, 'purchase.maxProperties', purchase.maxProperties, { min: 0, integer: true });
+      checkOptionalNumber(issues, 'purchase.maxPrice', purchase.maxPrice, { min: 0 });
+      checkOptionalNumber(issues, 'purchase.minGrossYield', purchase.minGrossYield, { min: 0 });
+      checkOptionalNumber(issues, 'purchase.cashReserve', purchase.cashReserve, { min: 0 });
+      if (purchase.financing !== undefined) {
+        checkOneOf(issues, 'purchase.financing', purchase.financing, ['mortgage', 'cash']);
+      }
+      checkOptionalNumberOneOf(
+        issues,
+        'purchase.depositRatio',
+        purchase.depositRatio,
+        FINANCE_CONFIG.depositOptions
+      );
+      checkOptionalNumberOneOf(issues, 'purchase.termYears', purchase.termYears, FINANCE_CONFIG.termOptions);
+      checkOptionalNumberOneOf(
+        issues,
+        'purchase.fixedPeriodYears',
+        purchase.fixedPeriodYears,
+        FINANCE_CONFIG.fixedPeriodOptions
+      );
+      if (purchase.interestOnly !== undefined) {
+        checkBoolean(issues, 'purchase.interestOnly', purchase.interestOnly);
+      }
+      if (purchase.lenderId !== undefined) {
+        checkOneOf(issues, 'purchase.lenderId', purchase.lenderId, LENDER_IDS);
+      }
+    }
+  }
+
+  if (rules.letting !== undefined) {
+    const letting = checkRecord(issues, 'letting', rules.letting);
+    if (letting) {
+      checkOptionalNumberOneOf(issues, 'letting.leaseMonths', letting.leaseMonths, LEASE_LENGTH_CHOICES);
+      checkOptionalNumberOneOf(issues, 'letting.rentPremium', letting.rentPremium, RENT_RATE_OFFSETS);
+    }
+  }
+
+  if (rules.maintenance !== undefined) {
+    const maintenance = checkRecord(issues, 'maintenance', rules.maintenance);
+    if (maintenance) {
+      checkNumber(issues, 'maintenance.belowPercent', maintenance.belowPercent, { min: 0, max: 100 });
+      checkOptionalNumber(issues, 'maintenance.cashReserve', maintenance.cashReserve, { min: 0 });
+    }
+  }
+
+  if (rules.sale !== undefined) {
+    const sale = checkRecord(issues, 'sale', rules.sale);
+    if (sale) {
+      checkOptionalNumber(issues, 'sale.afterYears', sale.afterYears, { min: 0 });
+      checkOptionalNumber(issues, 'sale.minEquityRatio', sale.minEquityRatio, { min: 0, max: 1 });
+    }
+  }
+
+  return issues;
+}
+
+export const MAX_JOURNAL_ADVANCE_DAYS = 3_600;
+
+type ActionPayloadCheck = (issues: ValidationIssue[], path: string, action: UnknownRecord) => void;
+
+function checkActionProperty(issues: ValidationIssue[], path: string, action: UnknownRecord): void {
+  checkString(issues, `${path}.propertyId`, action.propertyId);
+}
+
+function checkActionPropertyFlag(key: string): ActionPayloadCheck {
+  return (issues, path, action) => {
+    checkActionProperty(issues, path, action);
+    checkBoolean(issues, `${path}.${key}`, action[key]);
+  };
+}
+
+function checkActionPropertyAmount(key: string): ActionPayloadCheck {
+  return (issues, path, action) => {
+    checkActionProperty(issues, path, action);
+    checkNumber(issues, `${path}.${key}`, action[key], { min: 0 });
+  };
+}
+
+function checkActionApplicant(issues: ValidationIssue[], path: string, action: UnknownRecord): void {
+  checkActionProperty(issues, path, action);
+  checkString(issues, `${path}.applicantId`, action.applicantId);
+}
+
+const checkNoPayload: ActionPayloadCheck = () => undefined;
+
+const GAME_ACTION_PAYLOADS: Record<GameAction['type'], ActionPayloadCheck> = {
+  'advance-days': (issues, path, action) => {
+    checkNumber(issues, `${path}.days`, action.days, { min: 1, max: MAX_JOURNAL_ADVANCE_DAYS, integer: true });
+  },
+  'set-speed': (issues, path, action) => {
+    checkNumber(issues, `${path}.speed`, action.speed, { min: 1 });
+  },
+  'set-paused': (issues, path, action) => {
+    checkBoolean(issues, `${path}.paused`, action.paused);
+  },
+  'open-management': checkActionProperty,
+  'close-management': checkNoPayload,
+  'set-management-section': (issues, path, action) => {
+    checkOneOf(issues, `${path}.section`, action.section, MANAGEMENT_SECTIONS);
+  },
+  'set-refinance-fixed-period': (issues, path, action) => {
+    checkNumber(issues, `${path}.years`, action.years, { min: 0 });
+  },
+  'set-refinance-cash-out': (issues, path, action) => {
+    checkNumber(issues, `${path}.amount`, action.amount, { min: 0 });
+  },
+  'confirm-refinance': checkActionProperty,
+  'overpay-mortgage': checkActionPropertyAmount('amount'),
+  'set-recurring-overpayment': checkActionPropertyAmount('amount'),
+  'set-overpayment-strategy': (issues, path, action) => {
+    checkActionProperty(issues, path, action);
+    checkOneOf(issues, `${path}.strategy`, action.strategy, OVERPAYMENT_STRATEGIES);
+  },
+  'set-lease-months': (issues, path, action) => {
+    checkActionProperty(issues, path, action);
+    checkNumberOneOf(issues, `${path}.leaseMonths`, action.leaseMonths, LEASE_LENGTH_CHOICES);
+  },
+  'set-rent-premium': (issues, path, action) => {
+    checkActionProperty(issues, path, action);
+    checkNumberOneOf(issues, `${path}.rateOffset`, action.rateOffset, RENT_RATE_OFFSETS);
+  },
+  'set-auto-relist': checkActionPropertyFlag('enabled'),
+  'set-rental-marketing': checkActionPropertyFlag('active'),
+  'set-auto-accept-applicants': checkActionPropertyFlag('enabled'),
+  'accept-applicant': checkActionApplicant,
+  'reject-applicant': checkActionApplicant,
+  'counter-applicant': (issues, path, action) => {
+    checkActionApplicant(issues, path, action);
+    checkNumber(issues, `${path}.monthlyRent`, action.monthlyRent, { min: 0 });
+  },
+  'offer-renewal': checkActionPropertyAmount('monthlyRent'),
+  'decline-renewal': checkActionProperty,
+  'set-rent-reviews': checkActionPropertyFlag('enabled'),
+  'set-letting-agent': (issues, path, action) => {
+    checkActionProperty(issues, path, action);
+    if (action.agentId !== null) {
+      checkOneOf(issues, `${path}.agentId`, action.agentId, LETTING_AGENT_IDS);
+    }
+  },
+  'set-marketing-paused': checkActionPropertyFlag('paused'),
+  'schedule-maintenance': checkActionProperty,
+  'repair-incident': (issues, path, action) => {
+    checkActionProperty(issues, path, action);
+    checkString(issues, `${path}.incidentId`, action.incidentId);
+  },
+  'open-finance': checkActionProperty,
+  'close-finance': checkNoPayload,
+  'select-deposit': (issues, path, action) => {
+    checkNumber(issues, `${path}.ratio`, action.ratio, { min: 0, max: 1 });
+  },
+  'select-term': (issues, path, action) => {
+    checkNumber(issues, `${path}.years`, action.years, { min: 1 });
+  },
+  'select-fixed-period': (issues, path, action) => {
+    checkNumber(issues, `${path}.years`, action.years, { min: 0 });
+  },
+  'set-interest-only': (issues, path, action) => {
+    checkBoolean(issues, `${path}.interestOnly`, action.interestOnly);
+  },
+  'select-lender': (issues, path, action) => {
+    checkOneOf(issues, `${path}.lenderId`, action.lenderId, LENDER_IDS);
+  },
+  'set-fee-financing': (issues, path, action) => {
+    checkBoolean(issues, `${path}.addFeeToLoan`, action.addFeeToLoan);
+  },
+  'confirm-finance': checkNoPayload,
+  'confirm-cash-purchase': checkNoPayload,
+  'sell-property': checkActionProperty
+};
+
+const ACTION_TYPES = Object.keys(GAME_ACTION_PAYLOADS) as GameAction['type'][];
+
+export function validateActionJournal(value: unknown): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+  const journal = checkRecord(issues, 'journal', value);
+  if (!journal) {
+    return issues;
+  }
+  checkNumber(issues, 'version', journal.version, { min: 1, integer: true });
+  checkString(issues, 'seed', journal.seed);
+  const config = checkRecord(issues, 'config', journal.config);
+  if (config) {
+    checkNumber(issues, 'config.startingBalance', config.startingBalance, { min: 0 });
+    checkNumber(issues, 'config.speed', config.speed, { min: 1 });
+  }
+
+  const entries = checkArray(issues, 'entries', journal.entries);
+  entries?.forEach((item, index) => {
+    const path = `entries[${index}]`;
+    const entry = checkRecord(issues, path, item);
+    if (!entry) {
+      return;
+    }
+    checkNumber(issues, `${path}.day`, entry.day, { min: 1, integer: true });
+    const action = checkRecord(issues, `${path}.action`, entry.action);
+    if (!action || !checkOneOf(issues, `${path}.action.type`, action.type, ACTION_TYPES)) {
+      return;
+    }
+    GAME_ACTION_PAYLOADS[action.type](issues, `${path}.action`, action);
+  });
+
+  return issues;
+}